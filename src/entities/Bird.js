@@ -1,4 +1,5 @@
-import { GAME_CONFIG, PHYSICS, COLORS } from '../utils/constants.js';
+import SettingsManager from '../managers/SettingsManager.js';
+import { GAME_CONFIG, PHYSICS, COLORS, ANIMATION_CONFIG, ASSIST } from '../utils/constants.js';
 
 /**
  * Bird entity class extending Phaser.Physics.Arcade.Sprite
@@ -36,11 +37,12 @@ export default class Bird extends Phaser.Physics.Arcade.Sprite {
     this.body.setMaxVelocity(0, PHYSICS.maxVelocityY);
     
     // Scale bird for better visibility (original sprite is 34x24px)
-    this.setScale(1.5);
+    this.setScale(PHYSICS.birdScale);
     this.body.setSize(34, 24);
     
     // Initialize state
     this.isAlive = true;
+    this.squashTime = null; // Ms since the last jump while the squash plays, null when done
   }
 
   /**
@@ -53,26 +55,61 @@ export default class Bird extends Phaser.Physics.Arcade.Sprite {
     // Set upward velocity based on current difficulty
     this.body.setVelocityY(jumpVelocity);
     
-    // Optional: slight scale tween for visual feedback
-    this.scene.tweens.add({
-      targets: this,
-      scaleX: 1.2,
-      scaleY: 1.2,
-      duration: 100,
-      yoyo: true,
-      ease: 'Power2'
-    });
+    // Slight squash for visual feedback, played by update
+    this.squashTime = 0;
+  }
+
+  /**
+   * Turn assisted play on or off: without gravity the bird only moves when holdAltitude steers it
+   * @param {boolean} assisted - Whether the session is played in assist mode
+   */
+  setAssisted(assisted) {
+    this.body.setAllowGravity(!assisted);
+  }
+
+  /**
+   * Fly toward a height in assisted play, slowing down as the bird gets close
+   * Called every simulation step before the physics step, so replays steer the same way
+   * @param {number} targetY - Height to fly to
+   */
+  holdAltitude(targetY) {
+    if (!this.isAlive) return;
+
+    const velocityY = (targetY - this.y) * ASSIST.holdRate;
+    this.body.setVelocityY(Phaser.Math.Clamp(velocityY, -ASSIST.maxSpeed, ASSIST.maxSpeed));
   }
 
   /**
-   * Update bird rotation based on velocity
-   * Called every frame from GameScene
+   * Update bird rotation based on velocity and play the jump squash
+   * Called every simulation step from GameScene; the squash is stepped here instead of
+   * tweened because the body size follows the scale. For the same reason the squash also
+   * plays with reduced motion: leaving it out would change the game and its replays
+   * @param {number} delta - Step length in milliseconds
    */
-  update() {
-    // Rotate bird based on velocity: up when jumping, down when falling
+  update(delta) {
+    // Rotate bird based on velocity: up when jumping, down when falling (level with reduced motion)
     const velocityY = this.body.velocity.y;
     const rotation = Phaser.Math.Clamp(velocityY * PHYSICS.rotationSpeed, -30, 90);
-    this.angle = rotation;
+    this.angle = SettingsManager.getInstance().get('reducedMotion') ? 0 : rotation;
+
+    if (this.squashTime !== null) {
+      this.squashTime += delta;
+      this.setScale(this.getSquashScale(this.squashTime));
+      if (this.squashTime >= ANIMATION_CONFIG.jumpSquashDuration * 2) {
+        this.squashTime = null;
+      }
+    }
+  }
+
+  /**
+   * Scale during the jump squash: down to jumpSquashScale and back again
+   * @param {number} time - Ms since the jump
+   * @returns {number} Scale of the bird
+   */
+  getSquashScale(time) {
+    const half = ANIMATION_CONFIG.jumpSquashDuration;
+    const progress = time < half ? time / half : Math.max(0, 2 - time / half);
+    return Phaser.Math.Linear(PHYSICS.birdScale, ANIMATION_CONFIG.jumpSquashScale, Phaser.Math.Easing.Cubic.Out(progress));
   }
 
   /**
@@ -88,12 +125,14 @@ export default class Bird extends Phaser.Physics.Arcade.Sprite {
     this.body.enable = false;
     
     // Play death animation: rotate to nose down
-    this.scene.tweens.add({
-      targets: this,
-      angle: 90,
-      duration: 500,
-      ease: 'Power2'
-    });
+    if (!SettingsManager.getInstance().get('reducedMotion')) {
+      this.scene.tweens.add({
+        targets: this,
+        angle: 90,
+        duration: 500,
+        ease: 'Power2'
+      });
+    }
     
     // Fade out
     this.scene.tweens.add({
@@ -111,8 +150,10 @@ export default class Bird extends Phaser.Physics.Arcade.Sprite {
     // Reset position
     this.setPosition(GAME_CONFIG.birdStartX, GAME_CONFIG.birdStartY);
     
-    // Reset rotation and velocity
+    // Reset rotation, scale and velocity
     this.angle = 0;
+    this.squashTime = null;
+    this.setScale(PHYSICS.birdScale);
     this.body.velocity.set(0, 0);
     
     // Re-enable physics
@@ -123,7 +164,7 @@ export default class Bird extends Phaser.Physics.Arcade.Sprite {
     this.scene.tweens.add({
       targets: this,
       alpha: 1,
-      duration: 500,
+      duration: ANIMATION_CONFIG.respawnFadeDuration,
       ease: 'Power2'
     });
     
@@ -1,69 +1,49 @@
+import { applyLabelSettings } from '../utils/legibility.js';
 import { GAME_CONFIG, COLORS, TEXT_STYLE } from '../utils/constants.js';
 
 /**
  * Pipe entity class extending Phaser.GameObjects.Container
- * Handles pipe obstacles with top and bottom rectangles, movement, and recycling
+ * Handles pipe obstacles with a column of stacked gates (one gap per spelling variant),
+ * movement, and recycling
  */
 export default class Pipe extends Phaser.GameObjects.Container {
   constructor(scene, x, gapY, gapSize) {
     // Call parent constructor
     super(scene, x, 0);
-    
-    // Store gap properties
+
+    // Store gap properties (gapY is the preferred center of the gate stack)
     this.gapY = gapY;
     this.gapSize = gapSize;
-    
+
     // Word data and scoring properties
     this.wordData = null;
     this.scored = false;
-    this.topText = null;
-    this.bottomText = null;
-    
-    // Calculate pipe heights
-    const topHeight = gapY - gapSize / 2;
-    const bottomHeight = scene.scale.height - (gapY + gapSize / 2);
-    
-    // Create top pipe (flipped upside down)
-    this.topPipe = scene.add.image(
-      0, // x position relative to container
-      gapY - gapSize / 2 - topHeight / 2, // y position
-      'pipe-green'
-    );
-    this.topPipe.setDisplaySize(GAME_CONFIG.pipeWidth, topHeight);
-    this.topPipe.setFlipY(true); // Flip upside down for top pipe
-
-    // Create bottom pipe (normal orientation)
-    this.bottomPipe = scene.add.image(
-      0, // x position relative to container
-      gapY + gapSize / 2 + bottomHeight / 2, // y position
-      'pipe-green'
-    );
-    this.bottomPipe.setDisplaySize(GAME_CONFIG.pipeWidth, bottomHeight);
-    
-    // Create text labels for word display
-    this.topText = scene.add.text(0, gapY - gapSize/2 - 60, '', TEXT_STYLE);
-    this.topText.setOrigin(0.5);
-    
-    this.bottomText = scene.add.text(0, gapY + gapSize/2 + 60, '', TEXT_STYLE);
-    this.bottomText.setOrigin(0.5);
-    
-    // Add rectangles and text to container
-    this.add([this.topPipe, this.bottomPipe, this.topText, this.bottomText]);
-    
+    this.announced = false; // Word has been spoken
+    this.resetTiming();
+
+    // Gates from top to bottom: { y, size, spelling }
+    this.gates = [];
+    // Pipe segments around the gates and one label per gate, created on demand
+    this.segments = [];
+    this.labels = [];
+
     // Add container to scene
     scene.add.existing(this);
-    
+
     // Enable physics on container (static body)
     scene.physics.add.existing(this, true);
-    
+
     // Set physics body size for collision detection
+    // The scene only counts an overlap as a crash when the bird is outside every gate (see hitsWall)
     this.body.setSize(GAME_CONFIG.pipeWidth, scene.scale.height);
+
+    this.layoutGates(2);
   }
 
   /**
    * Update pipe position (move left)
-   * Called every frame from GameScene
-   * @param {number} speed - Speed in pixels per frame
+   * Called every simulation step from GameScene
+   * @param {number} speed - Distance in pixels per step
    */
   update(speed) {
     this.x -= speed;
@@ -74,86 +54,249 @@ export default class Pipe extends Phaser.GameObjects.Container {
   /**
    * Reset pipe position and gap for recycling
    * @param {number} x - New x position
-   * @param {number} gapY - New gap center y position
-   * @param {number} gapSize - New gap size
+   * @param {number} gapY - New preferred center of the gate stack
+   * @param {number} gapSize - New gap size of each gate
    */
   reset(x, gapY, gapSize) {
     // Update position
     this.x = x;
-    
+
     // Update gap properties
     this.gapY = gapY;
     this.gapSize = gapSize;
-    
-    // Recalculate pipe heights
-    const topHeight = gapY - gapSize / 2;
-    const bottomHeight = this.scene.scale.height - (gapY + gapSize / 2);
-    
-    // Update top pipe
-    this.topPipe.setDisplaySize(GAME_CONFIG.pipeWidth, topHeight);
-    this.topPipe.setPosition(0, gapY - gapSize / 2 - topHeight / 2);
-    this.topPipe.setFlipY(true); // Maintain flip for top pipe
-
-    // Update bottom pipe
-    this.bottomPipe.setDisplaySize(GAME_CONFIG.pipeWidth, bottomHeight);
-    this.bottomPipe.setPosition(0, gapY + gapSize / 2 + bottomHeight / 2);
-    
-    // Update text positions
-    this.topText.setPosition(0, gapY - gapSize/2 - 60);
-    this.bottomText.setPosition(0, gapY + gapSize/2 + 60);
-    
+    this.layoutGates(this.gates.length);
+
     // Clear word data and reset scored flag
     this.wordData = null;
-    this.topText.setText('');
-    this.bottomText.setText('');
+    this.labels.forEach(label => label.setText(''));
     this.scored = false;
-    
+    this.announced = false;
+    this.resetTiming();
+
     // Update physics body position to match container
     this.body.updateFromGameObject();
   }
 
   /**
-   * Set word data and display text labels
-   * @param {Object} wordData - Word object with { id, correctSpelling, wrongSpelling, difficulty }
+   * Stack the gates around gapY and stretch the pipe segments between them
+   * Gates shrink below gapSize when that many do not fit above the ground
+   * @param {number} count - Number of gates
    */
-  setWord(wordData) {
-    // Randomly determine which gate gets correct spelling
-    const correctGate = Phaser.Math.RND.pick(['top', 'bottom']);
-    
+  layoutGates(count) {
+    const wall = GAME_CONFIG.gateWallHeight;
+    const margin = GAME_CONFIG.gateMargin;
+    const playHeight = GAME_CONFIG.playAreaHeight;
+
+    const size = Math.min(this.gapSize, Math.floor((playHeight - 2 * margin - (count - 1) * wall) / count));
+    const stackHeight = count * size + (count - 1) * wall;
+    const center = Phaser.Math.Clamp(this.gapY, margin + stackHeight / 2, playHeight - margin - stackHeight / 2);
+    const stackTop = center - stackHeight / 2;
+
+    this.gates = [];
+    for (let i = 0; i < count; i++) {
+      this.gates.push({ y: stackTop + size / 2 + i * (size + wall), size, spelling: null });
+    }
+
+    // Segments: above the first gate, between each pair of gates, below the last gate
+    const edges = [0];
+    this.gates.forEach(gate => edges.push(gate.y - gate.size / 2, gate.y + gate.size / 2));
+    edges.push(this.scene.scale.height);
+
+    for (let i = 0; i < edges.length / 2; i++) {
+      const segment = this.getSegment(i);
+      const top = edges[i * 2];
+      const bottom = edges[i * 2 + 1];
+      segment.setDisplaySize(GAME_CONFIG.pipeWidth, bottom - top);
+      segment.setPosition(0, (top + bottom) / 2);
+      segment.setFlipY(i === 0); // Flip upside down for top pipe
+      segment.setVisible(true);
+    }
+    this.segments.slice(edges.length / 2).forEach(segment => segment.setVisible(false));
+
+    // Labels sit in the middle of their gate
+    this.gates.forEach((gate, index) => {
+      this.getLabel(index).setPosition(0, gate.y).setText('').setVisible(true);
+    });
+    this.labels.slice(count).forEach(label => label.setVisible(false));
+  }
+
+  /**
+   * @param {number} index - Segment index, from the top
+   * @returns {Phaser.GameObjects.Image} Pipe segment, created when missing
+   */
+  getSegment(index) {
+    if (!this.segments[index]) {
+      const segment = this.scene.add.image(0, 0, 'pipe-green');
+      this.segments[index] = segment;
+      this.addAt(segment, 0); // Below the labels
+    }
+    return this.segments[index];
+  }
+
+  /**
+   * @param {number} index - Gate index, from the top
+   * @returns {Phaser.GameObjects.Text} Gate label, created when missing
+   */
+  getLabel(index) {
+    if (!this.labels[index]) {
+      const label = applyLabelSettings(this.scene.add.text(0, 0, ''), TEXT_STYLE).setOrigin(0.5);
+      this.labels[index] = label;
+      this.add(label);
+    }
+    return this.labels[index];
+  }
+
+  /**
+   * Restyle the gate labels after a text setting changed
+   */
+  applySettings() {
+    this.labels.forEach(label => applyLabelSettings(label, TEXT_STYLE));
+  }
+
+  /**
+   * Set word data and label one gate with the correct spelling and the others with wrong spellings
+   * @param {Object} wordData - Word object with { id, correct_spelling, wrong_spelling, extra_wrong_spellings, difficulty }
+   * @param {number} maxGates - Most gates this pipe may have (the word may have fewer wrong spellings)
+   * @param {Phaser.Math.RandomDataGenerator} rng - Generator for the spelling order (the game's seeded one)
+   */
+  setWord(wordData, maxGates = 2, rng = Phaser.Math.RND) {
+    // Pick the wrong spellings, without duplicates or the correct spelling itself
+    const wrongSpellings = [...new Set([wordData.wrong_spelling, ...(wordData.extra_wrong_spellings || [])])]
+      .filter(spelling => spelling && spelling !== wordData.correct_spelling);
+    const chosenWrong = rng.shuffle(wrongSpellings).slice(0, Math.max(1, maxGates - 1));
+
+    // Randomly order the variants over the gates
+    const spellings = rng.shuffle([wordData.correct_spelling, ...chosenWrong]);
+    const correctGate = spellings.indexOf(wordData.correct_spelling);
+
     // Store word data with correct gate
+    this.layoutGates(spellings.length);
     this.wordData = { ...wordData, correctGate };
-    
-    // Set text labels based on correct gate
-    if (correctGate === 'top') {
-      this.topText.setText(wordData.correctSpelling);
-      this.bottomText.setText(wordData.wrongSpelling);
-    } else {
-      this.topText.setText(wordData.wrongSpelling);
-      this.bottomText.setText(wordData.correctSpelling);
-    }
-    
-    // Reset scored flag
+
+    // Set text labels, each fitted to the pipe (long words get a smaller font, never a line break)
+    spellings.forEach((spelling, index) => {
+      this.gates[index].spelling = spelling;
+      applyLabelSettings(this.labels[index].setText(spelling), TEXT_STYLE);
+    });
+
+    // Reset scored and announced flags
     this.scored = false;
+    this.announced = false;
+    this.resetTiming();
   }
 
   /**
    * Determine which gate the bird passed through based on Y position
    * @param {number} birdY - Bird's Y position when passing through
-   * @returns {string} 'top' or 'bottom'
+   * @returns {number} Index of the gate closest to the bird, from the top
    */
   getChosenGate(birdY) {
-    return birdY < this.gapY ? 'top' : 'bottom';
+    let chosen = 0;
+    this.gates.forEach((gate, index) => {
+      if (Math.abs(birdY - gate.y) < Math.abs(birdY - this.gates[chosen].y)) {
+        chosen = index;
+      }
+    });
+    return chosen;
   }
 
   /**
    * Check if the chosen gate is correct
-   * @param {string} chosenGate - 'top' or 'bottom'
+   * @param {number} chosenGate - Gate index
    * @returns {boolean} True if correct choice
    */
   isCorrectChoice(chosenGate) {
     return chosenGate === this.wordData.correctGate;
   }
 
+  /**
+   * @param {number} gateIndex - Gate index
+   * @returns {string|null} Spelling shown in the gate
+   */
+  getGateSpelling(gateIndex) {
+    return this.gates[gateIndex]?.spelling || null;
+  }
+
+  /**
+   * Check whether a vertical span (the bird's body) touches the pipe outside the gates
+   * @param {number} top - Top of the span
+   * @param {number} bottom - Bottom of the span
+   * @returns {boolean} True if the span is not completely inside one gate
+   */
+  hitsWall(top, bottom) {
+    return !this.gates.some(gate => top >= gate.y - gate.size / 2 && bottom <= gate.y + gate.size / 2);
+  }
+
+  /**
+   * Tint all pipe segments (feedback after a choice)
+   * @param {number} color - Tint color
+   */
+  setPipeTint(color) {
+    this.segments.forEach(segment => segment.setTint(color));
+  }
+
+  clearPipeTint() {
+    this.segments.forEach(segment => segment.clearTint());
+  }
+
+  /**
+   * Mark the pipe's word as spoken
+   */
+  markAnnounced() {
+    this.announced = true;
+  }
+
+  /**
+   * Clear the response time tracking (new word)
+   */
+  resetTiming() {
+    this.shownAt = null; // Play time the labels came on screen
+    this.decidedAt = null; // Play time the bird moved into the gate it ends up choosing
+    this.currentLane = null; // Gate the bird is lined up with
+    this.gateSwitches = 0;
+  }
+
+  /**
+   * Remember when the gate labels became readable
+   * @param {number} time - Play time in milliseconds
+   */
+  markShown(time) {
+    this.shownAt = time;
+    this.decidedAt = time;
+  }
+
+  /**
+   * Follow which gate the bird is lined up with while the word is readable
+   * @param {number} birdY - Bird's Y position
+   * @param {number} time - Play time in milliseconds
+   */
+  trackLane(birdY, time) {
+    const lane = this.getChosenGate(birdY);
+    if (lane === this.currentLane) return;
+
+    if (this.currentLane !== null) {
+      this.gateSwitches++;
+      this.decidedAt = time;
+    }
+    this.currentLane = lane;
+  }
+
+  /**
+   * Get the timing of the attempt when the bird crosses the gate
+   * @param {number} time - Play time in milliseconds
+   * @returns {{responseTime: number|null, decisionTime: number|null, gateSwitches: number}}
+   */
+  getTiming(time) {
+    if (this.shownAt === null) {
+      return { responseTime: null, decisionTime: null, gateSwitches: 0 };
+    }
+    return {
+      responseTime: Math.round(time - this.shownAt),
+      decisionTime: Math.round(this.decidedAt - this.shownAt),
+      gateSwitches: this.gateSwitches
+    };
+  }
+
   /**
    * Mark pipe as scored to prevent double-scoring
    */
@@ -0,0 +1,18 @@
+/**
+ * German text for playing the German word bank (see tWords in src/utils/i18n.js)
+ * There is no German UI, so this only holds the hints shown next to the words in the game
+ */
+export default {
+  game: {
+    keyHints: '{jump}: fliegen   ·   R: Wort noch einmal hören   ·   M: Aussprache   ·   P: Pause',
+    jumpInput: {
+      tap: 'Leertaste/Tippen',
+      keyboard: 'Leertaste/↑/W'
+    },
+    assistKeyHints: '{choose}: Tor wählen   ·   R: Wort noch einmal hören   ·   M: Aussprache   ·   P: Pause',
+    assistInput: {
+      keys: '↑/↓',
+      switch: 'Leertaste/Enter'
+    }
+  }
+};
@@ -0,0 +1,419 @@
+/**
+ * English UI text (same keys as nl.js)
+ */
+export default {
+  common: {
+    back: '◂ Back',
+    pleaseWait: 'Please wait...',
+    player: 'player',
+    guest: 'Guest',
+    me: 'Me'
+  },
+
+  difficulty: {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard'
+  },
+
+  sessionMode: {
+    lives: { one: '{count} Life', other: '{count} Lives' },
+    time: { one: '{count} Minute', other: '{count} Minutes' },
+    words: { one: '{count} Word', other: '{count} Words' },
+    endless: 'Free Play'
+  },
+
+  wordLanguage: {
+    nl: 'Dutch',
+    en: 'English',
+    de: 'German'
+  },
+
+  menu: {
+    title: 'Spelling Flappy Bird',
+    subtitle: 'Learn to Spell!',
+    welcome: 'Welcome, {name}!',
+    logout: 'Log out',
+    myProgress: 'My Progress',
+    guestMode: 'Guest Mode',
+    guestModeOffline: 'Guest Mode (offline)',
+    localPlayer: 'Offline: your progress stays on this device',
+    classLogin: 'Class Login',
+    login: 'Log in',
+    register: 'Register',
+    chooseDifficulty: 'Choose Difficulty:',
+    start: 'Start Game',
+    assignment: 'Assignment: {name} ▸',
+    wordList: 'Word list',
+    freePractice: 'Free practice ▸',
+    wordLanguage: 'Words: {language} ▸',
+    leaderboardTitle: 'Top 10 ({language})',
+    leaderboardAllTime: 'All time',
+    leaderboardThisWeek: 'This week',
+    leaderboardClass: 'Class {name}',
+    leaderboardError: 'Could not load scores',
+    leaderboardEmpty: 'No scores yet!',
+    adminPanel: 'Admin Panel',
+    classes: 'Classes',
+    joinClass: 'Join Class',
+    joinClassPrompt: 'Enter the class code you got from your teacher:',
+    joinClassWrong: 'This class code is not right',
+    joinClassJoined: 'You are now in class {name}!',
+    settings: '⚙ Settings'
+  },
+
+  auth: {
+    loginTitle: 'Log in',
+    registerTitle: 'Register',
+    username: 'Username',
+    email: 'Email address',
+    password: 'Password',
+    cancel: 'Cancel',
+    loginButton: 'Log in',
+    registerButton: 'Create account',
+    accountCreated: 'Account created! Confirm your email address and then log in.',
+    errors: {
+      invalidCredentials: 'Email or password is not right',
+      emailNotConfirmed: 'First confirm your email address with the email you received',
+      emailTaken: 'There already is an account with this email address',
+      usernameTaken: 'This username is already taken',
+      passwordTooShort: 'Your password needs at least {count} characters',
+      invalidEmail: 'This is not a valid email address',
+      rateLimited: 'Too many tries, wait a moment and try again',
+      offline: 'No connection, you cannot log in right now',
+      timeout: 'This is taking too long, try again',
+      profileFailed: 'Your account could not be created, try again',
+      wrongPictures: 'Those pictures are not right',
+      accountLocked: 'Too many wrong tries. Ask your teacher for help',
+      invalidClassCode: 'This class code is not right',
+      pictureLoginDisabled: 'Picture login is not switched on yet, ask your teacher',
+      loginTokenExpired: 'That took too long, try again',
+      emailAccount: 'You log in with your email address, not with pictures',
+      unknown: 'Something went wrong, try again'
+    },
+    validation: {
+      username: 'Username: 3 to 20 letters, digits, dots or dashes',
+      email: 'Enter a valid email address',
+      password: 'Enter your password'
+    }
+  },
+
+  pictureLogin: {
+    codeTitle: 'What is your class code?',
+    next: 'Next',
+    enterCode: 'Enter the class code first',
+    noPictureLogins: 'Nobody in this class can log in with pictures yet',
+    rosterTitle: 'Who are you?',
+    moreNames: 'More names ({page}/{pages}) ▸',
+    picturesTitle: 'Hi {name}! Tap your pictures',
+    again: 'Start over',
+    lockedRetry: {
+      one: 'Or try again in {count} minute',
+      other: 'Or try again in {count} minutes'
+    },
+    attemptsLeft: 'You can try {count} more times'
+  },
+
+  game: {
+    score: 'Score: {score}',
+    wordsProgress: 'Words: {done}/{total}',
+    loadError: 'Error loading words. Please refresh the page.',
+    correctSpelling: 'Correct: {word}',
+    keyHints: '{jump}: flap   ·   R: hear the word again   ·   M: pronunciation   ·   P: pause',
+    jumpInput: {
+      tap: 'Space/tap',
+      keyboard: 'Space/↑/W'
+    },
+    assistKeyHints: '{choose}: pick a gate   ·   R: hear the word again   ·   M: pronunciation   ·   P: pause',
+    assistInput: {
+      keys: '↑/↓',
+      switch: 'Space/Enter'
+    }
+  },
+
+  pause: {
+    title: 'Paused',
+    resume: 'Resume',
+    restart: 'Restart',
+    pronunciationOn: 'Pronunciation: on 🔊',
+    pronunciationOff: 'Pronunciation: off 🔇',
+    toMenu: 'Main menu',
+    settings: 'Settings',
+    saving: 'Saving...'
+  },
+
+  settings: {
+    title: 'Settings',
+    soundVolume: 'Sound effects',
+    musicVolume: 'Music',
+    muted: 'Sound',
+    textSize: 'Text size',
+    highContrast: 'High contrast',
+    reducedMotion: 'Reduced motion',
+    dyslexiaFont: 'Dyslexia font',
+    letterSpacing: 'Letter spacing',
+    labelPlate: 'Plate behind words',
+    wordPreview: 'Preview words',
+    controlScheme: 'Controls',
+    assistMode: 'Assist mode',
+    assistSpeed: 'Assist mode speed',
+    assistControl: 'Pick gates with',
+    language: 'Language',
+    on: 'On',
+    off: 'Off',
+    textSizes: {
+      small: 'Small',
+      normal: 'Normal',
+      large: 'Large'
+    },
+    letterSpacings: {
+      normal: 'Normal',
+      wide: 'Wide',
+      wider: 'Extra wide'
+    },
+    controlSchemes: {
+      tap: 'Space or tap',
+      keyboard: 'Keys only'
+    },
+    assistControls: {
+      keys: 'Up/down arrows',
+      switch: 'One switch'
+    }
+  },
+
+  gameOver: {
+    title: 'Game Over',
+    finalScore: 'Final Score: {score}',
+    wordsAttempted: 'Words Attempted: {count}',
+    correct: 'Correct: {count}',
+    wrong: 'Wrong: {count}',
+    accuracy: 'Accuracy: {accuracy}',
+    averageDecisionTime: 'Avg. Decision Time: {time}',
+    duration: 'Duration: {duration}',
+    difficulty: 'Difficulty: {difficulty}',
+    saving: 'Saving score...',
+    queued: 'Saved on this device, it will sync once there is a connection',
+    notCounted: 'This game does not count for the leaderboard: it could not be verified',
+    newHighscore: 'NEW HIGHSCORE!',
+    newPersonalBest: 'NEW PERSONAL BEST!',
+    rank: 'Rank #{rank}',
+    personalBest: 'Personal Best: {score}',
+    playAgain: 'Play Again',
+    mainMenu: 'Main Menu',
+    watchReplay: 'Watch Replay',
+    replayTitle: 'Replay: {score} points',
+    assisted: 'Played in assist mode: not counted for the leaderboard'
+  },
+
+  progress: {
+    title: 'My Progress: {language}',
+    loginRequired: 'Log in to see your progress',
+    loading: 'Loading...',
+    loadError: 'Your progress could not be loaded',
+    noGames: 'Play a game to see your progress!',
+    streak: { one: '🔥 {count} day in a row', other: '🔥 {count} days in a row' },
+    games: { one: '{count} game', other: '{count} games' },
+    gamesMore: '{count}+ games',
+    mastered: { one: '{count} word mastered', other: '{count} words mastered' },
+    scoreChart: 'Score per game',
+    accuracyChart: 'Accuracy (%)',
+    masteredChart: 'Words mastered per week',
+    hardestWords: 'Hardest words',
+    noMistakes: 'No mistakes yet!',
+    wordMistakes: '{wrong}× wrong, {correct}× right'
+  },
+
+  replay: {
+    title: 'Replay',
+    sessionTitle: 'Replay: {name}, {date}, {score} points',
+    unavailable: 'This replay cannot be played',
+    toMenu: '◂ Main menu',
+    correctChoice: '✔ {word}',
+    wrongChoice: '✘ {chosen} (correct: {word})'
+  },
+
+  admin: {
+    tabs: {
+      words: 'Manage Words',
+      stats: 'Statistics',
+      import: 'Bulk Import',
+      classes: 'My Classes',
+      wordLists: 'Word Lists'
+    },
+    languageLabel: 'Language:',
+    language: 'Language',
+    actions: 'Actions',
+    loading: 'Loading...',
+    save: 'Save',
+    cancel: 'Cancel',
+    edit: 'Edit',
+    delete: 'Delete',
+    deleteError: 'Error deleting: {error}',
+    saveError: 'Error saving: {error}',
+    scoring: {
+      fixed: 'Fixed per difficulty',
+      speed: 'Speed (choosing quickly = more points)',
+      confidence: 'Confidence (no hesitating = more points)'
+    },
+    auth: {
+      loginRequired: 'You need to be logged in to view this page.',
+      noAccess: 'You do not have access to this page.',
+      loggedInAs: 'Logged in as: {email}'
+    },
+    words: {
+      addTitle: 'Add New Word',
+      correctLabel: 'Correct Spelling:',
+      wrongLabel: 'Wrong Spelling:',
+      extraWrongLabel: 'Extra Wrong Spellings (optional, comma-separated, for 3 or 4 gates):',
+      extraWrongEditLabel: 'Extra Wrong Spellings (optional, comma-separated):',
+      difficultyLabel: 'Difficulty:',
+      sentenceLabel: 'Example sentence (optional, ___ where the word goes):',
+      hintLabel: 'Rule (optional, shown after a wrong answer):',
+      categoryLabel: 'Category (optional):',
+      misspellingCategoriesLabel: 'Error category per wrong spelling (optional, when it differs from the category):',
+      misspellingCategoriesEditLabel: 'Error category per wrong spelling (optional):',
+      add: 'Add Word',
+      existing: 'Existing Words',
+      correct: 'Correct Spelling',
+      wrong: 'Wrong Spellings',
+      difficulty: 'Difficulty',
+      sentenceAndHint: 'Sentence and Rule',
+      audio: 'Pronunciation',
+      editTitle: 'Edit Word',
+      update: 'Update',
+      loadError: 'Error loading words: {error}',
+      play: '▶ Play',
+      speechSynthesis: 'Speech synthesis',
+      upload: 'Upload',
+      record: 'Record',
+      clearAudio: 'Clear Sound',
+      addError: 'Error adding: {error}',
+      added: 'Word added!',
+      confirmDelete: 'Are you sure you want to delete this word?',
+      deleted: 'Word deleted!',
+      loadWordError: 'Error loading word: {error}',
+      updateError: 'Error updating: {error}',
+      updated: 'Word updated!',
+      audioTooLarge: 'The sound file is too large (1 MB at most).',
+      uploadError: 'Error uploading: {error}',
+      audioSaved: 'Pronunciation saved!',
+      recordingBusy: 'Stop the recording of the other word first.',
+      microphoneError: 'No access to the microphone: {error}',
+      confirmClearAudio: 'Are you sure you want to clear the recording of this word?',
+      clearAudioError: 'Error clearing: {error}',
+      audioCleared: 'Recording cleared.'
+    },
+    stats: {
+      title: 'Word Statistics',
+      mostDifficult: 'Most Difficult Words',
+      mostPractised: 'Most Practised Words',
+      attempts: { one: '{count} attempt', other: '{count} attempts' }
+    },
+    import: {
+      fileLabel: 'Upload CSV File:',
+      languageLabel: 'Language of the words:',
+      format: '<strong>CSV Format:</strong> correct,wrong,difficulty,sentence,rule,category,extra,error categories (one word per line)',
+      formatHelp: 'Everything after difficulty is optional. Separate extra wrong spellings and error categories (spelling=category) with |. Put a sentence with commas between quotes.',
+      example: 'Example:',
+      noFile: 'No file selected.',
+      run: 'Run Import',
+      found: { one: '{count} word found:', other: '{count} words found:' },
+      nothingLoaded: 'No CSV loaded.',
+      error: 'Error importing: {error}',
+      done: { one: '{count} word imported!', other: '{count} words imported!' }
+    },
+    classes: {
+      addTitle: 'New Class',
+      nameLabel: 'Class name:',
+      add: 'Create Class',
+      class: 'Class',
+      joinCode: 'Class Code',
+      students: 'Students',
+      scoring: 'Scoring',
+      loadError: 'Error loading classes: {error}',
+      view: 'View',
+      newCode: 'New Code',
+      scoringError: 'Error saving scoring: {error}',
+      scoringSaved: 'Scoring: {mode}',
+      addError: 'Error creating class: {error}',
+      added: 'Class created! Class code: {code}',
+      confirmNewCode: 'The old class code will stop working. Continue?',
+      newCodeError: 'Error creating new code: {error}',
+      newCodeSaved: 'New class code: {code}'
+    },
+    students: {
+      joinHelp: 'Students join by pressing <strong>Join Class</strong> in the game and entering the class code.',
+      pictureHelp: 'Add students without an email address below. They log in with <strong>Class Login</strong> using the class code, their name and four pictures.',
+      nameLabel: 'Student name:',
+      add: 'Add Student',
+      student: 'Student',
+      memberSince: 'Member since',
+      sessions: 'Sessions',
+      accuracy: 'Accuracy',
+      hardestWords: 'Hardest Words of the Class',
+      recentSessions: 'Recent Sessions',
+      loadError: 'Error loading students: {error}',
+      newPictures: 'New Pictures',
+      resetProgress: 'Reset Progress',
+      noData: 'No data yet.',
+      session: '{name}: {score} points ({accuracy}%, {difficulty})',
+      noSessions: 'No sessions yet.',
+      confirmRemove: 'Are you sure you want to remove this student from the class?',
+      removed: 'Student removed from the class.',
+      confirmResetProgress: 'All word statistics of this student will be cleared. Continue?',
+      resetError: 'Error resetting: {error}',
+      progressReset: 'Progress reset.',
+      picturesTitle: 'Pictures of {name}',
+      picturesWarning: '<strong>Write this down or print it:</strong> the pictures cannot be shown again after this.',
+      addError: 'Error adding student: {error}',
+      confirmNewPictures: 'The student gets new pictures; the old ones stop working. Continue?',
+      picturesError: 'Error setting pictures: {error}'
+    },
+    errorReport: {
+      classTitle: 'Error Analysis of the Class',
+      studentTitle: 'Error analysis of {name}',
+      errors: 'Errors',
+      noCategory: 'No category',
+      noMistakes: 'No mistakes made yet.',
+      category: 'Category',
+      attempts: 'Attempts',
+      errorRate: 'Error rate',
+      commonMistake: 'Most chosen mistake (correct)'
+    },
+    wordLists: {
+      addTitle: 'New Word List',
+      nameLabel: 'Name:',
+      descriptionLabel: 'Description (optional):',
+      add: 'Create List',
+      list: 'List',
+      words: 'Words',
+      chooseWords: 'Choose Words',
+      search: 'Search...',
+      loadError: 'Error loading word lists: {error}',
+      addError: 'Error creating list: {error}',
+      added: 'Word list created!',
+      confirmDelete: 'Are you sure you want to delete this list? Assignments with this list are deleted as well.',
+      deleted: 'Word list deleted!',
+      wordsTitle: 'Words for "{name}"',
+      saved: { one: '{count} word saved!', other: '{count} words saved!' }
+    },
+    assignments: {
+      title: 'Assignments',
+      listLabel: 'Word list:',
+      classLabel: 'Class:',
+      startLabel: 'From:',
+      endLabel: 'Up to and including:',
+      add: 'Assign List',
+      list: 'Word List',
+      period: 'Period',
+      loadError: 'Error loading assignments: {error}',
+      periodRange: '{start} to {end}',
+      active: '(active)',
+      endBeforeStart: 'The end date must be after the start date.',
+      addError: 'Error assigning: {error}',
+      added: 'List assigned!',
+      confirmDelete: 'Are you sure you want to delete this assignment?',
+      deleted: 'Assignment deleted!'
+    }
+  }
+};
@@ -0,0 +1,420 @@
+/**
+ * Dutch UI text (the default locale; missing keys in other locales fall back to these)
+ * {name} placeholders are filled in by t(); objects with one/other are picked by the count
+ */
+export default {
+  common: {
+    back: '◂ Terug',
+    pleaseWait: 'Even geduld...',
+    player: 'speler',
+    guest: 'Gast',
+    me: 'Ik'
+  },
+
+  difficulty: {
+    easy: 'Makkelijk',
+    medium: 'Gemiddeld',
+    hard: 'Moeilijk'
+  },
+
+  sessionMode: {
+    lives: { one: '{count} Leven', other: '{count} Levens' },
+    time: { one: '{count} Minuut', other: '{count} Minuten' },
+    words: { one: '{count} Woord', other: '{count} Woorden' },
+    endless: 'Vrij Spelen'
+  },
+
+  wordLanguage: {
+    nl: 'Nederlands',
+    en: 'Engels',
+    de: 'Duits'
+  },
+
+  menu: {
+    title: 'Spelling Flappy Bird',
+    subtitle: 'Leer Spellen!',
+    welcome: 'Welkom, {name}!',
+    logout: 'Uitloggen',
+    myProgress: 'Mijn Voortgang',
+    guestMode: 'Gast Modus',
+    guestModeOffline: 'Gast Modus (offline)',
+    localPlayer: 'Offline: je voortgang blijft op dit apparaat',
+    classLogin: 'Klas Login',
+    login: 'Login',
+    register: 'Registreer',
+    chooseDifficulty: 'Kies Moeilijkheid:',
+    start: 'Start Spel',
+    assignment: 'Opdracht: {name} ▸',
+    wordList: 'Woordenlijst',
+    freePractice: 'Vrij oefenen ▸',
+    wordLanguage: 'Woorden: {language} ▸',
+    leaderboardTitle: 'Top 10 ({language})',
+    leaderboardAllTime: 'Altijd',
+    leaderboardThisWeek: 'Deze week',
+    leaderboardClass: 'Klas {name}',
+    leaderboardError: 'Fout bij laden scores',
+    leaderboardEmpty: 'Nog geen scores!',
+    adminPanel: 'Admin Panel',
+    classes: 'Klassen',
+    joinClass: 'Klas Toevoegen',
+    joinClassPrompt: 'Vul de klascode in die je van je juf of meester hebt gekregen:',
+    joinClassWrong: 'Deze klascode klopt niet',
+    joinClassJoined: 'Je zit nu in klas {name}!',
+    settings: '⚙ Instellingen'
+  },
+
+  auth: {
+    loginTitle: 'Inloggen',
+    registerTitle: 'Registreren',
+    username: 'Gebruikersnaam',
+    email: 'E-mailadres',
+    password: 'Wachtwoord',
+    cancel: 'Annuleren',
+    loginButton: 'Inloggen',
+    registerButton: 'Account maken',
+    accountCreated: 'Account gemaakt! Bevestig je e-mailadres en log daarna in.',
+    errors: {
+      invalidCredentials: 'E-mail of wachtwoord klopt niet',
+      emailNotConfirmed: 'Bevestig eerst je e-mailadres via de mail die je hebt gekregen',
+      emailTaken: 'Er bestaat al een account met dit e-mailadres',
+      usernameTaken: 'Deze gebruikersnaam is al bezet',
+      passwordTooShort: 'Je wachtwoord moet minstens {count} tekens hebben',
+      invalidEmail: 'Dit is geen geldig e-mailadres',
+      rateLimited: 'Te veel pogingen, wacht even en probeer het opnieuw',
+      offline: 'Geen verbinding, inloggen lukt nu niet',
+      timeout: 'Het duurt te lang, probeer het opnieuw',
+      profileFailed: 'Je account kon niet worden aangemaakt, probeer het opnieuw',
+      wrongPictures: 'Die plaatjes kloppen niet',
+      accountLocked: 'Te vaak fout geprobeerd. Vraag je juf of meester om hulp',
+      invalidClassCode: 'Deze klascode klopt niet',
+      pictureLoginDisabled: 'Inloggen met plaatjes staat nog niet aan, vraag je juf of meester',
+      loginTokenExpired: 'Dat duurde te lang, probeer het opnieuw',
+      emailAccount: 'Jij logt in met je e-mailadres, niet met plaatjes',
+      unknown: 'Er ging iets mis, probeer het opnieuw'
+    },
+    validation: {
+      username: 'Gebruikersnaam: 3 tot 20 letters, cijfers, punten of streepjes',
+      email: 'Vul een geldig e-mailadres in',
+      password: 'Vul je wachtwoord in'
+    }
+  },
+
+  pictureLogin: {
+    codeTitle: 'Wat is je klascode?',
+    next: 'Verder',
+    enterCode: 'Vul eerst de klascode in',
+    noPictureLogins: 'In deze klas kan nog niemand inloggen met plaatjes',
+    rosterTitle: 'Wie ben jij?',
+    moreNames: 'Meer namen ({page}/{pages}) ▸',
+    picturesTitle: 'Hoi {name}! Tik je plaatjes',
+    again: 'Opnieuw',
+    lockedRetry: {
+      one: 'Of probeer het over {count} minuut opnieuw',
+      other: 'Of probeer het over {count} minuten opnieuw'
+    },
+    attemptsLeft: 'Je mag het nog {count} keer proberen'
+  },
+
+  game: {
+    score: 'Score: {score}',
+    wordsProgress: 'Woorden: {done}/{total}',
+    loadError: 'Fout bij laden van de woorden. Ververs de pagina.',
+    correctSpelling: 'Goed is: {word}',
+    keyHints: '{jump}: vliegen   ·   R: woord nog eens horen   ·   M: uitspraak   ·   P: pauze',
+    jumpInput: {
+      tap: 'Spatie/tik',
+      keyboard: 'Spatie/↑/W'
+    },
+    assistKeyHints: '{choose}: poort kiezen   ·   R: woord nog eens horen   ·   M: uitspraak   ·   P: pauze',
+    assistInput: {
+      keys: '↑/↓',
+      switch: 'Spatie/Enter'
+    }
+  },
+
+  pause: {
+    title: 'Gepauzeerd',
+    resume: 'Verder spelen',
+    restart: 'Opnieuw',
+    pronunciationOn: 'Uitspraak: aan 🔊',
+    pronunciationOff: 'Uitspraak: uit 🔇',
+    toMenu: 'Naar menu',
+    settings: 'Instellingen',
+    saving: 'Opslaan...'
+  },
+
+  settings: {
+    title: 'Instellingen',
+    soundVolume: 'Geluidseffecten',
+    musicVolume: 'Muziek',
+    muted: 'Geluid',
+    textSize: 'Tekstgrootte',
+    highContrast: 'Hoog contrast',
+    reducedMotion: 'Minder beweging',
+    dyslexiaFont: 'Dyslexie-lettertype',
+    letterSpacing: 'Letterafstand',
+    labelPlate: 'Vlak achter woorden',
+    wordPreview: 'Woorden vooraf tonen',
+    controlScheme: 'Besturing',
+    assistMode: 'Hulpmodus',
+    assistSpeed: 'Snelheid hulpmodus',
+    assistControl: 'Poort kiezen met',
+    language: 'Taal',
+    on: 'Aan',
+    off: 'Uit',
+    textSizes: {
+      small: 'Klein',
+      normal: 'Normaal',
+      large: 'Groot'
+    },
+    letterSpacings: {
+      normal: 'Normaal',
+      wide: 'Ruim',
+      wider: 'Extra ruim'
+    },
+    controlSchemes: {
+      tap: 'Spatie of tikken',
+      keyboard: 'Alleen toetsen'
+    },
+    assistControls: {
+      keys: 'Pijltjes omhoog/omlaag',
+      switch: 'Eén knop'
+    }
+  },
+
+  gameOver: {
+    title: 'Game Over',
+    finalScore: 'Eindscore: {score}',
+    wordsAttempted: 'Woorden geprobeerd: {count}',
+    correct: 'Goed: {count}',
+    wrong: 'Fout: {count}',
+    accuracy: 'Nauwkeurigheid: {accuracy}',
+    averageDecisionTime: 'Gem. beslistijd: {time}',
+    duration: 'Speeltijd: {duration}',
+    difficulty: 'Moeilijkheid: {difficulty}',
+    saving: 'Score opslaan...',
+    queued: 'Opgeslagen op dit apparaat, wordt gesynchroniseerd zodra er verbinding is',
+    notCounted: 'Dit spel telt niet mee voor de ranglijst: het kon niet worden gecontroleerd',
+    newHighscore: 'NIEUWE HIGHSCORE!',
+    newPersonalBest: 'NIEUW PERSOONLIJK RECORD!',
+    rank: 'Plaats #{rank}',
+    personalBest: 'Persoonlijk record: {score}',
+    playAgain: 'Nog een keer',
+    mainMenu: 'Hoofdmenu',
+    watchReplay: 'Bekijk replay',
+    replayTitle: 'Replay: {score} punten',
+    assisted: 'Gespeeld met hulpmodus: telt niet mee voor de ranglijst'
+  },
+
+  progress: {
+    title: 'Mijn Voortgang: {language}',
+    loginRequired: 'Log in om je voortgang te zien',
+    loading: 'Laden...',
+    loadError: 'Je voortgang kon niet geladen worden',
+    noGames: 'Speel een spel om je voortgang te zien!',
+    streak: { one: '🔥 {count} dag op rij', other: '🔥 {count} dagen op rij' },
+    games: { one: '{count} spel', other: '{count} spellen' },
+    gamesMore: '{count}+ spellen',
+    mastered: { one: '{count} woord beheerst', other: '{count} woorden beheerst' },
+    scoreChart: 'Score per spel',
+    accuracyChart: 'Nauwkeurigheid (%)',
+    masteredChart: 'Woorden beheerst per week',
+    hardestWords: 'Moeilijkste woorden',
+    noMistakes: 'Nog geen fouten gemaakt!',
+    wordMistakes: '{wrong}× fout, {correct}× goed'
+  },
+
+  replay: {
+    title: 'Replay',
+    sessionTitle: 'Replay: {name}, {date}, {score} punten',
+    unavailable: 'Deze replay kan niet afgespeeld worden',
+    toMenu: '◂ Naar menu',
+    correctChoice: '✔ {word}',
+    wrongChoice: '✘ {chosen} (goed: {word})'
+  },
+
+  admin: {
+    tabs: {
+      words: 'Woorden Beheren',
+      stats: 'Statistieken',
+      import: 'Bulk Import',
+      classes: 'Mijn Klassen',
+      wordLists: 'Woordenlijsten'
+    },
+    languageLabel: 'Taal:',
+    language: 'Taal',
+    actions: 'Acties',
+    loading: 'Laden...',
+    save: 'Opslaan',
+    cancel: 'Annuleren',
+    edit: 'Bewerken',
+    delete: 'Verwijderen',
+    deleteError: 'Fout bij verwijderen: {error}',
+    saveError: 'Fout bij opslaan: {error}',
+    scoring: {
+      fixed: 'Vast per moeilijkheid',
+      speed: 'Snelheid (snel kiezen = meer punten)',
+      confidence: 'Zekerheid (niet twijfelen = meer punten)'
+    },
+    auth: {
+      loginRequired: 'Je moet ingelogd zijn om deze pagina te bekijken.',
+      noAccess: 'Je hebt geen toegang tot deze pagina.',
+      loggedInAs: 'Ingelogd als: {email}'
+    },
+    words: {
+      addTitle: 'Nieuw Woord Toevoegen',
+      correctLabel: 'Correcte Spelling:',
+      wrongLabel: 'Foutieve Spelling:',
+      extraWrongLabel: 'Extra Foute Spellingen (optioneel, komma-gescheiden, voor 3 of 4 poortjes):',
+      extraWrongEditLabel: 'Extra Foute Spellingen (optioneel, komma-gescheiden):',
+      difficultyLabel: 'Moeilijkheid:',
+      sentenceLabel: 'Voorbeeldzin (optioneel, ___ op de plek van het woord):',
+      hintLabel: 'Regel (optioneel, getoond na een fout antwoord):',
+      categoryLabel: 'Categorie (optioneel):',
+      misspellingCategoriesLabel: 'Foutcategorie per foute spelling (optioneel, als die anders is dan de categorie):',
+      misspellingCategoriesEditLabel: 'Foutcategorie per foute spelling (optioneel):',
+      add: 'Woord Toevoegen',
+      existing: 'Bestaande Woorden',
+      correct: 'Correcte Spelling',
+      wrong: 'Foutieve Spellingen',
+      difficulty: 'Moeilijkheid',
+      sentenceAndHint: 'Zin en Regel',
+      audio: 'Uitspraak',
+      editTitle: 'Woord Bewerken',
+      update: 'Bijwerken',
+      loadError: 'Fout bij laden woorden: {error}',
+      play: '▶ Afspelen',
+      speechSynthesis: 'Spraaksynthese',
+      upload: 'Uploaden',
+      record: 'Opnemen',
+      clearAudio: 'Geluid Wissen',
+      addError: 'Fout bij toevoegen: {error}',
+      added: 'Woord toegevoegd!',
+      confirmDelete: 'Weet je zeker dat je dit woord wilt verwijderen?',
+      deleted: 'Woord verwijderd!',
+      loadWordError: 'Fout bij laden woord: {error}',
+      updateError: 'Fout bij bijwerken: {error}',
+      updated: 'Woord bijgewerkt!',
+      audioTooLarge: 'Het geluidsbestand is te groot (maximaal 1 MB).',
+      uploadError: 'Fout bij uploaden: {error}',
+      audioSaved: 'Uitspraak opgeslagen!',
+      recordingBusy: 'Stop eerst de opname van het andere woord.',
+      microphoneError: 'Geen toegang tot de microfoon: {error}',
+      confirmClearAudio: 'Weet je zeker dat je de opname van dit woord wilt wissen?',
+      clearAudioError: 'Fout bij wissen: {error}',
+      audioCleared: 'Opname gewist.'
+    },
+    stats: {
+      title: 'Woord Statistieken',
+      mostDifficult: 'Meest Moeilijke Woorden',
+      mostPractised: 'Meest Geoefende Woorden',
+      attempts: { one: '{count} poging', other: '{count} pogingen' }
+    },
+    import: {
+      fileLabel: 'CSV Bestand Uploaden:',
+      languageLabel: 'Taal van de woorden:',
+      format: '<strong>CSV Format:</strong> correct,wrong,difficulty,zin,regel,categorie,extra,foutcategorieën (één woord per regel)',
+      formatHelp: 'Alles na difficulty is optioneel. Extra foute spellingen en foutcategorieën (spelling=categorie) scheid je met |. Zet een zin met komma\'s tussen aanhalingstekens.',
+      example: 'Voorbeeld:',
+      noFile: 'Geen bestand geselecteerd.',
+      run: 'Import Uitvoeren',
+      found: { one: '{count} woord gevonden:', other: '{count} woorden gevonden:' },
+      nothingLoaded: 'Geen CSV geladen.',
+      error: 'Fout bij importeren: {error}',
+      done: { one: '{count} woord geïmporteerd!', other: '{count} woorden geïmporteerd!' }
+    },
+    classes: {
+      addTitle: 'Nieuwe Klas',
+      nameLabel: 'Naam van de klas:',
+      add: 'Klas Aanmaken',
+      class: 'Klas',
+      joinCode: 'Klascode',
+      students: 'Leerlingen',
+      scoring: 'Puntentelling',
+      loadError: 'Fout bij laden klassen: {error}',
+      view: 'Bekijken',
+      newCode: 'Nieuwe Code',
+      scoringError: 'Fout bij opslaan puntentelling: {error}',
+      scoringSaved: 'Puntentelling: {mode}',
+      addError: 'Fout bij aanmaken klas: {error}',
+      added: 'Klas aangemaakt! Klascode: {code}',
+      confirmNewCode: 'De oude klascode werkt daarna niet meer. Doorgaan?',
+      newCodeError: 'Fout bij nieuwe code: {error}',
+      newCodeSaved: 'Nieuwe klascode: {code}'
+    },
+    students: {
+      joinHelp: 'Leerlingen worden lid door in het spel op <strong>Klas Toevoegen</strong> te drukken en de klascode in te vullen.',
+      pictureHelp: 'Leerlingen zonder e-mailadres voeg je hieronder toe. Zij loggen in via <strong>Klas Login</strong> met de klascode, hun naam en vier plaatjes.',
+      nameLabel: 'Naam leerling:',
+      add: 'Leerling Toevoegen',
+      student: 'Leerling',
+      memberSince: 'Lid sinds',
+      sessions: 'Sessies',
+      accuracy: 'Nauwkeurigheid',
+      hardestWords: 'Moeilijkste Woorden van de Klas',
+      recentSessions: 'Recente Sessies',
+      loadError: 'Fout bij laden leerlingen: {error}',
+      newPictures: 'Nieuwe Plaatjes',
+      resetProgress: 'Voortgang Resetten',
+      noData: 'Nog geen gegevens.',
+      session: '{name}: {score} punten ({accuracy}%, {difficulty})',
+      noSessions: 'Nog geen sessies.',
+      confirmRemove: 'Weet je zeker dat je deze leerling uit de klas wilt halen?',
+      removed: 'Leerling verwijderd uit de klas.',
+      confirmResetProgress: 'Alle woordstatistieken van deze leerling worden gewist. Doorgaan?',
+      resetError: 'Fout bij resetten: {error}',
+      progressReset: 'Voortgang gereset.',
+      picturesTitle: 'Plaatjes van {name}',
+      picturesWarning: '<strong>Schrijf dit op of print het:</strong> de plaatjes zijn hierna niet meer te zien.',
+      addError: 'Fout bij toevoegen leerling: {error}',
+      confirmNewPictures: 'De leerling krijgt nieuwe plaatjes; de oude werken dan niet meer. Doorgaan?',
+      picturesError: 'Fout bij instellen plaatjes: {error}'
+    },
+    errorReport: {
+      classTitle: 'Foutenanalyse van de Klas',
+      studentTitle: 'Foutenanalyse van {name}',
+      errors: 'Fouten',
+      noCategory: 'Geen categorie',
+      noMistakes: 'Nog geen fouten gemaakt.',
+      category: 'Categorie',
+      attempts: 'Pogingen',
+      errorRate: 'Foutpercentage',
+      commonMistake: 'Vaakst gekozen fout (goed)'
+    },
+    wordLists: {
+      addTitle: 'Nieuwe Woordenlijst',
+      nameLabel: 'Naam:',
+      descriptionLabel: 'Omschrijving (optioneel):',
+      add: 'Lijst Aanmaken',
+      list: 'Lijst',
+      words: 'Woorden',
+      chooseWords: 'Woorden Kiezen',
+      search: 'Zoeken...',
+      loadError: 'Fout bij laden woordenlijsten: {error}',
+      addError: 'Fout bij aanmaken lijst: {error}',
+      added: 'Woordenlijst aangemaakt!',
+      confirmDelete: 'Weet je zeker dat je deze lijst wilt verwijderen? Opdrachten met deze lijst verdwijnen ook.',
+      deleted: 'Woordenlijst verwijderd!',
+      wordsTitle: 'Woorden voor "{name}"',
+      saved: { one: '{count} woord opgeslagen!', other: '{count} woorden opgeslagen!' }
+    },
+    assignments: {
+      title: 'Opdrachten',
+      listLabel: 'Woordenlijst:',
+      classLabel: 'Klas:',
+      startLabel: 'Van:',
+      endLabel: 'Tot en met:',
+      add: 'Opdracht Toewijzen',
+      list: 'Woordenlijst',
+      period: 'Periode',
+      loadError: 'Fout bij laden opdrachten: {error}',
+      periodRange: '{start} t/m {end}',
+      active: '(actief)',
+      endBeforeStart: 'De einddatum moet na de begindatum liggen.',
+      addError: 'Fout bij toewijzen: {error}',
+      added: 'Opdracht toegewezen!',
+      confirmDelete: 'Weet je zeker dat je deze opdracht wilt verwijderen?',
+      deleted: 'Opdracht verwijderd!'
+    }
+  }
+};
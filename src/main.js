@@ -1,18 +1,33 @@
 import Phaser from 'phaser'
 import { DatabaseManager } from './managers/DatabaseManager.js'
 import { AuthManager } from './managers/AuthManager.js'
+import { SettingsManager } from './managers/SettingsManager.js'
 import MenuScene from './scenes/MenuScene.js'
+import PictureLoginScene from './scenes/PictureLoginScene.js'
 import GameScene from './scenes/GameScene.js'
 import GameOverScene from './scenes/GameOverScene.js'
+import ProgressScene from './scenes/ProgressScene.js'
+import PauseScene from './scenes/PauseScene.js'
+import ReplayScene from './scenes/ReplayScene.js'
+import SettingsScene from './scenes/SettingsScene.js'
+import { getLocale } from './utils/i18n.js'
+
+// Page language follows the language picked in the menu
+document.documentElement.lang = getLocale()
 
 // Initialize managers before Phaser
 await DatabaseManager.init()
 await AuthManager.init()
+await SettingsManager.init()
 
 // Phaser game configuration
 const config = {
     type: Phaser.AUTO,
     parent: 'game-container',
+    // DOM container for the login and registration forms
+    dom: {
+        createContainer: true
+    },
     width: 800,
     height: 600,
     scale: {
@@ -26,7 +41,7 @@ const config = {
             debug: false
         }
     },
-    scene: [MenuScene, GameScene, GameOverScene]
+    scene: [MenuScene, PictureLoginScene, GameScene, GameOverScene, ProgressScene, PauseScene, SettingsScene, ReplayScene]
 }
 
 // Create and export the game instance
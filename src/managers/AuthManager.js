@@ -1,24 +1,49 @@
 import { createClient } from '@supabase/supabase-js'
 import { DatabaseManager } from './DatabaseManager.js'
+import { t } from '../utils/i18n.js'
+
+const OFFLINE_ERROR = 'Authentication unavailable while offline'
+
+/**
+ * Build the profile object scenes and managers use from a players row
+ * @param {Object} player - players row, optionally with class_members (classes) embedded
+ * @returns {{id: string, username: string, role: string, preferences: Object, classes: Array<{id: string, name: string}>}}
+ */
+function toPlayerProfile(player) {
+    return {
+        id: player.id,
+        username: player.username,
+        role: player.role || 'student',
+        preferences: player.preferences || {},
+        classes: (player.class_members || []).map(member => member.classes).filter(Boolean)
+    }
+}
 
 /**
  * AuthManager - Singleton class for handling Supabase authentication
  * Provides a clean API for user authentication and session management
+ * Without a Supabase backend (offline) every auth call returns an error and
+ * the game runs as the local player of this device, whose progress the local
+ * backend keeps in localStorage
  */
 export class AuthManager {
     static #instance = null
     #currentUser = null
+    #currentPlayer = null
+    #playerRequest = 0
+    #playerPromise = Promise.resolve()
 
     constructor() {
         const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-        const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
         const supabaseServiceKey = import.meta.env.VITE_SUPABASE_SERVICE_ROLE_KEY
 
-        if (!supabaseUrl || !supabaseKey) {
-            throw new Error('Missing Supabase environment variables. Check your .env.local file.')
-        }
+        // Share the client of the active data backend; null means the game runs offline
+        this.supabase = DatabaseManager.getInstance().getSupabase()
 
-        this.supabase = createClient(supabaseUrl, supabaseKey)
+        if (!this.supabase) {
+            console.warn('No Supabase client available, authentication disabled (local player only)')
+            return
+        }
         
         // Service role client for admin operations like deleting auth users
         if (supabaseServiceKey) {
@@ -35,10 +60,17 @@ export class AuthManager {
 
     /**
      * Initialize the AuthManager singleton
+     * Restores a session persisted by an earlier visit so the player stays logged in
      */
     static async init() {
         if (!this.#instance) {
             this.#instance = new AuthManager()
+
+            if (this.#instance.supabase) {
+                await this.#instance.getSession()
+            } else {
+                await this.#instance.loadLocalPlayer()
+            }
         }
         return this.#instance
     }
@@ -53,19 +85,98 @@ export class AuthManager {
         return this.#instance
     }
 
+    /**
+     * Check if authentication is possible (false when the game runs offline)
+     * @returns {boolean} True if a Supabase client is available
+     */
+    isAvailable() {
+        return Boolean(this.supabase)
+    }
+
     /**
      * Set up listener for authentication state changes
      */
     setupAuthStateListener() {
         this.supabase.auth.onAuthStateChange((event, session) => {
-            if (event === 'SIGNED_IN') {
-                this.#currentUser = session?.user || null
-            } else if (event === 'SIGNED_OUT') {
-                this.#currentUser = null
+            if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') {
+                // Deferred: Supabase calls made inside this callback would wait on the auth lock
+                setTimeout(() => this.#syncUser(session?.user || null), 0)
             }
         })
     }
 
+    /**
+     * Switch to another auth user and resolve their players row
+     * @param {Object|null} user - Supabase Auth user
+     * @param {boolean} forceRefresh - Reload the profile even if the user did not change
+     * @returns {Promise<void>} Resolves once the profile of the user is cached
+     */
+    async #syncUser(user, forceRefresh = false) {
+        if (forceRefresh || (user?.id || null) !== (this.#currentUser?.id || null)) {
+            this.#currentUser = user
+            this.#playerPromise = this.refreshPlayer()
+        }
+        await this.#playerPromise
+    }
+
+    /**
+     * Resolve and cache the players row of the signed-in user
+     * Auth user ids are never stored in game tables; everything references players.id
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async refreshPlayer() {
+        // Only the newest request may update the cache (sign-in flows refresh more than once)
+        const request = ++this.#playerRequest
+
+        if (!this.#currentUser) {
+            this.#currentPlayer = null
+            DatabaseManager.getInstance().setOutboxPlayer(null)
+            return { data: null, error: null }
+        }
+
+        const { data, error } = await DatabaseManager.getInstance().getPlayerByAuthId(this.#currentUser.id)
+        if (request !== this.#playerRequest) {
+            return { data: this.#currentPlayer, error: null }
+        }
+
+        if (error) {
+            console.error('Error loading player profile:', error)
+            this.#currentPlayer = null
+            DatabaseManager.getInstance().setOutboxPlayer(null)
+            return { data: null, error }
+        }
+
+        if (!data) {
+            console.warn('No player record for auth user:', this.#currentUser.id)
+        }
+
+        this.#currentPlayer = data ? toPlayerProfile(data) : null
+        DatabaseManager.getInstance().setOutboxPlayer(this.#currentPlayer?.id || null)
+        return { data: this.#currentPlayer, error: null }
+    }
+
+    /**
+     * Use the local player of this device (offline backend only), created on the first offline run
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async loadLocalPlayer() {
+        const dbManager = DatabaseManager.getInstance()
+        let { data, error } = await dbManager.getPlayerByAuthId(null)
+        if (!error && !data) {
+            // Named in the menu language of the first offline run (shown in the local leaderboard)
+            ({ data, error } = await dbManager.createPlayer(null, t('common.me')))
+        }
+
+        if (error) {
+            console.error('Error loading local player:', error)
+            this.#currentPlayer = null
+            return { data: null, error }
+        }
+
+        this.#currentPlayer = toPlayerProfile(data)
+        return { data: this.#currentPlayer, error: null }
+    }
+
     /**
      * Sign up a new user with email and password
      * @param {string} email - User's email address
@@ -74,6 +185,10 @@ export class AuthManager {
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
     async signUp(email, password, username) {
+        if (!this.supabase) {
+            return { data: null, error: OFFLINE_ERROR }
+        }
+
         try {
             const timeoutPromise = new Promise((_, reject) => 
                 setTimeout(() => reject(new Error('Authentication timeout')), 10000)
@@ -104,6 +219,7 @@ export class AuthManager {
                 if (playerError) {
                     // If player creation fails, clean up the auth user to prevent orphaned accounts
                     console.error('Failed to create player record:', playerError)
+                    const isDuplicateUsername = /duplicate key|unique/i.test(playerError)
                     
                     if (this.supabaseAdmin) {
                         try {
@@ -114,14 +230,19 @@ export class AuthManager {
                         }
                     }
                     
-                    return { data: null, error: 'Failed to create player profile' }
+                    return {
+                        data: null,
+                        error: isDuplicateUsername ? 'Username already taken' : 'Failed to create player profile'
+                    }
                 }
 
-                this.#currentUser = authData.user
+                // Without a session the project requires email confirmation before the first login
+                await this.#syncUser(authData.session ? authData.user : null, true)
                 return { 
                     data: { 
                         user: authData.user, 
-                        player: playerData 
+                        player: playerData,
+                        session: authData.session
                     }, 
                     error: null 
                 }
@@ -148,6 +269,10 @@ export class AuthManager {
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
     async signIn(email, password) {
+        if (!this.supabase) {
+            return { data: null, error: OFFLINE_ERROR }
+        }
+
         try {
             const timeoutPromise = new Promise((_, reject) => 
                 setTimeout(() => reject(new Error('Authentication timeout')), 10000)
@@ -163,7 +288,7 @@ export class AuthManager {
                     return { data: null, error: error.message }
                 }
 
-                this.#currentUser = data.user
+                await this.#syncUser(data.user)
                 return { data: data.user, error: null }
             })()
 
@@ -181,11 +306,86 @@ export class AuthManager {
         }
     }
 
+    /**
+     * Sign in a student with class code and picture password
+     * The pictures are checked server-side (with lockout); a correct sequence yields a
+     * single-use token that links the student to a fresh anonymous Supabase session
+     * @param {string} classCode - Class join code
+     * @param {Object} player - Roster entry ({id, username}) picked by the student
+     * @param {Array<string>} pictures - Picture keys in the order they were tapped
+     * @returns {Promise<{data: Object|null, error: string|null, attemptsLeft?: number, lockedUntil?: string|null}>}
+     */
+    async signInWithPictures(classCode, player, pictures) {
+        if (!this.supabase) {
+            return { data: null, error: OFFLINE_ERROR }
+        }
+
+        try {
+            const timeoutPromise = new Promise((_, reject) => 
+                setTimeout(() => reject(new Error('Authentication timeout')), 10000)
+            )
+
+            const signInPromise = (async () => {
+                const dbManager = DatabaseManager.getInstance()
+                const { data: check, error: checkError } = await dbManager.verifyPicturePassword(
+                    classCode,
+                    player.id,
+                    pictures.join(',')
+                )
+
+                if (checkError) {
+                    return { data: null, error: checkError }
+                }
+
+                if (!check.login_token) {
+                    return {
+                        data: null,
+                        error: check.locked_until ? 'Account locked' : 'Wrong picture password',
+                        attemptsLeft: check.attempts_left,
+                        lockedUntil: check.locked_until
+                    }
+                }
+
+                const { data: authData, error: authError } = await this.supabase.auth.signInAnonymously()
+
+                if (authError) {
+                    return { data: null, error: authError.message }
+                }
+
+                const { data: playerData, error: claimError } = await dbManager.claimPictureLogin(check.login_token)
+
+                if (claimError) {
+                    // Do not keep an anonymous session that belongs to no player
+                    await this.supabase.auth.signOut()
+                    return { data: null, error: claimError }
+                }
+
+                await this.#syncUser(authData.user, true)
+                return { data: { user: authData.user, player: playerData }, error: null }
+            })()
+
+            const result = await Promise.race([signInPromise, timeoutPromise])
+            
+            if (result.error) {
+                console.error('Picture sign in error:', result.error)
+            }
+
+            return result
+        } catch (error) {
+            console.error('Authentication error in signInWithPictures:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
     /**
      * Sign out the current user
      * @returns {Promise<{data: boolean|null, error: string|null}>}
      */
     async signOut() {
+        if (!this.supabase) {
+            return { data: null, error: OFFLINE_ERROR }
+        }
+
         try {
             const timeoutPromise = new Promise((_, reject) => 
                 setTimeout(() => reject(new Error('Authentication timeout')), 5000)
@@ -198,7 +398,7 @@ export class AuthManager {
                     return { data: null, error: error.message }
                 }
 
-                this.#currentUser = null
+                await this.#syncUser(null)
                 return { data: true, error: null }
             })()
 
@@ -224,11 +424,25 @@ export class AuthManager {
         return this.#currentUser
     }
 
+    /**
+     * Get the profile of the signed-in player
+     * Its id is players.id, the id every game table and RLS policy expects
+     * @returns {{id: string, username: string, role: string, preferences: Object, classes: Array}|null}
+     *   Profile, or null for guests and users without a players row
+     */
+    getCurrentPlayer() {
+        return this.#currentPlayer
+    }
+
     /**
      * Get the current session
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
     async getSession() {
+        if (!this.supabase) {
+            return { data: null, error: OFFLINE_ERROR }
+        }
+
         try {
             const { data, error } = await this.supabase.auth.getSession()
             
@@ -237,7 +451,7 @@ export class AuthManager {
                 return { data: null, error: error.message }
             }
 
-            this.#currentUser = data.session?.user || null
+            await this.#syncUser(data.session?.user || null)
             return { data: data.session, error: null }
         } catch (error) {
             console.error('Authentication error in getSession:', error)
@@ -254,15 +468,30 @@ export class AuthManager {
         return this.#currentUser?.email === adminEmail
     }
 
+    /**
+     * Check if current player has the teacher role
+     * @returns {boolean} True if current player is a teacher
+     */
+    isTeacher() {
+        return this.#currentPlayer?.role === 'teacher'
+    }
+
     /**
      * Set up callback for authentication state changes
      * @param {Function} callback - Function to call on auth state change
+     * @returns {Function} Unsubscribe function (scenes call it on shutdown)
      */
     onAuthStateChange(callback) {
-        this.supabase.auth.onAuthStateChange((event, session) => {
-            this.#currentUser = session?.user || null
-            callback(event, session)
+        if (!this.supabase) return () => {}
+
+        const { data } = this.supabase.auth.onAuthStateChange((event, session) => {
+            // Deferred (see setupAuthStateListener); the callback runs once the profile is cached
+            setTimeout(async () => {
+                await this.#syncUser(session?.user || null)
+                callback(event, session)
+            }, 0)
         })
+        return () => data.subscription.unsubscribe()
     }
 }
 
@@ -1,29 +1,61 @@
-import { createClient } from '@supabase/supabase-js'
+import { SupabaseBackend } from './backends/SupabaseBackend.js'
+import { LocalBackend } from './backends/LocalBackend.js'
+import { Outbox } from './backends/Outbox.js'
+import { DEFAULT_WORD_LANGUAGE } from '../utils/constants.js'
+
+const OUTBOX_RETRY_INTERVAL = 30000 // Retry queued writes every 30 seconds
+
+// Errors that mean "not reachable right now"; anything else is a rejected write
+const RETRYABLE_ERROR = /timeout|fetch|network|offline/i
+
+// Errors that mean the write's player is not (or no longer) signed in; the write waits for them
+const AUTH_ERROR = /not your player|jwt|not authenticated/i
 
 /**
- * DatabaseManager - Singleton class for all Supabase database operations
- * Provides a clean abstraction layer for database interactions
+ * Player a queued write belongs to: every queued write takes the player id as its first
+ * argument or as player_id of the row it writes
+ * @param {Array} args - Queued method arguments
+ * @returns {string|null} players.id, or null for writes without a player
+ */
+const ownerOf = args => typeof args[0] === 'string' ? args[0] : args[0]?.player_id || null
+
+/**
+ * DatabaseManager - Singleton class for all database operations
+ * Delegates to a data backend chosen at startup: Supabase when configured and
+ * online, otherwise the local backend with the bundled word list
+ *
+ * Writes to the Supabase backend go through a persistent outbox: they are stored
+ * locally first and replayed in order whenever the connection returns. On a shared
+ * device the outbox holds the writes of several players; each player's writes are
+ * only replayed while that player is signed in
  */
 export class DatabaseManager {
     static #instance = null
+    #flushing = null
+    #waiting = new Map()
+    #outboxPlayer = null
 
-    constructor() {
-        const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-        const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
-
-        if (!supabaseUrl || !supabaseKey) {
-            throw new Error('Missing Supabase environment variables. Check your .env.local file.')
+    /**
+     * @param {DataBackend} backend - Backend that performs the actual storage
+     */
+    constructor(backend) {
+        this.backend = backend
+        console.log(`DatabaseManager using ${backend.type} backend`)
+
+        // Local writes cannot fail on the network, so only remote backends need an outbox
+        this.outbox = backend.type === 'local' ? null : new Outbox()
+        if (this.outbox) {
+            this.setupOutboxSync()
         }
-
-        this.supabase = createClient(supabaseUrl, supabaseKey)
     }
 
     /**
      * Initialize the DatabaseManager singleton
+     * @param {DataBackend|null} backend - Backend override, chosen automatically when omitted
      */
-    static async init() {
+    static async init(backend = null) {
         if (!this.#instance) {
-            this.#instance = new DatabaseManager()
+            this.#instance = new DatabaseManager(backend || DatabaseManager.createBackend())
         }
         return this.#instance
     }
@@ -39,49 +71,200 @@ export class DatabaseManager {
     }
 
     /**
-     * Get the Supabase client for direct access
+     * Choose the data backend for this run
+     * VITE_DATA_BACKEND ('supabase' or 'local') forces a backend; otherwise Supabase
+     * is used when its environment variables are set and the browser is online
+     * @returns {DataBackend}
      */
-    getSupabase() {
-        return this.supabase
+    static createBackend() {
+        const requested = import.meta.env.VITE_DATA_BACKEND
+        const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
+        const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+        const hasSupabaseConfig = Boolean(supabaseUrl && supabaseKey)
+        const isOnline = typeof navigator === 'undefined' || navigator.onLine !== false
+
+        if (requested === 'local') {
+            return new LocalBackend()
+        }
+
+        if (requested === 'supabase' && !hasSupabaseConfig) {
+            console.warn('VITE_DATA_BACKEND=supabase but Supabase environment variables are missing. Falling back to local backend.')
+            return new LocalBackend()
+        }
+
+        if (hasSupabaseConfig && (isOnline || requested === 'supabase')) {
+            return new SupabaseBackend(supabaseUrl, supabaseKey)
+        }
+
+        console.warn('Supabase unavailable (missing configuration or offline). Using local backend.')
+        return new LocalBackend()
     }
 
     /**
-     * Fetch words from the database, optionally filtered by difficulty
-     * @param {string|null} difficulty - 'easy', 'medium', 'hard', or null for all
-     * @returns {Promise<{data: Array|null, error: string|null}>}
+     * Replay queued writes on startup, when the browser comes back online,
+     * and periodically in case the online event is missed
+     */
+    setupOutboxSync() {
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flushOutbox())
+        }
+        setInterval(() => {
+            if (this.outbox.size > 0) this.flushOutbox()
+        }, OUTBOX_RETRY_INTERVAL)
+
+        if (this.outbox.size > 0) {
+            console.log(`Syncing ${this.outbox.size} queued writes from a previous session`)
+            this.flushOutbox()
+        }
+    }
+
+    /**
+     * Set the signed-in player whose queued writes may be replayed (AuthManager keeps this current)
+     * @param {string|null} playerId - players.id of the signed-in player, null when signed out
+     */
+    setOutboxPlayer(playerId) {
+        if (playerId === this.#outboxPlayer) return
+        this.#outboxPlayer = playerId
+        if (this.outbox?.size > 0) this.flushOutbox()
+    }
+
+    /**
+     * Record a write in the outbox and try to sync it immediately
+     * @param {string} method - Write method name on the backend
+     * @param {Array} args - Method arguments
+     * @returns {Promise<{data: Object|null, error: string|null, queued?: boolean}>}
+     *          queued is true when the write is stored locally and will be synced later
+     */
+    async queueWrite(method, args) {
+        if (!this.outbox) {
+            return this.backend[method](...args)
+        }
+
+        const entry = this.outbox.push(method, args)
+        let resolveResult
+        const resultPromise = new Promise(resolve => { resolveResult = resolve })
+        this.#waiting.set(entry.id, resolveResult)
+
+        await this.flushOutbox()
+
+        if (this.#waiting.has(entry.id)) {
+            // Still queued: the caller continues, the write is synced later
+            this.#waiting.delete(entry.id)
+            return { data: null, error: null, queued: true }
+        }
+        return resultPromise
+    }
+
+    /**
+     * Replay the signed-in player's queued writes in order until none are left or the backend
+     * is unreachable; writes of other players stay queued until they sign in
+     * Only one flush runs at a time; concurrent callers share it
+     * @returns {Promise<void>}
      */
-    async getWords(difficulty = null) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
+    async flushOutbox() {
+        if (!this.outbox) return
+        if (this.#flushing) return this.#flushing
 
-            const queryPromise = (async () => {
-                let query = this.supabase
-                    .from('words')
-                    .select('*')
-                    .order('created_at', { ascending: false })
+        const isReplayable = entry => {
+            const owner = ownerOf(entry.args)
+            return owner === null || owner === this.#outboxPlayer
+        }
+
+        this.#flushing = (async () => {
+            let entry
+            while ((entry = this.outbox.getEntries().find(isReplayable))) {
+                const result = await this.backend[entry.method](...entry.args)
+
+                if (result.error && RETRYABLE_ERROR.test(result.error)) {
+                    // Keep the entry (and everything after it) for the next attempt
+                    this.outbox.update({ ...entry, attempts: entry.attempts + 1 })
+                    console.warn(`Backend unreachable, ${this.outbox.size} writes queued for later sync`)
+                    break
+                }
 
-                if (difficulty) {
-                    query = query.eq('difficulty', difficulty)
+                if (result.error && AUTH_ERROR.test(result.error)) {
+                    // The session does not (yet) belong to the write's player: keep it for their next sign-in
+                    this.outbox.update({ ...entry, attempts: entry.attempts + 1 })
+                    console.warn(`Keeping ${entry.method} write until its player is signed in:`, result.error)
+                    break
                 }
 
-                const { data, error } = await query
-                return { data, error }
-            })()
+                if (result.error) {
+                    console.error(`Dropping rejected ${entry.method} write:`, result.error)
+                }
+                this.outbox.remove(entry.id)
 
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error fetching words:', result.error)
-                return { data: null, error: result.error.message }
+                const resolveResult = this.#waiting.get(entry.id)
+                if (resolveResult) {
+                    this.#waiting.delete(entry.id)
+                    resolveResult(result)
+                }
             }
+        })().finally(() => {
+            this.#flushing = null
+        })
+
+        return this.#flushing
+    }
 
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in getWords:', error)
-            return { data: null, error: error.message }
+    /**
+     * Number of writes waiting to be synced to the backend
+     * @returns {number}
+     */
+    getPendingWriteCount() {
+        return this.outbox ? this.outbox.size : 0
+    }
+
+    /**
+     * Get the type of the active backend
+     * @returns {string} 'supabase' or 'local'
+     */
+    getBackendType() {
+        return this.backend.type
+    }
+
+    /**
+     * Check whether the game runs against the offline backend
+     * @returns {boolean}
+     */
+    isOffline() {
+        return this.backend.type === 'local'
+    }
+
+    /**
+     * Restart the game on Supabase when it started on the local backend only because the
+     * browser was offline and the connection is back. The new run has the outbox and the
+     * persisted Supabase login; progress of the local player stays on this device
+     * @returns {boolean} True when the page reloads
+     */
+    reconnect() {
+        const hasSupabaseConfig = Boolean(import.meta.env.VITE_SUPABASE_URL && import.meta.env.VITE_SUPABASE_ANON_KEY)
+        const isOnline = typeof navigator === 'undefined' || navigator.onLine !== false
+        if (!this.isOffline() || !hasSupabaseConfig || !isOnline || import.meta.env.VITE_DATA_BACKEND === 'local') {
+            return false
         }
+
+        console.log('Connection is back, restarting on the Supabase backend')
+        window.location.reload()
+        return true
+    }
+
+    /**
+     * Get the Supabase client for direct access
+     * @returns {Object|null} Supabase client, or null when running offline
+     */
+    getSupabase() {
+        return this.backend.getSupabase()
+    }
+
+    /**
+     * Fetch words, optionally filtered by difficulty and language
+     * @param {string|null} difficulty - 'easy', 'medium', 'hard', or null for all
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWords(difficulty = null, language = null) {
+        return this.backend.getWords(difficulty, language)
     }
 
     /**
@@ -90,288 +273,294 @@ export class DatabaseManager {
      * @returns {Promise<{data: Array|null, error: string|null}>}
      */
     async getPlayerWordStats(playerId) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
-
-            const queryPromise = (async () => {
-                const { data, error } = await this.supabase
-                    .from('player_word_stats')
-                    .select(`
-                        *,
-                        words (
-                            correct_spelling,
-                            wrong_spelling,
-                            difficulty
-                        )
-                    `)
-                    .eq('player_id', playerId)
-                    .order('last_seen_date', { ascending: false })
-
-                return { data, error }
-            })()
-
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error fetching player word stats:', result.error)
-                return { data: null, error: result.error.message }
-            }
-
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in getPlayerWordStats:', error)
-            return { data: null, error: error.message }
-        }
+        return this.backend.getPlayerWordStats(playerId)
     }
 
     /**
-     * Update or insert word statistics for a player
-     * Handles correct_streak, mastery_level transitions, and last_wrong_date
+     * Update or insert word statistics for a player (queued when offline)
+     * The queued write carries a client id, so replaying it after a lost response does not count the answer twice
      * @param {string} playerId - UUID of the player
      * @param {string} wordId - UUID of the word
      * @param {boolean} isCorrect - Whether the player answered correctly
+     * @param {string} answeredAt - ISO timestamp of the answer (defaults to now)
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
-    async upsertWordStat(playerId, wordId, isCorrect) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
-
-            const queryPromise = (async () => {
-                // First, try to get existing stats
-                const { data: existingStats } = await this.supabase
-                    .from('player_word_stats')
-                    .select('total_correct, total_wrong, correct_streak, last_wrong_date')
-                    .eq('player_id', playerId)
-                    .eq('word_id', wordId)
-                    .single()
-
-                // Calculate new values based on isCorrect
-                let newStats;
-                if (isCorrect) {
-                    // Correct answer: increment streak and total_correct
-                    const newStreak = (existingStats?.correct_streak || 0) + 1;
-                    let masteryLevel;
-                    if (newStreak === 0) {
-                        masteryLevel = 'learning';
-                    } else if (newStreak === 1 || newStreak === 2) {
-                        masteryLevel = 'practicing';
-                    } else {
-                        masteryLevel = 'mastered';
-                    }
-                    
-                    newStats = {
-                        player_id: playerId,
-                        word_id: wordId,
-                        correct_streak: newStreak,
-                        total_correct: (existingStats?.total_correct || 0) + 1,
-                        total_wrong: existingStats?.total_wrong || 0,
-                        last_wrong_date: existingStats?.last_wrong_date || null,
-                        last_seen_date: new Date().toISOString(),
-                        mastery_level: masteryLevel
-                    };
-                } else {
-                    // Wrong answer: reset streak, increment total_wrong, set last_wrong_date
-                    newStats = {
-                        player_id: playerId,
-                        word_id: wordId,
-                        correct_streak: 0,  // Reset streak on wrong answer
-                        total_correct: existingStats?.total_correct || 0,
-                        total_wrong: (existingStats?.total_wrong || 0) + 1,
-                        last_wrong_date: new Date().toISOString(),  // Set current timestamp
-                        last_seen_date: new Date().toISOString(),
-                        mastery_level: 'learning'  // Back to learning on wrong answer
-                    };
-                }
-
-                const { data, error } = await this.supabase
-                    .from('player_word_stats')
-                    .upsert(newStats)
-                    .select()
-                    .single()
-
-                return { data, error }
-            })()
-
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error upserting word stat:', result.error)
-                return { data: null, error: result.error.message }
-            }
+    async upsertWordStat(playerId, wordId, isCorrect, answeredAt = new Date().toISOString()) {
+        return this.queueWrite('upsertWordStat', [playerId, wordId, isCorrect, answeredAt, crypto.randomUUID()])
+    }
 
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in upsertWordStat:', error)
-            return { data: null, error: error.message }
-        }
+    /**
+     * Note the start of a game session on the server (queued when offline, ahead of its attempts)
+     * The start time is stamped now, so a start synced late keeps the real session date
+     * @param {string} playerId - UUID of the player
+     * @param {string} sessionId - UUID of the session that starts
+     * @returns {Promise<{data: string|null, error: string|null, queued?: boolean}>} The recorded start time
+     */
+    async startGameSession(playerId, sessionId) {
+        return this.queueWrite('startGameSession', [playerId, sessionId, new Date().toISOString()])
     }
 
     /**
-     * Save a game session record
+     * Save a game session record and the personal best it may set (queued when offline)
+     * Online, score and accuracy are recomputed by the server; the stored row is returned
      * @param {Object} sessionData - Session data object
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
     async saveGameSession(sessionData) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
-
-            const queryPromise = (async () => {
-                const { data, error } = await this.supabase
-                    .from('game_sessions')
-                    .insert(sessionData)
-                    .select()
-                    .single()
-
-                return { data, error }
-            })()
-
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error saving game session:', result.error)
-                return { data: null, error: result.error.message }
-            }
+        // Stamp the play time now so a late sync keeps the real session date
+        return this.queueWrite('saveGameSession', [{ played_at: new Date().toISOString(), ...sessionData }])
+    }
 
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in saveGameSession:', error)
-            return { data: null, error: error.message }
-        }
+    /**
+     * Fetch top highscores, optionally filtered by difficulty
+     * @param {number} limit - Maximum number of highscores to return
+     * @param {string|null} difficulty - Difficulty filter or null for all
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHighscores(limit = 10, difficulty = null) {
+        return this.backend.getHighscores(limit, difficulty)
     }
 
     /**
-     * Save a new highscore
+     * Fetch the player's personal best for a difficulty and word language
      * @param {string} playerId - UUID of the player
-     * @param {number} score - Score achieved
      * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: Object|null, error: string|null}>} null data when the player has no highscore yet
+     */
+    async getPersonalBest(playerId, difficulty, language = DEFAULT_WORD_LANGUAGE) {
+        return this.backend.getPersonalBest(playerId, difficulty, language)
+    }
+
+    /**
+     * Get the all-time leaderboard position of a score
+     * @param {number} score - Score to rank
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: number|null, error: string|null}>} 1 for the best score
+     */
+    async getHighscoreRank(score, difficulty, language = DEFAULT_WORD_LANGUAGE) {
+        return this.backend.getHighscoreRank(score, difficulty, language)
+    }
+
+    /**
+     * Fetch the best score per player for a difficulty and word language
+     * @param {string} difficulty - Difficulty level
+     * @param {Object} options
+     * @param {string|null} options.since - ISO timestamp; only count games played since then (null for all-time)
+     * @param {string|null} options.classId - Only include members of this class
+     * @param {string} options.language - Key of WORD_LANGUAGES (Dutch when left out)
+     * @param {number} options.limit - Maximum number of rows
+     * @returns {Promise<{data: Array<{player_id, username, score, achieved_at}>|null, error: string|null}>}
+     */
+    async getLeaderboard(difficulty, options = {}) {
+        return this.backend.getLeaderboard(difficulty, options)
+    }
+
+    /**
+     * Create a new player record
+     * @param {string|null} authId - UUID from Supabase Auth (null for the local player of the offline backend)
+     * @param {string} username - Player's chosen username
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
-    async saveHighscore(playerId, score, difficulty) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
-
-            const queryPromise = (async () => {
-                const { data, error } = await this.supabase
-                    .from('highscores')
-                    .insert({
-                        player_id: playerId,
-                        score: score,
-                        difficulty: difficulty
-                    })
-                    .select()
-                    .single()
-
-                return { data, error }
-            })()
-
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error saving highscore:', result.error)
-                return { data: null, error: result.error.message }
-            }
+    async createPlayer(authId, username) {
+        return this.backend.createPlayer(authId, username)
+    }
 
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in saveHighscore:', error)
-            return { data: null, error: error.message }
-        }
+    /**
+     * Fetch the players row that belongs to a Supabase Auth user
+     * @param {string} authId - UUID from Supabase Auth
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async getPlayerByAuthId(authId) {
+        return this.backend.getPlayerByAuthId(authId)
     }
 
     /**
-     * Fetch top highscores, optionally filtered by difficulty
-     * @param {number} limit - Maximum number of highscores to return
-     * @param {string|null} difficulty - Difficulty filter or null for all
+     * Store the player's settings in their profile (queued when offline)
+     * @param {string} playerId - players.id of the signed-in player
+     * @param {Object} preferences - Settings from SettingsManager.toPreferences()
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async savePlayerPreferences(playerId, preferences) {
+        return this.queueWrite('savePlayerPreferences', [playerId, preferences])
+    }
+
+    /**
+     * Create a class with a generated join code
+     * @param {string} teacherId - players.id of the teacher
+     * @param {string} name - Class name
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async createClass(teacherId, name) {
+        return this.backend.createClass(teacherId, name)
+    }
+
+    /**
+     * Fetch the classes of a teacher with their student count
+     * @param {string} teacherId - players.id of the teacher
      * @returns {Promise<{data: Array|null, error: string|null}>}
      */
-    async getHighscores(limit = 10, difficulty = null) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
-
-            const queryPromise = (async () => {
-                let query = this.supabase
-                    .from('highscores')
-                    .select(`
-                        *,
-                        players (
-                            username
-                        )
-                    `)
-                    .order('score', { ascending: false })
-                    .limit(limit)
-
-                if (difficulty) {
-                    query = query.eq('difficulty', difficulty)
-                }
+    async getTeacherClasses(teacherId) {
+        return this.backend.getTeacherClasses(teacherId)
+    }
 
-                const { data, error } = await query
-                return { data, error }
-            })()
+    /**
+     * Fetch the students of a class
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassRoster(classId) {
+        return this.backend.getClassRoster(classId)
+    }
 
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error fetching highscores:', result.error)
-                return { data: null, error: result.error.message }
-            }
+    /**
+     * Join the class with the given code as the signed-in player
+     * @param {string} code - Class join code
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async joinClassByCode(code) {
+        return this.backend.joinClassByCode(code)
+    }
 
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in getHighscores:', error)
-            return { data: null, error: error.message }
-        }
+    /**
+     * Remove a student from a class
+     * @param {string} classId - UUID of the class
+     * @param {string} playerId - players.id of the student
+     * @returns {Promise<{data: null, error: string|null}>}
+     */
+    async removeStudentFromClass(classId, playerId) {
+        return this.backend.removeStudentFromClass(classId, playerId)
     }
 
     /**
-     * Create a new player record
-     * @param {string} authId - UUID from Supabase Auth
-     * @param {string} username - Player's chosen username
+     * Replace the join code of a class
+     * @param {string} classId - UUID of the class
      * @returns {Promise<{data: Object|null, error: string|null}>}
      */
-    async createPlayer(authId, username) {
-        try {
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Database timeout')), 5000)
-            )
-
-            const queryPromise = (async () => {
-                const { data, error } = await this.supabase
-                    .from('players')
-                    .insert({
-                        auth_id: authId,
-                        username: username
-                    })
-                    .select()
-                    .single()
-
-                return { data, error }
-            })()
-
-            const result = await Promise.race([queryPromise, timeoutPromise])
-            
-            if (result.error) {
-                console.error('Error creating player:', result.error)
-                return { data: null, error: result.error.message }
-            }
+    async regenerateJoinCode(classId) {
+        return this.backend.regenerateJoinCode(classId)
+    }
 
-            return { data: result.data, error: null }
-        } catch (error) {
-            console.error('Database error in createPlayer:', error)
-            return { data: null, error: error.message }
-        }
+    /**
+     * Fetch word statistics of all students in a class
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassWordStats(classId) {
+        return this.backend.getClassWordStats(classId)
+    }
+
+    /**
+     * Fetch game sessions of all students in a class, newest first
+     * @param {string} classId - UUID of the class
+     * @param {number} limit - Maximum number of sessions to return
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassGameSessions(classId, limit = 100) {
+        return this.backend.getClassGameSessions(classId, limit)
+    }
+
+    /**
+     * Fetch the player's own game sessions, newest first
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of sessions to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerSessions(playerId, limit = 100, language = null) {
+        return this.backend.getPlayerSessions(playerId, limit, language)
+    }
+
+    /**
+     * Fetch one game session with its replay (own sessions, or a student's for teachers)
+     * @param {string} sessionId - UUID of the session
+     * @returns {Promise<{data: Object|null, error: string|null}>} null data when the session is not visible
+     */
+    async getSessionReplay(sessionId) {
+        return this.backend.getSessionReplay(sessionId)
+    }
+
+    /**
+     * Fetch the words the player currently masters, with the date each was mastered
+     * @param {string} playerId - UUID of the player
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getMasteredWords(playerId, language = null) {
+        return this.backend.getMasteredWords(playerId, language)
+    }
+
+    /**
+     * Fetch the words the player got wrong most often
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of words to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHardestWords(playerId, limit = 5, language = null) {
+        return this.backend.getHardestWords(playerId, limit, language)
+    }
+
+    /**
+     * Fetch the assignments that are currently running in the player's classes
+     * @param {string} playerId - players.id of the student
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getActiveAssignments(playerId) {
+        return this.backend.getActiveAssignments(playerId)
+    }
+
+    /**
+     * Fetch the words of a word list
+     * @param {string} wordListId - UUID of the word list
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWordListWords(wordListId) {
+        return this.backend.getWordListWords(wordListId)
+    }
+
+    /**
+     * Record a single gate decision (queued when offline)
+     * The row id is generated here, so replaying the write after a lost response does not store it twice
+     * @param {Object} attempt - word_attempts row (player_id, word_id, is_correct, attempted_at, chosen_spelling,
+     *     correct_spelling, error_category, response_time_ms, decision_time_ms, gate_switches, difficulty,
+     *     session_id, assignment_id, word_list_id); attempted_at defaults to now
+     * @returns {Promise<{data: Object|null, error: string|null, queued?: boolean}>}
+     */
+    async recordAttempt(attempt) {
+        return this.queueWrite('recordAttempt', [{ id: crypto.randomUUID(), attempted_at: new Date().toISOString(), ...attempt }])
+    }
+
+    /**
+     * List the students of a class that can log in with a picture password
+     * @param {string} code - Class join code
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getLoginRoster(code) {
+        return this.backend.getLoginRoster(code)
+    }
+
+    /**
+     * Check a picture password (rate limited and locked out server-side)
+     * @param {string} code - Class join code
+     * @param {string} playerId - players.id of the student
+     * @param {string} pictures - Comma separated picture keys
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async verifyPicturePassword(code, playerId, pictures) {
+        return this.backend.verifyPicturePassword(code, playerId, pictures)
+    }
+
+    /**
+     * Exchange a picture login token for the player of the signed-in session
+     * @param {string} token - Login token from verifyPicturePassword
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async claimPictureLogin(token) {
+        return this.backend.claimPictureLogin(token)
     }
 }
 
 // Default export for compatibility
 export default DatabaseManager
-
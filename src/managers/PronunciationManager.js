@@ -0,0 +1,169 @@
+import { PRONUNCIATION, WORD_LANGUAGES, DEFAULT_WORD_LANGUAGE } from '../utils/constants.js';
+import { STORAGE_PREFIX, getLocalStorage } from '../utils/storage.js';
+
+const MUTED_KEY = `${STORAGE_PREFIX}pronunciation-muted`;
+
+/**
+ * PronunciationManager - Singleton class that speaks the target word of a pipe
+ * Plays the word's recorded clip (words.audio_url) when there is one and falls back
+ * to the browser's speech synthesis otherwise, with a voice for the word's language
+ */
+class PronunciationManager {
+    static #instance = null;
+
+    constructor() {
+        this.storage = getLocalStorage();
+        this.muted = this.storage?.getItem(MUTED_KEY) === 'true';
+        this.currentAudio = null;
+        this.audioCache = new Map(); // audio_url -> HTMLAudioElement
+        this.synthesis = globalThis.speechSynthesis || null;
+        this.speechLang = WORD_LANGUAGES[DEFAULT_WORD_LANGUAGE].speechLang;
+        this.voice = null;
+
+        if (this.synthesis) {
+            this.selectVoice();
+            // Chrome loads its voices asynchronously
+            this.synthesis.addEventListener?.('voiceschanged', () => this.selectVoice());
+        }
+    }
+
+    /**
+     * Initialize the singleton instance
+     * @returns {PronunciationManager} The singleton instance
+     */
+    static async init() {
+        if (!PronunciationManager.#instance) {
+            PronunciationManager.#instance = new PronunciationManager();
+        }
+        return PronunciationManager.#instance;
+    }
+
+    /**
+     * Get the singleton instance
+     * @returns {PronunciationManager} The singleton instance
+     * @throws {Error} If not initialized
+     */
+    static getInstance() {
+        if (!PronunciationManager.#instance) {
+            throw new Error('PronunciationManager not initialized. Call PronunciationManager.init() first.');
+        }
+        return PronunciationManager.#instance;
+    }
+
+    /**
+     * Speak the words of this language from now on
+     * @param {string} language - Key of WORD_LANGUAGES
+     */
+    setLanguage(language) {
+        const speechLang = (WORD_LANGUAGES[language] || WORD_LANGUAGES[DEFAULT_WORD_LANGUAGE]).speechLang;
+        if (speechLang === this.speechLang) return;
+
+        this.speechLang = speechLang;
+        if (this.synthesis) {
+            this.selectVoice();
+        }
+    }
+
+    /**
+     * Pick the preferred voice for the current language (e.g. nl-NL, then any Dutch variant such as nl-BE)
+     */
+    selectVoice() {
+        const voices = this.synthesis.getVoices();
+        this.voice = voices.find(voice => voice.lang === this.speechLang)
+            || voices.find(voice => voice.lang?.startsWith(this.speechLang.split('-')[0]))
+            || null;
+    }
+
+    /**
+     * Speak the correct spelling of a word
+     * @param {Object} wordData - Word object with { correct_spelling, audio_url }
+     */
+    speak(wordData) {
+        if (!wordData || this.muted) return;
+
+        this.stop();
+
+        if (wordData.audio_url) {
+            this.playClip(wordData);
+        } else {
+            this.speakWithSynthesis(wordData.correct_spelling);
+        }
+    }
+
+    /**
+     * Play the recorded clip of a word, falling back to speech synthesis if it fails to load
+     * @param {Object} wordData - Word object with an audio_url
+     */
+    playClip(wordData) {
+        let audio = this.audioCache.get(wordData.audio_url);
+        if (!audio) {
+            audio = new Audio(wordData.audio_url);
+            audio.preload = 'auto';
+            this.audioCache.set(wordData.audio_url, audio);
+        }
+
+        audio.currentTime = 0;
+        this.currentAudio = audio;
+        audio.play().catch(error => {
+            console.warn('Could not play word audio, using speech synthesis:', error);
+            this.audioCache.delete(wordData.audio_url);
+            this.speakWithSynthesis(wordData.correct_spelling);
+        });
+    }
+
+    /**
+     * @param {string} text - Text to speak
+     */
+    speakWithSynthesis(text) {
+        if (!this.synthesis || !text) return;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = this.speechLang;
+        utterance.rate = PRONUNCIATION.RATE;
+        if (this.voice) {
+            utterance.voice = this.voice;
+        }
+        this.synthesis.speak(utterance);
+    }
+
+    /**
+     * Stop any clip or speech that is still playing
+     */
+    stop() {
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            this.currentAudio = null;
+        }
+        this.synthesis?.cancel();
+    }
+
+    /**
+     * @returns {boolean} True if pronunciation is muted
+     */
+    isMuted() {
+        return this.muted;
+    }
+
+    /**
+     * Mute or unmute pronunciation; the setting is remembered on this device
+     * @param {boolean} muted - New mute setting
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.storage?.setItem(MUTED_KEY, String(muted));
+        if (muted) {
+            this.stop();
+        }
+    }
+
+    /**
+     * @returns {boolean} The new mute setting
+     */
+    toggleMuted() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+}
+
+// Default export for compatibility
+export default PronunciationManager;
@@ -1,4 +1,4 @@
-import { DIFFICULTY } from '../utils/constants.js';
+import { DIFFICULTY, SCORING } from '../utils/constants.js';
 
 /**
  * ScoreManager - Singleton class for Model B scoring system
@@ -14,6 +14,9 @@ class ScoreManager {
         this.wordsWrong = 0;
         this.currentDifficulty = 'EASY';
         this.sessionStartTime = null;
+        this.sessionId = null;
+        this.scoringMode = SCORING.DEFAULT_MODE;
+        this.decisionTimes = [];
     }
 
     /**
@@ -53,12 +56,55 @@ class ScoreManager {
         }
     }
 
+    /**
+     * Set how correct answers are scored
+     * @param {string} mode - One of SCORING.MODES
+     */
+    setScoringMode(mode) {
+        if (!SCORING.MODES.includes(mode)) {
+            console.warn(`Invalid scoring mode: ${mode}. Using '${SCORING.DEFAULT_MODE}' instead.`);
+            this.scoringMode = SCORING.DEFAULT_MODE;
+        } else {
+            this.scoringMode = mode;
+        }
+    }
+
+    /**
+     * @returns {string} Current scoring mode
+     */
+    getScoringMode() {
+        return this.scoringMode;
+    }
+
+    /**
+     * Get the share of the points a correct answer earns in the current scoring mode
+     * @param {Object} timing - Timing of the attempt
+     * @param {number|null} timing.responseTime - Ms from readable to crossing the gate
+     * @param {number|null} timing.decisionTime - Ms from readable to settling on the chosen gate
+     * @param {number} timing.gateSwitches - Times the bird moved to another gate after the word became readable
+     * @returns {number} Factor between SCORING.MIN_FACTOR and SCORING.MAX_FACTOR (1 in fixed mode)
+     */
+    getScoreFactor({ responseTime = null, decisionTime = null, gateSwitches = 0 } = {}) {
+        let factor = 1;
+
+        if (this.scoringMode === 'speed' && responseTime > 0 && decisionTime !== null) {
+            const share = Math.min(decisionTime / responseTime, 1);
+            factor = SCORING.MAX_FACTOR - (SCORING.MAX_FACTOR - SCORING.MIN_FACTOR) * share;
+        } else if (this.scoringMode === 'confidence') {
+            factor = SCORING.MAX_FACTOR - SCORING.SWITCH_PENALTY * gateSwitches;
+        }
+
+        return Math.min(Math.max(factor, SCORING.MIN_FACTOR), SCORING.MAX_FACTOR);
+    }
+
     /**
      * Add points for correct choice
+     * @param {Object} timing - Timing of the attempt (see getScoreFactor)
      * @returns {Object} Result object with score, points, and isCorrect
      */
-    addCorrect() {
-        const points = DIFFICULTY[this.currentDifficulty].points;
+    addCorrect(timing = {}) {
+        const points = Math.round(DIFFICULTY[this.currentDifficulty].points * this.getScoreFactor(timing));
+        this.recordDecisionTime(timing.decisionTime);
         this.currentScore += points;
         this.wordsCorrect++;
         this.wordsAttempted++;
@@ -72,10 +118,13 @@ class ScoreManager {
 
     /**
      * Add penalty for wrong choice
+     * The penalty is the same in every scoring mode
+     * @param {Object} timing - Timing of the attempt (see getScoreFactor)
      * @returns {Object} Result object with score, penalty, and isCorrect
      */
-    addWrong() {
+    addWrong(timing = {}) {
         const penalty = DIFFICULTY[this.currentDifficulty].penalty;
+        this.recordDecisionTime(timing.decisionTime);
         this.currentScore += penalty; // Can go negative!
         this.wordsWrong++;
         this.wordsAttempted++;
@@ -87,6 +136,25 @@ class ScoreManager {
         };
     }
 
+    /**
+     * @param {number|null|undefined} decisionTime - Decision time in ms, ignored when unknown
+     */
+    recordDecisionTime(decisionTime) {
+        if (Number.isFinite(decisionTime)) {
+            this.decisionTimes.push(decisionTime);
+        }
+    }
+
+    /**
+     * Get the average decision time of the session
+     * @returns {number|null} Average in ms, or null when no decision was timed
+     */
+    getAverageDecisionTime() {
+        if (this.decisionTimes.length === 0) return null;
+        const total = this.decisionTimes.reduce((sum, time) => sum + time, 0);
+        return Math.round(total / this.decisionTimes.length);
+    }
+
     /**
      * Get current score
      * @returns {number} Current score value
@@ -97,13 +165,23 @@ class ScoreManager {
 
     /**
      * Start a new session
+     * The session id is generated here so attempts can refer to the session before it is saved
      */
     startSession() {
         this.reset();
         this.sessionStartTime = Date.now();
+        this.sessionId = crypto.randomUUID();
         console.log('New session started');
     }
 
+    /**
+     * Get the id of the current session (game_sessions.id once saved)
+     * @returns {string|null} Session UUID or null before startSession()
+     */
+    getSessionId() {
+        return this.sessionId;
+    }
+
     /**
      * Get session duration in seconds
      * @returns {number} Duration in seconds
@@ -128,7 +206,10 @@ class ScoreManager {
             wordsCorrect: this.wordsCorrect,
             wordsWrong: this.wordsWrong,
             accuracy: accuracy,
-            duration: this.getSessionDuration()
+            duration: this.getSessionDuration(),
+            sessionId: this.sessionId,
+            scoringMode: this.scoringMode,
+            averageDecisionTime: this.getAverageDecisionTime()
         };
     }
 
@@ -142,6 +223,8 @@ class ScoreManager {
         this.wordsCorrect = 0;
         this.wordsWrong = 0;
         this.sessionStartTime = null;
+        this.sessionId = null;
+        this.decisionTimes = [];
         console.log('ScoreManager reset');
     }
 }
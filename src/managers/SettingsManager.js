@@ -0,0 +1,263 @@
+import { SETTINGS, FONTS, HIGH_CONTRAST } from '../utils/constants.js';
+import { STORAGE_PREFIX, getLocalStorage } from '../utils/storage.js';
+import { getLocale, setLocale } from '../utils/i18n.js';
+import DatabaseManager from './DatabaseManager.js';
+import AuthManager from './AuthManager.js';
+
+const SETTINGS_KEY = `${STORAGE_PREFIX}settings`;
+
+/**
+ * SettingsManager - Singleton class that holds the player's settings (SettingsScene)
+ * Settings are remembered on this device and, for a signed-in player, in players.preferences,
+ * so they follow the player to another device. Scenes subscribe with onChange to apply them live
+ */
+export class SettingsManager {
+    static #instance = null;
+
+    constructor() {
+        this.storage = getLocalStorage();
+        this.settings = { ...SETTINGS.DEFAULTS, ...this.sanitize(this.readStored()) };
+        this.listeners = new Set();
+        this.dyslexiaFontLoaded = false;
+
+        if (this.settings.dyslexiaFont) {
+            this.loadDyslexiaFont();
+        }
+    }
+
+    /**
+     * Initialize the singleton instance
+     * Needs AuthManager: signing in loads the player's settings from their profile
+     * @returns {SettingsManager} The singleton instance
+     */
+    static async init() {
+        if (!SettingsManager.#instance) {
+            const instance = new SettingsManager();
+            SettingsManager.#instance = instance;
+
+            AuthManager.getInstance().onAuthStateChange(() => instance.loadProfile());
+            instance.loadProfile();
+        }
+        return SettingsManager.#instance;
+    }
+
+    /**
+     * Get the singleton instance
+     * @returns {SettingsManager} The singleton instance
+     * @throws {Error} If not initialized
+     */
+    static getInstance() {
+        if (!SettingsManager.#instance) {
+            throw new Error('SettingsManager not initialized. Call SettingsManager.init() first.');
+        }
+        return SettingsManager.#instance;
+    }
+
+    /**
+     * @returns {Object} Settings stored on this device, unchecked
+     */
+    readStored() {
+        try {
+            return JSON.parse(this.storage?.getItem(SETTINGS_KEY) || '{}');
+        } catch (error) {
+            console.error('Corrupt stored settings, using the defaults:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Keep only the known settings that have a valid value (storage and profiles may be outdated)
+     * @param {Object} values - Settings by key
+     * @returns {Object} The valid settings
+     */
+    sanitize(values) {
+        const valid = {};
+        Object.keys(SETTINGS.DEFAULTS).forEach(key => {
+            if (this.isValid(key, values?.[key])) {
+                valid[key] = values[key];
+            }
+        });
+        return valid;
+    }
+
+    /**
+     * @param {string} key - Key of SETTINGS.DEFAULTS
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the setting can take this value
+     */
+    isValid(key, value) {
+        switch (key) {
+            case 'soundVolume':
+            case 'musicVolume':
+                return typeof value === 'number' && value >= 0 && value <= 1;
+            case 'textSize':
+                return Object.hasOwn(SETTINGS.TEXT_SIZES, value);
+            case 'letterSpacing':
+                return Object.hasOwn(SETTINGS.LETTER_SPACINGS, value);
+            case 'controlScheme':
+                return Object.hasOwn(SETTINGS.CONTROL_SCHEMES, value);
+            case 'assistSpeed':
+                return SETTINGS.ASSIST_SPEEDS.includes(value);
+            case 'assistControl':
+                return Object.hasOwn(SETTINGS.ASSIST_CONTROLS, value);
+            default:
+                return Object.hasOwn(SETTINGS.DEFAULTS, key) && typeof value === 'boolean';
+        }
+    }
+
+    /**
+     * @param {string} key - Key of SETTINGS.DEFAULTS
+     * @returns {*} Current value of the setting
+     */
+    get(key) {
+        return this.settings[key];
+    }
+
+    /**
+     * Change a setting, remember it on this device and tell the listeners
+     * The profile is only updated by saveToProfile, when the player leaves the settings
+     * @param {string} key - Key of SETTINGS.DEFAULTS
+     * @param {*} value - New value; invalid values are ignored
+     */
+    set(key, value) {
+        if (!this.isValid(key, value) || this.settings[key] === value) return;
+
+        this.settings[key] = value;
+        this.storage?.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        this.listeners.forEach(listener => listener(key, value));
+
+        if (key === 'dyslexiaFont' && value) {
+            this.loadDyslexiaFont();
+        }
+    }
+
+    /**
+     * Load the OpenDyslexic web font (see index.html) before it is needed
+     * Canvas text is not redrawn when a font arrives later, so the listeners hear about it again
+     * @returns {Promise<void>}
+     */
+    async loadDyslexiaFont() {
+        if (this.dyslexiaFontLoaded || !globalThis.document?.fonts) return;
+
+        try {
+            const faces = await document.fonts.load(`32px ${FONTS.dyslexia}`);
+            if (faces.length === 0) return; // Not installed and not in public/fonts: the fallbacks are used
+
+            this.dyslexiaFontLoaded = true;
+            this.listeners.forEach(listener => listener('dyslexiaFont', this.settings.dyslexiaFont));
+        } catch (error) {
+            console.warn('Could not load the dyslexia font, using the fallback fonts:', error);
+        }
+    }
+
+    /**
+     * Listen for setting changes
+     * @param {Function} listener - Called with (key, value)
+     * @returns {Function} Call to stop listening
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @returns {{pointer: boolean, keys: Array<string>}} The player's entry of SETTINGS.CONTROL_SCHEMES
+     */
+    getControlScheme() {
+        return SETTINGS.CONTROL_SCHEMES[this.settings.controlScheme];
+    }
+
+    /**
+     * Assisted play as a new game starts it; changing it during a game applies from the next one
+     * @returns {{speed: number, control: string}|null} Game speed and key of SETTINGS.ASSIST_CONTROLS, null when off
+     */
+    getAssist() {
+        if (!this.settings.assistMode) return null;
+        return { speed: this.settings.assistSpeed, control: this.settings.assistControl };
+    }
+
+    /**
+     * @param {number} fontSize - Font size of the text in px
+     * @returns {number} Extra space between letters in px
+     */
+    getLetterSpacing(fontSize) {
+        return Math.round(fontSize * SETTINGS.LETTER_SPACINGS[this.settings.letterSpacing]);
+    }
+
+    /**
+     * Apply the text size, font and contrast settings to a text style
+     * Every style key the settings touch is set, so restyling a text also undoes a setting.
+     * Letter spacing is not part of the style, see utils/legibility.js
+     * @param {Object} style - Phaser text style at normal size, with the fontSize in px
+     * @returns {Object} New style for the text
+     */
+    styleText(style) {
+        const scale = SETTINGS.TEXT_SIZES[this.settings.textSize];
+        const styled = {
+            fontFamily: FONTS.default,
+            stroke: '#000000',
+            strokeThickness: 0,
+            ...style,
+            fontSize: `${Math.round(parseFloat(style.fontSize) * scale)}px`
+        };
+
+        if (this.settings.dyslexiaFont) {
+            styled.fontFamily = FONTS.dyslexia;
+        }
+        if (this.settings.highContrast) {
+            // White text turns yellow; colored text such as the score keeps its meaning
+            if (styled.color === '#FFFFFF') {
+                styled.color = HIGH_CONTRAST.textColor;
+            }
+            styled.stroke = '#000000';
+            styled.strokeThickness = Math.max(styled.strokeThickness, HIGH_CONTRAST.strokeThickness);
+        }
+        return styled;
+    }
+
+    /**
+     * @returns {Object} Settings and UI language as stored in players.preferences
+     */
+    toPreferences() {
+        return { ...this.settings, language: getLocale() };
+    }
+
+    /**
+     * Take over the settings of the signed-in player; a profile without settings gets this device's
+     */
+    loadProfile() {
+        const player = AuthManager.getInstance().getCurrentPlayer();
+        if (!player) return;
+
+        if (Object.keys(player.preferences || {}).length === 0) {
+            this.saveToProfile();
+            return;
+        }
+
+        Object.entries(this.sanitize(player.preferences)).forEach(([key, value]) => this.set(key, value));
+        setLocale(player.preferences.language);
+    }
+
+    /**
+     * Store the settings in the signed-in player's profile when they changed (queued when offline)
+     * @returns {Promise<void>}
+     */
+    async saveToProfile() {
+        const player = AuthManager.getInstance().getCurrentPlayer();
+        if (!player) return;
+
+        const preferences = this.toPreferences();
+        if (JSON.stringify(preferences) === JSON.stringify(player.preferences)) return;
+
+        // Keep the cached profile in step, so signing in again does not bring back older settings
+        player.preferences = preferences;
+
+        const { error } = await DatabaseManager.getInstance().savePlayerPreferences(player.id, preferences);
+        if (error) {
+            console.error('Error saving settings to the profile:', error);
+        }
+    }
+}
+
+// Default export for compatibility
+export default SettingsManager;
@@ -1,10 +1,11 @@
 import DatabaseManager from './DatabaseManager.js';
-import { DIFFICULTY } from '../utils/constants.js';
+import { DIFFICULTY, ADAPTIVE_LEARNING, DEFAULT_WORD_LANGUAGE } from '../utils/constants.js';
+import { isDue, getDueTime, getOverdueRatio, getMasteryLevel } from '../utils/wordStats.js';
 
 /**
  * WordManager - Singleton class for word selection and management
  * Phase 3: Simple random word selection
- * Phase 4: Adaptive weighting algorithm with player stats
+ * Phase 4: Adaptive sessions built from spaced repetition (SM-2) schedules
  */
 class WordManager {
     static #instance = null;
@@ -16,6 +17,9 @@ class WordManager {
         this.playerStats = null;
         this.sessionWords = null;
         this.sessionWordIndex = 0;
+        this.wordListId = null; // Word list of the active assignment, null = all words
+        this.language = DEFAULT_WORD_LANGUAGE; // Word bank the cache was loaded from
+        this.rng = null; // Seeded generator of the running game, null = Math.random
     }
 
     /**
@@ -44,22 +48,30 @@ class WordManager {
     /**
      * Load words from database with caching
      * @param {string|null} difficulty - Filter by difficulty ('easy', 'medium', 'hard') or null for all
+     * @param {string|null} wordListId - Only load the words of this word list (assignment), or null for all words
+     * @param {string} language - Word bank to play, key of WORD_LANGUAGES
      * @returns {Promise<Array>} Array of word objects
      */
-    async loadWords(difficulty = null) {
+    async loadWords(difficulty = null, wordListId = null, language = DEFAULT_WORD_LANGUAGE) {
         const now = Date.now();
+        const isSameSource = wordListId === this.wordListId && language === this.language;
         
         // Check if cache is valid
-        if (this.wordsCache.length > 0 && (now - this.lastFetchTime) < this.CACHE_DURATION) {
+        if (isSameSource && this.wordsCache.length > 0 && (now - this.lastFetchTime) < this.CACHE_DURATION) {
             console.log('Using cached words');
             return this.filterWordsByDifficulty(this.wordsCache, difficulty);
         }
 
         try {
-            console.log('Fetching words from database...');
-            const { data } = await DatabaseManager.getInstance().getWords(difficulty);
+            console.log(wordListId ? `Fetching words of word list ${wordListId}...` : `Fetching ${language} words from database...`);
+            const { data } = wordListId
+                ? await DatabaseManager.getInstance().getWordListWords(wordListId)
+                : await DatabaseManager.getInstance().getWords(difficulty, language);
             
-            this.wordsCache = data ?? [];
+            // A word list can hold words of another language when its language was changed afterwards
+            this.wordsCache = this.filterWordsByLanguage(data ?? [], language);
+            this.wordListId = wordListId;
+            this.language = language;
             this.lastFetchTime = now;
             
             console.log(`Loaded ${this.wordsCache.length} words from database`);
@@ -67,8 +79,8 @@ class WordManager {
         } catch (error) {
             console.error('Error loading words from database:', error);
             
-            // Use cached words even if stale
-            if (this.wordsCache.length > 0) {
+            // Use cached words even if stale (only if they come from the requested source)
+            if (isSameSource && this.wordsCache.length > 0) {
                 console.log('Using stale cached words due to database error');
                 return this.filterWordsByDifficulty(this.wordsCache, difficulty);
             }
@@ -86,7 +98,12 @@ class WordManager {
     async loadPlayerStats(playerId) {
         try {
             const { data } = await DatabaseManager.getInstance().getPlayerWordStats(playerId);
-            this.playerStats = data || [];
+            // Apply mastery decay so stale "mastered" words show up as practicing again
+            const now = Date.now();
+            this.playerStats = (data || []).map(stat => ({
+                ...stat,
+                mastery_level: getMasteryLevel(stat, now)
+            }));
             return this.playerStats;
         } catch (error) {
             console.error('Error loading player stats:', error);
@@ -96,22 +113,26 @@ class WordManager {
     }
 
     /**
-     * Calculate word weight based on player performance
-     * @param {Object} wordStat - Word stat object with streak and wrong date
+     * Calculate word weight from its spaced repetition schedule
+     * @param {Object|null} wordStat - Word stat row, or null if the player never saw the word
+     * @param {number} now - Current time in milliseconds
      * @returns {number} Weight value (higher = more priority)
      */
-    calculateWordWeight(wordStat) {
-        // RULE 1: Wrong in last 3 days = highest priority
-        if (wordStat.last_wrong_date) {
-            const daysSince = (Date.now() - new Date(wordStat.last_wrong_date).getTime()) / (1000 * 60 * 60 * 24);
-            if (daysSince < 3) return 1000;
+    calculateWordWeight(wordStat, now = Date.now()) {
+        // RULE 1: Never seen = introduce as a new word
+        if (!wordStat) return ADAPTIVE_LEARNING.NEW_WORD_WEIGHT;
+
+        // RULE 2: Answered wrong (interval reset) = highest priority
+        if (!wordStat.interval_days && wordStat.total_wrong > 0 && isDue(wordStat, now)) {
+            return ADAPTIVE_LEARNING.RELEARN_WEIGHT;
         }
-        
-        // RULE 2: Mastered (3+ correct streak) = lowest priority
-        if (wordStat.correct_streak >= 3) return 1;
-        
-        // RULE 3: Still learning = medium priority based on wrong count
-        return 10 + (wordStat.total_wrong * 5);
+
+        // RULE 3: Not yet due = only used to fill up short sessions
+        if (!isDue(wordStat, now)) return ADAPTIVE_LEARNING.NOT_DUE_WEIGHT;
+
+        // RULE 4: Due = the longer overdue (relative to its interval), the more urgent
+        return ADAPTIVE_LEARNING.DUE_WEIGHT +
+            getOverdueRatio(wordStat, now) * ADAPTIVE_LEARNING.OVERDUE_MULTIPLIER;
     }
 
     /**
@@ -121,7 +142,8 @@ class WordManager {
      * @returns {Array} Filtered array of words
      */
     filterByWordLength(words, difficulty) {
-        if (!difficulty) return words;
+        // Assignment lists are played exactly as the teacher composed them
+        if (!difficulty || this.wordListId) return words;
         
         const difficultyKey = difficulty.toUpperCase();
         const lengthConfig = DIFFICULTY[difficultyKey]?.wordLength;
@@ -135,6 +157,9 @@ class WordManager {
 
     /**
      * Initialize adaptive session for authenticated players
+     * The session consists of words that are due for review, a few new words (drawn with the
+     * game's generator, all of them for an assignment list), and (if that is not enough) more
+     * new words and then the words that will be due soonest
      * @param {string} playerId - UUID of the player
      * @param {string} difficulty - Difficulty level
      * @returns {Promise<Object>} Session words object with priority and pool
@@ -142,51 +167,75 @@ class WordManager {
     async initializeSession(playerId, difficulty) {
         // Load player stats
         await this.loadPlayerStats(playerId);
+        const now = Date.now();
         
-        // Get all words and filter by difficulty and word length
-        const allWords = this.filterByWordLength(this.wordsCache, difficulty);
+        // Get all words of the session's language and filter by difficulty and word length
+        const allWords = this.filterByWordLength(this.filterWordsByLanguage(this.wordsCache, this.language), difficulty);
         
         // Create words with stats and weights
         const wordsWithStats = allWords.map(word => {
-            const stats = this.playerStats.find(stat => stat.word_id === word.id);
-            const wordStat = stats || {
-                correct_streak: 0,
-                total_wrong: 0,
-                last_wrong_date: null
-            };
-            
+            const stats = this.playerStats.find(stat => stat.word_id === word.id) || null;
             return {
                 word,
-                stats: wordStat,
-                weight: this.calculateWordWeight(wordStat)
+                stats,
+                weight: this.calculateWordWeight(stats, now)
             };
         });
         
-        // Sort by weight descending (highest priority first)
-        wordsWithStats.sort((a, b) => b.weight - a.weight);
+        // Due words, most urgent first
+        const dueWords = wordsWithStats
+            .filter(item => item.stats && isDue(item.stats, now))
+            .sort((a, b) => b.weight - a.weight);
         
-        // Identify review words (correct_streak < 3 OR last_wrong_date within 3 days)
-        const reviewWords = wordsWithStats.filter(item => {
-            const { stats } = item;
-            if (stats.correct_streak < 3) return true;
-            if (stats.last_wrong_date) {
-                const daysSince = (Date.now() - new Date(stats.last_wrong_date).getTime()) / (1000 * 60 * 60 * 24);
-                return daysSince < 3;
-            }
-            return false;
-        });
+        // Unseen words in the session's random order, so a new player does not get the same few words every session
+        const unseenWords = this.shuffle(wordsWithStats.filter(item => !item.stats));
+        
+        // Limit the number of new words so a session is not only unknown words; assignment lists are played whole
+        const newWordLimit = this.wordListId ? unseenWords.length : ADAPTIVE_LEARNING.NEW_WORDS_PER_SESSION;
+        const newWords = unseenWords.slice(0, newWordLimit);
         
-        // Take top 3 review words as priority, rest as pool
-        const priority = reviewWords.slice(0, 3);
-        const pool = wordsWithStats;
+        // Top up with more new words, then with the words that will be due soonest
+        let pool = [...dueWords, ...newWords];
+        if (pool.length < ADAPTIVE_LEARNING.MIN_SESSION_WORDS) {
+            const moreNewWords = unseenWords.slice(newWords.length,
+                newWords.length + ADAPTIVE_LEARNING.MIN_SESSION_WORDS - pool.length);
+            pool = [...pool, ...moreNewWords];
+        }
+        if (pool.length < ADAPTIVE_LEARNING.MIN_SESSION_WORDS) {
+            const upcoming = wordsWithStats
+                .filter(item => item.stats && !isDue(item.stats, now))
+                .sort((a, b) => getDueTime(a.stats) - getDueTime(b.stats))
+                .slice(0, ADAPTIVE_LEARNING.MIN_SESSION_WORDS - pool.length);
+            pool = [...pool, ...upcoming];
+        }
+        
+        // Most urgent due words open the session
+        const priority = dueWords.slice(0, ADAPTIVE_LEARNING.SESSION_PRIORITY_COUNT);
         
         this.sessionWords = { priority, pool };
         this.sessionWordIndex = 0;
         
-        console.log(`Session initialized: ${priority.length} priority words, ${pool.length} total words`);
+        console.log(`Session initialized: ${dueWords.length} due, ${pool.filter(item => !item.stats).length} new, ${pool.length} total words`);
         return this.sessionWords;
     }
 
+    /**
+     * Update the session weights after an answer so the schedule applies within the session
+     * A correct answer pushes the word back, a wrong answer makes it come back soon
+     * @param {string} wordId - ID of the answered word
+     * @param {boolean} isCorrect - Whether the player answered correctly
+     */
+    recordAnswer(wordId, isCorrect) {
+        if (!this.sessionWords) return;
+
+        const item = this.sessionWords.pool.find(entry => entry.word.id === wordId);
+        if (!item) return;
+
+        item.weight = isCorrect
+            ? ADAPTIVE_LEARNING.NOT_DUE_WEIGHT
+            : ADAPTIVE_LEARNING.RELEARN_WEIGHT;
+    }
+
     /**
      * Get next word from session (priority first, then weighted random)
      * @returns {Object|null} Word object or null
@@ -194,8 +243,9 @@ class WordManager {
     getNextSessionWord() {
         if (!this.sessionWords) return null;
         
-        // First 3 words come from priority list
-        if (this.sessionWordIndex < 3 && this.sessionWordIndex < this.sessionWords.priority.length) {
+        // First words come from priority list
+        if (this.sessionWordIndex < ADAPTIVE_LEARNING.SESSION_PRIORITY_COUNT &&
+            this.sessionWordIndex < this.sessionWords.priority.length) {
             const item = this.sessionWords.priority[this.sessionWordIndex];
             this.sessionWordIndex++;
             return item.word;
@@ -206,7 +256,7 @@ class WordManager {
         if (pool.length === 0) return null;
         
         const totalWeight = pool.reduce((sum, item) => sum + item.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.random() * totalWeight;
         
         for (const item of pool) {
             random -= item.weight;
@@ -216,6 +266,35 @@ class WordManager {
         return pool[0].word; // Fallback
     }
 
+    /**
+     * Draw word choices from a seeded generator so a game can be played again with the same seed
+     * @param {Phaser.Math.RandomDataGenerator|null} rng - Generator of the running game, null for Math.random
+     */
+    setRandomGenerator(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * @returns {number} Random number from 0 (inclusive) to 1 (exclusive)
+     */
+    random() {
+        return this.rng ? this.rng.frac() : Math.random();
+    }
+
+    /**
+     * Shuffle a copy of an array with the game's generator (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
     /**
      * Get weighted word for adaptive learning
      * @param {string|null} difficulty - Filter by difficulty
@@ -242,7 +321,7 @@ class WordManager {
      * Get a random word pair from the cache
      * Fallback for unauthenticated users or when session not initialized
      * @param {string|null} difficulty - Filter by difficulty or null for any
-     * @returns {Object|null} Word object with { id, correctSpelling, wrongSpelling, difficulty } or null
+     * @returns {Object|null} Word object with { id, correct_spelling, wrong_spelling, extra_wrong_spellings, difficulty } or null
      */
     getRandomWord(difficulty = null) {
         let availableWords = this.filterWordsByDifficulty(this.wordsCache, difficulty);
@@ -253,10 +332,7 @@ class WordManager {
             return null;
         }
 
-        // Use Phaser's RND if available, otherwise fall back to Math.random
-        const randomIndex = typeof Phaser !== 'undefined' && Phaser.Math?.RND?.pick 
-            ? Phaser.Math.RND.between(0, availableWords.length - 1)
-            : Math.floor(Math.random() * availableWords.length);
+        const randomIndex = Math.floor(this.random() * availableWords.length);
 
         return availableWords[randomIndex];
     }
@@ -270,6 +346,18 @@ class WordManager {
         return this.wordsCache.find(word => word.id === wordId) || null;
     }
 
+    /**
+     * Get the error category an answer counts towards
+     * A misspelling can have its own category (words.misspelling_categories); otherwise the
+     * word's category is used, also for correct answers
+     * @param {Object} word - Word object
+     * @param {string|null} chosenSpelling - Spelling the player chose
+     * @returns {string|null} Error category or null when the word is not tagged
+     */
+    getErrorCategory(word, chosenSpelling) {
+        return word.misspelling_categories?.[chosenSpelling] || word.category || null;
+    }
+
     /**
      * Clear the cache to force refresh on next loadWords() call
      */
@@ -286,9 +374,20 @@ class WordManager {
         this.sessionWords = null;
         this.sessionWordIndex = 0;
         this.playerStats = null;
+        this.rng = null;
         console.log('Session cleared');
     }
 
+    /**
+     * Filter words by language; words without one belong to the Dutch word bank
+     * @param {Array} words - Array of word objects
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Array} Filtered array of words
+     */
+    filterWordsByLanguage(words, language) {
+        return words.filter(word => (word.language || DEFAULT_WORD_LANGUAGE) === language);
+    }
+
     /**
      * Filter words by difficulty
      * @param {Array} words - Array of word objects
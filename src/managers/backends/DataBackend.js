@@ -0,0 +1,307 @@
+/**
+ * DataBackend - Base class describing the storage contract used by DatabaseManager
+ * Every method resolves to { data, error } and never throws, so callers can
+ * treat the online (Supabase) and offline (local) backends the same way
+ */
+export class DataBackend {
+    /**
+     * Short identifier of the backend ('supabase' or 'local')
+     * @returns {string}
+     */
+    get type() {
+        throw new Error(`${this.constructor.name} must implement type`)
+    }
+
+    /**
+     * Supabase client used by this backend, or null when running offline
+     * @returns {Object|null}
+     */
+    getSupabase() {
+        return null
+    }
+
+    /**
+     * @param {string|null} difficulty - 'easy', 'medium', 'hard', or null for all
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWords(difficulty = null, language = null) {
+        return this.notImplemented('getWords')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerWordStats(playerId) {
+        return this.notImplemented('getPlayerWordStats')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @param {string} wordId - UUID of the word
+     * @param {boolean} isCorrect - Whether the player answered correctly
+     * @param {string} answeredAt - ISO timestamp of the answer (defaults to now)
+     * @param {string|null} writeId - Client id of the answer, so a replayed write is applied once
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async upsertWordStat(playerId, wordId, isCorrect, answeredAt = new Date().toISOString(), writeId = null) {
+        return this.notImplemented('upsertWordStat')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @param {string} sessionId - UUID of the session that starts
+     * @param {string} startedAt - ISO timestamp of the start on the device
+     * @returns {Promise<{data: string|null, error: string|null}>}
+     */
+    async startGameSession(playerId, sessionId, startedAt = new Date().toISOString()) {
+        return this.notImplemented('startGameSession')
+    }
+
+    /**
+     * @param {Object} sessionData - Session data object
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async saveGameSession(sessionData) {
+        return this.notImplemented('saveGameSession')
+    }
+
+    /**
+     * Personal bests are stored with the session now (see saveGameSession)
+     * Kept so saveHighscore writes queued by an older version are dropped instead of blocking the outbox
+     * @returns {Promise<{data: null, error: string}>}
+     */
+    async saveHighscore() {
+        return { data: null, error: 'saveHighscore was replaced by saveGameSession' }
+    }
+
+    /**
+     * @param {number} limit - Maximum number of highscores to return
+     * @param {string|null} difficulty - Difficulty filter or null for all
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHighscores(limit = 10, difficulty = null) {
+        return this.notImplemented('getHighscores')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async getPersonalBest(playerId, difficulty, language) {
+        return this.notImplemented('getPersonalBest')
+    }
+
+    /**
+     * @param {number} score - Score to rank
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: number|null, error: string|null}>}
+     */
+    async getHighscoreRank(score, difficulty, language) {
+        return this.notImplemented('getHighscoreRank')
+    }
+
+    /**
+     * @param {string} difficulty - Difficulty level
+     * @param {{since: string|null, classId: string|null, language: string, limit: number}} options - Leaderboard filters
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getLeaderboard(difficulty, options = {}) {
+        return this.notImplemented('getLeaderboard')
+    }
+
+    /**
+     * @param {string} authId - UUID from Supabase Auth
+     * @param {string} username - Player's chosen username
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async createPlayer(authId, username) {
+        return this.notImplemented('createPlayer')
+    }
+
+    /**
+     * @param {string} authId - UUID from Supabase Auth
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async getPlayerByAuthId(authId) {
+        return this.notImplemented('getPlayerByAuthId')
+    }
+
+    /**
+     * @param {string} playerId - players.id of the signed-in player
+     * @param {Object} preferences - Settings to store in players.preferences
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async savePlayerPreferences(playerId, preferences) {
+        return this.notImplemented('savePlayerPreferences')
+    }
+
+    /**
+     * @param {string} teacherId - players.id of the teacher
+     * @param {string} name - Class name
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async createClass(teacherId, name) {
+        return this.notImplemented('createClass')
+    }
+
+    /**
+     * @param {string} teacherId - players.id of the teacher
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getTeacherClasses(teacherId) {
+        return this.notImplemented('getTeacherClasses')
+    }
+
+    /**
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassRoster(classId) {
+        return this.notImplemented('getClassRoster')
+    }
+
+    /**
+     * @param {string} code - Class join code
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async joinClassByCode(code) {
+        return this.notImplemented('joinClassByCode')
+    }
+
+    /**
+     * @param {string} classId - UUID of the class
+     * @param {string} playerId - players.id of the student
+     * @returns {Promise<{data: null, error: string|null}>}
+     */
+    async removeStudentFromClass(classId, playerId) {
+        return this.notImplemented('removeStudentFromClass')
+    }
+
+    /**
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async regenerateJoinCode(classId) {
+        return this.notImplemented('regenerateJoinCode')
+    }
+
+    /**
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassWordStats(classId) {
+        return this.notImplemented('getClassWordStats')
+    }
+
+    /**
+     * @param {string} classId - UUID of the class
+     * @param {number} limit - Maximum number of sessions to return
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassGameSessions(classId, limit = 100) {
+        return this.notImplemented('getClassGameSessions')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of sessions to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerSessions(playerId, limit = 100, language = null) {
+        return this.notImplemented('getPlayerSessions')
+    }
+
+    /**
+     * @param {string} sessionId - UUID of the session
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async getSessionReplay(sessionId) {
+        return this.notImplemented('getSessionReplay')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getMasteredWords(playerId, language = null) {
+        return this.notImplemented('getMasteredWords')
+    }
+
+    /**
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of words to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHardestWords(playerId, limit = 5, language = null) {
+        return this.notImplemented('getHardestWords')
+    }
+
+    /**
+     * @param {string} playerId - players.id of the student
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getActiveAssignments(playerId) {
+        return this.notImplemented('getActiveAssignments')
+    }
+
+    /**
+     * @param {string} wordListId - UUID of the word list
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWordListWords(wordListId) {
+        return this.notImplemented('getWordListWords')
+    }
+
+    /**
+     * @param {Object} attempt - word_attempts row
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async recordAttempt(attempt) {
+        return this.notImplemented('recordAttempt')
+    }
+
+    /**
+     * @param {string} code - Class join code
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getLoginRoster(code) {
+        return this.notImplemented('getLoginRoster')
+    }
+
+    /**
+     * @param {string} code - Class join code
+     * @param {string} playerId - players.id of the student
+     * @param {string} pictures - Comma separated picture keys
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async verifyPicturePassword(code, playerId, pictures) {
+        return this.notImplemented('verifyPicturePassword')
+    }
+
+    /**
+     * @param {string} token - Login token from verifyPicturePassword
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async claimPictureLogin(token) {
+        return this.notImplemented('claimPictureLogin')
+    }
+
+    /**
+     * Uniform error result for operations a backend does not support
+     * @param {string} method - Name of the missing method
+     * @returns {{data: null, error: string}}
+     */
+    notImplemented(method) {
+        return { data: null, error: `${method} is not supported by the ${this.type} backend` }
+    }
+}
+
+export default DataBackend
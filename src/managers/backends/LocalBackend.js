@@ -0,0 +1,527 @@
+import { DataBackend } from './DataBackend.js'
+import { calculateWordStat } from '../../utils/wordStats.js'
+import { STORAGE_PREFIX, getLocalStorage } from '../../utils/storage.js'
+import { REPLAY, DEFAULT_WORD_LANGUAGE } from '../../utils/constants.js'
+import bundledWords from '../../data/words.json'
+
+const LOCAL_ATTEMPT_LIMIT = 3000 // Offline mode keeps the newest word attempts only
+
+// Bundled words and sessions stored before there were word languages are Dutch
+const languageOf = row => row?.language || DEFAULT_WORD_LANGUAGE
+
+const bundledWordById = id => bundledWords.find(word => word.id === id)
+
+/**
+ * LocalBackend - Offline data backend
+ * Words come from the bundled word list, progress is kept in localStorage
+ * (or in memory when localStorage is unavailable, e.g. in private mode)
+ */
+export class LocalBackend extends DataBackend {
+    #memoryStore = new Map()
+
+    constructor() {
+        super()
+        this.storage = getLocalStorage()
+    }
+
+    get type() {
+        return 'local'
+    }
+
+    /**
+     * Read all rows of a locally stored table
+     * @param {string} table - Table name (mirrors the Supabase table names)
+     * @returns {Array} Stored rows
+     */
+    readTable(table) {
+        const key = STORAGE_PREFIX + table
+        const raw = this.storage ? this.storage.getItem(key) : this.#memoryStore.get(key)
+        if (!raw) return []
+
+        try {
+            return JSON.parse(raw)
+        } catch (error) {
+            console.error(`Corrupt local table ${table}, resetting:`, error)
+            return []
+        }
+    }
+
+    /**
+     * Replace all rows of a locally stored table
+     * @param {string} table - Table name
+     * @param {Array} rows - Rows to store
+     */
+    writeTable(table, rows) {
+        const key = STORAGE_PREFIX + table
+        const raw = JSON.stringify(rows)
+        if (this.storage) {
+            this.storage.setItem(key, raw)
+        } else {
+            this.#memoryStore.set(key, raw)
+        }
+    }
+
+    /**
+     * Insert a row into a local table, adding id and timestamp columns
+     * @param {string} table - Table name
+     * @param {Object} row - Row to insert
+     * @param {string} timestampColumn - Column that receives the insert time
+     * @returns {Object} The stored row
+     */
+    insertRow(table, row, timestampColumn) {
+        const stored = {
+            id: crypto.randomUUID(),
+            [timestampColumn]: new Date().toISOString(),
+            ...row
+        }
+        const rows = this.readTable(table)
+        rows.push(stored)
+        this.writeTable(table, rows)
+        return stored
+    }
+
+    /**
+     * Fetch words from the bundled word list, optionally filtered by difficulty and language
+     * @param {string|null} difficulty - 'easy', 'medium', 'hard', or null for all
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWords(difficulty = null, language = null) {
+        const words = bundledWords.filter(word =>
+            (!difficulty || word.difficulty === difficulty) &&
+            (!language || languageOf(word) === language)
+        )
+        return { data: words.map(word => ({ ...word, language: languageOf(word) })), error: null }
+    }
+
+    /**
+     * Fetch word statistics for a specific player, joined with their words
+     * @param {string} playerId - UUID of the player
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerWordStats(playerId) {
+        try {
+            const data = this.readTable('player_word_stats')
+                .filter(stat => stat.player_id === playerId)
+                .sort((a, b) => (b.last_seen_date || '').localeCompare(a.last_seen_date || ''))
+                .map(stat => {
+                    const word = bundledWordById(stat.word_id)
+                    return {
+                        ...stat,
+                        words: word ? {
+                            correct_spelling: word.correct_spelling,
+                            wrong_spelling: word.wrong_spelling,
+                            difficulty: word.difficulty
+                        } : null
+                    }
+                })
+
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getPlayerWordStats:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Update or insert word statistics for a player
+     * @param {string} playerId - UUID of the player
+     * @param {string} wordId - UUID of the word
+     * @param {boolean} isCorrect - Whether the player answered correctly
+     * @param {string} answeredAt - ISO timestamp of the answer (defaults to now)
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async upsertWordStat(playerId, wordId, isCorrect, answeredAt = new Date().toISOString()) {
+        try {
+            const rows = this.readTable('player_word_stats')
+            const index = rows.findIndex(stat => stat.player_id === playerId && stat.word_id === wordId)
+            const existingStats = index >= 0 ? rows[index] : null
+
+            const newStats = {
+                id: existingStats?.id || crypto.randomUUID(),
+                ...calculateWordStat(existingStats, playerId, wordId, isCorrect, answeredAt)
+            }
+
+            if (index >= 0) {
+                rows[index] = newStats
+            } else {
+                rows.push(newStats)
+            }
+            this.writeTable('player_word_stats', rows)
+
+            return { data: newStats, error: null }
+        } catch (error) {
+            console.error('Local storage error in upsertWordStat:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Session starts only bound client times on the server; locally the start time is just reported back
+     * @param {string} playerId - UUID of the player
+     * @param {string} sessionId - UUID of the session that starts
+     * @param {string} startedAt - ISO timestamp of the start on the device
+     * @returns {Promise<{data: string, error: null}>}
+     */
+    async startGameSession(playerId, sessionId, startedAt = new Date().toISOString()) {
+        return { data: startedAt, error: null }
+    }
+
+    /**
+     * Save a game session record and update the personal best of its difficulty
+     * There is no server here, so the client's score is taken as is. Assisted sessions never
+     * become a personal best
+     * @param {Object} sessionData - Session data object
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async saveGameSession(sessionData) {
+        try {
+            const session = this.insertRow('game_sessions', sessionData, 'played_at')
+            if (session.player_id && session.score > 0 && !session.assisted) {
+                this.updatePersonalBest(session.player_id, session.score, session.difficulty, languageOf(session), session.played_at)
+            }
+            this.pruneReplays()
+            return { data: session, error: null }
+        } catch (error) {
+            console.error('Local storage error in saveGameSession:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Only keep the replays of the newest sessions, so localStorage does not fill up
+     */
+    pruneReplays() {
+        const sessions = this.readTable('game_sessions')
+        const newest = sessions
+            .filter(session => session.replay)
+            .sort((a, b) => (b.played_at || '').localeCompare(a.played_at || ''))
+        if (newest.length <= REPLAY.LOCAL_LIMIT) return
+
+        const kept = new Set(newest.slice(0, REPLAY.LOCAL_LIMIT).map(session => session.id))
+        this.writeTable('game_sessions', sessions.map(session =>
+            session.replay && !kept.has(session.id) ? { ...session, replay: null } : session
+        ))
+    }
+
+    /**
+     * Only keep the newest word attempts, so localStorage does not fill up
+     */
+    pruneAttempts() {
+        const attempts = this.readTable('word_attempts')
+        if (attempts.length <= LOCAL_ATTEMPT_LIMIT) return
+
+        const newest = [...attempts]
+            .sort((a, b) => (b.attempted_at || '').localeCompare(a.attempted_at || ''))
+            .slice(0, LOCAL_ATTEMPT_LIMIT)
+        this.writeTable('word_attempts', newest)
+    }
+
+    /**
+     * Keep one highscores row per player, difficulty and word language, only replaced by a higher score
+     * @param {string} playerId - UUID of the player
+     * @param {number} score - Score achieved
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @param {string} achievedAt - ISO timestamp of the score
+     */
+    updatePersonalBest(playerId, score, difficulty, language, achievedAt) {
+        const rows = this.readTable('highscores')
+        const index = rows.findIndex(row =>
+            row.player_id === playerId && row.difficulty === difficulty && languageOf(row) === language
+        )
+
+        if (index === -1) {
+            this.insertRow('highscores', { player_id: playerId, score, difficulty, language, achieved_at: achievedAt }, 'achieved_at')
+        } else if (rows[index].score < score) {
+            rows[index] = { ...rows[index], score, achieved_at: achievedAt }
+            this.writeTable('highscores', rows)
+        }
+    }
+
+    /**
+     * Fetch top highscores, optionally filtered by difficulty
+     * @param {number} limit - Maximum number of highscores to return
+     * @param {string|null} difficulty - Difficulty filter or null for all
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHighscores(limit = 10, difficulty = null) {
+        try {
+            const players = this.readTable('players')
+            const data = this.readTable('highscores')
+                .filter(row => !difficulty || row.difficulty === difficulty)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(row => {
+                    const player = players.find(p => p.id === row.player_id)
+                    return { ...row, players: player ? { username: player.username } : null }
+                })
+
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getHighscores:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch the player's personal best for a difficulty and word language
+     * @param {string} playerId - UUID of the player
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: Object|null, error: string|null}>} null data when the player has no highscore yet
+     */
+    async getPersonalBest(playerId, difficulty, language) {
+        try {
+            const data = this.readTable('highscores')
+                .find(row => row.player_id === playerId && row.difficulty === difficulty && languageOf(row) === language) || null
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getPersonalBest:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Get the all-time leaderboard position of a score
+     * @param {number} score - Score to rank
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: number|null, error: string|null}>} 1 for the best score
+     */
+    async getHighscoreRank(score, difficulty, language) {
+        try {
+            const better = this.readTable('highscores')
+                .filter(row => row.difficulty === difficulty && languageOf(row) === language && row.score > score)
+            return { data: better.length + 1, error: null }
+        } catch (error) {
+            console.error('Local storage error in getHighscoreRank:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch the best score per player for a difficulty and word language
+     * Classes only exist online, so a class leaderboard is empty here
+     * @param {string} difficulty - Difficulty level
+     * @param {Object} options
+     * @param {string|null} options.since - ISO timestamp; only count games played since then (null for all-time)
+     * @param {string|null} options.classId - Only include members of this class
+     * @param {string} options.language - Key of WORD_LANGUAGES
+     * @param {number} options.limit - Maximum number of rows
+     * @returns {Promise<{data: Array<{player_id, username, score, achieved_at}>|null, error: string|null}>}
+     */
+    async getLeaderboard(difficulty, { since = null, classId = null, language = DEFAULT_WORD_LANGUAGE, limit = 10 } = {}) {
+        if (classId) {
+            return { data: [], error: null }
+        }
+
+        try {
+            const candidates = since
+                ? this.readTable('game_sessions')
+                    .filter(s => s.difficulty === difficulty && languageOf(s) === language && s.played_at >= since &&
+                        s.score > 0 && !s.assisted)
+                    .map(s => ({ player_id: s.player_id, score: s.score, achieved_at: s.played_at }))
+                : this.readTable('highscores').filter(row => row.difficulty === difficulty && languageOf(row) === language)
+
+            // Keep the best (and earliest) score of every player
+            const best = new Map()
+            candidates.forEach(row => {
+                const current = best.get(row.player_id)
+                if (!current || row.score > current.score ||
+                    (row.score === current.score && row.achieved_at < current.achieved_at)) {
+                    best.set(row.player_id, row)
+                }
+            })
+
+            const players = this.readTable('players')
+            const data = [...best.values()]
+                .sort((a, b) => b.score - a.score || a.achieved_at.localeCompare(b.achieved_at))
+                .slice(0, limit)
+                .map(row => ({
+                    player_id: row.player_id,
+                    username: players.find(p => p.id === row.player_id)?.username || null,
+                    score: row.score,
+                    achieved_at: row.achieved_at
+                }))
+
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getLeaderboard:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Create a new player record
+     * @param {string} authId - Auth user id (null for local-only players)
+     * @param {string} username - Player's chosen username
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async createPlayer(authId, username) {
+        try {
+            if (this.readTable('players').some(player => player.username === username)) {
+                return { data: null, error: 'Username already exists' }
+            }
+
+            const row = { auth_id: authId, username }
+            return { data: this.insertRow('players', row, 'created_at'), error: null }
+        } catch (error) {
+            console.error('Local storage error in createPlayer:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch the local players row that belongs to an auth user
+     * @param {string} authId - Auth user id
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async getPlayerByAuthId(authId) {
+        try {
+            const player = this.readTable('players').find(p => p.auth_id === authId) || null
+            return { data: player, error: null }
+        } catch (error) {
+            console.error('Local storage error in getPlayerByAuthId:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Store settings on a local players row
+     * @param {string} playerId - UUID of the player
+     * @param {Object} preferences - Settings to store in preferences
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async savePlayerPreferences(playerId, preferences) {
+        try {
+            const rows = this.readTable('players')
+            const player = rows.find(p => p.id === playerId)
+            if (!player) {
+                return { data: null, error: 'Player not found' }
+            }
+
+            player.preferences = preferences
+            this.writeTable('players', rows)
+            return { data: preferences, error: null }
+        } catch (error) {
+            console.error('Local storage error in savePlayerPreferences:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch the player's own game sessions, newest first
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of sessions to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerSessions(playerId, limit = 100, language = null) {
+        try {
+            const data = this.readTable('game_sessions')
+                .filter(session => session.player_id === playerId)
+                .filter(session => !language || languageOf(session) === language)
+                .sort((a, b) => (b.played_at || '').localeCompare(a.played_at || ''))
+                .slice(0, limit)
+
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getPlayerSessions:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch one game session with its replay
+     * @param {string} sessionId - UUID of the session
+     * @returns {Promise<{data: Object|null, error: string|null}>} null data when there is no such session
+     */
+    async getSessionReplay(sessionId) {
+        try {
+            const session = this.readTable('game_sessions').find(row => row.id === sessionId) || null
+            return { data: session, error: null }
+        } catch (error) {
+            console.error('Local storage error in getSessionReplay:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch the words the player currently masters, with the date each was mastered
+     * @param {string} playerId - UUID of the player
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getMasteredWords(playerId, language = null) {
+        try {
+            const data = this.readTable('player_word_stats')
+                .filter(stat => stat.player_id === playerId && stat.mastered_at)
+                .filter(stat => !language || languageOf(bundledWordById(stat.word_id)) === language)
+                .sort((a, b) => a.mastered_at.localeCompare(b.mastered_at))
+                .map(stat => ({ word_id: stat.word_id, mastered_at: stat.mastered_at }))
+
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getMasteredWords:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch the words the player got wrong most often
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of words to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHardestWords(playerId, limit = 5, language = null) {
+        try {
+            const data = this.readTable('player_word_stats')
+                .filter(stat => stat.player_id === playerId && stat.total_wrong > 0)
+                .filter(stat => !language || languageOf(bundledWordById(stat.word_id)) === language)
+                .sort((a, b) => b.total_wrong - a.total_wrong)
+                .slice(0, limit)
+                .map(stat => {
+                    const word = bundledWordById(stat.word_id)
+                    return {
+                        total_correct: stat.total_correct,
+                        total_wrong: stat.total_wrong,
+                        words: word ? { correct_spelling: word.correct_spelling, wrong_spelling: word.wrong_spelling } : null
+                    }
+                })
+
+            return { data, error: null }
+        } catch (error) {
+            console.error('Local storage error in getHardestWords:', error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Assignments need a class, which only exists online
+     * @param {string} playerId - Player id
+     * @returns {Promise<{data: Array, error: null}>}
+     */
+    async getActiveAssignments(playerId) {
+        return { data: [], error: null }
+    }
+
+    /**
+     * Record a single gate decision
+     * @param {Object} attempt - word_attempts row (player_id, word_id, is_correct, ...)
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async recordAttempt(attempt) {
+        try {
+            const stored = this.insertRow('word_attempts', attempt, 'attempted_at')
+            this.pruneAttempts()
+            return { data: stored, error: null }
+        } catch (error) {
+            console.error('Local storage error in recordAttempt:', error)
+            return { data: null, error: error.message }
+        }
+    }
+}
+
+export default LocalBackend
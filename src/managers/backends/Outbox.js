@@ -0,0 +1,88 @@
+import { STORAGE_PREFIX, getLocalStorage } from '../../utils/storage.js'
+
+const OUTBOX_KEY = `${STORAGE_PREFIX}outbox`
+
+/**
+ * Outbox - Persistent FIFO queue of pending database writes
+ * Entries survive page reloads so progress made on flaky Wi-Fi is never lost.
+ * Each entry stores the DatabaseManager method name and its arguments. On a shared device
+ * the queue holds the writes of every player; DatabaseManager replays a player's writes
+ * only while that player is signed in.
+ */
+export class Outbox {
+    #memoryEntries = []
+
+    /**
+     * @param {Storage|null} storage - Storage to persist entries in, memory only when null
+     */
+    constructor(storage = getLocalStorage()) {
+        this.storage = storage
+    }
+
+    /**
+     * Get all queued entries, oldest first
+     * @returns {Array<{id: string, method: string, args: Array, queuedAt: string, attempts: number}>}
+     */
+    getEntries() {
+        if (!this.storage) return [...this.#memoryEntries]
+
+        try {
+            return JSON.parse(this.storage.getItem(OUTBOX_KEY)) || []
+        } catch (error) {
+            console.error('Corrupt outbox, discarding queued writes:', error)
+            return []
+        }
+    }
+
+    /**
+     * Number of writes waiting to be synced
+     * @returns {number}
+     */
+    get size() {
+        return this.getEntries().length
+    }
+
+    /**
+     * Append a write to the end of the queue
+     * @param {string} method - DatabaseManager write method name
+     * @param {Array} args - Arguments for the method (must be JSON serialisable)
+     * @returns {Object} The queued entry
+     */
+    push(method, args) {
+        const entry = {
+            id: crypto.randomUUID(),
+            method,
+            args,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        }
+        this.#save([...this.getEntries(), entry])
+        return entry
+    }
+
+    /**
+     * Replace a queued entry (e.g. after increasing its attempt count)
+     * @param {Object} entry - Entry with an id that is already queued
+     */
+    update(entry) {
+        this.#save(this.getEntries().map(queued => queued.id === entry.id ? entry : queued))
+    }
+
+    /**
+     * Remove an entry once it has been synced or rejected
+     * @param {string} id - Entry id
+     */
+    remove(id) {
+        this.#save(this.getEntries().filter(entry => entry.id !== id))
+    }
+
+    #save(entries) {
+        if (this.storage) {
+            this.storage.setItem(OUTBOX_KEY, JSON.stringify(entries))
+        } else {
+            this.#memoryEntries = entries
+        }
+    }
+}
+
+export default Outbox
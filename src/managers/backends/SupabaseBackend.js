@@ -0,0 +1,586 @@
+import { createClient } from '@supabase/supabase-js'
+import { DataBackend } from './DataBackend.js'
+
+/**
+ * SupabaseBackend - Online data backend talking to the Supabase database
+ * All queries are raced against a 5 second timeout
+ */
+export class SupabaseBackend extends DataBackend {
+    /**
+     * @param {string} supabaseUrl - Supabase project URL
+     * @param {string} supabaseKey - Supabase anonymous key
+     */
+    constructor(supabaseUrl, supabaseKey) {
+        super()
+        this.supabase = createClient(supabaseUrl, supabaseKey)
+    }
+
+    get type() {
+        return 'supabase'
+    }
+
+    /**
+     * Get the Supabase client for direct access
+     */
+    getSupabase() {
+        return this.supabase
+    }
+
+    /**
+     * Run a query raced against the 5 second timeout and normalise its result
+     * @param {string} operation - Name used in error logs
+     * @param {Function} queryFn - Async function returning a Supabase { data, error } response
+     * @returns {Promise<{data: *, error: string|null}>}
+     */
+    async runQuery(operation, queryFn) {
+        try {
+            const timeoutPromise = new Promise((_, reject) => 
+                setTimeout(() => reject(new Error('Database timeout')), 5000)
+            )
+
+            const result = await Promise.race([queryFn(), timeoutPromise])
+
+            if (result.error) {
+                console.error(`Error in ${operation}:`, result.error)
+                return { data: null, error: result.error.message }
+            }
+
+            return { data: result.data, error: null }
+        } catch (error) {
+            console.error(`Database error in ${operation}:`, error)
+            return { data: null, error: error.message }
+        }
+    }
+
+    /**
+     * Fetch words from the database, optionally filtered by difficulty and language
+     * @param {string|null} difficulty - 'easy', 'medium', 'hard', or null for all
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWords(difficulty = null, language = null) {
+        return this.runQuery('getWords', () => {
+            let query = this.supabase
+                .from('words')
+                .select('*')
+                .order('created_at', { ascending: false })
+
+            if (difficulty) {
+                query = query.eq('difficulty', difficulty)
+            }
+            if (language) {
+                query = query.eq('language', language)
+            }
+
+            return query
+        })
+    }
+
+    /**
+     * Fetch word statistics for a specific player
+     * @param {string} playerId - UUID of the player
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerWordStats(playerId) {
+        return this.runQuery('getPlayerWordStats', () => this.supabase
+            .from('player_word_stats')
+            .select(`
+                *,
+                words (
+                    correct_spelling,
+                    wrong_spelling,
+                    difficulty
+                )
+            `)
+            .eq('player_id', playerId)
+            .order('last_seen_date', { ascending: false }))
+    }
+
+    /**
+     * Update or insert word statistics for a player (record_word_result)
+     * The database locks the row and applies the answer in one step, so two devices
+     * answering the same word at once cannot overwrite each other's counters
+     * @param {string} playerId - UUID of the player
+     * @param {string} wordId - UUID of the word
+     * @param {boolean} isCorrect - Whether the player answered correctly
+     * @param {string} answeredAt - ISO timestamp of the answer (defaults to now)
+     * @param {string|null} writeId - Client id of the answer; a replay with an applied id changes nothing
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async upsertWordStat(playerId, wordId, isCorrect, answeredAt = new Date().toISOString(), writeId = null) {
+        return this.runQuery('upsertWordStat', () => this.supabase
+            .rpc('record_word_result', {
+                target_player: playerId,
+                target_word: wordId,
+                correct: isCorrect,
+                answered: answeredAt,
+                target_write: writeId
+            }))
+    }
+
+    /**
+     * Note the time at which a session starts (start_game_session)
+     * submit_game_session bounds the session's attempt times, duration and date by it. The send time
+     * tells the server how long the start waited in the outbox: a start sent right away gets the
+     * server's time, one synced late keeps startedAt
+     * @param {string} playerId - players.id of the signed-in player
+     * @param {string} sessionId - UUID of the session that starts
+     * @param {string} startedAt - ISO timestamp of the start on the device
+     * @returns {Promise<{data: string|null, error: string|null}>} The recorded start time
+     */
+    async startGameSession(playerId, sessionId, startedAt = new Date().toISOString()) {
+        return this.runQuery('startGameSession', () => this.supabase
+            .rpc('start_game_session', {
+                target_session: sessionId,
+                target_player: playerId,
+                target_started: startedAt,
+                target_sent: new Date().toISOString()
+            })
+        )
+    }
+
+    /**
+     * Submit a finished game session
+     * The server recomputes score and accuracy from the session's word_attempts, runs the
+     * plausibility checks and updates the personal best (see submit_game_session); an assisted
+     * session is stored without touching the personal best
+     * @param {Object} sessionData - Session data object (id, player_id, difficulty, duration_seconds, ...)
+     * @returns {Promise<{data: Object|null, error: string|null}>} The game_sessions row as stored
+     */
+    async saveGameSession(sessionData) {
+        return this.runQuery('saveGameSession', () => this.supabase
+            .rpc('submit_game_session', {
+                target_session: sessionData.id,
+                target_player: sessionData.player_id,
+                target_difficulty: sessionData.difficulty,
+                duration: sessionData.duration_seconds,
+                target_assignment: sessionData.assignment_id || null,
+                mode: sessionData.scoring_mode || 'fixed',
+                played: sessionData.played_at,
+                target_replay: sessionData.replay || null,
+                target_language: sessionData.language || 'nl',
+                target_assisted: Boolean(sessionData.assisted)
+            })
+        )
+    }
+
+    /**
+     * Fetch the player's personal best for a difficulty and word language
+     * @param {string} playerId - UUID of the player
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: Object|null, error: string|null}>} null data when the player has no highscore yet
+     */
+    async getPersonalBest(playerId, difficulty, language) {
+        return this.runQuery('getPersonalBest', () => this.supabase
+            .from('highscores')
+            .select('score, achieved_at')
+            .eq('player_id', playerId)
+            .eq('difficulty', difficulty)
+            .eq('language', language)
+            .maybeSingle()
+        )
+    }
+
+    /**
+     * Get the all-time leaderboard position of a score
+     * @param {number} score - Score to rank
+     * @param {string} difficulty - Difficulty level
+     * @param {string} language - Key of WORD_LANGUAGES
+     * @returns {Promise<{data: number|null, error: string|null}>} 1 for the best score
+     */
+    async getHighscoreRank(score, difficulty, language) {
+        return this.runQuery('getHighscoreRank', () => this.supabase
+            .from('highscores')
+            .select('id', { count: 'exact', head: true })
+            .eq('difficulty', difficulty)
+            .eq('language', language)
+            .gt('score', score)
+            .then(({ count, error }) => ({ data: error ? null : count + 1, error }))
+        )
+    }
+
+    /**
+     * Fetch the best score per player for a difficulty and word language
+     * @param {string} difficulty - Difficulty level
+     * @param {Object} options
+     * @param {string|null} options.since - ISO timestamp; only count games played since then (null for all-time)
+     * @param {string|null} options.classId - Only include members of this class
+     * @param {string} options.language - Key of WORD_LANGUAGES
+     * @param {number} options.limit - Maximum number of rows
+     * @returns {Promise<{data: Array<{player_id, username, score, achieved_at}>|null, error: string|null}>}
+     */
+    async getLeaderboard(difficulty, { since = null, classId = null, language = 'nl', limit = 10 } = {}) {
+        return this.runQuery('getLeaderboard', () => this.supabase
+            .rpc('get_leaderboard', {
+                target_difficulty: difficulty,
+                since,
+                target_class: classId,
+                max_rows: limit,
+                target_language: language
+            })
+        )
+    }
+
+    /**
+     * Fetch top highscores, optionally filtered by difficulty
+     * @param {number} limit - Maximum number of highscores to return
+     * @param {string|null} difficulty - Difficulty filter or null for all
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHighscores(limit = 10, difficulty = null) {
+        return this.runQuery('getHighscores', () => {
+            let query = this.supabase
+                .from('highscores')
+                .select(`
+                    *,
+                    players (
+                        username
+                    )
+                `)
+                .order('score', { ascending: false })
+                .limit(limit)
+
+            if (difficulty) {
+                query = query.eq('difficulty', difficulty)
+            }
+
+            return query
+        })
+    }
+
+    /**
+     * Create a new player record
+     * @param {string} authId - UUID from Supabase Auth
+     * @param {string} username - Player's chosen username
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async createPlayer(authId, username) {
+        return this.runQuery('createPlayer', () => this.supabase
+            .from('players')
+            .insert({
+                auth_id: authId,
+                username: username
+            })
+            .select()
+            .single())
+    }
+
+    /**
+     * Fetch the players row that belongs to a Supabase Auth user, with the classes it is in
+     * @param {string} authId - UUID from Supabase Auth
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async getPlayerByAuthId(authId) {
+        return this.runQuery('getPlayerByAuthId', () => this.supabase
+            .from('players')
+            .select('*, class_members (classes (id, name, scoring_mode))')
+            .eq('auth_id', authId)
+            .maybeSingle()
+        )
+    }
+
+    /**
+     * Store the player's settings through save_player_preferences
+     * (players has no update policy, so the function only ever writes the preferences column)
+     * @param {string} playerId - players.id of the signed-in player
+     * @param {Object} preferences - Settings to store in players.preferences
+     * @returns {Promise<{data: Object|null, error: string|null}>} The stored preferences
+     */
+    async savePlayerPreferences(playerId, preferences) {
+        return this.runQuery('savePlayerPreferences', () => this.supabase
+            .rpc('save_player_preferences', {
+                target_player: playerId,
+                target_preferences: preferences
+            })
+        )
+    }
+
+    /**
+     * Create a class with a generated join code
+     * @param {string} teacherId - players.id of the teacher
+     * @param {string} name - Class name
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async createClass(teacherId, name) {
+        return this.runQuery('createClass', () => this.supabase
+            .from('classes')
+            .insert({ teacher_id: teacherId, name })
+            .select()
+            .single()
+        )
+    }
+
+    /**
+     * Fetch the classes of a teacher with their student count
+     * @param {string} teacherId - players.id of the teacher
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getTeacherClasses(teacherId) {
+        return this.runQuery('getTeacherClasses', () => this.supabase
+            .from('classes')
+            .select('*, class_members(count)')
+            .eq('teacher_id', teacherId)
+            .order('created_at', { ascending: true })
+        )
+    }
+
+    /**
+     * Fetch the students of a class
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassRoster(classId) {
+        return this.runQuery('getClassRoster', () => this.supabase
+            .from('class_members')
+            .select('joined_at, players (id, username)')
+            .eq('class_id', classId)
+            .order('joined_at', { ascending: true })
+        )
+    }
+
+    /**
+     * Join the class with the given code as the signed-in player
+     * @param {string} code - Class join code
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async joinClassByCode(code) {
+        return this.runQuery('joinClassByCode', () => this.supabase
+            .rpc('join_class', { code })
+        )
+    }
+
+    /**
+     * Remove a student from a class
+     * @param {string} classId - UUID of the class
+     * @param {string} playerId - players.id of the student
+     * @returns {Promise<{data: null, error: string|null}>}
+     */
+    async removeStudentFromClass(classId, playerId) {
+        return this.runQuery('removeStudentFromClass', () => this.supabase
+            .from('class_members')
+            .delete()
+            .eq('class_id', classId)
+            .eq('player_id', playerId)
+        )
+    }
+
+    /**
+     * Replace the join code of a class
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async regenerateJoinCode(classId) {
+        return this.runQuery('regenerateJoinCode', () => this.supabase
+            .rpc('regenerate_join_code', { target_class: classId })
+        )
+    }
+
+    /**
+     * Fetch word statistics of all students in a class
+     * @param {string} classId - UUID of the class
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassWordStats(classId) {
+        return this.runQuery('getClassWordStats', () => this.supabase
+            .from('player_word_stats')
+            .select(`
+                *,
+                words (correct_spelling, wrong_spelling, difficulty),
+                players!inner (username, class_members!inner (class_id))
+            `)
+            .eq('players.class_members.class_id', classId)
+        )
+    }
+
+    /**
+     * Fetch game sessions of all students in a class, newest first
+     * @param {string} classId - UUID of the class
+     * @param {number} limit - Maximum number of sessions to return
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getClassGameSessions(classId, limit = 100) {
+        return this.runQuery('getClassGameSessions', () => this.supabase
+            .from('game_sessions')
+            .select('*, players!inner (username, class_members!inner (class_id))')
+            .eq('players.class_members.class_id', classId)
+            .order('played_at', { ascending: false })
+            .limit(limit)
+        )
+    }
+
+    /**
+     * Fetch the player's own game sessions, newest first
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of sessions to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getPlayerSessions(playerId, limit = 100, language = null) {
+        return this.runQuery('getPlayerSessions', () => {
+            let query = this.supabase
+                .from('game_sessions')
+                .select('score, accuracy, words_attempted, words_correct, difficulty, language, duration_seconds, played_at')
+                .eq('player_id', playerId)
+                .order('played_at', { ascending: false })
+                .limit(limit)
+
+            if (language) {
+                query = query.eq('language', language)
+            }
+            return query
+        })
+    }
+
+    /**
+     * Fetch one game session with its replay (own sessions, or a student's for teachers)
+     * @param {string} sessionId - UUID of the session
+     * @returns {Promise<{data: Object|null, error: string|null}>} null data when the session is not visible
+     */
+    async getSessionReplay(sessionId) {
+        return this.runQuery('getSessionReplay', () => this.supabase
+            .from('game_sessions')
+            .select('id, player_id, score, difficulty, played_at, replay, players (username)')
+            .eq('id', sessionId)
+            .maybeSingle()
+        )
+    }
+
+    /**
+     * Fetch the words the player currently masters, with the date each was mastered
+     * @param {string} playerId - UUID of the player
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getMasteredWords(playerId, language = null) {
+        return this.runQuery('getMasteredWords', () => {
+            let query = this.supabase
+                .from('player_word_stats')
+                .select('word_id, mastered_at, words!inner (language)')
+                .eq('player_id', playerId)
+                .not('mastered_at', 'is', null)
+                .order('mastered_at', { ascending: true })
+
+            if (language) {
+                query = query.eq('words.language', language)
+            }
+            return query
+        })
+    }
+
+    /**
+     * Fetch the words the player got wrong most often
+     * @param {string} playerId - UUID of the player
+     * @param {number} limit - Maximum number of words to return
+     * @param {string|null} language - Key of WORD_LANGUAGES, or null for all languages
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getHardestWords(playerId, limit = 5, language = null) {
+        return this.runQuery('getHardestWords', () => {
+            let query = this.supabase
+                .from('player_word_stats')
+                .select('total_correct, total_wrong, words!inner (correct_spelling, wrong_spelling, language)')
+                .eq('player_id', playerId)
+                .gt('total_wrong', 0)
+                .order('total_wrong', { ascending: false })
+                .limit(limit)
+
+            if (language) {
+                query = query.eq('words.language', language)
+            }
+            return query
+        })
+    }
+
+    /**
+     * Fetch the assignments that are currently running in the player's classes
+     * @param {string} playerId - players.id of the student
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getActiveAssignments(playerId) {
+        // Local calendar date, assignments run from starts_on up to and including ends_on
+        const today = new Date().toLocaleDateString('sv-SE')
+
+        return this.runQuery('getActiveAssignments', () => this.supabase
+            .from('assignments')
+            .select(`
+                *,
+                word_lists (id, name, language),
+                classes!inner (name, scoring_mode, class_members!inner (player_id))
+            `)
+            .eq('classes.class_members.player_id', playerId)
+            .lte('starts_on', today)
+            .gte('ends_on', today)
+            .order('ends_on', { ascending: true })
+        )
+    }
+
+    /**
+     * Fetch the words of a word list
+     * @param {string} wordListId - UUID of the word list
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getWordListWords(wordListId) {
+        const result = await this.runQuery('getWordListWords', () => this.supabase
+            .from('word_list_items')
+            .select('words (*)')
+            .eq('word_list_id', wordListId)
+        )
+
+        if (result.error) return result
+        return { data: result.data.map(item => item.words).filter(Boolean), error: null }
+    }
+
+    /**
+     * Record a single gate decision
+     * A replayed attempt whose id is already stored is skipped (data is then null)
+     * @param {Object} attempt - word_attempts row (id, player_id, word_id, is_correct, ...)
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async recordAttempt(attempt) {
+        return this.runQuery('recordAttempt', () => this.supabase
+            .from('word_attempts')
+            .upsert(attempt, { onConflict: 'id', ignoreDuplicates: true })
+            .select()
+            .maybeSingle()
+        )
+    }
+
+    /**
+     * List the students of a class that can log in with a picture password
+     * @param {string} code - Class join code
+     * @returns {Promise<{data: Array|null, error: string|null}>}
+     */
+    async getLoginRoster(code) {
+        return this.runQuery('getLoginRoster', () => this.supabase
+            .rpc('get_login_roster', { code })
+        )
+    }
+
+    /**
+     * Check a picture password; a correct one yields a single-use login token
+     * @param {string} code - Class join code
+     * @param {string} playerId - players.id of the student
+     * @param {string} pictures - Comma separated picture keys
+     * @returns {Promise<{data: {login_token: string|null, attempts_left: number, locked_until: string|null}|null, error: string|null}>}
+     */
+    async verifyPicturePassword(code, playerId, pictures) {
+        return this.runQuery('verifyPicturePassword', () => this.supabase
+            .rpc('verify_picture_password', { code, target_player: playerId, pictures })
+            .single()
+        )
+    }
+
+    /**
+     * Link the player of a login token to the signed-in session
+     * @param {string} token - Token returned by verifyPicturePassword
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async claimPictureLogin(token) {
+        return this.runQuery('claimPictureLogin', () => this.supabase
+            .rpc('claim_picture_login', { token })
+        )
+    }
+}
+
+export default SupabaseBackend
@@ -2,11 +2,13 @@ import DatabaseManager from '../managers/DatabaseManager.js';
 import AuthManager from '../managers/AuthManager.js';
 import ScoreManager from '../managers/ScoreManager.js';
 import WordManager from '../managers/WordManager.js';
-import { GAME_OVER_STYLE } from '../utils/constants.js';
+import { GAME_OVER_STYLE, DEFAULT_WORD_LANGUAGE } from '../utils/constants.js';
+import { toSessionRecord } from '../utils/sessionRecord.js';
+import { formatDuration, formatPercent, t } from '../utils/i18n.js';
 
 /**
  * GameOverScene - Displays session results and saves to database
- * Shows final stats, checks for highscores, and provides navigation options
+ * Shows final stats, personal best and leaderboard rank, and provides navigation options
  */
 export default class GameOverScene extends Phaser.Scene {
   constructor() {
@@ -26,7 +28,7 @@ export default class GameOverScene extends Phaser.Scene {
     this.load.image('base', 'flappybirdassets/sprites/base.png');
   }
 
-  async create() {
+  create() {
     // Create background (scale to fit 800x600 canvas)
     const bg = this.add.image(400, 300, 'background');
     bg.setDisplaySize(800, 600);
@@ -41,7 +43,7 @@ export default class GameOverScene extends Phaser.Scene {
     this.add.rectangle(400, 300, 800, 600, GAME_OVER_STYLE.overlayColor, GAME_OVER_STYLE.overlayAlpha).setDepth(0);
 
     // Title
-    this.add.text(400, 80, 'Game Over', {
+    this.add.text(400, 80, t('gameOver.title'), {
       fontSize: GAME_OVER_STYLE.titleFontSize,
       color: '#FFFFFF',
       fontStyle: 'bold',
@@ -50,104 +52,151 @@ export default class GameOverScene extends Phaser.Scene {
 
     // Display stats
     const scoreColor = this.sessionStats.score >= 0 ? '#4CAF50' : '#F44336';
-    this.add.text(400, 160, `Final Score: ${this.sessionStats.score}`, {
+    this.add.text(400, 160, t('gameOver.finalScore', { score: this.sessionStats.score }), {
       fontSize: GAME_OVER_STYLE.scoreFontSize,
       color: scoreColor,
       align: 'center'
     }).setOrigin(0.5);
 
-    this.add.text(400, 220, `Words Attempted: ${this.sessionStats.wordsAttempted}`, {
-      fontSize: GAME_OVER_STYLE.statFontSize,
-      color: '#FFFFFF',
-      align: 'center'
-    }).setOrigin(0.5);
+    // One row per stat, GAME_OVER_STYLE.statSpacing apart
+    const averageDecisionTime = Number.isFinite(this.sessionStats.averageDecisionTime)
+      ? formatDuration(this.sessionStats.averageDecisionTime / 1000, 1)
+      : '-';
+    const statRows = [
+      { text: t('gameOver.wordsAttempted', { count: this.sessionStats.wordsAttempted }), color: '#FFFFFF' },
+      { text: t('gameOver.correct', { count: this.sessionStats.wordsCorrect }), color: '#4CAF50' },
+      { text: t('gameOver.wrong', { count: this.sessionStats.wordsWrong }), color: '#F44336' },
+      { text: t('gameOver.accuracy', { accuracy: formatPercent(this.sessionStats.accuracy, 1) }), color: '#FFFFFF' },
+      { text: t('gameOver.averageDecisionTime', { time: averageDecisionTime }), color: '#FFFFFF' },
+      { text: t('gameOver.duration', { duration: formatDuration(Math.max(0, this.sessionStats.duration || 0)) }), color: '#FFFFFF' },
+      { text: t('gameOver.difficulty', { difficulty: t(`difficulty.${this.sessionStats.difficulty || 'easy'}`) }), color: '#FFFFFF' }
+    ];
+    statRows.forEach((row, index) => {
+      this.add.text(400, 210 + index * GAME_OVER_STYLE.statSpacing, row.text, {
+        fontSize: GAME_OVER_STYLE.statFontSize,
+        color: row.color,
+        align: 'center'
+      }).setOrigin(0.5);
+    });
 
-    this.add.text(400, 260, `Correct: ${this.sessionStats.wordsCorrect}`, {
-      fontSize: GAME_OVER_STYLE.statFontSize,
-      color: '#4CAF50',
-      align: 'center'
-    }).setOrigin(0.5);
+    // Get current player profile
+    this.currentPlayer = AuthManager.getInstance().getCurrentPlayer();
+    this.isPersonalBest = false;
+    this.personalBest = null;
+    this.rank = null;
+    this.isQueued = false;
+    this.invalidReason = null;
+    this.resultText = null;
 
-    this.add.text(400, 300, `Wrong: ${this.sessionStats.wordsWrong}`, {
-      fontSize: GAME_OVER_STYLE.statFontSize,
-      color: '#F44336',
-      align: 'center'
-    }).setOrigin(0.5);
+    // Buttons first, so the player can go on while the session is saved
+    this.createButtons();
 
-    const accuracyPercent = (this.sessionStats.accuracy * 100).toFixed(1);
-    this.add.text(400, 340, `Accuracy: ${accuracyPercent}%`, {
-      fontSize: GAME_OVER_STYLE.statFontSize,
-      color: '#FFFFFF',
-      align: 'center'
-    }).setOrigin(0.5);
+    if (this.sessionStats?.assisted) {
+      this.showResultText(t('gameOver.assisted'), { fontSize: '20px', color: '#FFFFFF' });
+    }
 
-    const duration = this.formatDuration(this.sessionStats.duration);
-    this.add.text(400, 380, `Duration: ${duration}`, {
-      fontSize: GAME_OVER_STYLE.statFontSize,
-      color: '#FFFFFF',
-      align: 'center'
-    }).setOrigin(0.5);
+    // Save session to database (if authenticated); the result is shown once it is known
+    if (this.currentPlayer && this.sessionStats) {
+      if (!this.sessionStats.assisted) {
+        this.showResultText(t('gameOver.saving'), { fontSize: '18px', color: '#FFFFFF' });
+      }
+      this.saveSession(this.sessionStats);
+    }
+  }
 
-    this.add.text(400, 420, `Difficulty: ${this.sessionStats.difficulty || 'easy'}`, {
-      fontSize: GAME_OVER_STYLE.statFontSize,
-      color: '#FFFFFF',
-      align: 'center'
-    }).setOrigin(0.5);
+  /**
+   * Save the session and look up the personal best and rank, then show them
+   * Nothing is shown when the player already left the scene or started another game
+   * @param {Object} stats - Session stats passed to this scene
+   */
+  async saveSession(stats) {
+    try {
+      // Personal best before this session, to tell whether it was beaten (assisted sessions never count)
+      const db = DatabaseManager.getInstance();
+      const difficulty = stats.difficulty || 'easy';
+      const language = stats.language || DEFAULT_WORD_LANGUAGE;
+      const bestBefore = stats.assisted ? null : await db.getPersonalBest(this.currentPlayer.id, difficulty, language);
 
-    // Get current player
-    this.currentPlayer = await AuthManager.getInstance().getCurrentUser();
-    this.isHighscore = false;
+      // Save game session (the server recomputes the score from the attempts and updates the personal best)
+      const sessionData = toSessionRecord(stats, this.currentPlayer.id);
+      const { data: savedSession, queued } = await db.saveGameSession(sessionData);
+      this.isQueued = Boolean(queued);
+      this.invalidReason = savedSession?.invalid_reason || null;
+      console.log(queued ? 'Game session queued for sync' : 'Game session saved to database');
 
-    // Save session to database (if authenticated)
-    if (this.currentPlayer && this.sessionStats) {
-      try {
-        // Save game session
-        const sessionData = {
-          player_id: this.currentPlayer.id,
-          score: this.sessionStats.score,
-          words_attempted: this.sessionStats.wordsAttempted,
-          words_correct: this.sessionStats.wordsCorrect,
-          words_wrong: this.sessionStats.wordsWrong,
-          accuracy: this.sessionStats.accuracy,
-          difficulty: this.sessionStats.difficulty || 'easy',
-          duration_seconds: this.sessionStats.duration
-        };
-        await DatabaseManager.getInstance().saveGameSession(sessionData);
-        console.log('Game session saved to database');
-        
-        // Check if this is a highscore (only save if score > 0)
-        if (this.sessionStats.score > 0) {
-          const { data: highscores } = await DatabaseManager.getInstance().getHighscores(1, sessionData.difficulty);
-          const topScore = highscores?.[0]?.score || 0;
-          
-          if (this.sessionStats.score > topScore || highscores.length === 0) {
-            // New highscore!
-            await DatabaseManager.getInstance().saveHighscore(
-              this.currentPlayer.id,
-              this.sessionStats.score,
-              sessionData.difficulty
-            );
-            this.isHighscore = true;
-            console.log('New highscore saved!');
-          }
-        }
-      } catch (error) {
-        console.error('Error saving session data:', error);
+      // Personal best and leaderboard rank
+      if (bestBefore && !bestBefore.error) {
+        await this.updatePersonalBest(bestBefore.data, savedSession, difficulty, language);
       }
+    } catch (error) {
+      console.error('Error saving session data:', error);
     }
 
-    // Display highscore message (if applicable)
-    if (this.isHighscore) {
-      this.add.text(400, 470, '🎉 NEW HIGHSCORE! 🎉', {
-        fontSize: '28px',
-        color: GAME_OVER_STYLE.highscoreColor,
-        fontStyle: 'bold',
+    if (!this.sys.isActive() || this.sessionStats !== stats) return;
+    this.showSaveResult();
+  }
+
+  /**
+   * Show whether the session was queued or not counted, and the personal best and rank (if known)
+   */
+  showSaveResult() {
+    // Let the player know their progress is safe even without a connection
+    if (this.isQueued) {
+      this.add.text(400, 448, t('gameOver.queued'), {
+        fontSize: '14px',
+        color: '#FFFFFF',
         align: 'center'
       }).setOrigin(0.5);
     }
 
-    // Create buttons
-    this.createButtons();
+    if (this.sessionStats.assisted) return;
+
+    const rankText = this.rank ? ` ${t('gameOver.rank', { rank: this.rank })}` : '';
+    if (this.invalidReason) {
+      this.showResultText(t('gameOver.notCounted'), { fontSize: '16px', color: '#FFB74D' });
+    } else if (this.isPersonalBest) {
+      const message = this.rank === 1 ? t('gameOver.newHighscore') : `${t('gameOver.newPersonalBest')}${rankText}`;
+      this.showResultText(`🎉 ${message} 🎉`, { fontSize: '28px', color: GAME_OVER_STYLE.highscoreColor, fontStyle: 'bold' });
+    } else if (this.personalBest !== null) {
+      this.showResultText(`${t('gameOver.personalBest', { score: this.personalBest })}${rankText}`, { fontSize: '22px', color: '#FFFFFF' });
+    } else {
+      this.showResultText(null);
+    }
+  }
+
+  /**
+   * Replace the line under the stats that tells how the session counted
+   * @param {string|null} text - Text to show, or null to clear the line
+   * @param {Object} style - Phaser text style
+   */
+  showResultText(text, style = {}) {
+    this.resultText?.destroy();
+    this.resultText = text === null ? null : this.add.text(400, 476, text, { ...style, align: 'center' }).setOrigin(0.5);
+  }
+
+  /**
+   * Work out the personal best and its all-time rank after the session was saved
+   * Only the score the server accepted counts; a queued or rejected session leaves the best unchanged
+   * @param {Object|null} previousBest - highscores row from before the session
+   * @param {Object|null} savedSession - game_sessions row as stored
+   * @param {string} difficulty - Difficulty of the session
+   * @param {string} language - Word language of the session; personal bests and ranks are kept per language
+   */
+  async updatePersonalBest(previousBest, savedSession, difficulty, language) {
+    if (savedSession?.invalid_reason) {
+      console.warn('Session not counted for highscores:', savedSession.invalid_reason);
+    }
+
+    const verifiedScore = savedSession && !savedSession.invalid_reason ? savedSession.score : 0;
+    this.isPersonalBest = verifiedScore > 0 && (!previousBest || verifiedScore > previousBest.score);
+    this.personalBest = this.isPersonalBest ? verifiedScore : previousBest?.score ?? null;
+    if (this.personalBest === null) return;
+
+    const { data: rank } = await DatabaseManager.getInstance().getHighscoreRank(this.personalBest, difficulty, language);
+    this.rank = rank;
+    if (this.isPersonalBest) {
+      console.log('New personal best saved!');
+    }
   }
 
   createButtons() {
@@ -156,7 +205,7 @@ export default class GameOverScene extends Phaser.Scene {
     playAgainButton.setStrokeStyle(2, 0xFFFFFF);
     playAgainButton.setInteractive();
     
-    this.add.text(400, 520, 'Play Again', {
+    this.add.text(400, 520, t('gameOver.playAgain'), {
       fontSize: '24px',
       color: '#FFFFFF',
       align: 'center'
@@ -177,7 +226,7 @@ export default class GameOverScene extends Phaser.Scene {
     mainMenuButton.setStrokeStyle(2, 0xFFFFFF);
     mainMenuButton.setInteractive();
     
-    this.add.text(400, 580, 'Main Menu', {
+    this.add.text(400, 580, t('gameOver.mainMenu'), {
       fontSize: '24px',
       color: '#FFFFFF',
       align: 'center'
@@ -192,6 +241,23 @@ export default class GameOverScene extends Phaser.Scene {
       mainMenuButton.setScale(1);
       mainMenuButton.setFillStyle(GAME_OVER_STYLE.buttonColorAlt);
     });
+
+    // Watch Replay button (beside Play Again)
+    if (this.sessionStats?.replay) {
+      const replayButton = this.add.rectangle(640, 520, 180, GAME_OVER_STYLE.buttonHeight, GAME_OVER_STYLE.buttonColorAlt);
+      replayButton.setStrokeStyle(2, 0xFFFFFF);
+      replayButton.setInteractive();
+
+      this.add.text(640, 520, t('gameOver.watchReplay'), {
+        fontSize: '22px',
+        color: '#FFFFFF',
+        align: 'center'
+      }).setOrigin(0.5);
+
+      replayButton.on('pointerdown', () => this.onWatchReplay());
+      replayButton.on('pointerover', () => replayButton.setScale(1.05));
+      replayButton.on('pointerout', () => replayButton.setScale(1));
+    }
   }
 
   onPlayAgain() {
@@ -207,22 +273,18 @@ export default class GameOverScene extends Phaser.Scene {
   }
 
   onMainMenu() {
-    console.log('Main Menu not implemented yet (Phase 5)');
-    // For now, just restart game
-    this.onPlayAgain();
+    ScoreManager.getInstance().reset();
+    WordManager.getInstance().clearSession();
+
+    this.scene.stop('GameOverScene');
+    this.scene.start('MenuScene');
   }
 
-  /**
-   * Format duration in seconds to MM:SS format
-   * @param {number} seconds - Duration in seconds
-   * @returns {string} Formatted duration string
-   */
-  formatDuration(seconds) {
-    if (!seconds || seconds < 0) return '00:00';
-    
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    
-    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+  onWatchReplay() {
+    ScoreManager.getInstance().reset();
+    WordManager.getInstance().clearSession();
+
+    this.scene.stop('GameOverScene');
+    this.scene.start('ReplayScene', { replay: this.sessionStats.replay, title: t('gameOver.replayTitle', { score: this.sessionStats.score }) });
   }
 }
@@ -4,15 +4,34 @@ import WordManager from '../managers/WordManager.js';
 import ScoreManager from '../managers/ScoreManager.js';
 import DatabaseManager from '../managers/DatabaseManager.js';
 import AuthManager from '../managers/AuthManager.js';
-import { GAME_CONFIG, GAME_STATES, DIFFICULTY, TEXT_STYLE, FEEDBACK_COLORS, ANIMATION_CONFIG, COLORS } from '../utils/constants.js';
+import PronunciationManager from '../managers/PronunciationManager.js';
+import SettingsManager from '../managers/SettingsManager.js';
+import { toSessionRecord } from '../utils/sessionRecord.js';
+import { createReplay, recordWord, recordJump, recordTarget, recordGate, packReplay } from '../utils/replay.js';
+import { startMusic, stopMusic, setMusicVolume } from '../utils/music.js';
+import { applyTextSettings, applyLabelSettings } from '../utils/legibility.js';
+import { formatClock, t, tWords } from '../utils/i18n.js';
+import { GAME_CONFIG, GAME_STATES, DIFFICULTY, TEXT_STYLE, FEEDBACK_COLORS, ANIMATION_CONFIG, COLORS, PRONUNCIATION, HINT_CONFIG, SCORING, SESSION_MODES, SIMULATION, DEFAULT_WORD_LANGUAGE, HIGH_CONTRAST, LEGIBILITY, SETTINGS } from '../utils/constants.js';
+
+const STEP_MS = 1000 / SIMULATION.STEPS_PER_SECOND;
 
 /**
  * Main GameScene class extending Phaser.Scene
  * Handles the core Flappy Bird gameplay loop with state management
  */
 export default class GameScene extends Phaser.Scene {
-  constructor() {
-    super({ key: 'GameScene' });
+  /**
+   * @param {string} key - Scene key (ReplayScene runs the same game under its own key)
+   */
+  constructor(key = 'GameScene') {
+    super({ key });
+  }
+
+  /**
+   * @param {Object} data - Optional { seed } to play a game again; a new seed is picked otherwise
+   */
+  init(data) {
+    this.seed = data?.seed || Date.now().toString(36);
   }
 
   preload() {
@@ -38,19 +57,71 @@ export default class GameScene extends Phaser.Scene {
   async create() {
     // Initialize game state
     this.gameState = GAME_STATES.PLAYING;
+    this.isReady = false; // The simulation starts once the words are on the pipes
+
+    // Fixed-step simulation: update runs whole steps of STEP_MS, physics included
+    this.rng = new Phaser.Math.RandomDataGenerator([this.seed]);
+    this.stepCount = 0;
+    this.stepAccumulator = 0;
+    this.jumpQueued = false; // Jump input waiting for the next step
+    this.physics.disableUpdate();
+    this.physics.world.setFPS(SIMULATION.STEPS_PER_SECOND);
+
+    const settings = this.getSessionSettings();
+
+    // Difficulty key ('easy', 'medium' or 'hard') and its settings
+    this.difficultyKey = settings.difficulty;
+    this.currentDifficulty = DIFFICULTY[this.difficultyKey.toUpperCase()];
     
-    // Get difficulty from registry (set by MenuScene)
-    const difficultyKey = this.registry.get('difficulty') || 'easy';
-    this.currentDifficulty = DIFFICULTY[difficultyKey.toUpperCase()];
-    this.pipeSpawnTimer = 0;
+    // Assignment selected in MenuScene (null = free practice with all words)
+    this.assignment = settings.assignment;
+
+    // Word bank of the session, also the language the words are spoken in
+    this.language = settings.language;
+
+    // Assisted play (null when off): slower steps, held altitude and pipes that block instead of crashing
+    this.assist = settings.assist;
+    this.gameSpeed = this.assist?.speed ?? 1;
+    this.targetPipe = null;  // Pipe the bird steers for, with the index of the gate it flies to
+    this.targetGate = 0;
+    this.queuedGate = null;  // Gate picked by the player, waiting for the next step
+    this.pipeBlocked = false; // The bird touches a pipe wall, so the pipes wait for it
+
     this.respawnTimer = 0;
+    this.playTime = 0; // Ms spent playing, without the time the bird is down (for response times)
+
+    // Session mode (lives, time limit, word count or endless)
+    this.sessionMode = SESSION_MODES[settings.sessionMode.toUpperCase()] || SESSION_MODES.LIVES;
+    this.livesLeft = this.sessionMode.lives ?? null;
+    this.sessionTime = 0; // Ms since the session started, for the time limit
+    this.pendingSaves = new Set(); // Attempt writes still on their way to the database
+
+    // Seed, words, jumps and gate outcomes, stored with the session for ReplayScene
+    this.recording = createReplay({
+      seed: this.seed,
+      difficulty: this.difficultyKey,
+      sessionMode: settings.sessionMode,
+      language: this.language,
+      assist: this.assist
+    });
 
     // Initialize managers
     await WordManager.init();
     await ScoreManager.init();
+    await PronunciationManager.init();
     this.wordManager = WordManager.getInstance();
     this.scoreManager = ScoreManager.getInstance();
-    this.scoreManager.setDifficulty(difficultyKey);
+    this.pronunciation = PronunciationManager.getInstance();
+    this.pronunciation.setLanguage(this.language);
+    this.scoreManager.setDifficulty(this.difficultyKey);
+
+    // Player settings (SettingsScene), applied again whenever one changes
+    this.settings = SettingsManager.getInstance();
+    this.styledTexts = []; // Texts that follow the text settings (addGameText)
+
+    // Words are drawn from their own stream, so a replay (which reads the words from the recording)
+    // still draws the same gaps and gate orders
+    this.wordManager.setRandomGenerator(new Phaser.Math.RandomDataGenerator([`${this.seed}:words`]));
     this.currentPlayer = null;
     this.scoreText = null;
 
@@ -59,12 +130,16 @@ export default class GameScene extends Phaser.Scene {
     bg.setDisplaySize(800, 600);
     bg.setDepth(-2);
 
+    // High-contrast mode darkens the sky so the pipes and labels stand out
+    this.contrastBackdrop = this.add.rectangle(400, 300, 800, 600, HIGH_CONTRAST.backdropColor, HIGH_CONTRAST.backdropAlpha)
+      .setDepth(-1);
+
     // Create scrolling base/ground at bottom (112px height, positioned at y=568)
     this.base = this.add.tileSprite(400, 568, 800, 112, 'base');
     this.base.setDepth(5); // Above pipes but below bird
 
     // Create score display
-    this.scoreText = this.add.text(20, 20, 'Score: 0', { 
+    this.scoreText = this.addGameText(20, 20, t('game.score', { score: 0 }), { 
       fontSize: '28px', 
       fontFamily: 'Arial', 
       fontStyle: 'bold', 
@@ -74,9 +149,58 @@ export default class GameScene extends Phaser.Scene {
     });
     this.scoreText.setDepth(100); // Render on top of everything
 
+    // Remaining lives, time or words of the session mode
+    this.hudText = this.addGameText(20, 56, '', {
+      fontSize: '24px',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setDepth(100);
+    this.updateHud();
+
+    // Context sentence of the next pipe (words.example_sentence)
+    this.currentSentence = '';
+    this.sentenceText = this.addGameText(400, HINT_CONFIG.sentenceY, '', {
+      fontSize: HINT_CONFIG.sentenceFontSize,
+      fontFamily: 'Arial',
+      color: '#FFFFFF',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      padding: { x: 12, y: 6 },
+      align: 'center',
+      wordWrap: { width: HINT_CONFIG.sentenceWrapWidth }
+    }).setOrigin(0.5).setDepth(100).setVisible(false);
+
+    // Word preview on the ground (setting), rebuilt when the next pipe changes
+    this.previewPipe = null;
+    this.previewTexts = [];
+
+    // Rule shown after a wrong choice, until the bird respawns
+    this.rulePanel = null;
+    this.respawnDelay = GAME_CONFIG.respawnDelay;
+
+    // Pronunciation mute toggle (also the M key)
+    this.muteIcon = this.add.text(770, 30, '', { fontSize: '28px' })
+      .setOrigin(0.5)
+      .setDepth(100)
+      .setInteractive()
+      .on('pointerdown', () => this.onToggleMute());
+    this.updateMuteIcon();
+
+    // Pause button for touch devices (also P and ESC)
+    this.pauseButton = this.add.text(720, 30, '⏸', { fontSize: '28px' })
+      .setOrigin(0.5)
+      .setDepth(100)
+      .setInteractive()
+      .on('pointerdown', () => this.pauseGame());
+
+    this.showKeyHints();
+
     // Create bird
     this.bird = new Bird(this, GAME_CONFIG.birdStartX, GAME_CONFIG.birdStartY);
     this.bird.setDepth(10); // Render on top of pipes
+    this.bird.setAssisted(Boolean(this.assist));
 
     // Create pipe group
     this.pipes = this.physics.add.group({ 
@@ -96,117 +220,427 @@ export default class GameScene extends Phaser.Scene {
       this.pipes.add(pipe);
     }
 
-    // Setup collision detection
-    this.physics.add.overlap(this.bird, this.pipes, this.onCollision, null, this);
+    this.applySettings();
+    const stopSettingsListener = this.settings.onChange(() => this.applySettings());
+    startMusic(this.sound, this.settings.get('musicVolume'));
+
+    // Setup collision detection (only the pipe between and around the gates is solid)
+    this.physics.add.overlap(this.bird, this.pipes, this.onPipeContact,
+      (bird, pipe) => pipe.hitsWall(bird.body.top, bird.body.bottom), this);
 
     // Setup input handlers
-    this.input.keyboard.on('keydown-SPACE', this.onJump, this);
+    this.input.keyboard.on('keydown', this.onKeyDown, this);
     this.input.on('pointerdown', this.onJump, this);
+    this.input.keyboard.on('keydown-R', this.onReplayWord, this);
+    this.input.keyboard.on('keydown-M', this.onToggleMute, this);
+    this.input.keyboard.on('keydown-P', this.pauseGame, this);
+    this.input.keyboard.on('keydown-ESC', this.pauseGame, this);
+
+    // Pause when the player switches to another tab or window
+    this.game.events.on(Phaser.Core.Events.BLUR, this.pauseGame, this);
+    this.game.events.on(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+
+    // Stop speaking and the music when leaving the game
+    this.events.once('shutdown', () => {
+      this.pronunciation.stop();
+      stopMusic();
+      stopSettingsListener();
+      this.game.events.off(Phaser.Core.Events.BLUR, this.pauseGame, this);
+      this.game.events.off(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+    });
 
     // Initialize timers
-    this.pipeSpawnTimer = 0;
     this.respawnTimer = 0;
 
     // Async initialization
     try {
-      // Load words from database
-      await this.wordManager.loadWords();
-      
-      // Get current user for stats saving
-      this.currentPlayer = await AuthManager.getInstance().getCurrentUser();
-      if (!this.currentPlayer) {
-        console.warn('No authenticated user, using random word selection');
-      } else {
-        // Initialize adaptive session for authenticated users
-        await this.wordManager.initializeSession(this.currentPlayer.id, difficultyKey);
-        console.log('Adaptive session initialized for player:', this.currentPlayer.username);
-      }
-      
-      // Start score manager session
-      this.scoreManager.startSession();
+      await this.prepareSession();
+      this.recording.scoringMode = this.scoreManager.getScoringMode();
       
       // Assign words to initial pipes
-      this.pipes.getChildren().forEach(pipe => {
-        const word = this.currentPlayer 
-          ? this.wordManager.getWeightedWord() 
-          : this.wordManager.getRandomWord();
-        if (word) {
-          pipe.setWord(word);
-        }
-      });
+      this.pipes.getChildren().forEach(pipe => this.assignWord(pipe));
     } catch (error) {
       console.error('Error during game initialization:', error);
       // Show error message to player
-      this.add.text(400, 300, 'Error loading words. Please refresh the page.', {
+      this.add.text(400, 300, t('game.loadError'), {
         fontSize: '24px',
         color: '#FF0000',
         align: 'center'
       }).setOrigin(0.5);
     }
+
+    this.isReady = true;
+  }
+
+  /**
+   * Difficulty, session mode, word language and assignment picked in MenuScene, and assisted play
+   * from the settings. An assignment is always played in the language of its word list
+   * @returns {{difficulty: string, sessionMode: string, language: string, assignment: Object|null, assist: Object|null}}
+   */
+  getSessionSettings() {
+    const assignment = this.registry.get('assignment') || null;
+    return {
+      difficulty: this.registry.get('difficulty') || 'easy',
+      sessionMode: this.registry.get('sessionMode') || 'lives',
+      language: assignment?.language || this.registry.get('wordLanguage') || DEFAULT_WORD_LANGUAGE,
+      assignment,
+      assist: SettingsManager.getInstance().getAssist()
+    };
+  }
+
+  /**
+   * Keyboard controls along the bottom of the screen, until the first jump
+   */
+  showKeyHints() {
+    this.keyHintText = this.addGameText(400, 585, this.getKeyHints(), {
+      fontSize: '16px',
+      fontFamily: 'Arial',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5).setDepth(100);
+  }
+
+  /**
+   * @returns {string} Key hints with the jump input of the player's control scheme,
+   *   or the gate input in assisted play, in the language of the words
+   */
+  getKeyHints() {
+    if (this.assist) {
+      return tWords(this.language, 'game.assistKeyHints', {
+        choose: tWords(this.language, `game.assistInput.${this.assist.control}`)
+      });
+    }
+    return tWords(this.language, 'game.keyHints', {
+      jump: tWords(this.language, `game.jumpInput.${this.settings.get('controlScheme')}`)
+    });
   }
 
+  hideKeyHints() {
+    if (!this.keyHintText) return;
+
+    if (this.settings.get('reducedMotion')) {
+      this.keyHintText.destroy();
+      this.keyHintText = null;
+      return;
+    }
+
+    this.tweens.add({
+      targets: this.keyHintText,
+      alpha: 0,
+      duration: 600,
+      onComplete: target => target.destroy()
+    });
+    this.keyHintText = null;
+  }
+
+  /**
+   * Add game text that follows the text size, font and contrast settings
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} text - Text to show
+   * @param {Object} style - Style at normal size, before the settings are applied
+   * @returns {Phaser.GameObjects.Text} The text object
+   */
+  addGameText(x, y, text, style) {
+    const gameText = applyTextSettings(this.add.text(x, y, text), style).setData('baseStyle', style);
+    this.styledTexts.push(gameText);
+    return gameText;
+  }
+
+  /**
+   * Change the color of game text, keeping it through later restyles
+   * @param {Phaser.GameObjects.Text} gameText - Text made with addGameText
+   * @param {string} color - CSS color
+   */
+  setGameTextColor(gameText, color) {
+    const style = { ...gameText.getData('baseStyle'), color };
+    applyTextSettings(gameText.setData('baseStyle', style), style);
+  }
+
+  /**
+   * Apply the player's settings: sound, music, contrast and text styles (Bird reads its own)
+   * Also runs when a setting changes in SettingsScene on top of the paused game
+   */
+  applySettings() {
+    this.sound.mute = this.settings.get('muted');
+    setMusicVolume(this.settings.get('musicVolume'));
+    this.contrastBackdrop.setVisible(this.settings.get('highContrast'));
+
+    this.styledTexts = this.styledTexts.filter(gameText => gameText.active);
+    this.styledTexts.forEach(gameText => applyTextSettings(gameText, gameText.getData('baseStyle')));
+    this.keyHintText?.setText(this.getKeyHints());
+
+    this.pipes.getChildren().forEach(pipe => pipe.applySettings());
+    this.clearPreview();
+    this.updatePreview();
+  }
+
+  /**
+   * Play a sound effect at the player's effects volume
+   * @param {string} key - Audio key from preload
+   */
+  playSound(key) {
+    this.sound.play(key, { volume: this.settings.get('soundVolume') });
+  }
+
+  /**
+   * Load the words and the player's adaptive session, and start scoring
+   */
+  async prepareSession() {
+    // Load words from database (only the assignment's word list if one was picked)
+    await this.wordManager.loadWords(null, this.assignment?.wordListId || null, this.language);
+    
+    // Get current player profile for stats saving (players.id, not the auth user id)
+    this.currentPlayer = AuthManager.getInstance().getCurrentPlayer();
+    if (!this.currentPlayer) {
+      console.warn('No authenticated user, using random word selection');
+    } else {
+      // Initialize adaptive session for authenticated users
+      await this.wordManager.initializeSession(this.currentPlayer.id, this.difficultyKey);
+      console.log('Adaptive session initialized for player:', this.currentPlayer.username);
+    }
+    
+    // Start score manager session
+    this.scoreManager.startSession();
+    this.scoreManager.setScoringMode(this.resolveScoringMode());
+
+    // The server notes when the session started (the device's time if the start syncs late);
+    // attempt times and the duration are checked against it
+    if (this.currentPlayer) {
+      const start = DatabaseManager.getInstance().startGameSession(this.currentPlayer.id, this.scoreManager.getSessionId());
+      this.pendingSaves.add(start);
+      start.finally(() => this.pendingSaves.delete(start));
+    }
+  }
+
+  /**
+   * Get the word for the next pipe
+   * @returns {Object|null} Word from the adaptive session, or a random word without a player
+   */
+  nextWord() {
+    return this.currentPlayer 
+      ? this.wordManager.getWeightedWord() 
+      : this.wordManager.getRandomWord();
+  }
+
+  /**
+   * Put the next word on a pipe and note it in the recording
+   * @param {Pipe} pipe - Pipe that needs a word
+   */
+  assignWord(pipe) {
+    const word = this.nextWord();
+    if (word) {
+      pipe.setWord(word, this.currentDifficulty.maxGates, this.rng);
+      recordWord(this.recording, word);
+    }
+  }
+
+  /**
+   * Run as many simulation steps as fit in the time since the last frame
+   * Movement and timers only advance per step, so the game runs at the same speed on every device.
+   * Slow motion in assisted play runs fewer steps per second, the steps themselves stay the same
+   */
   update(time, delta) {
+    if (!this.isReady) return;
+
+    this.stepAccumulator += delta * this.gameSpeed;
+    let steps = 0;
+
+    while (this.stepAccumulator >= STEP_MS && steps < SIMULATION.MAX_STEPS_PER_FRAME && this.gameState !== GAME_STATES.GAME_OVER) {
+      this.step();
+      this.stepAccumulator -= STEP_MS;
+      steps++;
+    }
+
+    // After a very long frame, drop the time that did not fit instead of catching up later
+    if (steps === SIMULATION.MAX_STEPS_PER_FRAME) {
+      this.stepAccumulator %= STEP_MS;
+    }
+  }
+
+  /**
+   * Advance the game by one step of STEP_MS: input, physics, then pipes, timers and scoring
+   */
+  step() {
+    this.stepCount++;
+
+    if (this.jumpQueued) {
+      this.jumpQueued = false;
+      this.applyJump();
+    }
+
+    if (this.assist) {
+      this.updateAssist();
+    }
+
+    this.pipeBlocked = false; // Set again by onPipeContact while the bird touches a wall
+    this.physics.world.singleStep();
+
+    if (this.sessionMode.durationMs) {
+      this.sessionTime += STEP_MS;
+      this.updateHud();
+    }
+
     switch (this.gameState) {
       case GAME_STATES.PLAYING:
-        this.updatePlaying(delta);
+        this.updatePlaying(STEP_MS);
         break;
       case GAME_STATES.CRASHED:
-        this.updateCrashed(delta);
+        this.updateCrashed(STEP_MS);
         break;
       case GAME_STATES.RESPAWNING:
-        this.updateRespawning();
+        this.updateRespawning(STEP_MS);
         break;
     }
 
-    // Check for game over trigger (ESC key)
-    if (this.input.keyboard.addKey('ESC').isDown) {
+    // End the session when its limit is reached (after a crash: once the rule has been shown)
+    if (this.gameState !== GAME_STATES.CRASHED && this.isSessionOver()) {
       this.triggerGameOver();
     }
   }
 
+  /**
+   * Freeze the game (physics, tweens, timers and update) and show the pause menu
+   */
+  pauseGame() {
+    if (this.gameState === GAME_STATES.GAME_OVER || !this.scene.isActive()) return;
+
+    this.pronunciation.stop();
+    stopMusic();
+    this.scene.pause();
+    this.scene.launch('PauseScene');
+  }
+
+  /**
+   * Close the pause menu and continue where the game was frozen
+   */
+  resumeGame() {
+    this.scene.stop('PauseScene');
+    this.updateMuteIcon(); // Pronunciation can be switched in the pause menu
+    this.scene.resume();
+    startMusic(this.sound, this.settings.get('musicVolume'));
+  }
+
+  /**
+   * Save the session so far when the player quits or restarts from the pause menu
+   * @returns {Promise<void>}
+   */
+  async savePartialSession() {
+    this.gameState = GAME_STATES.GAME_OVER;
+    const stats = this.getSessionStats();
+
+    await Promise.allSettled([...this.pendingSaves]);
+
+    if (!this.currentPlayer || stats.wordsAttempted === 0) return;
+
+    try {
+      const { queued } = await DatabaseManager.getInstance().saveGameSession(toSessionRecord(stats, this.currentPlayer.id));
+      console.log(queued ? 'Partial game session queued for sync' : 'Partial game session saved to database');
+    } catch (error) {
+      console.error('Error saving partial session:', error);
+    }
+  }
+
+  /**
+   * Check whether the session mode's limit is reached
+   * @returns {boolean} True when no lives, time or words are left
+   */
+  isSessionOver() {
+    const { durationMs, wordCount } = this.sessionMode;
+    return this.livesLeft === 0
+      || (durationMs !== undefined && this.sessionTime >= durationMs)
+      || (wordCount !== undefined && this.scoreManager.wordsAttempted >= wordCount);
+  }
+
+  /**
+   * Show the lives, time or words left in the session
+   */
+  updateHud() {
+    const { lives, durationMs, wordCount } = this.sessionMode;
+    let text = '';
+
+    if (lives !== undefined) {
+      text = '❤️'.repeat(this.livesLeft) + '🖤'.repeat(lives - this.livesLeft);
+    } else if (durationMs !== undefined) {
+      const secondsLeft = Math.max(0, Math.ceil((durationMs - this.sessionTime) / 1000));
+      text = `⏱ ${formatClock(secondsLeft)}`;
+    } else if (wordCount !== undefined) {
+      text = t('game.wordsProgress', { done: Math.min(this.scoreManager?.wordsAttempted || 0, wordCount), total: wordCount });
+    }
+
+    if (text !== this.hudText.text) {
+      this.hudText.setText(text);
+    }
+  }
+
   /**
    * Update game logic when playing
+   * @param {number} delta - Step length in milliseconds
    */
   updatePlaying(delta) {
+    this.playTime += delta;
+
     // Update bird
-    this.bird.update();
+    this.bird.update(delta);
 
-    // Scroll the base/ground to create movement illusion
-    this.base.tilePositionX += this.currentDifficulty.pipeSpeed / 60;
+    // Scroll the base/ground to create movement illusion (not while a wall holds the bird back)
+    const distance = this.pipeBlocked ? 0 : this.currentDifficulty.pipeSpeed * delta / 1000;
+    this.base.tilePositionX += distance;
 
     // Update all pipes
     this.pipes.getChildren().forEach(pipe => {
-      pipe.update(this.currentDifficulty.pipeSpeed / 60);
+      pipe.update(distance);
     });
 
+    // Speak the word of a pipe that is about to enter the screen
+    this.pipes.getChildren().forEach(pipe => {
+      if (!pipe.announced && pipe.wordData && pipe.x <= PRONUNCIATION.ANNOUNCE_X) {
+        pipe.markAnnounced();
+        this.announceWord(pipe.wordData);
+      }
+    });
+
+    // Start the response time once the whole pipe and its labels are on screen
+    this.pipes.getChildren().forEach(pipe => {
+      if (pipe.shownAt === null && pipe.wordData && pipe.x <= this.scale.width - GAME_CONFIG.pipeWidth / 2) {
+        pipe.markShown(this.playTime);
+      }
+    });
+
+    // Follow which gate the bird lines up with for the next word (decision time and gate switches)
+    const upcoming = this.getUpcomingPipe();
+    if (upcoming && upcoming.shownAt !== null) {
+      upcoming.trackLane(this.bird.y, this.playTime);
+    }
+
     // Check for gate passages (bird passed through gap)
     this.pipes.getChildren().forEach(pipe => {
       // Check if bird has passed pipe center and hasn't been scored yet
-      if (!pipe.scored && this.bird.x > pipe.x + GAME_CONFIG.pipeWidth/2 + GAME_CONFIG.gateDetectionOffset) {
+      if (!pipe.scored && pipe.wordData && this.bird.x > pipe.x + GAME_CONFIG.pipeWidth/2 + GAME_CONFIG.gateDetectionOffset) {
         // Determine which gate bird went through
         const chosenGate = pipe.getChosenGate(this.bird.y);
         const isCorrect = pipe.isCorrectChoice(chosenGate);
+        const timing = pipe.getTiming(this.playTime);
         
         // Mark as scored to prevent double-scoring
         pipe.markScored();
         
         // Process choice
-        this.processGateChoice(pipe, chosenGate, isCorrect);
+        this.processGateChoice(pipe, chosenGate, isCorrect, timing);
       }
     });
 
+    this.updateSentence();
+    this.updatePreview();
+
     // Check for off-screen pipes and recycle
     this.pipes.getChildren().forEach(pipe => {
       if (pipe.isOffScreen()) {
         const randomGapY = this.getRandomGapY();
         pipe.reset(GAME_CONFIG.pipeSpawnX, randomGapY, this.currentDifficulty.gapSize);
         // Assign new word to recycled pipe
-        const word = this.currentPlayer 
-          ? this.wordManager.getWeightedWord() 
-          : this.wordManager.getRandomWord();
-        if (word) {
-          pipe.setWord(word);
-        }
+        this.assignWord(pipe);
       }
     });
 
@@ -218,55 +652,267 @@ export default class GameScene extends Phaser.Scene {
 
   /**
    * Update game logic when crashed
+   * @param {number} delta - Step length in milliseconds
    */
   updateCrashed(delta) {
     this.respawnTimer += delta;
     
-    if (this.respawnTimer >= GAME_CONFIG.respawnDelay) {
+    if (this.respawnTimer >= this.respawnDelay) {
+      if (this.isSessionOver()) {
+        this.triggerGameOver();
+        return;
+      }
+
+      this.hideRule();
       this.gameState = GAME_STATES.RESPAWNING;
       this.bird.respawn();
       this.respawnTimer = 0;
-      
-      // Wait for bird fade-in to complete, then resume playing
-      this.time.delayedCall(500, () => {
-        this.gameState = GAME_STATES.PLAYING;
-      });
     }
   }
 
   /**
    * Update game logic when respawning
+   * @param {number} delta - Step length in milliseconds
    */
-  updateRespawning() {
+  updateRespawning(delta) {
+    this.playTime += delta;
+
     // Pipes continue moving during respawn
+    const distance = this.pipeBlocked ? 0 : this.currentDifficulty.pipeSpeed * delta / 1000;
     this.pipes.getChildren().forEach(pipe => {
-      pipe.update(this.currentDifficulty.pipeSpeed / 60);
+      pipe.update(distance);
     });
+
+    // Wait for bird fade-in to complete, then resume playing
+    this.respawnTimer += delta;
+    if (this.respawnTimer >= ANIMATION_CONFIG.respawnFadeDuration) {
+      this.respawnTimer = 0;
+      this.gameState = GAME_STATES.PLAYING;
+    }
   }
 
   /**
    * Handle jump input
+   * @param {Phaser.Input.Pointer} pointer - Pointer for clicks/taps (undefined for the space bar)
+   * @param {Array} currentlyOver - Interactive objects under the pointer
    */
-  onJump() {
+  onJump(pointer, currentlyOver = []) {
+    // Tapping the mute or pause icon should not flap, nor should any tap in the keyboard-only scheme
+    if (currentlyOver.includes(this.muteIcon) || currentlyOver.includes(this.pauseButton)) return;
+    if (pointer && !this.settings.getControlScheme().pointer) return;
+
+    // In assisted play a tap picks a gate: above or below the bird, or the next one with one switch
+    if (this.assist) {
+      if (pointer) {
+        this.queueGateInput(this.assist.control === 'switch' ? 'next' : Math.sign(pointer.y - this.bird.y) || 1);
+      }
+      return;
+    }
+
+    // Applied at the start of the next step, so a jump always lands on a step boundary
+    this.jumpQueued = true;
+  }
+
+  /**
+   * Jump with the keys of the player's control scheme
+   * @param {KeyboardEvent} event - Key that was pressed
+   */
+  onKeyDown(event) {
+    if (this.assist) {
+      const { up, down, next } = SETTINGS.ASSIST_CONTROLS[this.assist.control];
+      if (up.includes(event.code)) this.queueGateInput(-1);
+      if (down.includes(event.code)) this.queueGateInput(1);
+      if (next.includes(event.code)) this.queueGateInput('next');
+      return;
+    }
+
+    if (this.settings.getControlScheme().keys.includes(event.code)) {
+      this.onJump();
+    }
+  }
+
+  /**
+   * Pick another target gate in assisted play, applied at the start of the next step
+   * The gate is locked in once the bird reaches the pipe, so it never slides through a wall
+   * @param {number|string} move - -1 for the gate above, 1 for the gate below, 'next' to cycle
+   */
+  queueGateInput(move) {
+    const pipe = this.getAssistPipe();
+    if (!pipe || this.isGateLocked(pipe)) return;
+
+    const current = this.queuedGate ?? (pipe === this.targetPipe ? this.targetGate : pipe.getChosenGate(this.bird.y));
+    this.queuedGate = move === 'next'
+      ? (current + 1) % pipe.gates.length
+      : Phaser.Math.Clamp(current + move, 0, pipe.gates.length - 1);
+    this.hideKeyHints();
+  }
+
+  /**
+   * Assisted play, once per step before the physics: take the picked gate and steer the bird to it
+   * A new pipe starts out with the gate nearest the bird; without a pipe the bird keeps its height
+   */
+  updateAssist() {
+    const pipe = this.getAssistPipe();
+    if (pipe !== this.targetPipe) {
+      this.targetPipe = pipe;
+      this.targetGate = pipe ? pipe.getChosenGate(this.bird.y) : 0;
+    }
+
+    if (this.queuedGate !== null) {
+      const gate = pipe && !this.isGateLocked(pipe)
+        ? Phaser.Math.Clamp(this.queuedGate, 0, pipe.gates.length - 1)
+        : this.targetGate;
+      if (gate !== this.targetGate) {
+        this.targetGate = gate;
+        recordTarget(this.recording, this.stepCount, gate);
+      }
+      this.queuedGate = null;
+    }
+
+    this.bird.holdAltitude(pipe ? pipe.gates[this.targetGate].y : this.bird.y);
+  }
+
+  /**
+   * @returns {Pipe|null} Nearest pipe with a word that the bird has not completely flown past
+   */
+  getAssistPipe() {
+    return this.pipes.getChildren()
+      .filter(pipe => pipe.wordData && pipe.x + GAME_CONFIG.pipeWidth / 2 > this.bird.body.left)
+      .sort((a, b) => a.x - b.x)[0] || null;
+  }
+
+  /**
+   * @param {Pipe} pipe - Pipe the bird steers for
+   * @returns {boolean} True once the bird has reached the pipe
+   */
+  isGateLocked(pipe) {
+    return this.bird.body.right > pipe.x - GAME_CONFIG.pipeWidth / 2;
+  }
+
+  /**
+   * Make the bird jump (only while playing)
+   */
+  applyJump() {
     if (this.gameState === GAME_STATES.PLAYING) {
       this.bird.jump(this.currentDifficulty.jumpVelocity);
-      this.sound.play('jump');
+      this.playSound('jump');
+      recordJump(this.recording, this.stepCount);
+      this.hideKeyHints();
+    }
+  }
+
+  /**
+   * Scoring mode chosen by the teacher: the assignment's class, otherwise the player's first class
+   * @returns {string} One of SCORING.MODES
+   */
+  resolveScoringMode() {
+    return this.assignment?.scoringMode
+      || this.currentPlayer?.classes?.[0]?.scoring_mode
+      || SCORING.DEFAULT_MODE;
+  }
+
+  /**
+   * Get the next pipe the bird has to fly through
+   * @returns {Pipe|undefined} Nearest unscored pipe with a word, ahead of the bird
+   */
+  getUpcomingPipe() {
+    return this.pipes.getChildren()
+      .filter(pipe => !pipe.scored && pipe.wordData && pipe.x > this.bird.x - GAME_CONFIG.pipeWidth)
+      .sort((a, b) => a.x - b.x)[0];
+  }
+
+  /**
+   * Show the context sentence of the next pipe (hidden when the word has none)
+   */
+  updateSentence() {
+    const sentence = this.getUpcomingPipe()?.wordData.example_sentence || '';
+    if (sentence === this.currentSentence) return;
+
+    this.currentSentence = sentence;
+    this.sentenceText.setText(sentence);
+    this.sentenceText.setVisible(sentence !== '');
+  }
+
+  /**
+   * Word preview (setting): the spellings of the next pipe stand still on the ground, in gate
+   * order from ▲ top to bottom ▼, from before its pipe comes on screen until the bird passes it
+   */
+  updatePreview() {
+    const pipe = this.settings.get('wordPreview') ? this.getUpcomingPipe() || null : null;
+    if (pipe === this.previewPipe) return;
+
+    this.clearPreview();
+    this.previewPipe = pipe;
+    if (!pipe) return;
+
+    const spellings = pipe.gates.map(gate => gate.spelling);
+    const maxWidth = (LEGIBILITY.previewWidth - (spellings.length - 1) * LEGIBILITY.previewGap) / spellings.length;
+    this.previewTexts = spellings.map((spelling, index) => {
+      const marks = `${index === 0 ? '▲ ' : ''}${spelling}${index === spellings.length - 1 ? ' ▼' : ''}`;
+      return applyLabelSettings(this.add.text(0, LEGIBILITY.previewY, marks), TEXT_STYLE, maxWidth)
+        .setOrigin(0, 0.5)
+        .setDepth(100);
+    });
+
+    // Center the row of spellings
+    const totalWidth = this.previewTexts.reduce((sum, text) => sum + text.width, 0)
+      + (this.previewTexts.length - 1) * LEGIBILITY.previewGap;
+    let x = 400 - totalWidth / 2;
+    this.previewTexts.forEach(text => {
+      text.setX(x);
+      x += text.width + LEGIBILITY.previewGap;
+    });
+  }
+
+  clearPreview() {
+    this.previewTexts.forEach(text => text.destroy());
+    this.previewTexts = [];
+    this.previewPipe = null;
+  }
+
+  /**
+   * Speak the word of the next pipe the bird has to fly through again
+   */
+  onReplayWord() {
+    const upcoming = this.getUpcomingPipe();
+
+    if (upcoming) {
+      this.announceWord(upcoming.wordData);
     }
   }
 
+  /**
+   * Speak a word
+   * @param {Object} wordData - Word of a pipe
+   */
+  announceWord(wordData) {
+    this.pronunciation.speak(wordData);
+  }
+
+  onToggleMute() {
+    this.pronunciation.toggleMuted();
+    this.updateMuteIcon();
+  }
+
+  updateMuteIcon() {
+    this.muteIcon.setText(this.pronunciation.isMuted() ? '🔇' : '🔊');
+  }
+
   /**
    * Process gate choice and update score
    * @param {Pipe} pipe - The pipe that was passed through
-   * @param {string} chosenGate - 'top' or 'bottom'
+   * @param {number} chosenGate - Index of the gate the bird flew through
    * @param {boolean} isCorrect - Whether the choice was correct
+   * @param {Object} timing - Response time, decision time and gate switches (Pipe.getTiming)
    */
-  async processGateChoice(pipe, chosenGate, isCorrect) {
+  processGateChoice(pipe, chosenGate, isCorrect, timing) {
     // Update score
-    const result = isCorrect ? this.scoreManager.addCorrect() : this.scoreManager.addWrong();
+    const result = isCorrect ? this.scoreManager.addCorrect(timing) : this.scoreManager.addWrong(timing);
     
     // Update score text
-    this.scoreText.setText('Score: ' + result.score);
-    this.scoreText.setColor(result.score >= 0 ? FEEDBACK_COLORS.SCORE_POSITIVE : FEEDBACK_COLORS.SCORE_NEGATIVE);
+    this.scoreText.setText(t('game.score', { score: result.score }));
+    this.setGameTextColor(this.scoreText, result.score >= 0 ? FEEDBACK_COLORS.SCORE_POSITIVE : FEEDBACK_COLORS.SCORE_NEGATIVE);
+    this.updateHud();
     
     // Show visual feedback
     if (isCorrect) {
@@ -275,36 +921,126 @@ export default class GameScene extends Phaser.Scene {
       this.showWrongFeedback(pipe);
     }
     
-    // Save enhanced stats to database (async, don't await)
+    // Reschedule the word within this session
+    if (pipe.wordData) {
+      this.wordManager.recordAnswer(pipe.wordData.id, isCorrect);
+      recordGate(this.recording, this.stepCount, pipe.wordData.id, pipe.getGateSpelling(chosenGate), isCorrect);
+    }
+    
+    // Save enhanced stats to database (not awaited; triggerGameOver waits for pending saves)
+    // The moment of the choice is taken here, so a slow stats write doesn't shift the attempt's time
     if (this.currentPlayer && pipe.wordData) {
-      try {
-        const wordId = pipe.wordData.id;
-        // Use new signature: upsertWordStat(playerId, wordId, isCorrect)
-        await DatabaseManager.getInstance().upsertWordStat(
-          this.currentPlayer.id, 
-          wordId, 
-          isCorrect
-        );
-        console.log(`Word stat updated: ${pipe.wordData.correct_spelling} - ${isCorrect ? 'correct' : 'wrong'}`);
-      } catch (error) {
-        console.error('Error saving word stats:', error);
-      }
+      const save = this.saveAttempt(pipe, chosenGate, isCorrect, timing, new Date().toISOString());
+      this.pendingSaves.add(save);
+      save.finally(() => this.pendingSaves.delete(save));
     }
     
-    // Handle wrong choice - trigger crash
+    // Handle wrong choice - trigger crash and explain the rule
     if (!isCorrect) {
       this.onCollision();
+      this.showRule(pipe.wordData);
+    }
+  }
+
+  /**
+   * Update the word's stats and log the attempt itself
+   * @param {Pipe} pipe - The pipe that was passed through
+   * @param {number} chosenGate - Index of the gate the bird flew through
+   * @param {boolean} isCorrect - Whether the choice was correct
+   * @param {Object} timing - Response time, decision time and gate switches (Pipe.getTiming)
+   * @param {string} answeredAt - ISO timestamp of the choice
+   */
+  async saveAttempt(pipe, chosenGate, isCorrect, timing, answeredAt) {
+    try {
+      const wordId = pipe.wordData.id;
+      await DatabaseManager.getInstance().upsertWordStat(
+        this.currentPlayer.id, 
+        wordId, 
+        isCorrect,
+        answeredAt
+      );
+      console.log(`Word stat updated: ${pipe.wordData.correct_spelling} - ${isCorrect ? 'correct' : 'wrong'}`);
+      
+      // Log the attempt itself, including the session and assignment it was part of
+      const chosenSpelling = pipe.getGateSpelling(chosenGate);
+      await DatabaseManager.getInstance().recordAttempt({
+        player_id: this.currentPlayer.id,
+        word_id: wordId,
+        is_correct: isCorrect,
+        attempted_at: answeredAt,
+        chosen_spelling: chosenSpelling,
+        correct_spelling: pipe.wordData.correct_spelling,
+        error_category: this.wordManager.getErrorCategory(pipe.wordData, chosenSpelling),
+        response_time_ms: timing.responseTime,
+        decision_time_ms: timing.decisionTime,
+        gate_switches: timing.gateSwitches,
+        difficulty: this.difficultyKey,
+        session_id: this.scoreManager.getSessionId(),
+        assignment_id: this.assignment?.id || null,
+        word_list_id: this.assignment?.wordListId || null
+      });
+    } catch (error) {
+      console.error('Error saving word stats:', error);
     }
   }
 
+  /**
+   * Show the correct spelling and the word's rule while the bird is down
+   * Words with a rule keep the bird down longer so there is time to read it
+   * @param {Object} wordData - Word of the pipe that was answered wrong
+   */
+  showRule(wordData) {
+    if (!wordData) return;
+
+    this.hideRule();
+
+    const lines = [t('game.correctSpelling', { word: wordData.correct_spelling })];
+    if (wordData.hint) {
+      lines.push(wordData.category ? `${wordData.category}: ${wordData.hint}` : wordData.hint);
+    }
+
+    const text = applyTextSettings(this.add.text(0, 0, lines.join('\n')), {
+      fontSize: '26px',
+      fontFamily: 'Arial',
+      color: '#FFFFFF',
+      align: 'center',
+      lineSpacing: 10,
+      wordWrap: { width: 480 }
+    }).setOrigin(0.5);
+    const background = this.add.rectangle(0, 0, text.width + 40, text.height + 30, 0x000000, 0.75)
+      .setStrokeStyle(3, FEEDBACK_COLORS.WRONG);
+
+    this.rulePanel = this.add.container(400, 300, [background, text]).setDepth(200);
+
+    if (wordData.hint && this.gameState === GAME_STATES.CRASHED) {
+      this.respawnDelay = HINT_CONFIG.ruleDisplayDelay;
+    }
+  }
+
+  /**
+   * Remove the rule panel and restore the normal respawn delay
+   */
+  hideRule() {
+    if (this.rulePanel) {
+      this.rulePanel.destroy();
+      this.rulePanel = null;
+    }
+    this.respawnDelay = GAME_CONFIG.respawnDelay;
+  }
+
   /**
    * Show correct choice feedback
    * @param {Pipe} pipe - The pipe to highlight
    */
   showCorrectFeedback(pipe) {
     // Add green tint to pipe children
-    pipe.topPipe.setTint(FEEDBACK_COLORS.CORRECT);
-    pipe.bottomPipe.setTint(FEEDBACK_COLORS.CORRECT);
+    pipe.setPipeTint(FEEDBACK_COLORS.CORRECT);
+    this.playSound('correct');
+
+    if (this.settings.get('reducedMotion')) {
+      this.time.delayedCall(ANIMATION_CONFIG.correctGlowDuration, () => pipe.clearPipeTint());
+      return;
+    }
     
     // Create scale pulse tween
     this.tweens.add({
@@ -315,11 +1051,9 @@ export default class GameScene extends Phaser.Scene {
       yoyo: true,
       ease: 'Sine.easeInOut',
       onComplete: () => {
-        pipe.topPipe.clearTint();
-        pipe.bottomPipe.clearTint();
+        pipe.clearPipeTint();
       }
     });
-    this.sound.play('correct');
   }
 
   /**
@@ -328,25 +1062,40 @@ export default class GameScene extends Phaser.Scene {
    */
   showWrongFeedback(pipe) {
     // Add red tint to pipe children
-    pipe.topPipe.setTint(FEEDBACK_COLORS.WRONG);
-    pipe.bottomPipe.setTint(FEEDBACK_COLORS.WRONG);
+    pipe.setPipeTint(FEEDBACK_COLORS.WRONG);
+    this.playSound('wrong');
+
+    if (this.settings.get('reducedMotion')) {
+      this.time.delayedCall(ANIMATION_CONFIG.wrongShakeDuration, () => pipe.clearPipeTint());
+      return;
+    }
     
-    // Create shake tween
-    const originalX = pipe.x;
+    // Create shake tween (on the pipe's parts, the pipe itself keeps moving with the simulation)
+    const parts = [...pipe.list];
     this.tweens.add({
-      targets: pipe,
-      x: originalX - ANIMATION_CONFIG.shakeIntensity,
+      targets: parts,
+      x: -ANIMATION_CONFIG.shakeIntensity,
       duration: ANIMATION_CONFIG.wrongShakeDuration / 4,
       yoyo: true,
       repeat: 2,
       ease: 'Sine.easeInOut',
       onComplete: () => {
-        pipe.x = originalX;
-        pipe.topPipe.clearTint();
-        pipe.bottomPipe.clearTint();
+        parts.forEach(part => part.setX(0));
+        pipe.clearPipeTint();
       }
     });
-    this.sound.play('wrong');
+  }
+
+  /**
+   * The bird touches a pipe wall: a crash, or in assisted play the pipes wait until the bird
+   * has flown into its gate
+   */
+  onPipeContact() {
+    if (this.assist) {
+      this.pipeBlocked = true;
+    } else {
+      this.onCollision();
+    }
   }
 
   /**
@@ -357,27 +1106,52 @@ export default class GameScene extends Phaser.Scene {
     
     this.gameState = GAME_STATES.CRASHED;
     this.bird.die();
-    this.sound.play('crash');
+    this.playSound('crash');
     console.log('Bird crashed!');
+
+    if (this.livesLeft !== null) {
+      this.livesLeft = Math.max(0, this.livesLeft - 1);
+      this.updateHud();
+    }
   }
 
   /**
    * Get random gap Y position within safe bounds
-   * @returns {number} Random Y position between 150 and 450
+   * The pipe moves the gate stack up or down when it does not fit around this position
+   * @returns {number} Random Y position between 150 and 450, from the game's seeded generator
    */
   getRandomGapY() {
-    return Phaser.Math.Between(150, 450);
+    return this.rng.between(150, 450);
   }
 
   /**
-   * Trigger game over and transition to GameOverScene
-   * Called when ESC key is pressed
+   * Get final stats from ScoreManager, with the session's difficulty, player and assignment
+   * @returns {Object} Session stats for GameOverScene and toSessionRecord
    */
-  triggerGameOver() {
-    // Get final stats from ScoreManager
+  getSessionStats() {
     const stats = this.scoreManager.getStats();
-    stats.difficulty = this.registry.get('difficulty') || 'easy'; // Store as string instead of object
+    stats.difficulty = this.difficultyKey; // Store as string instead of object
     stats.playerId = this.currentPlayer?.id || null;
+    stats.assignmentId = this.assignment?.id || null;
+    stats.language = this.language;
+    stats.assisted = Boolean(this.assist); // Assisted sessions are kept out of the leaderboards
+    stats.replay = packReplay(this.recording, this.stepCount);
+    return stats;
+  }
+
+  /**
+   * Trigger game over and transition to GameOverScene
+   * Called when the session mode's limit is reached
+   */
+  async triggerGameOver() {
+    if (this.gameState === GAME_STATES.GAME_OVER) return;
+    this.gameState = GAME_STATES.GAME_OVER;
+    this.physics.pause();
+
+    const stats = this.getSessionStats();
+
+    // The server computes the session score from the attempts, so they must be saved first
+    await Promise.allSettled([...this.pendingSaves]);
     
     // Stop the scene and start GameOverScene
     this.scene.stop('GameScene');
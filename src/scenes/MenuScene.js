@@ -1,6 +1,13 @@
 import AuthManager from '../managers/AuthManager.js';
 import DatabaseManager from '../managers/DatabaseManager.js';
-import { DIFFICULTY, MENU_STYLE } from '../utils/constants.js';
+import SettingsManager from '../managers/SettingsManager.js';
+import { DIFFICULTY, MENU_STYLE, SESSION_MODES, WORD_LANGUAGES, DEFAULT_WORD_LANGUAGE } from '../utils/constants.js';
+import { translateAuthError, validateAuthForm } from '../utils/authErrors.js';
+import { startOfWeek } from '../utils/progress.js';
+import { LOCALES, formatDate, formatNumber, getLocale, setLocale, t } from '../utils/i18n.js';
+import { STORAGE_PREFIX, getLocalStorage } from '../utils/storage.js';
+
+const WORD_LANGUAGE_KEY = `${STORAGE_PREFIX}word-language`;
 
 /**
  * MenuScene - Main entry point for the game
@@ -13,8 +20,18 @@ export default class MenuScene extends Phaser.Scene {
 
   init() {
     this.currentUser = null;
+    this.currentPlayer = null;
     this.selectedDifficulty = 'easy';
+    this.selectedSessionMode = 'lives';
+    const storedLanguage = getLocalStorage()?.getItem(WORD_LANGUAGE_KEY);
+    this.selectedWordLanguage = WORD_LANGUAGES[storedLanguage] ? storedLanguage : DEFAULT_WORD_LANGUAGE;
     this.leaderboardData = [];
+    this.leaderboardFilter = null;
+    this.leaderboardRequest = 0;
+    this.assignments = [];
+    this.selectedAssignment = null;
+    this.authForm = null;
+    this.isSubmittingAuth = false;
   }
 
   preload() {
@@ -24,6 +41,12 @@ export default class MenuScene extends Phaser.Scene {
   }
 
   async create() {
+    // Started offline and the connection is back: restart on Supabase, also while the menu is open
+    if (DatabaseManager.getInstance().reconnect()) return;
+    const onOnline = () => DatabaseManager.getInstance().reconnect();
+    window.addEventListener('online', onOnline);
+    this.events.once('shutdown', () => window.removeEventListener('online', onOnline));
+
     // Create background (scale to fit 800x600 canvas)
     const bg = this.add.image(400, 300, 'background');
     bg.setDisplaySize(800, 600);
@@ -35,7 +58,7 @@ export default class MenuScene extends Phaser.Scene {
     base.setDepth(-1);
 
     // Title
-    this.add.text(400, 80, 'Spelling Flappy Bird', {
+    this.add.text(400, 80, t('menu.title'), {
       fontSize: MENU_STYLE.titleFontSize,
       fontStyle: 'bold',
       color: '#FFFFFF',
@@ -43,40 +66,95 @@ export default class MenuScene extends Phaser.Scene {
       strokeThickness: 4
     }).setOrigin(0.5);
 
-    this.add.text(400, 130, 'Leer Spellen!', {
+    this.add.text(400, 130, t('menu.subtitle'), {
       fontSize: MENU_STYLE.subtitleFontSize,
       color: '#FFD700'
     }).setOrigin(0.5);
 
     // Check Authentication
-    this.currentUser = await AuthManager.getInstance().getCurrentUser();
-    
+    const auth = AuthManager.getInstance();
+    this.currentUser = auth.getCurrentUser();
+    this.currentPlayer = auth.getCurrentPlayer();
+
+    // Rebuild the menu when another user logs in or out (also from another tab)
+    const unsubscribeAuth = auth.onAuthStateChange((event, session) => {
+      const userId = session?.user?.id || null;
+      if (!this.isSubmittingAuth && userId !== (this.currentUser?.id || null)) {
+        this.scene.restart();
+      }
+    });
+    this.events.once('shutdown', unsubscribeAuth);
+
+    this.createLanguageSwitch();
+    this.createSettingsButton();
+
     if (this.currentUser) {
-      this.add.text(400, 180, `Welkom, ${this.currentUser.user_metadata?.username || this.currentUser.email}!`, {
+      this.add.text(400, 180, t('menu.welcome', { name: this.currentPlayer?.username || this.currentUser.email || t('common.player') }), {
         fontSize: '20px',
         color: '#FFFFFF'
       }).setOrigin(0.5);
-    } else {
-      this.add.text(400, 180, 'Gast Modus', {
+
+      // Logout button
+      this.add.rectangle(400, 212, 120, 30, 0xFFFFFF)
+        .setInteractive()
+        .on('pointerdown', () => this.onLogout());
+
+      this.add.text(400, 212, t('menu.logout'), {
+        fontSize: '16px',
+        color: '#000000'
+      }).setOrigin(0.5);
+
+      // Progress dashboard (needs a player profile to read the history from)
+      if (this.currentPlayer) {
+        this.createProgressButton(250);
+      }
+    } else if (auth.isAvailable()) {
+      this.add.text(400, 180, t('menu.guestMode'), {
         fontSize: '20px',
         color: '#FFFFFF'
       }).setOrigin(0.5);
       
-      // Login button
-      const loginButton = this.add.rectangle(400, 210, 120, 40, 0xFFFFFF)
+      // Picture login for students, email login and register buttons
+      this.add.rectangle(260, 212, 130, 30, 0xFFD700)
         .setInteractive()
-        .on('pointerdown', () => {
-          console.log('Login not fully implemented - use Supabase Auth UI');
-        });
+        .on('pointerdown', () => this.scene.start('PictureLoginScene'));
+
+      this.add.text(260, 212, t('menu.classLogin'), {
+        fontSize: '16px',
+        color: '#000000'
+      }).setOrigin(0.5);
+
+      this.add.rectangle(400, 212, 130, 30, 0xFFFFFF)
+        .setInteractive()
+        .on('pointerdown', () => this.showAuthForm('login'));
       
-      this.add.text(400, 210, 'Login', {
+      this.add.text(400, 212, t('menu.login'), {
         fontSize: '16px',
         color: '#000000'
       }).setOrigin(0.5);
+
+      this.add.rectangle(540, 212, 130, 30, 0xFFFFFF)
+        .setInteractive()
+        .on('pointerdown', () => this.showAuthForm('register'));
+      
+      this.add.text(540, 212, t('menu.register'), {
+        fontSize: '16px',
+        color: '#000000'
+      }).setOrigin(0.5);
+    } else {
+      // Offline: the local player of this device, or a guest if it could not be stored
+      this.add.text(400, 180, t(this.currentPlayer ? 'menu.localPlayer' : 'menu.guestModeOffline'), {
+        fontSize: '20px',
+        color: '#FFFFFF'
+      }).setOrigin(0.5);
+
+      if (this.currentPlayer) {
+        this.createProgressButton(400);
+      }
     }
 
     // Difficulty Selection
-    this.add.text(400, 250, 'Kies Moeilijkheid:', {
+    this.add.text(400, 250, t('menu.chooseDifficulty'), {
       fontSize: MENU_STYLE.subtitleFontSize,
       color: '#FFFFFF'
     }).setOrigin(0.5);
@@ -84,6 +162,11 @@ export default class MenuScene extends Phaser.Scene {
     // Difficulty buttons
     this.createDifficultyButtons();
 
+    // Assignment picker (only when the student's class has running assignments)
+    if (this.currentPlayer) {
+      await this.createAssignmentPicker();
+    }
+
     // Start Game Button
     const startButton = this.add.rectangle(400, 400, 250, 60, MENU_STYLE.startButtonColor)
       .setInteractive()
@@ -91,66 +174,276 @@ export default class MenuScene extends Phaser.Scene {
       .on('pointerover', () => startButton.setScale(1.05))
       .on('pointerout', () => startButton.setScale(1));
 
-    this.add.text(400, 400, 'Start Spel', {
+    this.add.text(400, 400, t('menu.start'), {
       fontSize: '28px',
       color: '#FFFFFF',
       fontStyle: 'bold'
     }).setOrigin(0.5);
 
-    // Leaderboard Section
-    this.add.text(400, 480, 'Top 10 Scores', {
+    this.createSessionModePicker();
+    this.createWordLanguagePicker();
+
+    // Leaderboard Section (scores of the picked word language; refreshLeaderboard sets the title)
+    this.leaderboardTitle = this.add.text(320, 462, '', {
       fontSize: '20px',
       color: '#FFFFFF'
     }).setOrigin(0.5);
 
+    this.createLeaderboardFilter();
+
     // Load and display leaderboard
     await this.refreshLeaderboard();
 
-    // Login/Register buttons (if not authenticated)
-    if (!this.currentUser) {
-      const loginBtn = this.add.rectangle(300, 560, 120, 40, 0xFFFFFF)
+    // Admin Button (if user is admin or teacher)
+    const isTeacher = auth.isTeacher();
+    if (this.currentUser && (auth.isAdmin() || isTeacher)) {
+      const adminButton = this.add.rectangle(700, 560, 100, 30, 0xFFD700)
         .setInteractive()
         .on('pointerdown', () => {
-          console.log('Login not fully implemented - use Supabase Auth UI');
+          window.open('admin.html', '_blank');
         });
       
-      this.add.text(300, 560, 'Login', {
-        fontSize: '16px',
+      this.add.text(700, 560, isTeacher ? t('menu.classes') : t('menu.adminPanel'), {
+        fontSize: '14px',
         color: '#000000'
       }).setOrigin(0.5);
+    }
 
-      const registerBtn = this.add.rectangle(500, 560, 120, 40, 0xFFFFFF)
+    // Join class button (students)
+    if (this.currentPlayer && !isTeacher && !DatabaseManager.getInstance().isOffline()) {
+      this.add.rectangle(100, 560, 140, 30, 0xFFFFFF)
         .setInteractive()
-        .on('pointerdown', () => {
-          console.log('Register not fully implemented - use Supabase Auth UI');
-        });
-      
-      this.add.text(500, 560, 'Registreer', {
-        fontSize: '16px',
+        .on('pointerdown', () => this.onJoinClass());
+
+      this.add.text(100, 560, t('menu.joinClass'), {
+        fontSize: '14px',
         color: '#000000'
       }).setOrigin(0.5);
     }
 
-    // Admin Button (if user is admin)
-    if (this.currentUser && AuthManager.getInstance().isAdmin()) {
-      const adminButton = this.add.rectangle(700, 560, 100, 30, 0xFFD700)
-        .setInteractive()
-        .on('pointerdown', () => {
-          window.open('admin.html', '_blank');
-        });
-      
-      this.add.text(700, 560, 'Admin Panel', {
+    await this.openReplayFromUrl();
+  }
+
+  /**
+   * Button that opens the progress dashboard of the current player
+   * @param {number} x - Horizontal center of the button
+   */
+  createProgressButton(x) {
+    this.add.rectangle(x, 212, 150, 30, 0xFFD700)
+      .setInteractive()
+      .on('pointerdown', () => this.scene.start('ProgressScene', { language: this.getWordLanguage() }));
+
+    this.add.text(x, 212, t('menu.myProgress'), {
+      fontSize: '16px',
+      color: '#000000'
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Play a session's replay when the game was opened with ?replay=<session id> (from the admin panel)
+   */
+  async openReplayFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const sessionId = params.get('replay');
+    if (!sessionId) return;
+
+    // Only once: leaving the replay shows the menu
+    params.delete('replay');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    const { data: session } = await DatabaseManager.getInstance().getSessionReplay(sessionId);
+    if (!this.sys.isActive()) return;
+
+    const title = session
+      ? t('replay.sessionTitle', {
+        name: session.players?.username || t('common.player'),
+        date: formatDate(session.played_at),
+        score: session.score
+      })
+      : t('replay.title');
+    this.scene.start('ReplayScene', { replay: session?.replay, title });
+  }
+
+  /**
+   * Show the login or registration form on top of the menu
+   * @param {string} mode - 'login' or 'register'
+   */
+  showAuthForm(mode) {
+    this.hideAuthForm();
+
+    const isRegister = mode === 'register';
+    const inputStyle = 'display: block; width: 100%; box-sizing: border-box; margin: 4px 0 12px; padding: 8px; font-size: 16px;';
+    const buttonStyle = 'padding: 8px 16px; font-size: 16px; border: none; border-radius: 4px; cursor: pointer;';
+
+    // Dim the menu and catch clicks on the buttons underneath
+    this.authOverlay = this.add.rectangle(400, 300, 800, 600, 0x000000, 0.6)
+      .setInteractive()
+      .setDepth(9);
+
+    this.authForm = this.add.dom(400, 300).createFromHTML(`
+      <form style="width: 300px; padding: 20px; background: #FFFFFF; border-radius: 10px; font-family: Arial, sans-serif;">
+        <h2 style="margin: 0 0 16px; text-align: center;">${isRegister ? t('auth.registerTitle') : t('auth.loginTitle')}</h2>
+        ${isRegister ? `
+          <label>${t('auth.username')}
+            <input type="text" name="username" autocomplete="username" maxlength="20" style="${inputStyle}">
+          </label>` : ''}
+        <label>${t('auth.email')}
+          <input type="email" name="email" autocomplete="email" style="${inputStyle}">
+        </label>
+        <label>${t('auth.password')}
+          <input type="password" name="password" autocomplete="${isRegister ? 'new-password' : 'current-password'}" style="${inputStyle}">
+        </label>
+        <p id="auth-message" style="min-height: 20px; margin: 0 0 12px; font-size: 14px;"></p>
+        <div style="display: flex; justify-content: space-between;">
+          <button type="button" name="cancel" style="${buttonStyle} background: #CCCCCC;">${t('auth.cancel')}</button>
+          <button type="submit" id="auth-submit" style="${buttonStyle} background: #4CAF50; color: #FFFFFF;">
+            ${isRegister ? t('auth.registerButton') : t('auth.loginButton')}
+          </button>
+        </div>
+      </form>
+    `).setDepth(10);
+
+    this.authForm.addListener('submit click keydown');
+    this.authForm.on('submit', (event) => {
+      event.preventDefault();
+      this.onAuthSubmit(mode);
+    });
+    this.authForm.on('click', (event) => {
+      if (event.target.name === 'cancel') this.hideAuthForm();
+    });
+    this.authForm.on('keydown', (event) => {
+      if (event.key === 'Escape') this.hideAuthForm();
+    });
+
+    this.authForm.getChildByName(isRegister ? 'username' : 'email').focus();
+  }
+
+  hideAuthForm() {
+    if (this.authForm) {
+      this.authForm.destroy();
+      this.authOverlay.destroy();
+      this.authForm = null;
+      this.authOverlay = null;
+    }
+  }
+
+  /**
+   * Validate the form and log in or register
+   * @param {string} mode - 'login' or 'register'
+   */
+  async onAuthSubmit(mode) {
+    if (this.isSubmittingAuth) return;
+
+    const fields = {
+      mode,
+      username: this.authForm.getChildByName('username')?.value.trim() || '',
+      email: this.authForm.getChildByName('email').value.trim(),
+      password: this.authForm.getChildByName('password').value
+    };
+
+    const validationError = validateAuthForm(fields);
+    if (validationError) {
+      this.setAuthMessage(validationError, true);
+      return;
+    }
+
+    const auth = AuthManager.getInstance();
+    this.isSubmittingAuth = true;
+    this.setAuthMessage(t('common.pleaseWait'), false);
+    this.authForm.getChildByID('auth-submit').disabled = true;
+
+    const { data, error } = mode === 'register'
+      ? await auth.signUp(fields.email, fields.password, fields.username)
+      : await auth.signIn(fields.email, fields.password);
+
+    this.isSubmittingAuth = false;
+
+    // The form was closed while waiting
+    if (!this.authForm) return;
+
+    this.authForm.getChildByID('auth-submit').disabled = false;
+
+    if (error) {
+      this.setAuthMessage(translateAuthError(error), true);
+      return;
+    }
+
+    if (mode === 'register' && !data.session) {
+      this.setAuthMessage(t('auth.accountCreated'), false);
+      return;
+    }
+
+    this.scene.restart();
+  }
+
+  /**
+   * @param {string} message - Text to show below the form fields
+   * @param {boolean} isError - Show the text in red
+   */
+  setAuthMessage(message, isError) {
+    const messageElement = this.authForm.getChildByID('auth-message');
+    messageElement.textContent = message;
+    messageElement.style.color = isError ? '#FF0000' : '#000000';
+  }
+
+  async onLogout() {
+    if (this.isSubmittingAuth) return;
+
+    this.isSubmittingAuth = true;
+    const { error } = await AuthManager.getInstance().signOut();
+    this.isSubmittingAuth = false;
+
+    if (error) {
+      if (this.logoutMessage) {
+        this.logoutMessage.destroy();
+      }
+
+      this.logoutMessage = this.add.text(400, 235, translateAuthError(error), {
         fontSize: '14px',
-        color: '#000000'
+        color: '#FF0000',
+        stroke: '#000000',
+        strokeThickness: 2
       }).setOrigin(0.5);
+      return;
     }
+
+    this.registry.set('assignment', null);
+    this.scene.restart();
+  }
+
+  /**
+   * Ask the student for a class code and join that class
+   */
+  async onJoinClass() {
+    const code = window.prompt(t('menu.joinClassPrompt'));
+    if (!code || !code.trim()) return;
+
+    const { data, error } = await DatabaseManager.getInstance().joinClassByCode(code.trim());
+
+    // Keep the cached profile's class list up to date
+    if (!error) {
+      await AuthManager.getInstance().refreshPlayer();
+    }
+
+    if (this.joinClassMessage) {
+      this.joinClassMessage.destroy();
+    }
+
+    const message = error ? t('menu.joinClassWrong') : t('menu.joinClassJoined', { name: data.name });
+    this.joinClassMessage = this.add.text(100, 530, message, {
+      fontSize: '14px',
+      color: error ? '#FF0000' : '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 2
+    }).setOrigin(0.5);
   }
 
   createDifficultyButtons() {
     const difficulties = [
-      { key: 'easy', label: 'Makkelijk', x: 200, color: MENU_STYLE.difficultyColors.easy },
-      { key: 'medium', label: 'Gemiddeld', x: 400, color: MENU_STYLE.difficultyColors.medium },
-      { key: 'hard', label: 'Moeilijk', x: 600, color: MENU_STYLE.difficultyColors.hard }
+      { key: 'easy', x: 200, color: MENU_STYLE.difficultyColors.easy },
+      { key: 'medium', x: 400, color: MENU_STYLE.difficultyColors.medium },
+      { key: 'hard', x: 600, color: MENU_STYLE.difficultyColors.hard }
     ];
 
     this.difficultyButtons = [];
@@ -162,7 +455,7 @@ export default class MenuScene extends Phaser.Scene {
         .on('pointerover', () => button.setScale(1.05))
         .on('pointerout', () => button.setScale(1));
 
-      const text = this.add.text(diff.x, 300, diff.label, {
+      const text = this.add.text(diff.x, 300, t(`difficulty.${diff.key}`), {
         fontSize: MENU_STYLE.buttonFontSize,
         color: '#FFFFFF',
         fontStyle: 'bold'
@@ -178,13 +471,182 @@ export default class MenuScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Load the running assignments of the player's classes and show a button
+   * that cycles between free practice and each assignment
+   */
+  async createAssignmentPicker() {
+    const { data: assignments, error } = await DatabaseManager.getInstance().getActiveAssignments(this.currentPlayer.id);
+    if (error) {
+      console.error('Error loading assignments:', error);
+      return;
+    }
+
+    this.assignments = assignments || [];
+    if (this.assignments.length === 0) return;
+
+    const pickerButton = this.add.rectangle(400, 350, 360, 36, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.onAssignmentCycle())
+      .on('pointerover', () => pickerButton.setScale(1.05))
+      .on('pointerout', () => pickerButton.setScale(1));
+
+    this.assignmentText = this.add.text(400, 350, '', {
+      fontSize: '18px',
+      color: '#000000'
+    }).setOrigin(0.5);
+
+    // Start on the assignment that ends first, that is what the teacher wants practised
+    this.selectedAssignment = this.assignments[0];
+    this.updateAssignmentText();
+  }
+
+  /**
+   * Switch to the next assignment, or back to free practice after the last one
+   */
+  onAssignmentCycle() {
+    const index = this.assignments.indexOf(this.selectedAssignment);
+    this.selectedAssignment = index + 1 < this.assignments.length ? this.assignments[index + 1] : null;
+    this.updateAssignmentText();
+    this.updateWordLanguageText();
+    this.refreshLeaderboard();
+  }
+
+  updateAssignmentText() {
+    this.assignmentText.setText(this.selectedAssignment
+      ? t('menu.assignment', { name: this.selectedAssignment.word_lists?.name || t('menu.wordList') })
+      : t('menu.freePractice'));
+  }
+
+  /**
+   * Button next to the start button that cycles through the session modes (lives, time, words, endless)
+   */
+  createSessionModePicker() {
+    const modeButton = this.add.rectangle(640, 400, 170, 36, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.onSessionModeCycle())
+      .on('pointerover', () => modeButton.setScale(1.05))
+      .on('pointerout', () => modeButton.setScale(1));
+
+    this.sessionModeText = this.add.text(640, 400, '', {
+      fontSize: '18px',
+      color: '#000000'
+    }).setOrigin(0.5);
+
+    this.updateSessionModeText();
+  }
+
+  onSessionModeCycle() {
+    const keys = Object.keys(SESSION_MODES).map(key => key.toLowerCase());
+    const index = keys.indexOf(this.selectedSessionMode);
+    this.selectedSessionMode = keys[(index + 1) % keys.length];
+    this.updateSessionModeText();
+  }
+
+  updateSessionModeText() {
+    const mode = SESSION_MODES[this.selectedSessionMode.toUpperCase()];
+    const count = mode.lives ?? (mode.durationMs ? mode.durationMs / 60000 : mode.wordCount);
+    this.sessionModeText.setText(`${t(`sessionMode.${this.selectedSessionMode}`, { count })} ▸`);
+  }
+
+  /**
+   * Button left of the start button that cycles through the word banks (Dutch, English, German)
+   * An assignment always uses the language of its word list, so the button only shows it then
+   */
+  createWordLanguagePicker() {
+    this.wordLanguageButton = this.add.rectangle(160, 400, 190, 36, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.onWordLanguageCycle())
+      .on('pointerover', () => this.wordLanguageButton.setScale(1.05))
+      .on('pointerout', () => this.wordLanguageButton.setScale(1));
+
+    this.wordLanguageText = this.add.text(160, 400, '', {
+      fontSize: '18px',
+      color: '#000000'
+    }).setOrigin(0.5);
+
+    this.updateWordLanguageText();
+  }
+
+  onWordLanguageCycle() {
+    if (this.selectedAssignment) return;
+
+    const keys = Object.keys(WORD_LANGUAGES);
+    this.selectedWordLanguage = keys[(keys.indexOf(this.selectedWordLanguage) + 1) % keys.length];
+    getLocalStorage()?.setItem(WORD_LANGUAGE_KEY, this.selectedWordLanguage);
+    this.updateWordLanguageText();
+    this.refreshLeaderboard();
+  }
+
+  updateWordLanguageText() {
+    const language = this.getWordLanguage();
+    this.wordLanguageText.setText(t('menu.wordLanguage', { language: t(`wordLanguage.${language}`) }));
+    this.wordLanguageButton.setAlpha(this.selectedAssignment ? 0.6 : 1);
+  }
+
+  /**
+   * @returns {string} Word bank of the next game: the assignment's word list, otherwise the player's pick
+   */
+  getWordLanguage() {
+    return this.selectedAssignment?.word_lists?.language || this.selectedWordLanguage;
+  }
+
+  /**
+   * Button in the top-right corner that switches to the next language and rebuilds the menu
+   */
+  createLanguageSwitch() {
+    const locales = Object.keys(LOCALES);
+    const next = locales[(locales.indexOf(getLocale()) + 1) % locales.length];
+
+    const languageButton = this.add.rectangle(740, 30, 90, 30, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => {
+        setLocale(next);
+        SettingsManager.getInstance().saveToProfile(); // The language is one of the profile settings
+        this.scene.restart();
+      })
+      .on('pointerover', () => languageButton.setScale(1.05))
+      .on('pointerout', () => languageButton.setScale(1));
+
+    this.add.text(740, 30, `🌐 ${LOCALES[getLocale()].short}`, {
+      fontSize: '16px',
+      color: '#000000'
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Button next to the language switch that opens SettingsScene
+   */
+  createSettingsButton() {
+    const settingsButton = this.add.rectangle(610, 30, 150, 30, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.scene.start('SettingsScene', { returnTo: 'MenuScene' }))
+      .on('pointerover', () => settingsButton.setScale(1.05))
+      .on('pointerout', () => settingsButton.setScale(1));
+
+    this.add.text(610, 30, t('menu.settings'), {
+      fontSize: '16px',
+      color: '#000000'
+    }).setOrigin(0.5);
+  }
+
   highlight(rect, color) {
     rect.setFillStyle(color, 1);
   }
 
   startGame() {
-    // Store selected difficulty in registry
+    // Store selected difficulty, session mode, word language and assignment in registry
     this.registry.set('difficulty', this.selectedDifficulty);
+    this.registry.set('sessionMode', this.selectedSessionMode);
+    this.registry.set('wordLanguage', this.getWordLanguage());
+    this.registry.set('assignment', this.selectedAssignment
+      ? {
+        id: this.selectedAssignment.id,
+        wordListId: this.selectedAssignment.word_list_id,
+        language: this.getWordLanguage(),
+        scoringMode: this.selectedAssignment.classes?.scoring_mode
+      }
+      : null);
     
     // Stop MenuScene and start GameScene
     this.scene.stop('MenuScene');
@@ -211,64 +673,113 @@ export default class MenuScene extends Phaser.Scene {
     this.refreshLeaderboard();
   }
 
+  /**
+   * Button that cycles the leaderboard between all-time, this week and the player's classes
+   */
+  createLeaderboardFilter() {
+    this.leaderboardFilters = [
+      { label: t('menu.leaderboardAllTime') },
+      { label: t('menu.leaderboardThisWeek'), weekly: true },
+      ...(this.currentPlayer?.classes || []).map(c => ({ label: t('menu.leaderboardClass', { name: c.name }), classId: c.id }))
+    ];
+    this.leaderboardFilter = this.leaderboardFilters[0];
+
+    const filterButton = this.add.rectangle(500, 462, 150, 26, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.onLeaderboardFilterCycle())
+      .on('pointerover', () => filterButton.setScale(1.05))
+      .on('pointerout', () => filterButton.setScale(1));
+
+    this.leaderboardFilterText = this.add.text(500, 462, `${this.leaderboardFilter.label} ▸`, {
+      fontSize: '14px',
+      color: '#000000'
+    }).setOrigin(0.5);
+  }
+
+  onLeaderboardFilterCycle() {
+    const index = this.leaderboardFilters.indexOf(this.leaderboardFilter);
+    this.leaderboardFilter = this.leaderboardFilters[(index + 1) % this.leaderboardFilters.length];
+    this.leaderboardFilterText.setText(`${this.leaderboardFilter.label} ▸`);
+    this.refreshLeaderboard();
+  }
+
+  /**
+   * Replace the leaderboard rows
+   * @param {Array<Phaser.GameObjects.Text>} texts - New rows or message
+   */
+  setLeaderboardDisplay(texts) {
+    if (this.leaderboardDisplay) {
+      this.leaderboardDisplay.forEach(text => text.destroy());
+    }
+    this.leaderboardDisplay = texts;
+  }
+
+  /**
+   * @param {string} message - Text shown instead of the rows
+   * @param {string} color - Text color
+   */
+  showLeaderboardMessage(message, color) {
+    this.setLeaderboardDisplay([
+      this.add.text(400, MENU_STYLE.leaderboardTop + 20, message, {
+        fontSize: MENU_STYLE.leaderboardFontSize,
+        color
+      }).setOrigin(0.5)
+    ]);
+  }
+
   async refreshLeaderboard() {
+    // Switching difficulty, language or filter quickly must not show an older answer last
+    const filter = this.leaderboardFilter;
+    if (!filter) return; // Difficulty picked before the leaderboard was built; create() loads it
+    const request = ++this.leaderboardRequest;
+
+    // Scores only compare within one word language
+    const language = this.getWordLanguage();
+    this.leaderboardTitle.setText(t('menu.leaderboardTitle', { language: t(`wordLanguage.${language}`) }));
+
     try {
-      const { data, error } = await DatabaseManager.getInstance().getHighscores(10, this.selectedDifficulty);
-      
-      // Clear existing leaderboard display
-      if (this.leaderboardDisplay) {
-        this.leaderboardDisplay.forEach(text => text.destroy());
-      }
-      
-      this.leaderboardDisplay = [];
+      const { data, error } = await DatabaseManager.getInstance().getLeaderboard(this.selectedDifficulty, {
+        since: filter.weekly ? new Date(startOfWeek(Date.now())).toISOString() : null,
+        classId: filter.classId || null,
+        language,
+        limit: MENU_STYLE.leaderboardRows
+      });
+
+      if (request !== this.leaderboardRequest || !this.sys.isActive()) return;
 
       if (error) {
         console.error('Error loading leaderboard:', error);
-        this.leaderboardDisplay = [
-          this.add.text(400, 510, 'Fout bij laden scores', {
-            fontSize: MENU_STYLE.leaderboardFontSize,
-            color: '#FF0000'
-          }).setOrigin(0.5)
-        ];
+        this.showLeaderboardMessage(t('menu.leaderboardError'), '#FF0000');
         return;
       }
 
       this.leaderboardData = data || [];
 
       if (this.leaderboardData.length === 0) {
-        this.leaderboardDisplay.push(
-          this.add.text(400, 510, 'Nog geen scores!', {
-            fontSize: MENU_STYLE.leaderboardFontSize,
-            color: '#FFFFFF'
-          }).setOrigin(0.5)
-        );
-      } else {
-        // Display top 5 scores
-        this.leaderboardData.slice(0, 5).forEach((score, index) => {
-          const username = score.players?.username || 'Gast';
-          const scoreText = `${index + 1}. ${username}: ${score.score}`;
-          
-          this.leaderboardDisplay.push(
-            this.add.text(400, 510 + (index * 12), scoreText, {
-              fontSize: MENU_STYLE.leaderboardFontSize,
-              color: '#FFFFFF'
-            }).setOrigin(0.5)
-          );
-        });
+        this.showLeaderboardMessage(t('menu.leaderboardEmpty'), '#FFFFFF');
+        return;
       }
+
+      // Two columns: 1-5 on the left, 6-10 on the right
+      const perColumn = Math.ceil(MENU_STYLE.leaderboardRows / MENU_STYLE.leaderboardColumns.length);
+      this.setLeaderboardDisplay(this.leaderboardData.map((row, index) => {
+        const x = MENU_STYLE.leaderboardColumns[Math.floor(index / perColumn)];
+        const y = MENU_STYLE.leaderboardTop + (index % perColumn) * MENU_STYLE.leaderboardRowSpacing;
+        const isMe = row.player_id === this.currentPlayer?.id;
+
+        return this.add.text(x, y, `${index + 1}. ${row.username || t('common.guest')}: ${formatNumber(row.score)}`, {
+          fontSize: MENU_STYLE.leaderboardFontSize,
+          color: isMe ? '#FFD700' : '#FFFFFF',
+          fontStyle: isMe ? 'bold' : 'normal',
+          stroke: '#000000',
+          strokeThickness: 2
+        }).setOrigin(0.5);
+      }));
     } catch (error) {
       console.error('Error loading leaderboard:', error);
-      
-      if (this.leaderboardDisplay) {
-        this.leaderboardDisplay.forEach(text => text.destroy());
+      if (request === this.leaderboardRequest) {
+        this.showLeaderboardMessage(t('menu.leaderboardError'), '#FF0000');
       }
-      
-      this.leaderboardDisplay = [
-        this.add.text(400, 510, 'Fout bij laden scores', {
-          fontSize: MENU_STYLE.leaderboardFontSize,
-          color: '#FF0000'
-        }).setOrigin(0.5)
-      ];
     }
   }
 }
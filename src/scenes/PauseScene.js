@@ -0,0 +1,106 @@
+import ScoreManager from '../managers/ScoreManager.js';
+import WordManager from '../managers/WordManager.js';
+import PronunciationManager from '../managers/PronunciationManager.js';
+import { GAME_OVER_STYLE } from '../utils/constants.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * PauseScene - Overlay on top of the paused GameScene
+ * Offers resume, restart, settings and quit to menu; restarting and quitting save the session so far
+ */
+export default class PauseScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'PauseScene' });
+  }
+
+  init() {
+    this.isLeaving = false;
+  }
+
+  create() {
+    this.gameScene = this.scene.get('GameScene');
+
+    // Dim the frozen game and catch clicks meant for it
+    this.add.rectangle(400, 300, 800, 600, GAME_OVER_STYLE.overlayColor, GAME_OVER_STYLE.overlayAlpha)
+      .setInteractive();
+
+    this.add.text(400, 110, t('pause.title'), {
+      fontSize: GAME_OVER_STYLE.titleFontSize,
+      color: '#FFFFFF',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    this.addButton(185, t('pause.resume'), GAME_OVER_STYLE.buttonColor, () => this.onResume());
+    this.addButton(250, t('pause.restart'), GAME_OVER_STYLE.buttonColorAlt, () => this.onLeave('GameScene'));
+    this.muteButtonText = this.addButton(315, '', GAME_OVER_STYLE.buttonColorAlt, () => this.onToggleMute());
+    this.addButton(380, t('pause.settings'), GAME_OVER_STYLE.buttonColorAlt, () => this.onSettings());
+    this.addButton(445, t('pause.toMenu'), GAME_OVER_STYLE.buttonColorAlt, () => this.onLeave('MenuScene'));
+    this.updateMuteText();
+
+    this.messageText = this.add.text(400, 510, '', {
+      fontSize: '18px',
+      color: '#FFFFFF'
+    }).setOrigin(0.5);
+
+    this.input.keyboard.on('keydown-P', this.onResume, this);
+    this.input.keyboard.on('keydown-ESC', this.onResume, this);
+  }
+
+  /**
+   * Add a menu button
+   * @returns {Phaser.GameObjects.Text} The button label
+   */
+  addButton(y, label, color, onClick) {
+    const button = this.add.rectangle(400, y, 260, GAME_OVER_STYLE.buttonHeight, color)
+      .setStrokeStyle(2, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', onClick)
+      .on('pointerover', () => button.setScale(1.05))
+      .on('pointerout', () => button.setScale(1));
+
+    return this.add.text(400, y, label, {
+      fontSize: '24px',
+      color: '#FFFFFF'
+    }).setOrigin(0.5);
+  }
+
+  onResume() {
+    if (this.isLeaving) return;
+    this.gameScene.resumeGame();
+  }
+
+  onToggleMute() {
+    PronunciationManager.getInstance().toggleMuted();
+    this.updateMuteText();
+  }
+
+  updateMuteText() {
+    this.muteButtonText.setText(PronunciationManager.getInstance().isMuted() ? t('pause.pronunciationOff') : t('pause.pronunciationOn'));
+  }
+
+  /**
+   * Swap the pause menu for the settings; they come back here when closed, with the game still frozen
+   */
+  onSettings() {
+    if (this.isLeaving) return;
+    this.scene.start('SettingsScene', { returnTo: 'PauseScene' });
+  }
+
+  /**
+   * Save the session so far and restart the game or go back to the menu
+   * @param {string} nextScene - 'GameScene' or 'MenuScene'
+   */
+  async onLeave(nextScene) {
+    if (this.isLeaving) return;
+    this.isLeaving = true;
+    this.messageText.setText(t('pause.saving'));
+
+    await this.gameScene.savePartialSession();
+
+    ScoreManager.getInstance().reset();
+    WordManager.getInstance().clearSession();
+
+    this.scene.stop('GameScene');
+    this.scene.start(nextScene);
+  }
+}
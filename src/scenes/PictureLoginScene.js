@@ -0,0 +1,279 @@
+import AuthManager from '../managers/AuthManager.js';
+import DatabaseManager from '../managers/DatabaseManager.js';
+import { PICTURE_PASSWORD } from '../utils/constants.js';
+import { translateAuthError } from '../utils/authErrors.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * PictureLoginScene - Child-friendly login without email or password
+ * The student types the class code, taps their name and then taps their pictures
+ */
+export default class PictureLoginScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'PictureLoginScene' });
+  }
+
+  init() {
+    this.classCode = null;
+    this.roster = [];
+    this.rosterPage = 0;
+    this.selectedPlayer = null;
+    this.pictures = [];
+    this.stepObjects = [];
+    this.isSubmitting = false;
+  }
+
+  create() {
+    // Same backdrop as the menu
+    const bg = this.add.image(400, 300, 'background');
+    bg.setDisplaySize(800, 600);
+    bg.setDepth(-2);
+
+    const base = this.add.image(400, 568, 'base');
+    base.setDisplaySize(800, 112);
+    base.setDepth(-1);
+
+    this.titleText = this.add.text(400, 60, '', {
+      fontSize: '32px',
+      fontStyle: 'bold',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5);
+
+    this.messageText = this.add.text(400, 500, '', {
+      fontSize: '18px',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3,
+      align: 'center'
+    }).setOrigin(0.5);
+
+    // Back button: one step back, or to the menu from the first step
+    this.add.rectangle(70, 30, 110, 36, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.onBack());
+
+    this.add.text(70, 30, t('common.back'), {
+      fontSize: '18px',
+      color: '#000000'
+    }).setOrigin(0.5);
+
+    this.showCodeStep();
+  }
+
+  /**
+   * Remove the objects of the previous step
+   */
+  clearStep() {
+    this.stepObjects.forEach(object => object.destroy());
+    this.stepObjects = [];
+    this.setMessage('');
+  }
+
+  /**
+   * @param {string} message - Text below the current step
+   * @param {boolean} isError - Show the text in red
+   */
+  setMessage(message, isError = false) {
+    this.messageText.setText(message);
+    this.messageText.setColor(isError ? '#FF4444' : '#FFFFFF');
+  }
+
+  /**
+   * Add a labelled button that belongs to the current step
+   * @returns {Phaser.GameObjects.Rectangle} The button background
+   */
+  addStepButton(x, y, width, height, label, onClick, style = {}) {
+    const button = this.add.rectangle(x, y, width, height, style.color ?? 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', onClick)
+      .on('pointerover', () => button.setScale(1.05))
+      .on('pointerout', () => button.setScale(1));
+
+    const text = this.add.text(x, y, label, {
+      fontSize: style.fontSize || '20px',
+      color: style.textColor || '#000000'
+    }).setOrigin(0.5);
+
+    this.stepObjects.push(button, text);
+    return button;
+  }
+
+  /**
+   * Step 1: enter the class code
+   * @param {string} prefill - Code typed earlier (when coming back from the roster)
+   */
+  showCodeStep(prefill = '') {
+    this.clearStep();
+    this.titleText.setText(t('pictureLogin.codeTitle'));
+
+    const codeInput = this.add.dom(400, 200).createFromHTML(`
+      <input type="text" name="code" maxlength="6" autocomplete="off" autocapitalize="characters"
+        style="width: 260px; padding: 12px; font-size: 36px; text-align: center; letter-spacing: 6px; text-transform: uppercase; border-radius: 8px; border: 3px solid #000000;">
+    `);
+    codeInput.addListener('keydown');
+    codeInput.on('keydown', (event) => {
+      if (event.key === 'Enter') this.onCodeSubmit(codeInput);
+    });
+    this.stepObjects.push(codeInput);
+
+    this.addStepButton(400, 300, 200, 60, t('pictureLogin.next'), () => this.onCodeSubmit(codeInput), {
+      color: 0x4CAF50,
+      textColor: '#FFFFFF',
+      fontSize: '28px'
+    });
+
+    codeInput.getChildByName('code').value = prefill;
+    codeInput.getChildByName('code').focus();
+  }
+
+  /**
+   * Look up the students of the class
+   * @param {Phaser.GameObjects.DOMElement} codeInput - Element holding the code field
+   */
+  async onCodeSubmit(codeInput) {
+    if (this.isSubmitting) return;
+
+    const code = codeInput.getChildByName('code').value.trim().toUpperCase();
+    if (!code) {
+      this.setMessage(t('pictureLogin.enterCode'), true);
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.setMessage(t('common.pleaseWait'));
+    const { data, error } = await DatabaseManager.getInstance().getLoginRoster(code);
+    this.isSubmitting = false;
+
+    if (error) {
+      this.setMessage(translateAuthError(error), true);
+      return;
+    }
+
+    if (!data || data.length === 0) {
+      this.setMessage(t('pictureLogin.noPictureLogins'), true);
+      return;
+    }
+
+    this.classCode = code;
+    this.roster = data;
+    this.rosterPage = 0;
+    this.showRosterStep();
+  }
+
+  /**
+   * Step 2: tap your own name
+   */
+  showRosterStep() {
+    this.clearStep();
+    this.titleText.setText(t('pictureLogin.rosterTitle'));
+
+    const pageSize = PICTURE_PASSWORD.ROSTER_PAGE_SIZE;
+    const pageCount = Math.ceil(this.roster.length / pageSize);
+    const players = this.roster.slice(this.rosterPage * pageSize, (this.rosterPage + 1) * pageSize);
+
+    // Four columns of name buttons
+    players.forEach((player, index) => {
+      const x = 130 + (index % 4) * 180;
+      const y = 130 + Math.floor(index / 4) * 55;
+      this.addStepButton(x, y, 165, 45, player.username, () => this.showPictureStep(player));
+    });
+
+    if (pageCount > 1) {
+      this.addStepButton(400, 460, 200, 40, t('pictureLogin.moreNames', { page: this.rosterPage + 1, pages: pageCount }), () => {
+        this.rosterPage = (this.rosterPage + 1) % pageCount;
+        this.showRosterStep();
+      }, { fontSize: '16px' });
+    }
+  }
+
+  /**
+   * Step 3: tap your pictures in the right order
+   * @param {Object} player - Roster entry ({id, username})
+   */
+  showPictureStep(player) {
+    this.clearStep();
+    this.selectedPlayer = player;
+    this.pictures = [];
+    this.titleText.setText(t('pictureLogin.picturesTitle', { name: player.username }));
+
+    // Progress dots, one per picture of the password
+    this.pictureDots = [];
+    for (let i = 0; i < PICTURE_PASSWORD.LENGTH; i++) {
+      const dot = this.add.circle(400 + (i - (PICTURE_PASSWORD.LENGTH - 1) / 2) * 40, 115, 12, 0xFFFFFF)
+        .setStrokeStyle(3, 0x000000);
+      this.pictureDots.push(dot);
+      this.stepObjects.push(dot);
+    }
+
+    // 3x3 grid of pictures
+    PICTURE_PASSWORD.PICTURES.forEach((picture, index) => {
+      const x = 280 + (index % 3) * 120;
+      const y = 200 + Math.floor(index / 3) * 100;
+      this.addStepButton(x, y, 100, 88, picture.emoji, () => this.onPictureTap(picture.key), {
+        fontSize: '52px'
+      });
+    });
+
+    this.addStepButton(620, 300, 120, 40, t('pictureLogin.again'), () => this.resetPictures(), { fontSize: '18px' });
+  }
+
+  resetPictures() {
+    this.pictures = [];
+    this.pictureDots.forEach(dot => dot.setFillStyle(0xFFFFFF));
+  }
+
+  /**
+   * Add a tapped picture; log in once the sequence is complete
+   * @param {string} key - Picture key
+   */
+  async onPictureTap(key) {
+    if (this.isSubmitting || this.pictures.length >= PICTURE_PASSWORD.LENGTH) return;
+
+    this.pictures.push(key);
+    this.pictureDots[this.pictures.length - 1].setFillStyle(0x4CAF50);
+    this.setMessage('');
+
+    if (this.pictures.length < PICTURE_PASSWORD.LENGTH) return;
+
+    this.isSubmitting = true;
+    this.setMessage(t('common.pleaseWait'));
+    const result = await AuthManager.getInstance().signInWithPictures(
+      this.classCode,
+      this.selectedPlayer,
+      this.pictures
+    );
+    this.isSubmitting = false;
+
+    if (!result.error) {
+      this.scene.start('MenuScene');
+      return;
+    }
+
+    let message = translateAuthError(result.error);
+    if (result.lockedUntil) {
+      const minutes = Math.ceil((new Date(result.lockedUntil).getTime() - Date.now()) / 60000);
+      message += `\n${t('pictureLogin.lockedRetry', { count: minutes })}`;
+    } else if (result.attemptsLeft !== undefined) {
+      message += `\n${t('pictureLogin.attemptsLeft', { count: result.attemptsLeft })}`;
+    }
+    this.setMessage(message, true);
+    this.resetPictures();
+  }
+
+  onBack() {
+    if (this.isSubmitting) return;
+
+    if (this.selectedPlayer) {
+      this.selectedPlayer = null;
+      this.showRosterStep();
+    } else if (this.classCode) {
+      const code = this.classCode;
+      this.classCode = null;
+      this.showCodeStep(code);
+    } else {
+      this.scene.start('MenuScene');
+    }
+  }
+}
@@ -0,0 +1,256 @@
+import AuthManager from '../managers/AuthManager.js';
+import DatabaseManager from '../managers/DatabaseManager.js';
+import { PROGRESS, DEFAULT_WORD_LANGUAGE } from '../utils/constants.js';
+import { countPerWeek, getPracticeStreak } from '../utils/progress.js';
+import { formatDate, formatNumber, t } from '../utils/i18n.js';
+
+const PANEL_WIDTH = 370;
+const PANEL_HEIGHT = 170;
+const CHART_PADDING = 30;
+
+/**
+ * ProgressScene - "My progress" dashboard for the logged in player
+ * Shows score and accuracy over time, words mastered per week, the practice streak
+ * and the words the player finds hardest, for one word language
+ */
+export default class ProgressScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ProgressScene' });
+  }
+
+  /**
+   * @param {Object} data - { language: word language picked in the menu }
+   */
+  init(data) {
+    this.language = data?.language || DEFAULT_WORD_LANGUAGE;
+  }
+
+  create() {
+    // Same backdrop as the menu
+    const bg = this.add.image(400, 300, 'background');
+    bg.setDisplaySize(800, 600);
+    bg.setDepth(-2);
+
+    const base = this.add.image(400, 568, 'base');
+    base.setDisplaySize(800, 112);
+    base.setDepth(-1);
+
+    this.add.text(400, 40, t('progress.title', { language: t(`wordLanguage.${this.language}`) }), {
+      fontSize: '32px',
+      fontStyle: 'bold',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 4
+    }).setOrigin(0.5);
+
+    // Back to the menu
+    this.add.rectangle(70, 30, 110, 36, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.scene.start('MenuScene'));
+
+    this.add.text(70, 30, t('common.back'), {
+      fontSize: '18px',
+      color: '#000000'
+    }).setOrigin(0.5);
+
+    this.messageText = this.add.text(400, 300, '', {
+      fontSize: '20px',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3,
+      align: 'center'
+    }).setOrigin(0.5);
+
+    const player = AuthManager.getInstance().getCurrentPlayer();
+    if (!player) {
+      this.messageText.setText(t('progress.loginRequired'));
+      return;
+    }
+
+    this.messageText.setText(t('progress.loading'));
+    this.loadProgress(player.id);
+  }
+
+  /**
+   * Fetch the player's history and draw the dashboard
+   * @param {string} playerId - UUID of the player
+   */
+  async loadProgress(playerId) {
+    const db = DatabaseManager.getInstance();
+    const [sessionsResult, masteredResult, hardestResult] = await Promise.all([
+      db.getPlayerSessions(playerId, PROGRESS.SESSION_LIMIT, this.language),
+      db.getMasteredWords(playerId, this.language),
+      db.getHardestWords(playerId, PROGRESS.HARDEST_WORD_COUNT, this.language)
+    ]);
+
+    // The player left the scene while waiting
+    if (!this.sys.isActive()) return;
+
+    if (sessionsResult.error || masteredResult.error || hardestResult.error) {
+      this.messageText.setText(t('progress.loadError'));
+      return;
+    }
+
+    const sessions = sessionsResult.data || [];
+    if (sessions.length === 0) {
+      this.messageText.setText(t('progress.noGames'));
+      return;
+    }
+    this.messageText.setText('');
+
+    this.drawSummary(sessions, masteredResult.data || []);
+
+    // Oldest session first, so the lines run left to right
+    const history = [...sessions].reverse();
+    this.drawLineChart(205, 230, t('progress.scoreChart'), history.map(s => s.score), PROGRESS.scoreColor);
+    this.drawLineChart(595, 230, t('progress.accuracyChart'), history.map(s => Math.round((s.accuracy || 0) * 100)), PROGRESS.accuracyColor, 0, 100);
+    this.drawMasteredChart(205, 420, masteredResult.data || []);
+    this.drawHardestWords(595, 420, hardestResult.data || []);
+  }
+
+  /**
+   * Show the practice streak, the number of games and the number of mastered words
+   */
+  drawSummary(sessions, masteredWords) {
+    const streak = getPracticeStreak(sessions);
+    const games = sessions.length >= PROGRESS.SESSION_LIMIT
+      ? t('progress.gamesMore', { count: PROGRESS.SESSION_LIMIT })
+      : t('progress.games', { count: sessions.length });
+    const summary = [
+      t('progress.streak', { count: streak }),
+      games,
+      t('progress.mastered', { count: masteredWords.length })
+    ].join('   ·   ');
+
+    this.add.text(400, 100, summary, {
+      fontSize: '20px',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Draw a dark panel with a title
+   * @returns {{left: number, top: number, right: number, bottom: number}} Chart area inside the panel
+   */
+  addPanel(x, y, title) {
+    this.add.rectangle(x, y, PANEL_WIDTH, PANEL_HEIGHT, PROGRESS.panelColor, PROGRESS.panelAlpha)
+      .setStrokeStyle(2, 0xFFFFFF);
+
+    this.add.text(x, y - PANEL_HEIGHT / 2 + 14, title, {
+      fontSize: '16px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    }).setOrigin(0.5);
+
+    return {
+      left: x - PANEL_WIDTH / 2 + CHART_PADDING,
+      top: y - PANEL_HEIGHT / 2 + CHART_PADDING,
+      right: x + PANEL_WIDTH / 2 - 15,
+      bottom: y + PANEL_HEIGHT / 2 - 20
+    };
+  }
+
+  /**
+   * Draw one value per session as a line
+   * @param {Array<number>} values - Values, oldest first
+   * @param {number} color - Line color
+   * @param {number|null} min - Bottom of the axis (defaults to the lowest value or 0)
+   * @param {number|null} max - Top of the axis (defaults to the highest value)
+   */
+  drawLineChart(x, y, title, values, color, min = null, max = null) {
+    const area = this.addPanel(x, y, title);
+    const low = min ?? Math.min(0, ...values);
+    const high = Math.max(max ?? Math.max(...values), low + 1);
+
+    this.addAxisLabels(area, low, high);
+
+    const graphics = this.add.graphics();
+    graphics.lineStyle(1, 0xFFFFFF, 0.4);
+    graphics.strokeLineShape(new Phaser.Geom.Line(area.left, area.bottom, area.right, area.bottom));
+
+    const stepX = values.length > 1 ? (area.right - area.left) / (values.length - 1) : 0;
+    const points = values.map((value, index) => new Phaser.Math.Vector2(
+      values.length > 1 ? area.left + index * stepX : (area.left + area.right) / 2,
+      area.bottom - ((value - low) / (high - low)) * (area.bottom - area.top)
+    ));
+
+    graphics.lineStyle(3, color, 1);
+    if (points.length > 1) {
+      graphics.strokePoints(points);
+    }
+    graphics.fillStyle(color, 1);
+    points.forEach(point => graphics.fillCircle(point.x, point.y, 3));
+  }
+
+  /**
+   * Draw the number of newly mastered words for each of the last weeks
+   * @param {Array} masteredWords - Rows with mastered_at
+   */
+  drawMasteredChart(x, y, masteredWords) {
+    const area = this.addPanel(x, y, t('progress.masteredChart'));
+    const weeks = countPerWeek(masteredWords, 'mastered_at', PROGRESS.WEEKS);
+    const high = Math.max(1, ...weeks.map(week => week.count));
+
+    this.addAxisLabels(area, 0, high);
+
+    const graphics = this.add.graphics();
+    const slotWidth = (area.right - area.left) / weeks.length;
+
+    weeks.forEach((week, index) => {
+      const barHeight = (week.count / high) * (area.bottom - area.top);
+      const barX = area.left + index * slotWidth + slotWidth * 0.15;
+
+      graphics.fillStyle(PROGRESS.masteredColor, 1);
+      graphics.fillRect(barX, area.bottom - barHeight, slotWidth * 0.7, barHeight);
+
+      // Day and month of the Monday below each bar
+      const monday = formatDate(week.weekStart, { day: 'numeric', month: 'numeric' });
+      this.add.text(barX + slotWidth * 0.35, area.bottom + 4, monday, {
+        fontSize: '10px',
+        color: '#FFFFFF'
+      }).setOrigin(0.5, 0);
+    });
+  }
+
+  /**
+   * List the words the player got wrong most often
+   * @param {Array} hardestWords - player_word_stats rows joined with words
+   */
+  drawHardestWords(x, y, hardestWords) {
+    const area = this.addPanel(x, y, t('progress.hardestWords'));
+
+    if (hardestWords.length === 0) {
+      this.add.text(x, y, t('progress.noMistakes'), {
+        fontSize: '16px',
+        color: '#FFFFFF'
+      }).setOrigin(0.5);
+      return;
+    }
+
+    hardestWords.forEach((stat, index) => {
+      const rowY = area.top + 4 + index * 24;
+      const word = stat.words?.correct_spelling || '?';
+
+      this.add.text(area.left - 10, rowY, `${index + 1}. ${word}`, {
+        fontSize: '16px',
+        color: '#FFFFFF'
+      });
+
+      this.add.text(area.right, rowY, t('progress.wordMistakes', { wrong: stat.total_wrong, correct: stat.total_correct }), {
+        fontSize: '14px',
+        color: '#FF8A80'
+      }).setOrigin(1, 0);
+    });
+  }
+
+  /**
+   * Write the lowest and highest value next to the y axis
+   */
+  addAxisLabels(area, low, high) {
+    const style = { fontSize: '10px', color: '#FFFFFF' };
+    this.add.text(area.left - 4, area.top, formatNumber(high), style).setOrigin(1, 0.5);
+    this.add.text(area.left - 4, area.bottom, formatNumber(low), style).setOrigin(1, 0.5);
+  }
+}
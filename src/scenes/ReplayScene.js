@@ -0,0 +1,338 @@
+import GameScene from './GameScene.js';
+import ScoreManager from '../managers/ScoreManager.js';
+import WordManager from '../managers/WordManager.js';
+import { GAME_STATES, FEEDBACK_COLORS, REPLAY, DEFAULT_WORD_LANGUAGE } from '../utils/constants.js';
+import { unpackReplay } from '../utils/replay.js';
+import { formatClock, t } from '../utils/i18n.js';
+
+/**
+ * ReplayScene - Plays a recorded session back on the same fixed-step simulation as GameScene
+ * The seed, the recorded words and the jump steps (or target gates in assisted play) make the game
+ * run exactly as it was played, at the speed it was played.
+ * Pause, the timeline and the arrow keys scrub through it; going back starts over and fast-forwards.
+ */
+export default class ReplayScene extends GameScene {
+  constructor() {
+    super('ReplayScene');
+  }
+
+  /**
+   * @param {Object} data - { replay: game_sessions.replay, title }, plus startStep and paused when scrubbing back
+   */
+  init(data) {
+    this.storedReplay = data?.replay || null;
+    this.title = data?.title || t('replay.title');
+    this.startStep = data?.startStep || 0;
+    this.isPaused = Boolean(data?.paused);
+    this.isSeeking = false;
+    this.replay = unpackReplay(this.storedReplay);
+    this.seed = this.replay?.seed;
+    this.wordIndex = 0;
+  }
+
+  async create() {
+    if (!this.replay) {
+      this.showUnavailable();
+      return;
+    }
+
+    this.jumpSteps = new Set(this.replay.jumps);
+    this.targetSteps = new Map(this.replay.targets);
+    await super.create();
+
+    // The pause button, P and ESC control the playback instead of the pause menu
+    this.input.keyboard.off('keydown-P', this.pauseGame, this);
+    this.input.keyboard.off('keydown-ESC', this.pauseGame, this);
+    this.pauseButton.removeAllListeners('pointerdown').on('pointerdown', () => this.togglePlayback());
+    this.input.keyboard.on('keydown-P', this.togglePlayback, this);
+    this.input.keyboard.on('keydown-SPACE', this.togglePlayback, this);
+    this.input.keyboard.on('keydown-ESC', this.leave, this);
+    this.input.keyboard.on('keydown-LEFT', () => this.seek(this.stepCount - REPLAY.SEEK_SECONDS * this.replay.stepsPerSecond));
+    this.input.keyboard.on('keydown-RIGHT', () => this.seek(this.stepCount + REPLAY.SEEK_SECONDS * this.replay.stepsPerSecond));
+
+    this.createControls();
+
+    if (this.startStep > 0) {
+      this.seek(this.startStep);
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Settings the session was played with
+   */
+  getSessionSettings() {
+    return {
+      difficulty: this.replay.difficulty,
+      sessionMode: this.replay.sessionMode,
+      language: this.replay.language || DEFAULT_WORD_LANGUAGE,
+      assignment: null,
+      assist: this.replay.assist
+    };
+  }
+
+  // The replay has its own controls below the timeline
+  showKeyHints() {}
+
+  /**
+   * Score with the recorded scoring mode; without a player nothing is saved while watching
+   */
+  async prepareSession() {
+    this.currentPlayer = null;
+    this.scoreManager.startSession();
+    this.scoreManager.setScoringMode(this.replay.scoringMode);
+  }
+
+  /**
+   * @returns {Object|null} The word the next pipe got in the recorded session
+   */
+  nextWord() {
+    const index = this.replay.order[this.wordIndex++];
+    return index === undefined ? null : this.replay.words[index];
+  }
+
+  announceWord(wordData) {
+    if (!this.isSeeking) {
+      super.announceWord(wordData);
+    }
+  }
+
+  // Jumps and target gates come from the recording
+  onJump() {}
+
+  onKeyDown() {}
+
+  update(time, delta) {
+    if (!this.isReady) return;
+
+    if (!this.isPaused) {
+      super.update(time, delta);
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Run one step, jumping and picking gates on the recorded steps, and stop at the end of the recording
+   */
+  step() {
+    this.jumpQueued = this.jumpSteps.has(this.stepCount + 1);
+    this.queuedGate = this.targetSteps.get(this.stepCount + 1) ?? null;
+    super.step();
+
+    if (this.stepCount >= this.replay.steps) {
+      this.triggerGameOver();
+    }
+  }
+
+  /**
+   * The recorded session is over: stop at the last step instead of showing GameOverScene
+   */
+  triggerGameOver() {
+    this.gameState = GAME_STATES.GAME_OVER;
+    this.isPaused = true;
+    this.pronunciation.stop();
+  }
+
+  /**
+   * Switching to another tab pauses the playback
+   */
+  pauseGame() {
+    this.isPaused = true;
+    this.pronunciation.stop();
+  }
+
+  /**
+   * Pause or continue; at the end, play again from the start
+   */
+  togglePlayback() {
+    if (this.gameState === GAME_STATES.GAME_OVER) {
+      this.seek(0, false);
+      return;
+    }
+
+    this.isPaused = !this.isPaused;
+    if (this.isPaused) {
+      this.pronunciation.stop();
+    }
+  }
+
+  /**
+   * Jump to a step of the recording
+   * Later steps are simulated right away; earlier steps restart the replay and fast-forward to it
+   * @param {number} targetStep - Step to show
+   * @param {boolean} paused - Whether to stay paused there
+   */
+  seek(targetStep, paused = this.isPaused) {
+    const target = Phaser.Math.Clamp(Math.round(targetStep), 0, this.replay.steps);
+
+    if (target < this.stepCount || this.gameState === GAME_STATES.GAME_OVER) {
+      this.scene.restart({ replay: this.storedReplay, title: this.title, startStep: target, paused });
+      return;
+    }
+
+    const wasMuted = this.sound.mute;
+    this.isSeeking = true;
+    this.sound.mute = true;
+
+    while (this.stepCount < target && this.gameState !== GAME_STATES.GAME_OVER) {
+      this.step();
+    }
+
+    this.sound.mute = wasMuted;
+    this.isSeeking = false;
+    this.stepAccumulator = 0;
+    this.isPaused = paused || this.gameState === GAME_STATES.GAME_OVER;
+    this.settleAnimations();
+  }
+
+  /**
+   * Finish the feedback and death animations started while fast-forwarding
+   */
+  settleAnimations() {
+    this.tweens.killAll();
+    this.bird.setAlpha(this.gameState === GAME_STATES.CRASHED ? 0 : 1);
+    this.pipes.getChildren().forEach(pipe => {
+      pipe.setScale(1);
+      pipe.list.forEach(part => part.setX(0));
+      pipe.clearPipeTint();
+    });
+  }
+
+  /**
+   * Title, timeline with a mark per gate choice, time and the latest choices
+   */
+  createControls() {
+    const { timelineLeft, timelineRight, timelineY, timelineHeight } = REPLAY;
+    const width = timelineRight - timelineLeft;
+
+    this.add.text(400, 20, this.title, {
+      fontSize: '20px',
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5).setDepth(150);
+
+    // Back to the menu
+    this.add.rectangle(65, timelineY, 100, 34, 0xFFFFFF)
+      .setDepth(150)
+      .setInteractive()
+      .on('pointerdown', () => this.leave());
+    this.add.text(65, timelineY, t('common.back'), {
+      fontSize: '18px',
+      color: '#000000'
+    }).setOrigin(0.5).setDepth(150);
+
+    // Click the timeline to jump there
+    this.add.rectangle(timelineLeft + width / 2, timelineY, width, timelineHeight, REPLAY.timelineColor, 0.6)
+      .setStrokeStyle(2, 0xFFFFFF)
+      .setDepth(150)
+      .setInteractive()
+      .on('pointerdown', pointer => {
+        this.seek(((pointer.x - timelineLeft) / width) * this.replay.steps);
+      });
+
+    const marks = this.add.graphics().setDepth(151);
+    this.replay.gates.forEach(([step, , , correct]) => {
+      marks.fillStyle(correct ? FEEDBACK_COLORS.CORRECT : FEEDBACK_COLORS.WRONG, 1);
+      marks.fillRect(this.getTimelineX(step) - 2, timelineY - timelineHeight / 2, 4, timelineHeight);
+    });
+
+    this.playhead = this.add.rectangle(timelineLeft, timelineY, 4, timelineHeight + 10, REPLAY.playheadColor)
+      .setDepth(152);
+
+    this.timeText = this.add.text(timelineRight + 15, timelineY, '', {
+      fontSize: '16px',
+      fontFamily: 'Arial',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0, 0.5).setDepth(150);
+
+    // Latest gate choices, newest at the bottom
+    this.choicesText = this.add.text(780, 130, '', {
+      fontSize: '16px',
+      fontFamily: 'Arial',
+      color: '#FFFFFF',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      padding: { x: 8, y: 4 },
+      align: 'right'
+    }).setOrigin(1, 0).setDepth(150);
+  }
+
+  /**
+   * Move the playhead and refresh the time, the choices and the play/pause icon
+   */
+  updateControls() {
+    if (!this.playhead) return;
+
+    this.playhead.x = this.getTimelineX(this.stepCount);
+    this.timeText.setText(`${this.formatStep(this.stepCount)} / ${this.formatStep(this.replay.steps)}`);
+    this.pauseButton.setText(this.isPaused ? '▶' : '⏸');
+
+    const lines = this.replay.gates
+      .filter(([step]) => step <= this.stepCount)
+      .slice(-REPLAY.LOG_LINES)
+      .map(([, wordIndex, chosenSpelling, correct]) => {
+        const word = this.replay.words[wordIndex]?.correct_spelling || '?';
+        return correct
+          ? t('replay.correctChoice', { word })
+          : t('replay.wrongChoice', { chosen: chosenSpelling || '?', word });
+      });
+    const text = lines.join('\n');
+
+    if (text !== this.choicesText.text) {
+      this.choicesText.setText(text).setVisible(text !== '');
+    }
+  }
+
+  /**
+   * @param {number} step - Step of the recording
+   * @returns {number} X position of the step on the timeline
+   */
+  getTimelineX(step) {
+    const { timelineLeft, timelineRight } = REPLAY;
+    return timelineLeft + (timelineRight - timelineLeft) * (this.replay.steps > 0 ? step / this.replay.steps : 0);
+  }
+
+  /**
+   * @param {number} step - Step of the recording
+   * @returns {string} Time since the start as M:SS
+   */
+  formatStep(step) {
+    return formatClock(step / this.replay.stepsPerSecond);
+  }
+
+  /**
+   * Shown when the session has no replay or one this version cannot play
+   */
+  showUnavailable() {
+    const bg = this.add.image(400, 300, 'background');
+    bg.setDisplaySize(800, 600);
+
+    this.add.text(400, 260, t('replay.unavailable'), {
+      fontSize: '24px',
+      color: '#FFFFFF',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5);
+
+    this.add.rectangle(400, 340, 200, 50, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.scene.start('MenuScene'));
+    this.add.text(400, 340, t('replay.toMenu'), {
+      fontSize: '20px',
+      color: '#000000'
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Back to the menu, leaving the managers clean for the next game
+   */
+  leave() {
+    ScoreManager.getInstance().reset();
+    WordManager.getInstance().clearSession();
+    this.scene.start('MenuScene');
+  }
+}
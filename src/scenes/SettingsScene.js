@@ -0,0 +1,150 @@
+import SettingsManager from '../managers/SettingsManager.js';
+import { SETTINGS, GAME_OVER_STYLE } from '../utils/constants.js';
+import { LOCALES, formatPercent, getLocale, setLocale, t } from '../utils/i18n.js';
+
+const ROW_TOP = 98;
+const ROW_SPACING = 30;
+
+const formatSwitch = value => (value ? t('settings.on') : t('settings.off'));
+
+/**
+ * SettingsScene - The player's settings, opened from the menu or from the pause menu
+ * Every row cycles through its values on a click; changes apply right away (GameScene listens
+ * for them) and are stored in the player's profile when the scene closes
+ */
+export default class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'SettingsScene' });
+  }
+
+  /**
+   * @param {Object} data - { returnTo }: 'MenuScene' (default) or 'PauseScene' over the paused game
+   */
+  init(data) {
+    this.returnTo = data?.returnTo || 'MenuScene';
+  }
+
+  create() {
+    this.settings = SettingsManager.getInstance();
+
+    if (this.returnTo === 'MenuScene') {
+      this.add.image(400, 300, 'background').setDisplaySize(800, 600);
+    }
+    // Dims the menu or the frozen game and catches clicks meant for it
+    this.add.rectangle(400, 300, 800, 600, GAME_OVER_STYLE.overlayColor, GAME_OVER_STYLE.overlayAlpha)
+      .setInteractive();
+
+    this.add.text(400, 55, t('settings.title'), {
+      fontSize: GAME_OVER_STYLE.titleFontSize,
+      color: '#FFFFFF',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    this.getRows().forEach((row, index) => this.addRow(ROW_TOP + index * ROW_SPACING, row));
+
+    const backButton = this.add.rectangle(400, 555, 200, 40, GAME_OVER_STYLE.buttonColorAlt)
+      .setStrokeStyle(2, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => this.close())
+      .on('pointerover', () => backButton.setScale(1.05))
+      .on('pointerout', () => backButton.setScale(1));
+    this.add.text(400, 555, t('common.back'), {
+      fontSize: '22px',
+      color: '#FFFFFF'
+    }).setOrigin(0.5);
+
+    this.input.keyboard.on('keydown-ESC', this.close, this);
+  }
+
+  /**
+   * Rows of the scene: the values a row cycles through, and how to read, change and show them
+   * Rows without get and set are stored by SettingsManager under their key
+   * @returns {Array<{key: string, values: Array, format: Function, get: Function, set: Function}>}
+   */
+  getRows() {
+    const volume = value => formatPercent(value);
+
+    return [
+      { key: 'soundVolume', values: SETTINGS.VOLUME_STEPS, format: volume },
+      { key: 'musicVolume', values: SETTINGS.VOLUME_STEPS, format: volume },
+      { key: 'muted', values: [false, true], format: muted => formatSwitch(!muted) },
+      { key: 'textSize', values: Object.keys(SETTINGS.TEXT_SIZES), format: size => t(`settings.textSizes.${size}`) },
+      { key: 'highContrast', values: [false, true], format: formatSwitch },
+      { key: 'reducedMotion', values: [false, true], format: formatSwitch },
+      { key: 'dyslexiaFont', values: [false, true], format: formatSwitch },
+      { key: 'letterSpacing', values: Object.keys(SETTINGS.LETTER_SPACINGS), format: spacing => t(`settings.letterSpacings.${spacing}`) },
+      { key: 'labelPlate', values: [false, true], format: formatSwitch },
+      { key: 'wordPreview', values: [false, true], format: formatSwitch },
+      { key: 'controlScheme', values: Object.keys(SETTINGS.CONTROL_SCHEMES), format: scheme => t(`settings.controlSchemes.${scheme}`) },
+      { key: 'assistMode', values: [false, true], format: formatSwitch },
+      { key: 'assistSpeed', values: SETTINGS.ASSIST_SPEEDS, format: speed => formatPercent(speed) },
+      { key: 'assistControl', values: Object.keys(SETTINGS.ASSIST_CONTROLS), format: control => t(`settings.assistControls.${control}`) },
+      {
+        key: 'language',
+        values: Object.keys(LOCALES),
+        format: locale => LOCALES[locale].name,
+        get: () => getLocale(),
+        set: locale => {
+          setLocale(locale);
+          // Rebuild the scene in the new language
+          this.scene.restart({ returnTo: this.returnTo });
+        }
+      }
+    ].map(row => ({
+      get: () => this.settings.get(row.key),
+      set: value => this.onSettingChange(row.key, value),
+      ...row
+    }));
+  }
+
+  /**
+   * Add a row with its label and a button that switches to the next value
+   * @param {number} y - Y position of the row
+   * @param {Object} row - Row from getRows
+   */
+  addRow(y, row) {
+    this.add.text(150, y, t(`settings.${row.key}`), {
+      fontSize: '18px',
+      color: '#FFFFFF'
+    }).setOrigin(0, 0.5);
+
+    const button = this.add.rectangle(540, y, 260, 26, 0xFFFFFF)
+      .setInteractive()
+      .on('pointerdown', () => {
+        row.set(row.values[(row.values.indexOf(row.get()) + 1) % row.values.length]);
+        updateValue();
+      })
+      .on('pointerover', () => button.setScale(1.05))
+      .on('pointerout', () => button.setScale(1));
+
+    const valueText = this.add.text(540, y, '', {
+      fontSize: '16px',
+      color: '#000000'
+    }).setOrigin(0.5);
+    const updateValue = () => valueText.setText(`${row.format(row.get())} ▸`);
+
+    updateValue();
+  }
+
+  /**
+   * Store a setting; a new effects volume is played back so the player can hear it
+   * @param {string} key - Key of SETTINGS.DEFAULTS
+   * @param {*} value - New value
+   */
+  onSettingChange(key, value) {
+    this.settings.set(key, value);
+
+    // The jump sound is loaded by GameScene, so there is no preview before the first game
+    if (key === 'soundVolume' && !this.settings.get('muted') && this.cache.audio.exists('jump')) {
+      this.sound.play('jump', { volume: value });
+    }
+  }
+
+  /**
+   * Store the settings in the profile and go back to where the scene was opened
+   */
+  close() {
+    this.settings.saveToProfile();
+    this.scene.start(this.returnTo);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Authentication form helpers
+ * Validates login/registration input and turns Supabase Auth errors into
+ * short messages children can understand, in the current UI language
+ */
+import { t } from './i18n.js';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Known error messages (matched case-insensitively) and the auth.errors key of their translation
+ * The first matching entry wins
+ */
+const AUTH_ERROR_MESSAGES = [
+  { pattern: /invalid login credentials/i, key: 'invalidCredentials' },
+  { pattern: /email not confirmed/i, key: 'emailNotConfirmed' },
+  { pattern: /already registered|already been registered/i, key: 'emailTaken' },
+  { pattern: /username already taken/i, key: 'usernameTaken' },
+  { pattern: /password should be at least/i, key: 'passwordTooShort' },
+  { pattern: /invalid format|valid email/i, key: 'invalidEmail' },
+  { pattern: /rate limit|only request this after|too many requests/i, key: 'rateLimited' },
+  { pattern: /unavailable while offline|failed to fetch|network/i, key: 'offline' },
+  { pattern: /timeout/i, key: 'timeout' },
+  { pattern: /player profile/i, key: 'profileFailed' },
+  { pattern: /wrong picture password/i, key: 'wrongPictures' },
+  { pattern: /account locked/i, key: 'accountLocked' },
+  { pattern: /invalid class code/i, key: 'invalidClassCode' },
+  { pattern: /anonymous sign-ins are disabled/i, key: 'pictureLoginDisabled' },
+  { pattern: /invalid login token/i, key: 'loginTokenExpired' },
+  { pattern: /signs in with email/i, key: 'emailAccount' }
+];
+
+/**
+ * Translate an authentication error into a message in the current language
+ * @param {string|null} error - Error message returned by AuthManager
+ * @returns {string} Message to show in the form
+ */
+export function translateAuthError(error) {
+  const match = AUTH_ERROR_MESSAGES.find(({ pattern }) => pattern.test(error || ''));
+  return t(`auth.errors.${match ? match.key : 'unknown'}`, { count: MIN_PASSWORD_LENGTH });
+}
+
+/**
+ * Validate the fields of the login or registration form
+ * @param {Object} fields - Form values
+ * @param {string} fields.mode - 'login' or 'register'
+ * @param {string} fields.email - Email address
+ * @param {string} fields.password - Password
+ * @param {string} fields.username - Username (registration only)
+ * @returns {string|null} Error message, or null when the input is valid
+ */
+export function validateAuthForm({ mode, email, password, username }) {
+  if (mode === 'register' && !USERNAME_PATTERN.test(username || '')) {
+    return t('auth.validation.username');
+  }
+  if (!EMAIL_PATTERN.test(email || '')) {
+    return t('auth.validation.email');
+  }
+  if (!password) {
+    return t('auth.validation.password');
+  }
+  if (mode === 'register' && password.length < MIN_PASSWORD_LENGTH) {
+    return t('auth.errors.passwordTooShort', { count: MIN_PASSWORD_LENGTH });
+  }
+  return null;
+}
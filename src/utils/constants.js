@@ -9,7 +9,8 @@
 export const DIFFICULTY = {
   EASY: {
     pipeSpeed: 150,
-    gapSize: 200,
+    gapSize: 140,     // Height of each gate
+    maxGates: 2,      // Gates per pipe (fewer when a word has fewer wrong spellings)
     jumpVelocity: -400,
     penalty: -5,
     points: 10,
@@ -17,7 +18,8 @@ export const DIFFICULTY = {
   },
   MEDIUM: {
     pipeSpeed: 250,
-    gapSize: 150,
+    gapSize: 115,
+    maxGates: 3,
     jumpVelocity: -450,
     penalty: -10,
     points: 15,
@@ -25,7 +27,8 @@ export const DIFFICULTY = {
   },
   HARD: {
     pipeSpeed: 350,
-    gapSize: 120,
+    gapSize: 95,
+    maxGates: 4,
     jumpVelocity: -500,
     penalty: -15,
     points: 20,
@@ -40,13 +43,176 @@ export const GAME_CONFIG = {
   birdStartX: 150,           // Bird's horizontal position (stays constant)
   birdStartY: 300,           // Bird's vertical starting position (middle of 600px height)
   pipeSpawnX: 900,           // Spawn pipes off-screen to the right
-  pipeSpawnInterval: 2000,   // Milliseconds between pipe spawns
   pipeWidth: 80,             // Width of pipe rectangles
   respawnDelay: 1500,        // Milliseconds before bird respawns after crash
   pipePoolSize: 4,           // Number of pipes to create for object pooling
   scoreTextX: 20,            // X position for score display (top-left)
   scoreTextY: 20,            // Y position for score display
-  gateDetectionOffset: 40    // Pixels past pipe center to trigger gate detection
+  gateDetectionOffset: 40,   // Pixels past pipe center to trigger gate detection
+  playAreaHeight: 512,       // Height above the ground where gates can be placed
+  gateMargin: 40,            // Minimum pipe above the top gate and below the bottom gate
+  gateWallHeight: 30         // Pipe between two stacked gates
+};
+
+/**
+ * Scoring modes a teacher can pick per class (classes.scoring_mode)
+ * fixed: DIFFICULTY points; speed: points scale with how quickly the child settled on a gate;
+ * confidence: points drop with every switch between gates after the word became readable
+ */
+export const SCORING = {
+  MODES: ['fixed', 'speed', 'confidence'],
+  DEFAULT_MODE: 'fixed',
+  MIN_FACTOR: 0.5,           // Lowest share of the points for a correct answer
+  MAX_FACTOR: 1.5,           // Highest share of the points for a correct answer
+  SWITCH_PENALTY: 0.25       // Confidence mode: factor lost per gate switch
+};
+
+/**
+ * Session modes the player picks in MenuScene; the session ends by itself when the limit is reached
+ * (endless only ends when the player quits or restarts from the pause menu, which also saves it).
+ * Their labels are sessionMode.* in the locales
+ */
+export const SESSION_MODES = {
+  LIVES: { lives: 3 },
+  TIME: { durationMs: 3 * 60 * 1000 },
+  WORDS: { wordCount: 20 },
+  ENDLESS: {}
+};
+
+/**
+ * Context sentence and rule display
+ */
+export const HINT_CONFIG = {
+  sentenceY: 75,             // Context sentence of the next pipe, above the pipes
+  sentenceFontSize: '22px',
+  sentenceWrapWidth: 600,
+  ruleDisplayDelay: 3500     // Respawn delay (ms) when a rule is shown after a wrong choice
+};
+
+/**
+ * Languages of the word banks; speechLang picks the speech synthesis voice
+ * Their names are wordLanguage.* in the locales. Keep in sync with the language checks in
+ * supabase/schema.sql
+ */
+export const WORD_LANGUAGES = {
+  nl: { speechLang: 'nl-NL' },
+  en: { speechLang: 'en-GB' },
+  de: { speechLang: 'de-DE' }
+};
+
+export const DEFAULT_WORD_LANGUAGE = 'nl';
+
+/**
+ * Word pronunciation configuration
+ */
+export const PRONUNCIATION = {
+  RATE: 0.9,                 // Slightly slower than normal speech for young learners
+  ANNOUNCE_X: 880            // Speak a pipe's word once it is this close to entering the screen
+};
+
+/**
+ * Player settings (SettingsScene), kept on the device and in players.preferences when logged in
+ * The UI language is stored next to them by i18n.js; the pronunciation switch by PronunciationManager
+ */
+export const SETTINGS = {
+  DEFAULTS: {
+    soundVolume: 1,          // Sound effects, 0 to 1
+    musicVolume: 0.5,        // Background music, 0 to 1
+    muted: false,            // Silences effects and music
+    textSize: 'normal',      // Key of TEXT_SIZES
+    highContrast: false,     // Yellow text and a darkened background behind the pipes
+    reducedMotion: false,    // No bird tilt, pipe pulse or shake
+    dyslexiaFont: false,     // Game text in FONTS.dyslexia
+    letterSpacing: 'normal', // Key of LETTER_SPACINGS
+    labelPlate: false,       // Dark plate behind the words on the gates
+    wordPreview: false,      // Next pipe's spellings shown standing still on the ground
+    controlScheme: 'tap',    // Key of CONTROL_SCHEMES
+    assistMode: false,       // Assisted play (see ASSIST): held altitude, pipes block instead of crashing
+    assistSpeed: 1,          // Game speed in assisted play, one of ASSIST_SPEEDS
+    assistControl: 'keys'    // Key of ASSIST_CONTROLS
+  },
+  VOLUME_STEPS: [0, 0.25, 0.5, 0.75, 1],
+  TEXT_SIZES: {
+    small: 0.8,
+    normal: 1,
+    large: 1.25
+  },
+  // Extra space between letters, as a share of the font size
+  LETTER_SPACINGS: {
+    normal: 0,
+    wide: 0.08,
+    wider: 0.16
+  },
+  // Keys are KeyboardEvent.code values
+  CONTROL_SCHEMES: {
+    tap: { pointer: true, keys: ['Space'] },                       // Space, or a tap or click anywhere
+    keyboard: { pointer: false, keys: ['Space', 'ArrowUp', 'KeyW'] } // Keys only, stray taps do not flap
+  },
+  ASSIST_SPEEDS: [1, 0.75, 0.5],
+  // How the target gate is picked in assisted play; keys are KeyboardEvent.code values
+  ASSIST_CONTROLS: {
+    keys: { up: ['ArrowUp', 'KeyW'], down: ['ArrowDown', 'KeyS'], next: [] }, // Or a tap above or below the bird
+    switch: { up: [], down: [], next: ['Space', 'Enter'] }                     // One switch (or a tap) cycles the gates
+  }
+};
+
+/**
+ * Assisted play (SETTINGS.DEFAULTS.assistMode)
+ * The bird has no gravity and flies to the middle of the gate the player picked; a pipe wall
+ * stops the pipes instead of the bird. Assisted sessions do not count for highscores
+ */
+export const ASSIST = {
+  holdRate: 5,               // Share of the distance to the target height flown per second
+  maxSpeed: 220              // Fastest climb or dive in px/s
+};
+
+/**
+ * Font stacks for game text; the dyslexia stack uses OpenDyslexic when it is installed
+ */
+export const FONTS = {
+  default: 'Arial, sans-serif',
+  dyslexia: '"OpenDyslexic", "Comic Sans MS", Verdana, sans-serif'
+};
+
+/**
+ * Legibility of the words on the gates (utils/legibility.js)
+ * Labels are never wrapped: a word that is too wide gets a smaller font instead
+ */
+export const LEGIBILITY = {
+  labelMaxWidth: 140,        // Labels may stick out a little on both sides of the 80px pipe
+  minFontSize: 18,           // Words are not shrunk further; longer ones stick out more
+  plateColor: 'rgba(0, 0, 0, 0.7)',
+  platePadding: { x: 6, y: 2 },
+  previewY: 540,             // Word preview on the ground, below the play area
+  previewWidth: 700,         // Room for all spellings of the preview
+  previewGap: 24
+};
+
+/**
+ * High-contrast mode (SETTINGS.DEFAULTS.highContrast)
+ */
+export const HIGH_CONTRAST = {
+  textColor: '#FFFF00',
+  strokeThickness: 6,
+  backdropColor: 0x000000,
+  backdropAlpha: 0.5         // Darkens the sky behind the pipes
+};
+
+/**
+ * Background music, synthesised in utils/music.js
+ * Notes are semitones above BASE_FREQUENCY (null is a rest), one per eighth note
+ */
+export const MUSIC = {
+  TEMPO: 112,                // Beats per minute
+  BASE_FREQUENCY: 220,       // A3
+  GAIN: 0.08,                // Loudness at full music volume, kept well below the effects
+  WAVE: 'triangle',
+  MELODY: [
+    3, 7, 10, 7, 12, 10, 7, null,
+    5, 8, 12, 8, 15, 12, 10, null,
+    3, 7, 10, 14, 12, 10, 7, 5,
+    3, null, 7, null, 3, null, null, null
+  ]
 };
 
 /**
@@ -55,7 +221,32 @@ export const GAME_CONFIG = {
 export const PHYSICS = {
   gravity: 800,              // Matches the gravity set in main.js
   maxVelocityY: 600,         // Terminal velocity to prevent bird falling too fast
-  rotationSpeed: 2.5         // How fast bird rotates based on velocity
+  rotationSpeed: 2.5,        // How fast bird rotates based on velocity
+  birdScale: 1.5             // Sprite scale (the body size follows it)
+};
+
+/**
+ * Fixed-step simulation: GameScene advances physics, pipes and timers in steps of equal length,
+ * however often the device draws a frame, so the same seed and inputs replay the same game
+ */
+export const SIMULATION = {
+  STEPS_PER_SECOND: 60,
+  MAX_STEPS_PER_FRAME: 5     // After a long frame the game slows down instead of skipping ahead
+};
+
+/**
+ * Replays (game_sessions.replay) and their playback in ReplayScene
+ */
+export const REPLAY = {
+  LOCAL_LIMIT: 20,           // Offline mode keeps the replays of the newest sessions only
+  SEEK_SECONDS: 5,           // Left and right arrow keys jump this far
+  LOG_LINES: 4,              // Latest gate choices listed in the corner
+  timelineLeft: 130,
+  timelineRight: 660,
+  timelineY: 570,
+  timelineHeight: 14,
+  timelineColor: 0x000000,
+  playheadColor: 0xFFFFFF
 };
 
 /**
@@ -64,7 +255,8 @@ export const PHYSICS = {
 export const GAME_STATES = {
   PLAYING: 'playing',
   CRASHED: 'crashed',
-  RESPAWNING: 'respawning'
+  RESPAWNING: 'respawning',
+  GAME_OVER: 'gameOver'      // Waiting for the last attempts to be saved before GameOverScene
 };
 
 /**
@@ -82,13 +274,12 @@ export const COLORS = {
  */
 export const TEXT_STYLE = {
   fontSize: '32px',
-  fontFamily: 'Arial, sans-serif',  // Phase 5 will use custom font
+  fontFamily: FONTS.default,  // FONTS.dyslexia with the dyslexia font setting
   fontStyle: 'bold',
   color: '#FFFFFF',
   stroke: '#000000',
   strokeThickness: 4,
-  align: 'center',
-  wordWrap: { width: 150 }  // Wrap long words
+  align: 'center'
 };
 
 /**
@@ -111,19 +302,33 @@ export const ANIMATION_CONFIG = {
   correctGlowDuration: 400,     // Milliseconds for green glow effect
   wrongShakeDuration: 300,      // Milliseconds for red shake effect
   shakeIntensity: 10,           // Pixels to shake left/right
-  glowScale: 1.15               // Scale multiplier for glow pulse
+  glowScale: 1.15,              // Scale multiplier for glow pulse
+  jumpSquashScale: 1.2,         // Bird scale at the bottom of the jump squash
+  jumpSquashDuration: 100,      // Milliseconds to squash (and again to restore)
+  respawnFadeDuration: 500      // Milliseconds for the bird to fade in; play resumes after it
 };
 
 /**
- * Adaptive learning algorithm parameters
+ * Adaptive learning parameters - SM-2 spaced repetition
+ * Each word gets an ease factor and a review interval; a correct answer on a due word
+ * grows the interval, a wrong answer resets it so the word is practised again right away
  */
 export const ADAPTIVE_LEARNING = {
-  PRIORITY_WEIGHT: 1000,        // Weight for words wrong in last 3 days
-  MASTERED_WEIGHT: 1,           // Weight for mastered words (3+ correct streak)
-  BASE_WEIGHT: 10,              // Base weight for learning words
-  WRONG_MULTIPLIER: 5,          // Multiplier for wrong count (weight = base + wrong * multiplier)
-  REVIEW_DAYS: 3,               // Days to keep wrong words in high-priority review
-  MASTERY_STREAK: 3,            // Consecutive correct answers needed for mastery
+  INITIAL_EASE: 2.5,            // Starting ease factor for a new word
+  MIN_EASE: 1.3,                // Ease factor never drops below this
+  FIRST_INTERVAL_DAYS: 1,       // Interval after the first successful review
+  SECOND_INTERVAL_DAYS: 6,      // Interval after the second successful review
+  CORRECT_QUALITY: 4,           // SM-2 answer quality (0-5) for a correct gate choice
+  WRONG_QUALITY: 1,             // SM-2 answer quality (0-5) for a wrong gate choice
+  MASTERY_INTERVAL_DAYS: 21,    // Interval at which a word counts as mastered
+  MASTERY_DECAY_FACTOR: 1,      // Mastered words decay to practicing when overdue by this many intervals
+  RELEARN_WEIGHT: 1000,         // Weight for words answered wrong (interval reset)
+  NEW_WORD_WEIGHT: 50,          // Weight for words the player has never seen
+  DUE_WEIGHT: 100,              // Base weight for words that are due for review
+  OVERDUE_MULTIPLIER: 50,       // Extra weight per interval a word is overdue
+  NOT_DUE_WEIGHT: 1,            // Weight for words that are not yet due (session filler)
+  NEW_WORDS_PER_SESSION: 5,     // Unseen words introduced per session (assignment lists: all of them)
+  MIN_SESSION_WORDS: 10,        // Fill up with more unseen words, then not-yet-due words, when fewer words are due
   SESSION_PRIORITY_COUNT: 3     // Number of priority words at session start
 };
 
@@ -141,7 +346,7 @@ export const GAME_OVER_STYLE = {
   buttonColor: 0x4CAF50,        // Green for Play Again
   buttonColorAlt: 0x2196F3,     // Blue for Main Menu
   highscoreColor: '#FFD700',    // Gold
-  statSpacing: 40               // Vertical spacing between stats
+  statSpacing: 36               // Vertical spacing between stats
 };
 
 /**
@@ -186,5 +391,40 @@ export const MENU_STYLE = {
     hard: 0xF44336       // Red
   },
   startButtonColor: 0x2196F3,  // Blue
-  leaderboardFontSize: '16px'
-};
\ No newline at end of file
+  leaderboardFontSize: '14px',
+  leaderboardRows: 10,
+  leaderboardColumns: [290, 510],  // Two columns of five rows between the bottom buttons
+  leaderboardTop: 490,
+  leaderboardRowSpacing: 17
+};
+
+// Picture password login for students (keys must match PICTURES in admin.html)
+export const PICTURE_PASSWORD = {
+  LENGTH: 4,
+  PICTURES: [
+    { key: 'hond', emoji: '🐶' },
+    { key: 'kat', emoji: '🐱' },
+    { key: 'kikker', emoji: '🐸' },
+    { key: 'appel', emoji: '🍎' },
+    { key: 'banaan', emoji: '🍌' },
+    { key: 'zon', emoji: '🌞' },
+    { key: 'auto', emoji: '🚗' },
+    { key: 'bal', emoji: '⚽' },
+    { key: 'vis', emoji: '🐟' }
+  ],
+  ROSTER_PAGE_SIZE: 24
+};
+
+/**
+ * ProgressScene ("Mijn voortgang") configuration
+ */
+export const PROGRESS = {
+  SESSION_LIMIT: 50,            // Most recent sessions shown in the charts
+  WEEKS: 8,                     // Weeks shown in the mastered-words chart
+  HARDEST_WORD_COUNT: 5,        // Words in the hardest words list
+  panelColor: 0x000000,
+  panelAlpha: 0.55,
+  scoreColor: 0xFFD700,         // Gold
+  accuracyColor: 0x4CAF50,      // Green
+  masteredColor: 0x2196F3       // Blue
+};
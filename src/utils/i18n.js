@@ -0,0 +1,164 @@
+/**
+ * Translation helpers
+ * UI text lives in src/locales/<locale>.js; t() looks up a dotted key in the current locale and
+ * falls back to Dutch. The format helpers use the same locale for numbers, durations and dates.
+ * tWords() translates the text that goes with the words into the language of the word bank.
+ */
+import nl from '../locales/nl.js';
+import en from '../locales/en.js';
+import de from '../locales/de.js';
+import { STORAGE_PREFIX, getLocalStorage } from './storage.js';
+
+const LOCALE_KEY = `${STORAGE_PREFIX}locale`;
+
+export const DEFAULT_LOCALE = 'nl';
+
+// short is shown on the menu's language switch, intl is the tag for the Intl formatters
+export const LOCALES = {
+  nl: { name: 'Nederlands', short: 'NL', intl: 'nl-NL', messages: nl },
+  en: { name: 'English', short: 'EN', intl: 'en-GB', messages: en }
+};
+
+// Text per word language (WORD_LANGUAGES); German has no UI locale, only the in-game hints
+const WORD_LANGUAGE_MESSAGES = { nl, en, de };
+
+let currentLocale = null;
+
+/**
+ * @returns {string} Current locale key, from storage on first use
+ */
+export function getLocale() {
+  if (!currentLocale) {
+    const stored = getLocalStorage()?.getItem(LOCALE_KEY);
+    currentLocale = LOCALES[stored] ? stored : DEFAULT_LOCALE;
+  }
+  return currentLocale;
+}
+
+/**
+ * Switch the UI language and remember it on this device
+ * Scenes already on screen keep their text until they are restarted
+ * @param {string} locale - Key of LOCALES
+ */
+export function setLocale(locale) {
+  if (!LOCALES[locale]) return;
+
+  currentLocale = locale;
+  getLocalStorage()?.setItem(LOCALE_KEY, locale);
+  if (globalThis.document) {
+    document.documentElement.lang = locale;
+  }
+}
+
+/**
+ * @returns {string} BCP 47 tag of the current locale, e.g. nl-NL
+ */
+export function getIntlLocale() {
+  return LOCALES[getLocale()].intl;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => node?.[part], messages);
+}
+
+/**
+ * Translate a key
+ * @param {string} key - Dotted key, e.g. 'menu.start'
+ * @param {Object} params - Values for the {placeholders}; count also picks the plural form
+ * @returns {string} Translated text, or the key itself when no locale has it
+ */
+export function t(key, params = {}) {
+  const message = lookup(LOCALES[getLocale()].messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  return format(message, key, params, getIntlLocale());
+}
+
+/**
+ * Translate a key into the language of the words being played, e.g. the key hints while
+ * practising German words, so they match the words rather than the menus
+ * @param {string} language - Key of WORD_LANGUAGES
+ * @param {string} key - Dotted key, e.g. 'game.keyHints'
+ * @param {Object} params - Values for the {placeholders}
+ * @returns {string} Text in the word language, or t(key) when that language doesn't have it
+ */
+export function tWords(language, key, params = {}) {
+  const message = lookup(WORD_LANGUAGE_MESSAGES[language], key);
+  return message === undefined ? t(key, params) : format(message, key, params, language);
+}
+
+function format(message, key, params, intlLocale) {
+  if (message && typeof message === 'object') {
+    const form = new Intl.PluralRules(intlLocale).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * @param {number} value - Number to format
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} Number with the locale's separators
+ */
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(getIntlLocale(), options).format(value);
+}
+
+/**
+ * @param {number} fraction - Share from 0 to 1
+ * @param {number} fractionDigits - Decimals to show
+ * @returns {string} e.g. "85,5%" or "85.5%"
+ */
+export function formatPercent(fraction, fractionDigits = 0) {
+  return formatNumber(fraction, { style: 'percent', maximumFractionDigits: fractionDigits });
+}
+
+/**
+ * @param {number} seconds - Duration in seconds
+ * @param {number} fractionDigits - Decimals to show for durations under a minute
+ * @returns {string} e.g. "2 minuten, 5 seconden" or "1.5 seconds"
+ */
+export function formatDuration(seconds, fractionDigits = 0) {
+  const unit = (value, name) => formatNumber(value, {
+    style: 'unit',
+    unit: name,
+    unitDisplay: 'long',
+    maximumFractionDigits: name === 'second' ? fractionDigits : 0
+  });
+
+  if (seconds < 60) {
+    return unit(seconds, 'second');
+  }
+
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  if (rest === 0) {
+    return unit(minutes, 'minute');
+  }
+  return new Intl.ListFormat(getIntlLocale(), { style: 'narrow', type: 'unit' })
+    .format([unit(minutes, 'minute'), unit(rest, 'second')]);
+}
+
+/**
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Clock time as M:SS, the same in every locale
+ */
+export function formatClock(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * @param {Date|string|number} date - Date to format
+ * @param {Object} options - Intl.DateTimeFormat options, a short date by default
+ * @returns {string} Date in the locale's format
+ */
+export function formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+  return new Intl.DateTimeFormat(getIntlLocale(), options).format(new Date(date));
+}
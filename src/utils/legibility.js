@@ -0,0 +1,62 @@
+/**
+ * Legibility of game text
+ * Applies the player's text settings (size, font, contrast, letter spacing) to Phaser texts,
+ * and for the spellings also the background plate and a font size that fits the label's room
+ */
+import SettingsManager from '../managers/SettingsManager.js';
+import { LEGIBILITY } from './constants.js';
+
+/**
+ * Style a text with the text settings
+ * Letter spacing and padding are not part of Phaser's text style, so they are set separately
+ * @param {Phaser.GameObjects.Text} text - Text to style
+ * @param {Object} style - Style at normal size, before the settings are applied
+ * @returns {Phaser.GameObjects.Text} The same text
+ */
+export function applyTextSettings(text, style) {
+  const settings = SettingsManager.getInstance();
+  const styled = settings.styleText(style);
+
+  text.setStyle(styled);
+  text.setLetterSpacing(settings.getLetterSpacing(parseFloat(styled.fontSize)));
+  if (style.padding) {
+    text.setPadding(style.padding);
+  }
+  return text;
+}
+
+/**
+ * Style a spelling with the text settings and the plate, and shrink it to fit
+ * Call again after changing the text, so the font size is fitted to the new word
+ * @param {Phaser.GameObjects.Text} label - Label with a single word
+ * @param {Object} style - Style at normal size, before the settings are applied
+ * @param {number} maxWidth - Widest the label may be, plate included
+ * @returns {Phaser.GameObjects.Text} The same label
+ */
+export function applyLabelSettings(label, style, maxWidth = LEGIBILITY.labelMaxWidth) {
+  const plate = SettingsManager.getInstance().get('labelPlate');
+
+  applyTextSettings(label, { ...style, backgroundColor: plate ? LEGIBILITY.plateColor : null });
+  label.setPadding(plate ? LEGIBILITY.platePadding : 0);
+  fitText(label, maxWidth);
+  return label;
+}
+
+/**
+ * Shrink a text until it is at most maxWidth wide
+ * Text is never wrapped, so a word always stays whole; at LEGIBILITY.minFontSize it stops
+ * shrinking and a very long word may stick out
+ * @param {Phaser.GameObjects.Text} text - Text to fit
+ * @param {number} maxWidth - Widest the text may be
+ */
+export function fitText(text, maxWidth) {
+  const settings = SettingsManager.getInstance();
+  let fontSize = parseFloat(text.style.fontSize);
+
+  while (text.width > maxWidth && fontSize > LEGIBILITY.minFontSize) {
+    // Jump close to the fitting size; the letter spacing and padding do not scale, hence the loop
+    fontSize = Math.max(LEGIBILITY.minFontSize, Math.min(fontSize - 1, Math.floor(fontSize * maxWidth / text.width)));
+    text.setFontSize(fontSize);
+    text.setLetterSpacing(settings.getLetterSpacing(fontSize));
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Background music
+ * A short melody synthesised with the Web Audio API and looped, so no music file has to be
+ * downloaded. It plays through Phaser's master volume, so muting the game silences it as well
+ */
+import { MUSIC } from './constants.js';
+
+const LOOKAHEAD_SECONDS = 0.3;     // Notes are scheduled this far ahead of the audio clock
+const SCHEDULE_INTERVAL_MS = 100;
+const FADE_SECONDS = 0.05;
+
+let context = null;
+let output = null;
+let timer = null;
+let nextNoteTime = 0;
+let noteIndex = 0;
+
+/**
+ * Start the music loop; does nothing when the game has no Web Audio (HTML5 audio fallback)
+ * @param {Phaser.Sound.BaseSoundManager} soundManager - The game's sound manager
+ * @param {number} volume - Music volume from 0 to 1
+ */
+export function startMusic(soundManager, volume) {
+  if (timer || !soundManager.context) return;
+
+  context = soundManager.context;
+  output = context.createGain();
+  output.gain.value = volume * MUSIC.GAIN;
+  output.connect(soundManager.masterVolumeNode || context.destination);
+
+  nextNoteTime = context.currentTime;
+  noteIndex = 0;
+  timer = setInterval(scheduleNotes, SCHEDULE_INTERVAL_MS);
+  scheduleNotes();
+}
+
+/**
+ * Stop the music loop, fading out the notes that were already scheduled
+ */
+export function stopMusic() {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+
+  const fading = output;
+  fading.gain.setTargetAtTime(0, context.currentTime, FADE_SECONDS);
+  setTimeout(() => fading.disconnect(), LOOKAHEAD_SECONDS * 2000);
+  output = null;
+}
+
+/**
+ * @param {number} volume - Music volume from 0 to 1
+ */
+export function setMusicVolume(volume) {
+  output?.gain.setTargetAtTime(volume * MUSIC.GAIN, context.currentTime, FADE_SECONDS);
+}
+
+/**
+ * Schedule the notes that start before the lookahead window ends
+ */
+function scheduleNotes() {
+  const noteLength = 60 / MUSIC.TEMPO / 2;
+
+  // After the tab was in the background, continue from now instead of catching up
+  if (nextNoteTime < context.currentTime) {
+    nextNoteTime = context.currentTime;
+  }
+
+  while (nextNoteTime < context.currentTime + LOOKAHEAD_SECONDS) {
+    const semitones = MUSIC.MELODY[noteIndex];
+    if (semitones !== null) {
+      playNote(MUSIC.BASE_FREQUENCY * 2 ** (semitones / 12), nextNoteTime, noteLength * 0.9);
+    }
+    noteIndex = (noteIndex + 1) % MUSIC.MELODY.length;
+    nextNoteTime += noteLength;
+  }
+}
+
+/**
+ * @param {number} frequency - Pitch in Hz
+ * @param {number} time - Start on the audio clock, in seconds
+ * @param {number} length - Duration in seconds
+ */
+function playNote(frequency, time, length) {
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+
+  oscillator.type = MUSIC.WAVE;
+  oscillator.frequency.value = frequency;
+  envelope.gain.setValueAtTime(0, time);
+  envelope.gain.linearRampToValueAtTime(1, time + 0.02);
+  envelope.gain.exponentialRampToValueAtTime(0.001, time + length);
+
+  oscillator.connect(envelope).connect(output);
+  oscillator.start(time);
+  oscillator.stop(time + length);
+}
@@ -0,0 +1,79 @@
+/**
+ * Progress dashboard helpers
+ * Turn session history and mastered words into the numbers the ProgressScene draws
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the local calendar day of a timestamp
+ * @param {string|number|Date} time - Timestamp
+ * @returns {number} Midnight of that day in milliseconds since epoch
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Get the Monday of the week of a timestamp
+ * @param {string|number|Date} time - Timestamp
+ * @returns {number} Midnight of that Monday in milliseconds since epoch
+ */
+export function startOfWeek(time) {
+  const date = new Date(startOfDay(time));
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return date.getTime();
+}
+
+/**
+ * Count the rows per week for the last few weeks
+ * @param {Array} rows - Rows with a timestamp column
+ * @param {string} column - Name of the timestamp column
+ * @param {number} weeks - Number of weeks, ending with the current week
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<{weekStart: number, count: number}>} Oldest week first
+ */
+export function countPerWeek(rows, column, weeks, now = Date.now()) {
+  const thisWeek = startOfWeek(now);
+  const buckets = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const date = new Date(thisWeek);
+    date.setDate(date.getDate() - i * 7);
+    buckets.push({ weekStart: date.getTime(), count: 0 });
+  }
+
+  rows.forEach(row => {
+    if (!row[column]) return;
+    const bucket = buckets.find(b => b.weekStart === startOfWeek(row[column]));
+    if (bucket) bucket.count++;
+  });
+
+  return buckets;
+}
+
+/**
+ * Get the number of consecutive days the player practised
+ * The streak is still running when the last session was yesterday
+ * @param {Array} sessions - game_sessions rows with played_at
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Streak in days (0 without a running streak)
+ */
+export function getPracticeStreak(sessions, now = Date.now()) {
+  const days = new Set(sessions.filter(s => s.played_at).map(s => startOfDay(s.played_at)));
+
+  let day = startOfDay(now);
+  if (!days.has(day)) {
+    day = startOfDay(day - DAY_MS / 2);
+  }
+
+  let streak = 0;
+  while (days.has(day)) {
+    streak++;
+    // Step back half a day and round down, so daylight saving changes do not skip a day
+    day = startOfDay(day - DAY_MS / 2);
+  }
+  return streak;
+}
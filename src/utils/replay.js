@@ -0,0 +1,119 @@
+/**
+ * Replay format helpers
+ * A replay holds what the fixed-step simulation needs to run a session again: the seed, the settings,
+ * the words in the order the pipes got them and the steps the bird jumped on (in assisted play: the
+ * steps the target gate changed on). The gate outcomes are
+ * kept as well, so ReplayScene can show them on its timeline without simulating ahead.
+ */
+import { SIMULATION } from './constants.js';
+
+export const REPLAY_VERSION = 1;
+
+// Word columns the playback uses (Pipe.setWord, the sentence, the rule and the pronunciation)
+const WORD_FIELDS = [
+  'id', 'correct_spelling', 'wrong_spelling', 'extra_wrong_spellings', 'misspelling_categories',
+  'example_sentence', 'hint', 'category', 'audio_url'
+];
+
+/**
+ * Start an empty replay for a new session
+ * @param {Object} settings - { seed, difficulty, sessionMode, language, scoringMode, assist }
+ * @returns {Object} Replay to record into
+ */
+export function createReplay({ seed, difficulty, sessionMode, language, scoringMode, assist = null }) {
+  return {
+    v: REPLAY_VERSION,
+    seed,
+    difficulty,
+    sessionMode,
+    language,
+    scoringMode,
+    assist,        // { speed, control } of assisted play, null for a normal game
+    stepsPerSecond: SIMULATION.STEPS_PER_SECOND,
+    steps: 0,      // Steps simulated when the session ended
+    words: [],     // Each word once
+    order: [],     // Index into words for every pipe, in the order the pipes got them
+    jumps: [],     // Steps the bird jumped on
+    targets: [],   // [step, gate index] for every target gate picked in assisted play
+    gates: []      // [step, word index, chosen spelling, 1 = correct / 0 = wrong]
+  };
+}
+
+/**
+ * @param {Object} replay - Replay being recorded
+ * @param {Object} word - Word given to the next pipe
+ */
+export function recordWord(replay, word) {
+  let index = replay.words.findIndex(entry => entry.id === word.id);
+  if (index === -1) {
+    const entry = {};
+    WORD_FIELDS.forEach(field => {
+      if (word[field] !== undefined && word[field] !== null) entry[field] = word[field];
+    });
+    index = replay.words.push(entry) - 1;
+  }
+  replay.order.push(index);
+}
+
+/**
+ * @param {Object} replay - Replay being recorded
+ * @param {number} step - Step the bird jumped on
+ */
+export function recordJump(replay, step) {
+  replay.jumps.push(step);
+}
+
+/**
+ * @param {Object} replay - Replay being recorded
+ * @param {number} step - Step the target gate was picked on
+ * @param {number} gate - Index of the gate, from the top
+ */
+export function recordTarget(replay, step, gate) {
+  replay.targets.push([step, gate]);
+}
+
+/**
+ * @param {Object} replay - Replay being recorded
+ * @param {number} step - Step the bird passed the pipe on
+ * @param {string} wordId - Word of the pipe
+ * @param {string|null} chosenSpelling - Spelling of the gate the bird flew through
+ * @param {boolean} isCorrect - Whether the choice was correct
+ */
+export function recordGate(replay, step, wordId, chosenSpelling, isCorrect) {
+  const index = replay.words.findIndex(entry => entry.id === wordId);
+  replay.gates.push([step, index, chosenSpelling, isCorrect ? 1 : 0]);
+}
+
+/**
+ * Compact copy for game_sessions.replay: jump steps are stored as the gaps between them
+ * @param {Object} replay - Recorded replay
+ * @param {number} steps - Steps simulated in the session
+ * @returns {Object} Replay to store
+ */
+export function packReplay(replay, steps) {
+  return {
+    ...replay,
+    steps,
+    jumps: replay.jumps.map((step, index) => step - (index > 0 ? replay.jumps[index - 1] : 0))
+  };
+}
+
+/**
+ * Read a stored replay back
+ * @param {Object|null} stored - game_sessions.replay
+ * @returns {Object|null} Replay with absolute jump steps, or null when missing or from another version
+ *   (replays from before assisted play have no assist settings and no targets)
+ */
+export function unpackReplay(stored) {
+  if (!stored || stored.v !== REPLAY_VERSION || stored.stepsPerSecond !== SIMULATION.STEPS_PER_SECOND) {
+    return null;
+  }
+
+  let step = 0;
+  return {
+    ...stored,
+    assist: stored.assist || null,
+    targets: stored.targets || [],
+    jumps: stored.jumps.map(gap => (step += gap))
+  };
+}
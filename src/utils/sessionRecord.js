@@ -0,0 +1,32 @@
+import { DEFAULT_WORD_LANGUAGE } from './constants.js';
+
+/**
+ * Game session record helper
+ * Shared by GameOverScene and the pause menu, so a finished and a quit session are saved the same way
+ */
+
+/**
+ * Turn session stats into a game_sessions row
+ * @param {Object} stats - ScoreManager.getStats() with difficulty, language, assignmentId, replay and assisted added by GameScene
+ * @param {string} playerId - players.id of the player
+ * @returns {Object} Session data for DatabaseManager.saveGameSession
+ */
+export function toSessionRecord(stats, playerId) {
+  return {
+    id: stats.sessionId,
+    player_id: playerId,
+    score: stats.score,
+    words_attempted: stats.wordsAttempted,
+    words_correct: stats.wordsCorrect,
+    words_wrong: stats.wordsWrong,
+    accuracy: stats.accuracy,
+    difficulty: stats.difficulty || 'easy',
+    language: stats.language || DEFAULT_WORD_LANGUAGE,
+    duration_seconds: stats.duration,
+    assignment_id: stats.assignmentId || null,
+    scoring_mode: stats.scoringMode,
+    avg_decision_ms: stats.averageDecisionTime,
+    replay: stats.replay || null,
+    assisted: Boolean(stats.assisted)
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Local storage helpers
+ * All keys written by the game share one prefix so they are easy to find and clear
+ */
+
+export const STORAGE_PREFIX = 'spelling-flappy-bird:';
+
+/**
+ * Get localStorage if the browser allows writing to it
+ * Returns null in private mode or when storage is disabled, so callers can fall back to memory
+ * @returns {Storage|null}
+ */
+export function getLocalStorage() {
+  try {
+    const storage = globalThis.localStorage;
+    const probeKey = `${STORAGE_PREFIX}probe`;
+    storage.setItem(probeKey, '1');
+    storage.removeItem(probeKey);
+    return storage;
+  } catch (error) {
+    console.warn('localStorage unavailable, data will not persist:', error);
+    return null;
+  }
+}
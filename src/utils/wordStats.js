@@ -0,0 +1,194 @@
+import { ADAPTIVE_LEARNING } from './constants.js';
+
+/**
+ * Word statistics helpers
+ * The database applies the same calculation in record_word_result (supabase/schema.sql);
+ * keep both in sync so progress is calculated the same way online and offline
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the moment a word is due for review
+ * Rows written before spaced repetition have no due_date and are due immediately
+ * @param {Object} wordStat - player_word_stats row
+ * @returns {number} Due time in milliseconds since epoch
+ */
+export function getDueTime(wordStat) {
+  if (wordStat.due_date) return new Date(wordStat.due_date).getTime();
+  if (wordStat.last_seen_date) return new Date(wordStat.last_seen_date).getTime();
+  return 0;
+}
+
+/**
+ * Check whether a word should be reviewed
+ * @param {Object} wordStat - player_word_stats row
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the word is due (or overdue)
+ */
+export function isDue(wordStat, now = Date.now()) {
+  return getDueTime(wordStat) <= now;
+}
+
+/**
+ * Get how many intervals a word is overdue (negative when not yet due)
+ * @param {Object} wordStat - player_word_stats row
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Overdue amount expressed in review intervals
+ */
+export function getOverdueRatio(wordStat, now = Date.now()) {
+  const intervalMs = Math.max(wordStat.interval_days || 0, 1) * DAY_MS;
+  return (now - getDueTime(wordStat)) / intervalMs;
+}
+
+/**
+ * Get the mastery level of a word at a given moment
+ * Mastery is not permanent: a mastered word that has not been reviewed for too
+ * long decays back to practicing
+ * @param {Object} wordStat - player_word_stats row
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} 'learning', 'practicing' or 'mastered'
+ */
+export function getMasteryLevel(wordStat, now = Date.now()) {
+  if (!wordStat) return 'learning';
+
+  // Rows without a schedule only know their stored level
+  if (wordStat.repetitions === undefined || wordStat.repetitions === null) {
+    return wordStat.mastery_level || 'learning';
+  }
+
+  if (wordStat.repetitions === 0) return 'learning';
+
+  const intervalDays = wordStat.interval_days || 0;
+  const isDecayed = getOverdueRatio(wordStat, now) > ADAPTIVE_LEARNING.MASTERY_DECAY_FACTOR;
+
+  if (intervalDays >= ADAPTIVE_LEARNING.MASTERY_INTERVAL_DAYS && !isDecayed) {
+    return 'mastered';
+  }
+  return 'practicing';
+}
+
+/**
+ * Calculate the next SM-2 schedule for a word
+ * Correct answers on words that are not yet due (seen again in the same session)
+ * do not grow the interval, otherwise a single session could master a word
+ * @param {Object|null} existingStats - Current stats row
+ * @param {boolean} isCorrect - Whether the player answered correctly
+ * @param {number} answeredTime - Time of the answer in milliseconds
+ * @returns {{ease_factor: number, interval_days: number, repetitions: number, due_date: string}}
+ */
+function calculateSchedule(existingStats, isCorrect, answeredTime) {
+  const ease = existingStats?.ease_factor ?? ADAPTIVE_LEARNING.INITIAL_EASE;
+  const interval = existingStats?.interval_days ?? 0;
+  const repetitions = existingStats?.repetitions ?? 0;
+  const quality = isCorrect ? ADAPTIVE_LEARNING.CORRECT_QUALITY : ADAPTIVE_LEARNING.WRONG_QUALITY;
+
+  // SM-2 ease update: EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  const easeDelta = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+  const newEase = Math.max(ADAPTIVE_LEARNING.MIN_EASE, ease + easeDelta);
+
+  if (!isCorrect) {
+    // Lapse: start over and review again immediately
+    return {
+      ease_factor: newEase,
+      interval_days: 0,
+      repetitions: 0,
+      due_date: new Date(answeredTime).toISOString()
+    };
+  }
+
+  if (existingStats && !isDue(existingStats, answeredTime)) {
+    // Early review: count it, keep the schedule
+    return {
+      ease_factor: ease,
+      interval_days: interval,
+      repetitions,
+      due_date: new Date(getDueTime(existingStats)).toISOString()
+    };
+  }
+
+  let newInterval;
+  if (repetitions === 0) {
+    newInterval = ADAPTIVE_LEARNING.FIRST_INTERVAL_DAYS;
+  } else if (repetitions === 1) {
+    newInterval = ADAPTIVE_LEARNING.SECOND_INTERVAL_DAYS;
+  } else {
+    newInterval = Math.round(Math.max(interval, 1) * newEase);
+  }
+
+  return {
+    ease_factor: newEase,
+    interval_days: newInterval,
+    repetitions: repetitions + 1,
+    due_date: new Date(answeredTime + newInterval * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Calculate the new player_word_stats row after an answer
+ * Updates counters, correct_streak, last_wrong_date and the spaced repetition schedule
+ *
+ * Answers replayed from the offline queue can be older than the stored row (another
+ * device synced first). Counters are always merged, but streak, schedule and
+ * last_seen_date are only taken from the answer if it is the most recent one.
+ * @param {Object|null} existingStats - Current stats row or null if the word is new for the player
+ * @param {string} playerId - UUID of the player
+ * @param {string} wordId - UUID of the word
+ * @param {boolean} isCorrect - Whether the player answered correctly
+ * @param {string} answeredAt - ISO timestamp of the answer (defaults to now)
+ * @returns {Object} New stats row ready to be upserted
+ */
+export function calculateWordStat(existingStats, playerId, wordId, isCorrect, answeredAt = new Date().toISOString()) {
+  const answeredTime = new Date(answeredAt).getTime();
+  const isStale = Boolean(existingStats?.last_seen_date) &&
+    new Date(existingStats.last_seen_date).getTime() > answeredTime;
+
+  if (isStale) {
+    // Older answer: count it, but keep the newer streak and schedule
+    const isNewerWrong = !isCorrect && (!existingStats.last_wrong_date ||
+      new Date(existingStats.last_wrong_date).getTime() < answeredTime);
+    const lastWrongDate = isNewerWrong
+      ? answeredAt
+      : existingStats.last_wrong_date || null;
+
+    return {
+      player_id: playerId,
+      word_id: wordId,
+      correct_streak: existingStats.correct_streak || 0,
+      total_correct: (existingStats.total_correct || 0) + (isCorrect ? 1 : 0),
+      total_wrong: (existingStats.total_wrong || 0) + (isCorrect ? 0 : 1),
+      last_wrong_date: lastWrongDate,
+      last_seen_date: existingStats.last_seen_date,
+      mastery_level: existingStats.mastery_level || 'learning',
+      ease_factor: existingStats.ease_factor ?? ADAPTIVE_LEARNING.INITIAL_EASE,
+      interval_days: existingStats.interval_days ?? 0,
+      repetitions: existingStats.repetitions ?? 0,
+      due_date: existingStats.due_date || existingStats.last_seen_date,
+      mastered_at: existingStats.mastered_at || null
+    };
+  }
+
+  const schedule = calculateSchedule(existingStats, isCorrect, answeredTime);
+  const newStats = {
+    player_id: playerId,
+    word_id: wordId,
+    // Correct answer: increment streak; wrong answer: reset it
+    correct_streak: isCorrect ? (existingStats?.correct_streak || 0) + 1 : 0,
+    total_correct: (existingStats?.total_correct || 0) + (isCorrect ? 1 : 0),
+    total_wrong: (existingStats?.total_wrong || 0) + (isCorrect ? 0 : 1),
+    last_wrong_date: isCorrect ? existingStats?.last_wrong_date || null : answeredAt,
+    last_seen_date: answeredAt,
+    ...schedule
+  };
+  newStats.mastery_level = isCorrect ? getMasteryLevel(newStats, answeredTime) : 'learning';
+
+  // Keep the date a word was first mastered while it stays mastered (for the progress dashboard)
+  const wasMastered = getMasteryLevel(existingStats, answeredTime) === 'mastered' && existingStats.mastered_at;
+  if (newStats.mastery_level !== 'mastered') {
+    newStats.mastered_at = null;
+  } else {
+    newStats.mastered_at = wasMastered ? existingStats.mastered_at : answeredAt;
+  }
+
+  return newStats;
+}
@@ -0,0 +1,8 @@
+-- [user-003] Spaced repetition (SM-2) schedule per player and word
+
+ALTER TABLE player_word_stats ADD COLUMN IF NOT EXISTS ease_factor FLOAT DEFAULT 2.5;
+ALTER TABLE player_word_stats ADD COLUMN IF NOT EXISTS interval_days INT DEFAULT 0;
+ALTER TABLE player_word_stats ADD COLUMN IF NOT EXISTS repetitions INT DEFAULT 0;
+ALTER TABLE player_word_stats ADD COLUMN IF NOT EXISTS due_date TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_player_word_stats_due ON player_word_stats(player_id, due_date);
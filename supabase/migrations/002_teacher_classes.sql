@@ -0,0 +1,157 @@
+-- [user-004] Teacher role, classes with join codes and class rosters
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'teacher'));
+
+-- Generates a 6 character class code without look-alike characters (0/O, 1/I)
+CREATE OR REPLACE FUNCTION generate_join_code() RETURNS TEXT AS $$
+DECLARE
+    alphabet TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    code TEXT := '';
+BEGIN
+    FOR i IN 1..6 LOOP
+        code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::INT, 1);
+    END LOOP;
+    RETURN code;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+-- Classes - a teacher's group of students, joined with a class code
+CREATE TABLE IF NOT EXISTS classes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    teacher_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    join_code TEXT UNIQUE NOT NULL DEFAULT generate_join_code(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Class members - student roster of each class
+CREATE TABLE IF NOT EXISTS class_members (
+    class_id UUID REFERENCES classes(id) ON DELETE CASCADE,
+    player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (class_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_classes_teacher ON classes(teacher_id);
+CREATE INDEX IF NOT EXISTS idx_class_members_player ON class_members(player_id);
+
+-- Helper functions for RLS policies
+-- SECURITY DEFINER so policies can look up players and classes without recursing into their own RLS
+
+-- players.id of the signed-in user
+CREATE OR REPLACE FUNCTION current_player_id() RETURNS UUID AS $$
+    SELECT id FROM players WHERE auth_id = auth.uid() LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the signed-in user has the teacher role
+CREATE OR REPLACE FUNCTION is_teacher() RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM players WHERE auth_id = auth.uid() AND role = 'teacher');
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the signed-in user teaches the given class
+CREATE OR REPLACE FUNCTION is_class_teacher(target_class UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM classes
+        WHERE id = target_class AND teacher_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the given player is a student in one of the signed-in teacher's classes
+CREATE OR REPLACE FUNCTION is_teacher_of(student UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = student AND c.teacher_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Students join a class by code; they cannot read other classes directly
+CREATE OR REPLACE FUNCTION join_class(code TEXT) RETURNS classes AS $$
+DECLARE
+    me UUID := current_player_id();
+    target classes;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not a registered player';
+    END IF;
+
+    SELECT * INTO target FROM classes WHERE join_code = upper(trim(code));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid class code';
+    END IF;
+
+    INSERT INTO class_members (class_id, player_id)
+    VALUES (target.id, me)
+    ON CONFLICT DO NOTHING;
+
+    RETURN target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Teachers replace the code of their own class (e.g. after it leaked); RLS applies
+CREATE OR REPLACE FUNCTION regenerate_join_code(target_class UUID) RETURNS classes AS $$
+    UPDATE classes SET join_code = generate_join_code()
+    WHERE id = target_class
+    RETURNING *;
+$$ LANGUAGE sql;
+
+ALTER TABLE classes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE class_members ENABLE ROW LEVEL SECURITY;
+
+-- Players can insert their own player record on signup (always as student)
+DROP POLICY IF EXISTS "Players can insert own record" ON players;
+CREATE POLICY "Players can insert own record" ON players
+    FOR INSERT WITH CHECK (auth.uid() = auth_id AND role = 'student');
+
+-- Teachers can view the players in their classes
+DROP POLICY IF EXISTS "Teachers can view their students" ON players;
+CREATE POLICY "Teachers can view their students" ON players
+    FOR SELECT USING (is_teacher_of(id));
+
+-- Teachers can create and manage their own classes
+DROP POLICY IF EXISTS "Teachers can manage own classes" ON classes;
+CREATE POLICY "Teachers can manage own classes" ON classes
+    FOR ALL USING (teacher_id = current_player_id())
+    WITH CHECK (teacher_id = current_player_id() AND is_teacher());
+
+-- Students can view the classes they joined
+DROP POLICY IF EXISTS "Students can view joined classes" ON classes;
+CREATE POLICY "Students can view joined classes" ON classes
+    FOR SELECT USING (
+        id IN (
+            SELECT class_id FROM class_members WHERE player_id = current_player_id()
+        )
+    );
+
+-- Teachers can view and remove students of their classes (joining goes through join_class)
+DROP POLICY IF EXISTS "Teachers can manage class members" ON class_members;
+CREATE POLICY "Teachers can manage class members" ON class_members
+    FOR ALL USING (is_class_teacher(class_id));
+
+-- Students can view their own memberships
+DROP POLICY IF EXISTS "Students can view own memberships" ON class_members;
+CREATE POLICY "Students can view own memberships" ON class_members
+    FOR SELECT USING (player_id = current_player_id());
+
+-- Students can leave a class
+DROP POLICY IF EXISTS "Students can leave classes" ON class_members;
+CREATE POLICY "Students can leave classes" ON class_members
+    FOR DELETE USING (player_id = current_player_id());
+
+-- Teachers can view their students' word stats
+DROP POLICY IF EXISTS "Teachers can view students word stats" ON player_word_stats;
+CREATE POLICY "Teachers can view students word stats" ON player_word_stats
+    FOR SELECT USING (is_teacher_of(player_id));
+
+-- Teachers can reset their students' word stats
+DROP POLICY IF EXISTS "Teachers can reset students word stats" ON player_word_stats;
+CREATE POLICY "Teachers can reset students word stats" ON player_word_stats
+    FOR DELETE USING (is_teacher_of(player_id));
+
+-- Teachers can view their students' game sessions
+DROP POLICY IF EXISTS "Teachers can view students game sessions" ON game_sessions;
+CREATE POLICY "Teachers can view students game sessions" ON game_sessions
+    FOR SELECT USING (is_teacher_of(player_id));
+
+-- Promote a player to teacher (run as admin in the SQL editor)
+-- UPDATE players SET role = 'teacher' WHERE username = 'juf.anna';
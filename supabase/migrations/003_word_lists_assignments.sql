@@ -0,0 +1,115 @@
+-- [user-005] Teacher word lists, class assignments and per-decision word attempts
+
+-- Word lists - named sets of words made by a teacher (e.g. "week 12: ei/ij")
+CREATE TABLE IF NOT EXISTS word_lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    description TEXT,
+    teacher_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Word list items - many-to-many between word lists and words
+CREATE TABLE IF NOT EXISTS word_list_items (
+    word_list_id UUID REFERENCES word_lists(id) ON DELETE CASCADE,
+    word_id UUID REFERENCES words(id) ON DELETE CASCADE,
+    PRIMARY KEY (word_list_id, word_id)
+);
+
+-- Assignments - a word list a class practises between two dates
+CREATE TABLE IF NOT EXISTS assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    class_id UUID NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    word_list_id UUID NOT NULL REFERENCES word_lists(id) ON DELETE CASCADE,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_on >= starts_on)
+);
+
+-- Sessions played for an assignment
+ALTER TABLE game_sessions
+    ADD COLUMN IF NOT EXISTS assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL;
+
+-- Word attempts - one row per gate decision, with the assignment it was part of
+CREATE TABLE IF NOT EXISTS word_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    word_id UUID NOT NULL REFERENCES words(id) ON DELETE CASCADE,
+    is_correct BOOLEAN NOT NULL,
+    assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL,
+    word_list_id UUID REFERENCES word_lists(id) ON DELETE SET NULL,
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_word_lists_teacher ON word_lists(teacher_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_class ON assignments(class_id, ends_on);
+CREATE INDEX IF NOT EXISTS idx_word_attempts_player ON word_attempts(player_id, attempted_at DESC);
+
+-- True if the signed-in user owns the given word list
+CREATE OR REPLACE FUNCTION owns_word_list(target_list UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM word_lists
+        WHERE id = target_list AND teacher_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the given word list is assigned to a class the signed-in user is a member of
+CREATE OR REPLACE FUNCTION is_word_list_assigned_to_me(target_list UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM assignments a
+        JOIN class_members m ON m.class_id = a.class_id
+        WHERE a.word_list_id = target_list AND m.player_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE word_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE word_list_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE word_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Teachers can manage their own word lists
+DROP POLICY IF EXISTS "Teachers can manage own word lists" ON word_lists;
+CREATE POLICY "Teachers can manage own word lists" ON word_lists
+    FOR ALL USING (teacher_id = current_player_id())
+    WITH CHECK (teacher_id = current_player_id() AND is_teacher());
+
+-- Students can view word lists assigned to their classes
+DROP POLICY IF EXISTS "Students can view assigned word lists" ON word_lists;
+CREATE POLICY "Students can view assigned word lists" ON word_lists
+    FOR SELECT USING (is_word_list_assigned_to_me(id));
+
+-- Teachers can manage the words in their own lists
+DROP POLICY IF EXISTS "Teachers can manage own word list items" ON word_list_items;
+CREATE POLICY "Teachers can manage own word list items" ON word_list_items
+    FOR ALL USING (owns_word_list(word_list_id));
+
+-- Students can view the words of lists assigned to them
+DROP POLICY IF EXISTS "Students can view assigned word list items" ON word_list_items;
+CREATE POLICY "Students can view assigned word list items" ON word_list_items
+    FOR SELECT USING (is_word_list_assigned_to_me(word_list_id));
+
+-- Teachers can assign their own lists to their own classes
+DROP POLICY IF EXISTS "Teachers can manage assignments" ON assignments;
+CREATE POLICY "Teachers can manage assignments" ON assignments
+    FOR ALL USING (is_class_teacher(class_id))
+    WITH CHECK (is_class_teacher(class_id) AND owns_word_list(word_list_id));
+
+-- Students can view the assignments of their classes
+DROP POLICY IF EXISTS "Students can view class assignments" ON assignments;
+CREATE POLICY "Students can view class assignments" ON assignments
+    FOR SELECT USING (
+        class_id IN (
+            SELECT class_id FROM class_members WHERE player_id = current_player_id()
+        )
+    );
+
+-- Players can view and record their own attempts
+DROP POLICY IF EXISTS "Players can manage own word attempts" ON word_attempts;
+CREATE POLICY "Players can manage own word attempts" ON word_attempts
+    FOR ALL USING (player_id = current_player_id());
+
+-- Teachers can view their students' attempts
+DROP POLICY IF EXISTS "Teachers can view students word attempts" ON word_attempts;
+CREATE POLICY "Teachers can view students word attempts" ON word_attempts
+    FOR SELECT USING (is_teacher_of(player_id));
@@ -0,0 +1,186 @@
+-- [user-007] Picture password login for students
+
+-- Enable pgcrypto for hashing picture passwords
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- Picture passwords - child-friendly login secret (a short sequence of pictures) per student
+-- Only reachable through the SECURITY DEFINER functions below, never directly
+CREATE TABLE IF NOT EXISTS picture_passwords (
+    player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    secret_hash TEXT NOT NULL,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Picture login tokens - single-use proof of a correct picture password, exchanged for a session
+CREATE TABLE IF NOT EXISTS picture_login_tokens (
+    token_hash TEXT PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Picture password login
+-- Pictures are passed as a comma separated list of picture keys, e.g. 'hond,zon,appel,vis'
+-- After 5 wrong tries the student is locked out for 15 minutes (see verify_picture_password)
+
+-- Teachers set (or reset) the picture password of one of their students; also lifts a lockout
+CREATE OR REPLACE FUNCTION set_picture_password(target_player UUID, pictures TEXT) RETURNS VOID AS $$
+BEGIN
+    IF NOT is_teacher_of(target_player) THEN
+        RAISE EXCEPTION 'Not your student';
+    END IF;
+
+    IF coalesce(array_length(string_to_array(pictures, ','), 1), 0) < 4 THEN
+        RAISE EXCEPTION 'Picture password too short';
+    END IF;
+
+    INSERT INTO picture_passwords (player_id, secret_hash)
+    VALUES (target_player, crypt(pictures, gen_salt('bf')))
+    ON CONFLICT (player_id) DO UPDATE
+    SET secret_hash = EXCLUDED.secret_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Teachers add a student without email address; the account is claimed at the first picture login
+CREATE OR REPLACE FUNCTION add_picture_student(target_class UUID, student_name TEXT, pictures TEXT) RETURNS players AS $$
+DECLARE
+    student players;
+BEGIN
+    IF NOT is_class_teacher(target_class) THEN
+        RAISE EXCEPTION 'Not your class';
+    END IF;
+
+    INSERT INTO players (username, role)
+    VALUES (trim(student_name), 'student')
+    RETURNING * INTO student;
+
+    INSERT INTO class_members (class_id, player_id)
+    VALUES (target_class, student.id);
+
+    PERFORM set_picture_password(student.id, pictures);
+
+    RETURN student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Names of the students of a class that can log in with pictures (the class code is the secret)
+CREATE OR REPLACE FUNCTION get_login_roster(code TEXT) RETURNS TABLE (id UUID, username TEXT) AS $$
+DECLARE
+    target UUID;
+BEGIN
+    SELECT c.id INTO target FROM classes c WHERE c.join_code = upper(trim(code));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid class code';
+    END IF;
+
+    RETURN QUERY
+        SELECT p.id, p.username
+        FROM class_members m
+        JOIN players p ON p.id = m.player_id
+        JOIN picture_passwords pw ON pw.player_id = p.id
+        WHERE m.class_id = target
+        ORDER BY p.username;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Check a picture password; returns a login token when correct
+-- Wrong answers return a row instead of raising, so the attempt counter is committed
+CREATE OR REPLACE FUNCTION verify_picture_password(code TEXT, target_player UUID, pictures TEXT)
+RETURNS TABLE (login_token TEXT, attempts_left INT, locked_until TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+    max_attempts CONSTANT INT := 5;
+    lockout CONSTANT INTERVAL := INTERVAL '15 minutes';
+    secret picture_passwords;
+    token TEXT;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE c.join_code = upper(trim(code)) AND m.player_id = target_player
+    ) THEN
+        RAISE EXCEPTION 'Invalid class code';
+    END IF;
+
+    SELECT * INTO secret FROM picture_passwords WHERE player_id = target_player FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No picture password';
+    END IF;
+
+    IF secret.locked_until > NOW() THEN
+        RETURN QUERY SELECT NULL::TEXT, 0, secret.locked_until;
+        RETURN;
+    END IF;
+
+    IF crypt(pictures, secret.secret_hash) <> secret.secret_hash THEN
+        IF secret.failed_attempts + 1 >= max_attempts THEN
+            UPDATE picture_passwords
+            SET failed_attempts = 0, locked_until = NOW() + lockout
+            WHERE player_id = target_player;
+            RETURN QUERY SELECT NULL::TEXT, 0, NOW() + lockout;
+        ELSE
+            UPDATE picture_passwords
+            SET failed_attempts = secret.failed_attempts + 1, locked_until = NULL
+            WHERE player_id = target_player;
+            RETURN QUERY SELECT NULL::TEXT, max_attempts - secret.failed_attempts - 1, NULL::TIMESTAMP WITH TIME ZONE;
+        END IF;
+        RETURN;
+    END IF;
+
+    UPDATE picture_passwords
+    SET failed_attempts = 0, locked_until = NULL
+    WHERE player_id = target_player;
+
+    DELETE FROM picture_login_tokens WHERE expires_at < NOW();
+
+    token := encode(gen_random_bytes(32), 'hex');
+    INSERT INTO picture_login_tokens (token_hash, player_id, expires_at)
+    VALUES (encode(digest(token, 'sha256'), 'hex'), target_player, NOW() + INTERVAL '2 minutes');
+
+    RETURN QUERY SELECT token, max_attempts, NULL::TIMESTAMP WITH TIME ZONE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Link the player of a login token to the signed-in (anonymous) session
+-- The student's previous anonymous account is removed, so only the newest device stays logged in
+CREATE OR REPLACE FUNCTION claim_picture_login(token TEXT) RETURNS players AS $$
+DECLARE
+    claimed_player UUID;
+    previous_auth UUID;
+    student players;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    DELETE FROM picture_login_tokens
+    WHERE token_hash = encode(digest(token, 'sha256'), 'hex') AND expires_at > NOW()
+    RETURNING player_id INTO claimed_player;
+    IF claimed_player IS NULL THEN
+        RAISE EXCEPTION 'Invalid login token';
+    END IF;
+
+    IF current_player_id() IS NOT NULL AND current_player_id() <> claimed_player THEN
+        RAISE EXCEPTION 'Session already belongs to another player';
+    END IF;
+
+    SELECT auth_id INTO previous_auth FROM players WHERE id = claimed_player;
+
+    UPDATE players SET auth_id = auth.uid()
+    WHERE id = claimed_player
+    RETURNING * INTO student;
+
+    IF previous_auth IS NOT NULL AND previous_auth <> auth.uid() THEN
+        DELETE FROM auth.users WHERE id = previous_auth AND is_anonymous;
+    END IF;
+
+    RETURN student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- No policies: picture secrets and login tokens are only used by the functions above
+ALTER TABLE picture_passwords ENABLE ROW LEVEL SECURITY;
+ALTER TABLE picture_login_tokens ENABLE ROW LEVEL SECURITY;
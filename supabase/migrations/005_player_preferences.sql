@@ -0,0 +1,3 @@
+-- [user-008] Player preferences stored on the players profile
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS preferences JSONB NOT NULL DEFAULT '{}'::jsonb;
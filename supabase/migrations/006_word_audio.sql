@@ -0,0 +1,21 @@
+-- [user-009] Recorded word pronunciations
+
+ALTER TABLE words ADD COLUMN IF NOT EXISTS audio_url TEXT; -- Recorded pronunciation in the word-audio bucket; speech synthesis is used when NULL
+
+-- Storage bucket for recorded word pronunciations (public read, only admins write)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('word-audio', 'word-audio', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Only admins can upload, replace and delete word audio
+DROP POLICY IF EXISTS "Admins can upload word audio" ON storage.objects;
+CREATE POLICY "Admins can upload word audio" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'word-audio' AND auth.email() = current_setting('app.admin_email', true)
+    );
+
+DROP POLICY IF EXISTS "Admins can delete word audio" ON storage.objects;
+CREATE POLICY "Admins can delete word audio" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'word-audio' AND auth.email() = current_setting('app.admin_email', true)
+    );
@@ -0,0 +1,5 @@
+-- [user-010] Example sentences, spelling rules and categories on words
+
+ALTER TABLE words ADD COLUMN IF NOT EXISTS example_sentence TEXT; -- Context sentence with ___ where the word goes, e.g. 'Hij ___ morgen tien jaar.'
+ALTER TABLE words ADD COLUMN IF NOT EXISTS hint TEXT; -- Rule shown after a wrong choice, e.g. 'stam + t'
+ALTER TABLE words ADD COLUMN IF NOT EXISTS category TEXT; -- Spelling category, e.g. 'werkwoordspelling'
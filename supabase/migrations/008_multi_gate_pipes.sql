@@ -0,0 +1,4 @@
+-- [user-011] Pipes with up to four spelling gates and the chosen spelling per attempt
+
+ALTER TABLE words ADD COLUMN IF NOT EXISTS extra_wrong_spellings TEXT[] NOT NULL DEFAULT '{}'; -- More misspellings for pipes with 3 or 4 gates
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS chosen_spelling TEXT; -- Spelling of the gate the bird flew through
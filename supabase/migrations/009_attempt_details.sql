@@ -0,0 +1,12 @@
+-- [user-012] Detailed attempt events and error categories for teacher reports
+
+COMMENT ON COLUMN words.category IS 'Spelling/error category, e.g. werkwoordspelling or ei/ij';
+ALTER TABLE words ADD COLUMN IF NOT EXISTS misspelling_categories JSONB NOT NULL DEFAULT '{}'::jsonb; -- Error category per wrong spelling when it differs from category, e.g. {"hondt": "d/t"}
+
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS correct_spelling TEXT; -- Correct spelling at the time of the attempt
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS error_category TEXT; -- Category of the chosen misspelling (or of the word for correct answers)
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS response_time_ms INT; -- From the gate labels coming on screen to crossing the gate
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS difficulty TEXT;
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS session_id UUID; -- game_sessions.id; no foreign key since the session row is only written at game over
+
+CREATE INDEX IF NOT EXISTS idx_word_attempts_session ON word_attempts(session_id);
@@ -0,0 +1,9 @@
+-- [user-013] Decision times per attempt and teacher-selectable scoring modes
+
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS scoring_mode TEXT NOT NULL DEFAULT 'fixed' CHECK (scoring_mode IN ('fixed', 'speed', 'confidence'));
+
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS scoring_mode TEXT; -- classes.scoring_mode the session was played with
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS avg_decision_ms INT; -- Average word_attempts.decision_time_ms of the session
+
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS decision_time_ms INT; -- From the gate labels coming on screen to moving into the chosen gate
+ALTER TABLE word_attempts ADD COLUMN IF NOT EXISTS gate_switches INT; -- Times the bird moved to another gate while the word was readable
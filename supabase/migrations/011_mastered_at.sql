@@ -0,0 +1,3 @@
+-- [user-014] Moment a word became mastered, for the progress scene
+
+ALTER TABLE player_word_stats ADD COLUMN IF NOT EXISTS mastered_at TIMESTAMP WITH TIME ZONE; -- When the word became mastered; NULL while it is not
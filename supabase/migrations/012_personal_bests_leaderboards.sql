@@ -0,0 +1,18 @@
+-- [user-015] One personal best per player and difficulty, weekly and class leaderboards
+
+-- Keep only the best row of each player and difficulty before adding the unique key
+DELETE FROM highscores WHERE difficulty IS NULL;
+DELETE FROM highscores h
+USING highscores better
+WHERE better.player_id = h.player_id
+    AND better.difficulty = h.difficulty
+    AND (better.score > h.score OR (better.score = h.score AND better.achieved_at < h.achieved_at)
+        OR (better.score = h.score AND better.achieved_at = h.achieved_at AND better.id < h.id));
+
+ALTER TABLE highscores ALTER COLUMN difficulty SET NOT NULL;
+ALTER TABLE highscores DROP CONSTRAINT IF EXISTS highscores_player_id_difficulty_key;
+ALTER TABLE highscores ADD CONSTRAINT highscores_player_id_difficulty_key UNIQUE (player_id, difficulty);
+
+DROP INDEX IF EXISTS idx_highscores_score;
+CREATE INDEX idx_highscores_score ON highscores(difficulty, score DESC);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_leaderboard ON game_sessions(difficulty, played_at);
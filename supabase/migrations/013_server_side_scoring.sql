@@ -0,0 +1,185 @@
+-- [user-016] Server-side session scoring from logged attempts, no direct highscore inserts
+
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS invalid_reason TEXT; -- Why the session failed the plausibility checks; NULL for a valid session
+
+DROP FUNCTION IF EXISTS save_personal_best(UUID, INT, TEXT, TIMESTAMP WITH TIME ZONE);
+
+-- Sessions are submitted through submit_game_session, never inserted directly
+-- The score is recomputed from the session's word_attempts, so a forged score is never stored
+-- Keep the numbers below in sync with DIFFICULTY, SCORING and GAME_CONFIG in src/utils/constants.js
+
+-- Points for one attempt, the same way ScoreManager.addCorrect/addWrong compute them
+CREATE OR REPLACE FUNCTION attempt_points(
+    is_correct BOOLEAN,
+    target_difficulty TEXT,
+    mode TEXT,
+    response_ms INT,
+    decision_ms INT,
+    switches INT
+) RETURNS INT AS $$
+DECLARE
+    points INT := CASE target_difficulty WHEN 'hard' THEN 20 WHEN 'medium' THEN 15 ELSE 10 END;
+    penalty INT := CASE target_difficulty WHEN 'hard' THEN -15 WHEN 'medium' THEN -10 ELSE -5 END;
+    min_factor NUMERIC := 0.5;
+    max_factor NUMERIC := 1.5;
+    switch_penalty NUMERIC := 0.25;
+    factor NUMERIC := 1;
+BEGIN
+    IF NOT is_correct THEN
+        RETURN penalty;
+    END IF;
+
+    IF mode = 'speed' AND response_ms > 0 AND decision_ms IS NOT NULL THEN
+        factor := max_factor - (max_factor - min_factor) * LEAST(decision_ms::NUMERIC / response_ms, 1);
+    ELSIF mode = 'confidence' THEN
+        factor := max_factor - switch_penalty * COALESCE(switches, 0);
+    END IF;
+
+    RETURN round(points * LEAST(GREATEST(factor, min_factor), max_factor));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Store a finished session with the score, accuracy and averages recomputed from its attempts
+-- Sessions that fail the plausibility checks are kept (with invalid_reason) but never count for highscores
+CREATE OR REPLACE FUNCTION submit_game_session(
+    target_session UUID,
+    target_player UUID,
+    target_difficulty TEXT,
+    duration INT,
+    target_assignment UUID DEFAULT NULL,
+    mode TEXT DEFAULT 'fixed',
+    played TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+) RETURNS game_sessions AS $$
+DECLARE
+    min_attempt_interval_ms INT := 1500; -- Pipes spawn every 2000 ms (GAME_CONFIG.pipeSpawnInterval)
+    clock_slack_ms INT := 5000;          -- Allowed drift between attempt timestamps and the session duration
+    max_duration INT := 4 * 60 * 60;     -- Longest plausible session in seconds
+    stats RECORD;
+    reason TEXT;
+    saved game_sessions;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- Only the modes of the player's own classes can earn more than the fixed points
+    IF mode IS DISTINCT FROM 'fixed' AND NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = target_player AND c.scoring_mode = mode
+    ) THEN
+        mode := 'fixed';
+    END IF;
+
+    -- Correctness is taken from the words table, not from the client's is_correct
+    SELECT
+        count(*)::INT AS attempted,
+        (count(*) FILTER (WHERE a.chosen_spelling = w.correct_spelling))::INT AS correct,
+        COALESCE(sum(attempt_points(a.chosen_spelling = w.correct_spelling, target_difficulty, mode,
+            a.response_time_ms, a.decision_time_ms, a.gate_switches)), 0)::INT AS score,
+        round(avg(a.decision_time_ms))::INT AS avg_decision,
+        count(*) FILTER (WHERE a.difficulty IS DISTINCT FROM target_difficulty) AS wrong_difficulty,
+        COALESCE(EXTRACT(EPOCH FROM max(a.attempted_at) - min(a.attempted_at)) * 1000, 0) AS span_ms
+    INTO stats
+    FROM word_attempts a
+    JOIN words w ON w.id = a.word_id
+    WHERE a.session_id = target_session AND a.player_id = target_player;
+
+    -- Plausibility checks on attempt rate and duration
+    IF duration IS NULL OR duration < 0 OR duration > max_duration THEN
+        reason := 'implausible duration';
+    ELSIF stats.wrong_difficulty > 0 THEN
+        reason := 'attempts from another difficulty';
+    ELSIF stats.span_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'attempts outside the session duration';
+    ELSIF stats.attempted > 1 AND (stats.attempted - 1) * min_attempt_interval_ms > stats.span_ms THEN
+        reason := 'attempts too close together';
+    ELSIF stats.attempted * min_attempt_interval_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'too many attempts for the duration';
+    END IF;
+
+    INSERT INTO game_sessions (
+        id, player_id, score, words_attempted, words_correct, words_wrong, accuracy, difficulty,
+        duration_seconds, assignment_id, scoring_mode, avg_decision_ms, invalid_reason, played_at
+    ) VALUES (
+        target_session, target_player, stats.score, stats.attempted, stats.correct, stats.attempted - stats.correct,
+        CASE WHEN stats.attempted > 0 THEN stats.correct::FLOAT / stats.attempted ELSE 0 END,
+        target_difficulty, duration, target_assignment, mode, stats.avg_decision, reason, played
+    )
+    RETURNING * INTO saved;
+
+    -- Personal best: one row per player and difficulty, only replaced by a higher score
+    IF reason IS NULL AND saved.score > 0 THEN
+        INSERT INTO highscores (player_id, score, difficulty, achieved_at)
+        VALUES (target_player, saved.score, target_difficulty, played)
+        ON CONFLICT (player_id, difficulty) DO UPDATE
+            SET score = EXCLUDED.score, achieved_at = EXCLUDED.achieved_at
+            WHERE highscores.score < EXCLUDED.score;
+    END IF;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Best score per player for one difficulty
+-- Without since: all-time personal bests. With since: best game_sessions score since that moment
+-- With target_class: only members of that class (the caller must be in the class or teach it)
+CREATE OR REPLACE FUNCTION get_leaderboard(
+    target_difficulty TEXT,
+    since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    target_class UUID DEFAULT NULL,
+    max_rows INT DEFAULT 10
+) RETURNS TABLE (player_id UUID, username TEXT, score INT, achieved_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+    IF target_class IS NOT NULL AND NOT is_class_teacher(target_class) AND NOT EXISTS (
+        SELECT 1 FROM class_members m WHERE m.class_id = target_class AND m.player_id = current_player_id()
+    ) THEN
+        RAISE EXCEPTION 'Not a member of this class';
+    END IF;
+
+    RETURN QUERY
+        WITH best AS (
+            SELECT h.player_id, h.score, h.achieved_at
+            FROM highscores h
+            WHERE since IS NULL AND h.difficulty = target_difficulty
+            UNION ALL
+            (
+                SELECT DISTINCT ON (s.player_id) s.player_id, s.score, s.played_at
+                FROM game_sessions s
+                WHERE since IS NOT NULL AND s.difficulty = target_difficulty
+                    AND s.played_at >= since AND s.score > 0 AND s.invalid_reason IS NULL
+                ORDER BY s.player_id, s.score DESC, s.played_at
+            )
+        )
+        SELECT b.player_id, p.username, b.score, b.achieved_at
+        FROM best b
+        JOIN players p ON p.id = b.player_id
+        WHERE target_class IS NULL OR EXISTS (
+            SELECT 1 FROM class_members m WHERE m.class_id = target_class AND m.player_id = b.player_id
+        )
+        ORDER BY b.score DESC, b.achieved_at
+        LIMIT max_rows;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- No insert policy for game_sessions: sessions are stored by submit_game_session
+DROP POLICY IF EXISTS "Players can insert own game sessions" ON game_sessions;
+
+-- No insert or update policy for highscores: personal bests are stored by submit_game_session
+DROP POLICY IF EXISTS "Players can insert own highscores" ON highscores;
+
+DROP POLICY IF EXISTS "Players can manage own word attempts" ON word_attempts;
+
+-- Players can view their own attempts
+DROP POLICY IF EXISTS "Players can view own word attempts" ON word_attempts;
+CREATE POLICY "Players can view own word attempts" ON word_attempts
+    FOR SELECT USING (player_id = current_player_id());
+
+-- Players can record attempts until their session is submitted; attempts are never changed afterwards,
+-- since submit_game_session computes the score from them
+DROP POLICY IF EXISTS "Players can record own word attempts" ON word_attempts;
+CREATE POLICY "Players can record own word attempts" ON word_attempts
+    FOR INSERT WITH CHECK (
+        player_id = current_player_id()
+        AND NOT EXISTS (SELECT 1 FROM game_sessions s WHERE s.id = session_id)
+    );
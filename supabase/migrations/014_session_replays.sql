@@ -0,0 +1,94 @@
+-- [user-020] Session replays for ReplayScene
+
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS replay JSONB; -- Seed, words, jump steps and gate outcomes for ReplayScene (src/utils/replay.js)
+
+-- submit_game_session gains target_replay; drop the old signature so the call is not ambiguous
+DROP FUNCTION IF EXISTS submit_game_session(UUID, UUID, TEXT, INT, UUID, TEXT, TIMESTAMP WITH TIME ZONE);
+
+-- Store a finished session with the score, accuracy and averages recomputed from its attempts
+-- Sessions that fail the plausibility checks are kept (with invalid_reason) but never count for highscores
+CREATE OR REPLACE FUNCTION submit_game_session(
+    target_session UUID,
+    target_player UUID,
+    target_difficulty TEXT,
+    duration INT,
+    target_assignment UUID DEFAULT NULL,
+    mode TEXT DEFAULT 'fixed',
+    played TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    target_replay JSONB DEFAULT NULL
+) RETURNS game_sessions AS $$
+DECLARE
+    min_attempt_interval_ms INT := 1500; -- Pipes spawn every 2000 ms (GAME_CONFIG.pipeSpawnInterval)
+    clock_slack_ms INT := 5000;          -- Allowed drift between attempt timestamps and the session duration
+    max_duration INT := 4 * 60 * 60;     -- Longest plausible session in seconds
+    max_replay_bytes INT := 256 * 1024;  -- Larger replays are dropped, the session itself is still stored
+    stats RECORD;
+    reason TEXT;
+    saved game_sessions;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- Only the modes of the player's own classes can earn more than the fixed points
+    IF mode IS DISTINCT FROM 'fixed' AND NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = target_player AND c.scoring_mode = mode
+    ) THEN
+        mode := 'fixed';
+    END IF;
+
+    -- Correctness is taken from the words table, not from the client's is_correct
+    SELECT
+        count(*)::INT AS attempted,
+        (count(*) FILTER (WHERE a.chosen_spelling = w.correct_spelling))::INT AS correct,
+        COALESCE(sum(attempt_points(a.chosen_spelling = w.correct_spelling, target_difficulty, mode,
+            a.response_time_ms, a.decision_time_ms, a.gate_switches)), 0)::INT AS score,
+        round(avg(a.decision_time_ms))::INT AS avg_decision,
+        count(*) FILTER (WHERE a.difficulty IS DISTINCT FROM target_difficulty) AS wrong_difficulty,
+        COALESCE(EXTRACT(EPOCH FROM max(a.attempted_at) - min(a.attempted_at)) * 1000, 0) AS span_ms
+    INTO stats
+    FROM word_attempts a
+    JOIN words w ON w.id = a.word_id
+    WHERE a.session_id = target_session AND a.player_id = target_player;
+
+    -- Plausibility checks on attempt rate and duration
+    IF duration IS NULL OR duration < 0 OR duration > max_duration THEN
+        reason := 'implausible duration';
+    ELSIF stats.wrong_difficulty > 0 THEN
+        reason := 'attempts from another difficulty';
+    ELSIF stats.span_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'attempts outside the session duration';
+    ELSIF stats.attempted > 1 AND (stats.attempted - 1) * min_attempt_interval_ms > stats.span_ms THEN
+        reason := 'attempts too close together';
+    ELSIF stats.attempted * min_attempt_interval_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'too many attempts for the duration';
+    END IF;
+
+    IF octet_length(target_replay::TEXT) > max_replay_bytes THEN
+        target_replay := NULL;
+    END IF;
+
+    INSERT INTO game_sessions (
+        id, player_id, score, words_attempted, words_correct, words_wrong, accuracy, difficulty,
+        duration_seconds, assignment_id, scoring_mode, avg_decision_ms, invalid_reason, replay, played_at
+    ) VALUES (
+        target_session, target_player, stats.score, stats.attempted, stats.correct, stats.attempted - stats.correct,
+        CASE WHEN stats.attempted > 0 THEN stats.correct::FLOAT / stats.attempted ELSE 0 END,
+        target_difficulty, duration, target_assignment, mode, stats.avg_decision, reason, target_replay, played
+    )
+    RETURNING * INTO saved;
+
+    -- Personal best: one row per player and difficulty, only replaced by a higher score
+    IF reason IS NULL AND saved.score > 0 THEN
+        INSERT INTO highscores (player_id, score, difficulty, achieved_at)
+        VALUES (target_player, saved.score, target_difficulty, played)
+        ON CONFLICT (player_id, difficulty) DO UPDATE
+            SET score = EXCLUDED.score, achieved_at = EXCLUDED.achieved_at
+            WHERE highscores.score < EXCLUDED.score;
+    END IF;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,23 @@
+-- [user-023] Player settings saved from SettingsScene
+
+-- Players store their own settings (SettingsScene); players has no update policy, so this
+-- function is the only way to write a row and it only touches the preferences column
+CREATE OR REPLACE FUNCTION save_player_preferences(target_player UUID, target_preferences JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    max_bytes INT := 4 * 1024;
+    saved JSONB;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+    IF jsonb_typeof(target_preferences) IS DISTINCT FROM 'object' OR octet_length(target_preferences::text) > max_bytes THEN
+        RAISE EXCEPTION 'Invalid preferences';
+    END IF;
+
+    UPDATE players SET preferences = target_preferences
+    WHERE id = target_player
+    RETURNING preferences INTO saved;
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,176 @@
+-- [user-016] Server-side session start that bounds the client's attempt times, duration and date
+
+-- Session starts - server time at which a game session began (start_game_session)
+-- Bounds the client-reported attempt times, duration and date of the session
+CREATE TABLE IF NOT EXISTS game_session_starts (
+    session_id UUID PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- No policies: session starts are only used by the functions below
+ALTER TABLE game_session_starts ENABLE ROW LEVEL SECURITY;
+
+-- Note the server time at which a session starts; the game calls this before the first pipe
+-- Starts of the player's sessions that were never submitted are removed after a day
+CREATE OR REPLACE FUNCTION start_game_session(target_session UUID, target_player UUID)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    started TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    DELETE FROM game_session_starts
+    WHERE player_id = target_player AND started_at < NOW() - INTERVAL '1 day';
+
+    INSERT INTO game_session_starts (session_id, player_id)
+    VALUES (target_session, target_player)
+    ON CONFLICT (session_id) DO NOTHING;
+
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = target_session AND player_id = target_player;
+    RETURN started;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Attempt times are reported by the client, so they are kept between the session's start
+-- and the moment the attempt arrives; attempts of a session that was never started get the arrival time
+CREATE OR REPLACE FUNCTION bound_attempt_time() RETURNS TRIGGER AS $$
+DECLARE
+    started TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = NEW.session_id AND player_id = NEW.player_id;
+
+    IF started IS NULL THEN
+        NEW.attempted_at := NOW();
+    ELSE
+        NEW.attempted_at := LEAST(GREATEST(COALESCE(NEW.attempted_at, NOW()), started), NOW());
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS bound_attempt_time ON word_attempts;
+CREATE TRIGGER bound_attempt_time BEFORE INSERT ON word_attempts
+    FOR EACH ROW EXECUTE FUNCTION bound_attempt_time();
+
+-- Store a finished session with the score, accuracy and averages recomputed from its attempts
+-- Sessions that fail the plausibility checks are kept (with invalid_reason) but never count for highscores,
+-- and neither do assisted sessions
+CREATE OR REPLACE FUNCTION submit_game_session(
+    target_session UUID,
+    target_player UUID,
+    target_difficulty TEXT,
+    duration INT,
+    target_assignment UUID DEFAULT NULL,
+    mode TEXT DEFAULT 'fixed',
+    played TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    target_replay JSONB DEFAULT NULL,
+    target_language TEXT DEFAULT 'nl',
+    target_assisted BOOLEAN DEFAULT false
+) RETURNS game_sessions AS $$
+DECLARE
+    pipe_cycle_px INT := 900 + 80;       -- Pipes recycle from -pipeWidth back to pipeSpawnX
+    pipe_pool_size INT := 4;             -- GAME_CONFIG.pipePoolSize pipes share that cycle
+    pipe_speed INT := CASE target_difficulty WHEN 'hard' THEN 350 WHEN 'medium' THEN 250 ELSE 150 END; -- px per second
+    -- Average time between two pipes reaching the bird, minus 10% for frame timing
+    -- (about 1470 ms on easy, 880 ms on medium and 630 ms on hard)
+    min_attempt_interval_ms INT := floor(pipe_cycle_px * 1000 * 0.9 / pipe_pool_size / pipe_speed);
+    clock_slack_ms INT := 5000;          -- Allowed drift between attempt timestamps and the session duration
+    max_duration INT := 4 * 60 * 60;     -- Longest plausible session in seconds
+    max_replay_bytes INT := 256 * 1024;  -- Larger replays are dropped, the session itself is still stored
+    started TIMESTAMP WITH TIME ZONE;
+    stats RECORD;
+    reason TEXT;
+    saved game_sessions;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- The session took place between its start on the server and now
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = target_session AND player_id = target_player;
+    played := LEAST(COALESCE(played, NOW()), NOW());
+    IF started IS NOT NULL THEN
+        played := GREATEST(played, started);
+    END IF;
+
+    -- Only the modes of the player's own classes can earn more than the fixed points
+    IF mode IS DISTINCT FROM 'fixed' AND NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = target_player AND c.scoring_mode = mode
+    ) THEN
+        mode := 'fixed';
+    END IF;
+
+    -- Correctness is taken from the words table, not from the client's is_correct
+    SELECT
+        count(*)::INT AS attempted,
+        (count(*) FILTER (WHERE a.chosen_spelling = w.correct_spelling))::INT AS correct,
+        COALESCE(sum(attempt_points(a.chosen_spelling = w.correct_spelling, target_difficulty, mode,
+            a.response_time_ms, a.decision_time_ms, a.gate_switches)), 0)::INT AS score,
+        round(avg(a.decision_time_ms))::INT AS avg_decision,
+        count(*) FILTER (WHERE a.difficulty IS DISTINCT FROM target_difficulty) AS wrong_difficulty,
+        count(*) FILTER (WHERE w.language IS DISTINCT FROM target_language) AS wrong_language,
+        COALESCE(EXTRACT(EPOCH FROM max(a.attempted_at) - min(a.attempted_at)) * 1000, 0) AS span_ms
+    INTO stats
+    FROM word_attempts a
+    JOIN words w ON w.id = a.word_id
+    WHERE a.session_id = target_session AND a.player_id = target_player;
+
+    -- Plausibility checks on attempt rate and duration
+    IF started IS NULL THEN
+        reason := 'session was not started on the server';
+    ELSIF duration IS NULL OR duration < 0 OR duration > max_duration THEN
+        reason := 'implausible duration';
+    ELSIF duration * 1000 > EXTRACT(EPOCH FROM played - started) * 1000 + clock_slack_ms THEN
+        reason := 'longer than the time since the session started';
+    ELSIF stats.wrong_difficulty > 0 THEN
+        reason := 'attempts from another difficulty';
+    ELSIF stats.wrong_language > 0 THEN
+        reason := 'attempts from another language';
+    ELSIF stats.span_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'attempts outside the session duration';
+    -- Pipes are not evenly spaced (the pool starts 300 px apart), so only the average rate is checked
+    -- and the first pool of pipes may pass quicker
+    ELSIF GREATEST(stats.attempted - pipe_pool_size, 0) * min_attempt_interval_ms > stats.span_ms THEN
+        reason := 'attempts too close together';
+    ELSIF GREATEST(stats.attempted - pipe_pool_size, 0) * min_attempt_interval_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'too many attempts for the duration';
+    END IF;
+
+    IF octet_length(target_replay::TEXT) > max_replay_bytes THEN
+        target_replay := NULL;
+    END IF;
+
+    INSERT INTO game_sessions (
+        id, player_id, score, words_attempted, words_correct, words_wrong, accuracy, difficulty,
+        duration_seconds, assignment_id, scoring_mode, avg_decision_ms, invalid_reason, replay, played_at, language,
+        assisted
+    ) VALUES (
+        target_session, target_player, stats.score, stats.attempted, stats.correct, stats.attempted - stats.correct,
+        CASE WHEN stats.attempted > 0 THEN stats.correct::FLOAT / stats.attempted ELSE 0 END,
+        target_difficulty, duration, target_assignment, mode, stats.avg_decision, reason, target_replay, played,
+        COALESCE(target_language, 'nl'), COALESCE(target_assisted, false)
+    )
+    RETURNING * INTO saved;
+
+    -- Personal best: one row per player and difficulty, only replaced by a higher score
+    IF reason IS NULL AND NOT saved.assisted AND saved.score > 0 THEN
+        INSERT INTO highscores (player_id, score, difficulty, achieved_at)
+        VALUES (target_player, saved.score, target_difficulty, played)
+        ON CONFLICT (player_id, difficulty) DO UPDATE
+            SET score = EXCLUDED.score, achieved_at = EXCLUDED.achieved_at
+            WHERE highscores.score < EXCLUDED.score;
+    END IF;
+
+    DELETE FROM game_session_starts WHERE session_id = target_session;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,133 @@
+-- [user-004] Update player_word_stats atomically through record_word_result
+
+-- Word statistics are written through record_word_result, which applies one answer to the
+-- locked player_word_stats row, so answers arriving at the same time never overwrite each other
+-- A port of calculateWordStat in src/utils/wordStats.js; keep the numbers in sync with ADAPTIVE_LEARNING
+
+-- Mastery of a word at a moment, the same way getMasteryLevel computes it
+CREATE OR REPLACE FUNCTION word_mastery_level(stat player_word_stats, at TIMESTAMP WITH TIME ZONE)
+RETURNS TEXT AS $$
+DECLARE
+    mastery_interval_days INT := 21;
+    mastery_decay_factor FLOAT := 1;
+    overdue FLOAT;
+BEGIN
+    IF stat.repetitions IS NULL THEN
+        RETURN COALESCE(stat.mastery_level, 'learning');
+    END IF;
+    IF stat.repetitions = 0 THEN
+        RETURN 'learning';
+    END IF;
+
+    overdue := EXTRACT(EPOCH FROM at - COALESCE(stat.due_date, stat.last_seen_date, 'epoch'))
+        / (GREATEST(COALESCE(stat.interval_days, 0), 1) * 86400);
+    IF stat.interval_days >= mastery_interval_days AND overdue <= mastery_decay_factor THEN
+        RETURN 'mastered';
+    END IF;
+    RETURN 'practicing';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Apply one answer to the player's stats of a word and return the updated row
+-- An answer older than the word's last_seen_date (a late offline write) only adds to the counters
+CREATE OR REPLACE FUNCTION record_word_result(
+    target_player UUID,
+    target_word UUID,
+    correct BOOLEAN,
+    answered TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+) RETURNS player_word_stats AS $$
+DECLARE
+    initial_ease FLOAT := 2.5;
+    min_ease FLOAT := 1.3;
+    first_interval_days INT := 1;
+    second_interval_days INT := 6;
+    quality INT := CASE WHEN correct THEN 4 ELSE 1 END;
+    existing player_word_stats;
+    stat player_word_stats;
+    new_ease FLOAT;
+    due TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- A new word starts from the column defaults, which match a word without stats
+    INSERT INTO player_word_stats (player_id, word_id)
+    VALUES (target_player, target_word)
+    ON CONFLICT (player_id, word_id) DO NOTHING;
+
+    SELECT * INTO existing FROM player_word_stats
+    WHERE player_id = target_player AND word_id = target_word
+    FOR UPDATE;
+    stat := existing;
+
+    stat.total_correct := COALESCE(existing.total_correct, 0) + CASE WHEN correct THEN 1 ELSE 0 END;
+    stat.total_wrong := COALESCE(existing.total_wrong, 0) + CASE WHEN correct THEN 0 ELSE 1 END;
+
+    IF existing.last_seen_date > answered THEN
+        IF NOT correct AND (existing.last_wrong_date IS NULL OR existing.last_wrong_date < answered) THEN
+            stat.last_wrong_date := answered;
+        END IF;
+        stat.correct_streak := COALESCE(existing.correct_streak, 0);
+        stat.mastery_level := COALESCE(existing.mastery_level, 'learning');
+        stat.ease_factor := COALESCE(existing.ease_factor, initial_ease);
+        stat.interval_days := COALESCE(existing.interval_days, 0);
+        stat.repetitions := COALESCE(existing.repetitions, 0);
+        stat.due_date := COALESCE(existing.due_date, existing.last_seen_date);
+    ELSE
+        -- SM-2 schedule (calculateSchedule)
+        new_ease := GREATEST(min_ease,
+            COALESCE(existing.ease_factor, initial_ease) + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        due := COALESCE(existing.due_date, existing.last_seen_date, 'epoch');
+
+        IF NOT correct THEN
+            stat.ease_factor := new_ease;
+            stat.interval_days := 0;
+            stat.repetitions := 0;
+            stat.due_date := answered;
+        ELSIF due > answered THEN
+            -- Practised before it was due: the schedule stays as it was
+            stat.ease_factor := COALESCE(existing.ease_factor, initial_ease);
+            stat.interval_days := COALESCE(existing.interval_days, 0);
+            stat.repetitions := COALESCE(existing.repetitions, 0);
+            stat.due_date := due;
+        ELSE
+            stat.interval_days := CASE COALESCE(existing.repetitions, 0)
+                WHEN 0 THEN first_interval_days
+                WHEN 1 THEN second_interval_days
+                ELSE floor(GREATEST(COALESCE(existing.interval_days, 0), 1) * new_ease + 0.5)
+            END;
+            stat.ease_factor := new_ease;
+            stat.repetitions := COALESCE(existing.repetitions, 0) + 1;
+            stat.due_date := answered + stat.interval_days * INTERVAL '1 day';
+        END IF;
+
+        stat.correct_streak := CASE WHEN correct THEN COALESCE(existing.correct_streak, 0) + 1 ELSE 0 END;
+        stat.last_wrong_date := CASE WHEN correct THEN existing.last_wrong_date ELSE answered END;
+        stat.last_seen_date := answered;
+        stat.mastery_level := CASE WHEN correct THEN word_mastery_level(stat, answered) ELSE 'learning' END;
+
+        IF stat.mastery_level <> 'mastered' THEN
+            stat.mastered_at := NULL;
+        ELSIF word_mastery_level(existing, answered) <> 'mastered' OR existing.mastered_at IS NULL THEN
+            stat.mastered_at := answered;
+        END IF;
+    END IF;
+
+    UPDATE player_word_stats SET
+        correct_streak = stat.correct_streak,
+        total_correct = stat.total_correct,
+        total_wrong = stat.total_wrong,
+        last_wrong_date = stat.last_wrong_date,
+        last_seen_date = stat.last_seen_date,
+        mastery_level = stat.mastery_level,
+        ease_factor = stat.ease_factor,
+        interval_days = stat.interval_days,
+        repetitions = stat.repetitions,
+        due_date = stat.due_date,
+        mastered_at = stat.mastered_at
+    WHERE id = existing.id
+    RETURNING * INTO stat;
+    RETURN stat;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
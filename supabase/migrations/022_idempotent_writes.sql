@@ -0,0 +1,258 @@
+-- [user-002] Replaying a queued write after a lost response no longer counts it twice
+
+-- Word stat writes - client ids of answers applied by record_word_result, kept for 30 days
+-- A write replayed from the outbox after its answer was lost is recognised and skipped
+CREATE TABLE IF NOT EXISTS word_stat_writes (
+    id UUID PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- No policies: word stat writes are only used by record_word_result
+ALTER TABLE word_stat_writes ENABLE ROW LEVEL SECURITY;
+
+DROP FUNCTION IF EXISTS record_word_result(UUID, UUID, BOOLEAN, TIMESTAMP WITH TIME ZONE);
+
+-- Apply one answer to the player's stats of a word and return the updated row
+-- An answer older than the word's last_seen_date (a late offline write) only adds to the counters
+-- target_write is the client's id for the answer: a replay of an applied answer changes nothing
+CREATE OR REPLACE FUNCTION record_word_result(
+    target_player UUID,
+    target_word UUID,
+    correct BOOLEAN,
+    answered TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    target_write UUID DEFAULT NULL
+) RETURNS player_word_stats AS $$
+DECLARE
+    initial_ease FLOAT := 2.5;
+    min_ease FLOAT := 1.3;
+    first_interval_days INT := 1;
+    second_interval_days INT := 6;
+    quality INT := CASE WHEN correct THEN 4 ELSE 1 END;
+    existing player_word_stats;
+    stat player_word_stats;
+    new_ease FLOAT;
+    due TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    IF target_write IS NOT NULL THEN
+        DELETE FROM word_stat_writes
+        WHERE player_id = target_player AND applied_at < NOW() - INTERVAL '30 days';
+
+        INSERT INTO word_stat_writes (id, player_id)
+        VALUES (target_write, target_player)
+        ON CONFLICT (id) DO NOTHING;
+        IF NOT FOUND THEN
+            SELECT * INTO stat FROM player_word_stats
+            WHERE player_id = target_player AND word_id = target_word;
+            RETURN stat;
+        END IF;
+    END IF;
+
+    -- A new word starts from the column defaults, which match a word without stats
+    INSERT INTO player_word_stats (player_id, word_id)
+    VALUES (target_player, target_word)
+    ON CONFLICT (player_id, word_id) DO NOTHING;
+
+    SELECT * INTO existing FROM player_word_stats
+    WHERE player_id = target_player AND word_id = target_word
+    FOR UPDATE;
+    stat := existing;
+
+    stat.total_correct := COALESCE(existing.total_correct, 0) + CASE WHEN correct THEN 1 ELSE 0 END;
+    stat.total_wrong := COALESCE(existing.total_wrong, 0) + CASE WHEN correct THEN 0 ELSE 1 END;
+
+    IF existing.last_seen_date > answered THEN
+        IF NOT correct AND (existing.last_wrong_date IS NULL OR existing.last_wrong_date < answered) THEN
+            stat.last_wrong_date := answered;
+        END IF;
+        stat.correct_streak := COALESCE(existing.correct_streak, 0);
+        stat.mastery_level := COALESCE(existing.mastery_level, 'learning');
+        stat.ease_factor := COALESCE(existing.ease_factor, initial_ease);
+        stat.interval_days := COALESCE(existing.interval_days, 0);
+        stat.repetitions := COALESCE(existing.repetitions, 0);
+        stat.due_date := COALESCE(existing.due_date, existing.last_seen_date);
+    ELSE
+        -- SM-2 schedule (calculateSchedule)
+        new_ease := GREATEST(min_ease,
+            COALESCE(existing.ease_factor, initial_ease) + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        due := COALESCE(existing.due_date, existing.last_seen_date, 'epoch');
+
+        IF NOT correct THEN
+            stat.ease_factor := new_ease;
+            stat.interval_days := 0;
+            stat.repetitions := 0;
+            stat.due_date := answered;
+        ELSIF due > answered THEN
+            -- Practised before it was due: the schedule stays as it was
+            stat.ease_factor := COALESCE(existing.ease_factor, initial_ease);
+            stat.interval_days := COALESCE(existing.interval_days, 0);
+            stat.repetitions := COALESCE(existing.repetitions, 0);
+            stat.due_date := due;
+        ELSE
+            stat.interval_days := CASE COALESCE(existing.repetitions, 0)
+                WHEN 0 THEN first_interval_days
+                WHEN 1 THEN second_interval_days
+                ELSE floor(GREATEST(COALESCE(existing.interval_days, 0), 1) * new_ease + 0.5)
+            END;
+            stat.ease_factor := new_ease;
+            stat.repetitions := COALESCE(existing.repetitions, 0) + 1;
+            stat.due_date := answered + stat.interval_days * INTERVAL '1 day';
+        END IF;
+
+        stat.correct_streak := CASE WHEN correct THEN COALESCE(existing.correct_streak, 0) + 1 ELSE 0 END;
+        stat.last_wrong_date := CASE WHEN correct THEN existing.last_wrong_date ELSE answered END;
+        stat.last_seen_date := answered;
+        stat.mastery_level := CASE WHEN correct THEN word_mastery_level(stat, answered) ELSE 'learning' END;
+
+        IF stat.mastery_level <> 'mastered' THEN
+            stat.mastered_at := NULL;
+        ELSIF word_mastery_level(existing, answered) <> 'mastered' OR existing.mastered_at IS NULL THEN
+            stat.mastered_at := answered;
+        END IF;
+    END IF;
+
+    UPDATE player_word_stats SET
+        correct_streak = stat.correct_streak,
+        total_correct = stat.total_correct,
+        total_wrong = stat.total_wrong,
+        last_wrong_date = stat.last_wrong_date,
+        last_seen_date = stat.last_seen_date,
+        mastery_level = stat.mastery_level,
+        ease_factor = stat.ease_factor,
+        interval_days = stat.interval_days,
+        repetitions = stat.repetitions,
+        due_date = stat.due_date,
+        mastered_at = stat.mastered_at
+    WHERE id = existing.id
+    RETURNING * INTO stat;
+    RETURN stat;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Store a finished session with the score, accuracy and averages recomputed from its attempts
+-- Sessions that fail the plausibility checks are kept (with invalid_reason) but never count for highscores,
+-- and neither do assisted sessions
+CREATE OR REPLACE FUNCTION submit_game_session(
+    target_session UUID,
+    target_player UUID,
+    target_difficulty TEXT,
+    duration INT,
+    target_assignment UUID DEFAULT NULL,
+    mode TEXT DEFAULT 'fixed',
+    played TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    target_replay JSONB DEFAULT NULL,
+    target_language TEXT DEFAULT 'nl',
+    target_assisted BOOLEAN DEFAULT false
+) RETURNS game_sessions AS $$
+DECLARE
+    pipe_cycle_px INT := 900 + 80;       -- Pipes recycle from -pipeWidth back to pipeSpawnX
+    pipe_pool_size INT := 4;             -- GAME_CONFIG.pipePoolSize pipes share that cycle
+    pipe_speed INT := CASE target_difficulty WHEN 'hard' THEN 350 WHEN 'medium' THEN 250 ELSE 150 END; -- px per second
+    -- Average time between two pipes reaching the bird, minus 10% for frame timing
+    -- (about 1470 ms on easy, 880 ms on medium and 630 ms on hard)
+    min_attempt_interval_ms INT := floor(pipe_cycle_px * 1000 * 0.9 / pipe_pool_size / pipe_speed);
+    clock_slack_ms INT := 5000;          -- Allowed drift between attempt timestamps and the session duration
+    max_duration INT := 4 * 60 * 60;     -- Longest plausible session in seconds
+    max_replay_bytes INT := 256 * 1024;  -- Larger replays are dropped, the session itself is still stored
+    started TIMESTAMP WITH TIME ZONE;
+    stats RECORD;
+    reason TEXT;
+    saved game_sessions;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- The outbox replays a submit whose answer was lost; the session is then already stored
+    SELECT * INTO saved FROM game_sessions WHERE id = target_session AND player_id = target_player;
+    IF FOUND THEN
+        RETURN saved;
+    END IF;
+
+    -- The session took place between its start on the server and now
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = target_session AND player_id = target_player;
+    played := LEAST(COALESCE(played, NOW()), NOW());
+    IF started IS NOT NULL THEN
+        played := GREATEST(played, started);
+    END IF;
+
+    -- Only the modes of the player's own classes can earn more than the fixed points
+    IF mode IS DISTINCT FROM 'fixed' AND NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = target_player AND c.scoring_mode = mode
+    ) THEN
+        mode := 'fixed';
+    END IF;
+
+    -- Correctness is taken from the words table, not from the client's is_correct
+    SELECT
+        count(*)::INT AS attempted,
+        (count(*) FILTER (WHERE a.chosen_spelling = w.correct_spelling))::INT AS correct,
+        COALESCE(sum(attempt_points(a.chosen_spelling = w.correct_spelling, target_difficulty, mode,
+            a.response_time_ms, a.decision_time_ms, a.gate_switches)), 0)::INT AS score,
+        round(avg(a.decision_time_ms))::INT AS avg_decision,
+        count(*) FILTER (WHERE a.difficulty IS DISTINCT FROM target_difficulty) AS wrong_difficulty,
+        count(*) FILTER (WHERE w.language IS DISTINCT FROM target_language) AS wrong_language,
+        COALESCE(EXTRACT(EPOCH FROM max(a.attempted_at) - min(a.attempted_at)) * 1000, 0) AS span_ms
+    INTO stats
+    FROM word_attempts a
+    JOIN words w ON w.id = a.word_id
+    WHERE a.session_id = target_session AND a.player_id = target_player;
+
+    -- Plausibility checks on attempt rate and duration
+    IF started IS NULL THEN
+        reason := 'session was not started on the server';
+    ELSIF duration IS NULL OR duration < 0 OR duration > max_duration THEN
+        reason := 'implausible duration';
+    ELSIF duration * 1000 > EXTRACT(EPOCH FROM played - started) * 1000 + clock_slack_ms THEN
+        reason := 'longer than the time since the session started';
+    ELSIF stats.wrong_difficulty > 0 THEN
+        reason := 'attempts from another difficulty';
+    ELSIF stats.wrong_language > 0 THEN
+        reason := 'attempts from another language';
+    ELSIF stats.span_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'attempts outside the session duration';
+    -- Pipes are not evenly spaced (the pool starts 300 px apart), so only the average rate is checked
+    -- and the first pool of pipes may pass quicker
+    ELSIF GREATEST(stats.attempted - pipe_pool_size, 0) * min_attempt_interval_ms > stats.span_ms THEN
+        reason := 'attempts too close together';
+    ELSIF GREATEST(stats.attempted - pipe_pool_size, 0) * min_attempt_interval_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'too many attempts for the duration';
+    END IF;
+
+    IF octet_length(target_replay::TEXT) > max_replay_bytes THEN
+        target_replay := NULL;
+    END IF;
+
+    INSERT INTO game_sessions (
+        id, player_id, score, words_attempted, words_correct, words_wrong, accuracy, difficulty,
+        duration_seconds, assignment_id, scoring_mode, avg_decision_ms, invalid_reason, replay, played_at, language,
+        assisted
+    ) VALUES (
+        target_session, target_player, stats.score, stats.attempted, stats.correct, stats.attempted - stats.correct,
+        CASE WHEN stats.attempted > 0 THEN stats.correct::FLOAT / stats.attempted ELSE 0 END,
+        target_difficulty, duration, target_assignment, mode, stats.avg_decision, reason, target_replay, played,
+        COALESCE(target_language, 'nl'), COALESCE(target_assisted, false)
+    )
+    RETURNING * INTO saved;
+
+    -- Personal best: one row per player, difficulty and language, only replaced by a higher score
+    IF reason IS NULL AND NOT saved.assisted AND saved.score > 0 THEN
+        INSERT INTO highscores (player_id, score, difficulty, language, achieved_at)
+        VALUES (target_player, saved.score, target_difficulty, saved.language, played)
+        ON CONFLICT (player_id, difficulty, language) DO UPDATE
+            SET score = EXCLUDED.score, achieved_at = EXCLUDED.achieved_at
+            WHERE highscores.score < EXCLUDED.score;
+    END IF;
+
+    DELETE FROM game_session_starts WHERE session_id = target_session;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,77 @@
+-- [user-007] Picture logins never take over an email account; taken picture-student names get a number
+
+-- Teachers add a student without email address; the account is claimed at the first picture login
+-- Usernames are unique across all classes, so a name that is taken gets a number ('Emma 2')
+CREATE OR REPLACE FUNCTION add_picture_student(target_class UUID, student_name TEXT, pictures TEXT) RETURNS players AS $$
+DECLARE
+    student players;
+    candidate TEXT := trim(student_name);
+    suffix INT := 1;
+BEGIN
+    IF NOT is_class_teacher(target_class) THEN
+        RAISE EXCEPTION 'Not your class';
+    END IF;
+
+    LOOP
+        BEGIN
+            INSERT INTO players (username, role)
+            VALUES (candidate, 'student')
+            RETURNING * INTO student;
+            EXIT;
+        EXCEPTION WHEN unique_violation THEN
+            suffix := suffix + 1;
+            candidate := trim(student_name) || ' ' || suffix;
+        END;
+    END LOOP;
+
+    INSERT INTO class_members (class_id, player_id)
+    VALUES (target_class, student.id);
+
+    PERFORM set_picture_password(student.id, pictures);
+
+    RETURN student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Link the player of a login token to the signed-in (anonymous) session
+-- The student's previous anonymous account is removed, so only the newest device stays logged in
+-- A player that belongs to an email account is never taken over
+CREATE OR REPLACE FUNCTION claim_picture_login(token TEXT) RETURNS players AS $$
+DECLARE
+    claimed_player UUID;
+    previous_auth UUID;
+    student players;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    DELETE FROM picture_login_tokens
+    WHERE token_hash = encode(digest(token, 'sha256'), 'hex') AND expires_at > NOW()
+    RETURNING player_id INTO claimed_player;
+    IF claimed_player IS NULL THEN
+        RAISE EXCEPTION 'Invalid login token';
+    END IF;
+
+    IF current_player_id() IS NOT NULL AND current_player_id() <> claimed_player THEN
+        RAISE EXCEPTION 'Session already belongs to another player';
+    END IF;
+
+    SELECT auth_id INTO previous_auth FROM players WHERE id = claimed_player;
+    IF previous_auth IS NOT NULL AND previous_auth <> auth.uid() AND NOT EXISTS (
+        SELECT 1 FROM auth.users WHERE id = previous_auth AND is_anonymous
+    ) THEN
+        RAISE EXCEPTION 'Player signs in with email';
+    END IF;
+
+    UPDATE players SET auth_id = auth.uid()
+    WHERE id = claimed_player
+    RETURNING * INTO student;
+
+    IF previous_auth IS NOT NULL AND previous_auth <> auth.uid() THEN
+        DELETE FROM auth.users WHERE id = previous_auth AND is_anonymous;
+    END IF;
+
+    RETURN student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
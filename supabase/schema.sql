@@ -1,14 +1,20 @@
 -- Spelling Flappy Bird Database Schema
 -- This file contains all tables, indexes, and RLS policies for the game
+-- For a fresh database; existing databases are upgraded with supabase/migrations/ (in order)
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable pgcrypto for hashing picture passwords
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
 -- Players table - stores player information linked to Supabase Auth
 CREATE TABLE players (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     auth_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
     username TEXT UNIQUE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'teacher')),
+    preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -17,8 +23,15 @@ CREATE TABLE words (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     correct_spelling TEXT NOT NULL,
     wrong_spelling TEXT NOT NULL,
+    extra_wrong_spellings TEXT[] NOT NULL DEFAULT '{}', -- More misspellings for pipes with 3 or 4 gates
     word_length INT GENERATED ALWAYS AS (LENGTH(correct_spelling)) STORED,
     difficulty TEXT NOT NULL CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    language TEXT NOT NULL DEFAULT 'nl' CHECK (language IN ('nl', 'en', 'de')), -- Word bank the word belongs to, see WORD_LANGUAGES in src/utils/constants.js
+    audio_url TEXT, -- Recorded pronunciation in the word-audio bucket; speech synthesis is used when NULL
+    example_sentence TEXT, -- Context sentence with ___ where the word goes, e.g. 'Hij ___ morgen tien jaar.'
+    hint TEXT, -- Rule shown after a wrong choice, e.g. 'stam + t'
+    category TEXT, -- Spelling/error category, e.g. 'werkwoordspelling' or 'ei/ij'
+    misspelling_categories JSONB NOT NULL DEFAULT '{}'::jsonb, -- Error category per wrong spelling when it differs from category, e.g. {"hondt": "d/t"}
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_by UUID REFERENCES players(id)
 );
@@ -34,6 +47,12 @@ CREATE TABLE player_word_stats (
     last_wrong_date TIMESTAMP WITH TIME ZONE,
     last_seen_date TIMESTAMP WITH TIME ZONE,
     mastery_level TEXT DEFAULT 'learning' CHECK (mastery_level IN ('learning', 'practicing', 'mastered')),
+    -- Spaced repetition (SM-2) schedule
+    ease_factor FLOAT DEFAULT 2.5,
+    interval_days INT DEFAULT 0,
+    repetitions INT DEFAULT 0,
+    due_date TIMESTAMP WITH TIME ZONE,
+    mastered_at TIMESTAMP WITH TIME ZONE, -- When the word became mastered; NULL while it is not
     UNIQUE(player_id, word_id)
 );
 
@@ -47,23 +66,842 @@ CREATE TABLE game_sessions (
     words_wrong INT,
     accuracy FLOAT,
     difficulty TEXT,
+    language TEXT NOT NULL DEFAULT 'nl', -- words.language of the words played in the session
     duration_seconds INT,
+    scoring_mode TEXT, -- classes.scoring_mode the session was played with
+    avg_decision_ms INT, -- Average word_attempts.decision_time_ms of the session
+    invalid_reason TEXT, -- Why the session failed the plausibility checks; NULL for a valid session
+    replay JSONB, -- Seed, words, jump steps and gate outcomes for ReplayScene (src/utils/replay.js)
+    assisted BOOLEAN NOT NULL DEFAULT false, -- Played in assist mode; never counts for highscores or leaderboards
     played_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Highscores - tracks best scores per player and difficulty
+-- Highscores - personal best per player, difficulty and word language (one row each, see submit_game_session)
 CREATE TABLE highscores (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     player_id UUID REFERENCES players(id),
     score INT NOT NULL,
+    difficulty TEXT NOT NULL,
+    language TEXT NOT NULL DEFAULT 'nl', -- game_sessions.language of the session that set the score
+    achieved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(player_id, difficulty, language)
+);
+
+-- Generates a 6 character class code without look-alike characters (0/O, 1/I)
+CREATE OR REPLACE FUNCTION generate_join_code() RETURNS TEXT AS $$
+DECLARE
+    alphabet TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    code TEXT := '';
+BEGIN
+    FOR i IN 1..6 LOOP
+        code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::INT, 1);
+    END LOOP;
+    RETURN code;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+-- Classes - a teacher's group of students, joined with a class code
+CREATE TABLE classes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    teacher_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    join_code TEXT UNIQUE NOT NULL DEFAULT generate_join_code(),
+    scoring_mode TEXT NOT NULL DEFAULT 'fixed' CHECK (scoring_mode IN ('fixed', 'speed', 'confidence')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Class members - student roster of each class
+CREATE TABLE class_members (
+    class_id UUID REFERENCES classes(id) ON DELETE CASCADE,
+    player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (class_id, player_id)
+);
+
+-- Word lists - named sets of words made by a teacher (e.g. "week 12: ei/ij")
+CREATE TABLE word_lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    description TEXT,
+    language TEXT NOT NULL DEFAULT 'nl' CHECK (language IN ('nl', 'en', 'de')), -- The admin panel only offers words of this language for the list
+    teacher_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Word list items - many-to-many between word lists and words
+CREATE TABLE word_list_items (
+    word_list_id UUID REFERENCES word_lists(id) ON DELETE CASCADE,
+    word_id UUID REFERENCES words(id) ON DELETE CASCADE,
+    PRIMARY KEY (word_list_id, word_id)
+);
+
+-- Assignments - a word list a class practises between two dates
+CREATE TABLE assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    class_id UUID NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    word_list_id UUID NOT NULL REFERENCES word_lists(id) ON DELETE CASCADE,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_on >= starts_on)
+);
+
+-- Sessions played for an assignment
+ALTER TABLE game_sessions
+    ADD COLUMN assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL;
+
+-- Word attempts - one row per gate decision, with the assignment it was part of
+CREATE TABLE word_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    word_id UUID NOT NULL REFERENCES words(id) ON DELETE CASCADE,
+    is_correct BOOLEAN NOT NULL,
+    chosen_spelling TEXT, -- Spelling of the gate the bird flew through
+    correct_spelling TEXT, -- Correct spelling at the time of the attempt
+    error_category TEXT, -- Category of the chosen misspelling (or of the word for correct answers)
+    response_time_ms INT, -- From the gate labels coming on screen to crossing the gate
+    decision_time_ms INT, -- From the gate labels coming on screen to moving into the chosen gate
+    gate_switches INT, -- Times the bird moved to another gate while the word was readable
     difficulty TEXT,
-    achieved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    session_id UUID, -- game_sessions.id; no foreign key since the session row is only written at game over
+    assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL,
+    word_list_id UUID REFERENCES word_lists(id) ON DELETE SET NULL,
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() -- Kept between the session start and the insert, see bound_attempt_time
+);
+
+-- Session starts - time at which a game session began (start_game_session)
+-- Bounds the client-reported attempt times, duration and date of the session
+CREATE TABLE game_session_starts (
+    session_id UUID PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Server time, or the device's time for a start synced late
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() -- When the start reached the server
+);
+
+-- Word stat writes - client ids of answers applied by record_word_result, kept for 30 days
+-- A write replayed from the outbox after its answer was lost is recognised and skipped
+CREATE TABLE word_stat_writes (
+    id UUID PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Picture passwords - child-friendly login secret (a short sequence of pictures) per student
+-- Only reachable through the SECURITY DEFINER functions below, never directly
+CREATE TABLE picture_passwords (
+    player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    secret_hash TEXT NOT NULL,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Picture login tokens - single-use proof of a correct picture password, exchanged for a session
+CREATE TABLE picture_login_tokens (
+    token_hash TEXT PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
 );
 
 -- Indexes for better query performance
+CREATE INDEX idx_words_language ON words(language, difficulty);
 CREATE INDEX idx_player_word_stats_player ON player_word_stats(player_id);
 CREATE INDEX idx_player_word_stats_mastery ON player_word_stats(mastery_level);
-CREATE INDEX idx_highscores_score ON highscores(score DESC);
+CREATE INDEX idx_player_word_stats_due ON player_word_stats(player_id, due_date);
+CREATE INDEX idx_highscores_score ON highscores(difficulty, language, score DESC);
+CREATE INDEX idx_game_sessions_leaderboard ON game_sessions(difficulty, played_at);
+CREATE INDEX idx_game_sessions_player ON game_sessions(player_id, language, played_at DESC);
+CREATE INDEX idx_classes_teacher ON classes(teacher_id);
+CREATE INDEX idx_class_members_player ON class_members(player_id);
+CREATE INDEX idx_word_lists_teacher ON word_lists(teacher_id);
+CREATE INDEX idx_assignments_class ON assignments(class_id, ends_on);
+CREATE INDEX idx_word_attempts_player ON word_attempts(player_id, attempted_at DESC);
+CREATE INDEX idx_word_attempts_session ON word_attempts(session_id);
+
+-- Helper functions for RLS policies
+-- SECURITY DEFINER so policies can look up players and classes without recursing into their own RLS
+
+-- players.id of the signed-in user
+CREATE OR REPLACE FUNCTION current_player_id() RETURNS UUID AS $$
+    SELECT id FROM players WHERE auth_id = auth.uid() LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the signed-in user has the teacher role
+CREATE OR REPLACE FUNCTION is_teacher() RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM players WHERE auth_id = auth.uid() AND role = 'teacher');
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the signed-in user teaches the given class
+CREATE OR REPLACE FUNCTION is_class_teacher(target_class UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM classes
+        WHERE id = target_class AND teacher_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the given player is a student in one of the signed-in teacher's classes
+CREATE OR REPLACE FUNCTION is_teacher_of(student UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = student AND c.teacher_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the signed-in user owns the given word list
+CREATE OR REPLACE FUNCTION owns_word_list(target_list UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM word_lists
+        WHERE id = target_list AND teacher_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- True if the given word list is assigned to a class the signed-in user is a member of
+CREATE OR REPLACE FUNCTION is_word_list_assigned_to_me(target_list UUID) RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM assignments a
+        JOIN class_members m ON m.class_id = a.class_id
+        WHERE a.word_list_id = target_list AND m.player_id = current_player_id()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Students join a class by code; they cannot read other classes directly
+CREATE OR REPLACE FUNCTION join_class(code TEXT) RETURNS classes AS $$
+DECLARE
+    me UUID := current_player_id();
+    target classes;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not a registered player';
+    END IF;
+
+    SELECT * INTO target FROM classes WHERE join_code = upper(trim(code));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid class code';
+    END IF;
+
+    INSERT INTO class_members (class_id, player_id)
+    VALUES (target.id, me)
+    ON CONFLICT DO NOTHING;
+
+    RETURN target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Teachers replace the code of their own class (e.g. after it leaked); RLS applies
+CREATE OR REPLACE FUNCTION regenerate_join_code(target_class UUID) RETURNS classes AS $$
+    UPDATE classes SET join_code = generate_join_code()
+    WHERE id = target_class
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Note the time at which a session starts; the game calls this before the first pipe
+-- target_started is the device's time of the start and target_sent the device's time of this call.
+-- A start sent right away was recorded online and gets the server time; a start that waited in the
+-- outbox (the session was played offline) keeps the device's time, so the session keeps its real date
+-- Starts of the player's sessions that were never submitted are removed a day after they arrived
+CREATE OR REPLACE FUNCTION start_game_session(
+    target_session UUID,
+    target_player UUID,
+    target_started TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    target_sent TIMESTAMP WITH TIME ZONE DEFAULT NULL
+) RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    online_delay INTERVAL := INTERVAL '1 minute'; -- Longest wait of a start that was sent online
+    started TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- Both device times come from the same clock, so their difference is the time spent in the outbox
+    IF target_started IS NOT NULL AND target_sent IS NOT NULL AND target_sent - target_started > online_delay THEN
+        started := LEAST(target_started, NOW());
+    END IF;
+
+    DELETE FROM game_session_starts
+    WHERE player_id = target_player AND recorded_at < NOW() - INTERVAL '1 day';
+
+    INSERT INTO game_session_starts (session_id, player_id, started_at)
+    VALUES (target_session, target_player, started)
+    ON CONFLICT (session_id) DO NOTHING;
+
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = target_session AND player_id = target_player;
+    RETURN started;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Attempt times are reported by the client, so they are kept between the session's start
+-- and the moment the attempt arrives; attempts of a session that was never started get the arrival time
+CREATE OR REPLACE FUNCTION bound_attempt_time() RETURNS TRIGGER AS $$
+DECLARE
+    started TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = NEW.session_id AND player_id = NEW.player_id;
+
+    IF started IS NULL THEN
+        NEW.attempted_at := NOW();
+    ELSE
+        NEW.attempted_at := LEAST(GREATEST(COALESCE(NEW.attempted_at, NOW()), started), NOW());
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER bound_attempt_time BEFORE INSERT ON word_attempts
+    FOR EACH ROW EXECUTE FUNCTION bound_attempt_time();
+
+-- Sessions are submitted through submit_game_session, never inserted directly
+-- The score is recomputed from the session's word_attempts, so a forged score is never stored
+-- Keep the numbers below in sync with DIFFICULTY, SCORING and GAME_CONFIG in src/utils/constants.js
+
+-- Points for one attempt, the same way ScoreManager.addCorrect/addWrong compute them
+CREATE OR REPLACE FUNCTION attempt_points(
+    is_correct BOOLEAN,
+    target_difficulty TEXT,
+    mode TEXT,
+    response_ms INT,
+    decision_ms INT,
+    switches INT
+) RETURNS INT AS $$
+DECLARE
+    points INT := CASE target_difficulty WHEN 'hard' THEN 20 WHEN 'medium' THEN 15 ELSE 10 END;
+    penalty INT := CASE target_difficulty WHEN 'hard' THEN -15 WHEN 'medium' THEN -10 ELSE -5 END;
+    min_factor NUMERIC := 0.5;
+    max_factor NUMERIC := 1.5;
+    switch_penalty NUMERIC := 0.25;
+    factor NUMERIC := 1;
+BEGIN
+    IF NOT is_correct THEN
+        RETURN penalty;
+    END IF;
+
+    IF mode = 'speed' AND response_ms > 0 AND decision_ms IS NOT NULL THEN
+        factor := max_factor - (max_factor - min_factor) * LEAST(decision_ms::NUMERIC / response_ms, 1);
+    ELSIF mode = 'confidence' THEN
+        factor := max_factor - switch_penalty * COALESCE(switches, 0);
+    END IF;
+
+    RETURN round(points * LEAST(GREATEST(factor, min_factor), max_factor));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Store a finished session with the score, accuracy and averages recomputed from its attempts
+-- Sessions that fail the plausibility checks are kept (with invalid_reason) but never count for highscores,
+-- and neither do assisted sessions
+CREATE OR REPLACE FUNCTION submit_game_session(
+    target_session UUID,
+    target_player UUID,
+    target_difficulty TEXT,
+    duration INT,
+    target_assignment UUID DEFAULT NULL,
+    mode TEXT DEFAULT 'fixed',
+    played TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    target_replay JSONB DEFAULT NULL,
+    target_language TEXT DEFAULT 'nl',
+    target_assisted BOOLEAN DEFAULT false
+) RETURNS game_sessions AS $$
+DECLARE
+    pipe_cycle_px INT := 900 + 80;       -- Pipes recycle from -pipeWidth back to pipeSpawnX
+    pipe_pool_size INT := 4;             -- GAME_CONFIG.pipePoolSize pipes share that cycle
+    pipe_speed INT := CASE target_difficulty WHEN 'hard' THEN 350 WHEN 'medium' THEN 250 ELSE 150 END; -- px per second
+    -- Average time between two pipes reaching the bird, minus 10% for frame timing
+    -- (about 1470 ms on easy, 880 ms on medium and 630 ms on hard)
+    min_attempt_interval_ms INT := floor(pipe_cycle_px * 1000 * 0.9 / pipe_pool_size / pipe_speed);
+    clock_slack_ms INT := 5000;          -- Allowed drift between attempt timestamps and the session duration
+    max_duration INT := 4 * 60 * 60;     -- Longest plausible session in seconds
+    max_replay_bytes INT := 256 * 1024;  -- Larger replays are dropped, the session itself is still stored
+    started TIMESTAMP WITH TIME ZONE;
+    stats RECORD;
+    reason TEXT;
+    saved game_sessions;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    -- The outbox replays a submit whose answer was lost; the session is then already stored
+    SELECT * INTO saved FROM game_sessions WHERE id = target_session AND player_id = target_player;
+    IF FOUND THEN
+        RETURN saved;
+    END IF;
+
+    -- The session took place between its start and now
+    SELECT started_at INTO started FROM game_session_starts
+    WHERE session_id = target_session AND player_id = target_player;
+    played := LEAST(COALESCE(played, NOW()), NOW());
+    IF started IS NOT NULL THEN
+        played := GREATEST(played, started);
+    END IF;
+
+    -- Only the modes of the player's own classes can earn more than the fixed points
+    IF mode IS DISTINCT FROM 'fixed' AND NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.player_id = target_player AND c.scoring_mode = mode
+    ) THEN
+        mode := 'fixed';
+    END IF;
+
+    -- Correctness is taken from the words table, not from the client's is_correct
+    SELECT
+        count(*)::INT AS attempted,
+        (count(*) FILTER (WHERE a.chosen_spelling = w.correct_spelling))::INT AS correct,
+        COALESCE(sum(attempt_points(a.chosen_spelling = w.correct_spelling, target_difficulty, mode,
+            a.response_time_ms, a.decision_time_ms, a.gate_switches)), 0)::INT AS score,
+        round(avg(a.decision_time_ms))::INT AS avg_decision,
+        count(*) FILTER (WHERE a.difficulty IS DISTINCT FROM target_difficulty) AS wrong_difficulty,
+        count(*) FILTER (WHERE w.language IS DISTINCT FROM target_language) AS wrong_language,
+        COALESCE(EXTRACT(EPOCH FROM max(a.attempted_at) - min(a.attempted_at)) * 1000, 0) AS span_ms
+    INTO stats
+    FROM word_attempts a
+    JOIN words w ON w.id = a.word_id
+    WHERE a.session_id = target_session AND a.player_id = target_player;
+
+    -- Plausibility checks on attempt rate and duration
+    IF started IS NULL THEN
+        reason := 'session was not started on the server';
+    ELSIF duration IS NULL OR duration < 0 OR duration > max_duration THEN
+        reason := 'implausible duration';
+    ELSIF duration * 1000 > EXTRACT(EPOCH FROM played - started) * 1000 + clock_slack_ms THEN
+        reason := 'longer than the time since the session started';
+    ELSIF stats.wrong_difficulty > 0 THEN
+        reason := 'attempts from another difficulty';
+    ELSIF stats.wrong_language > 0 THEN
+        reason := 'attempts from another language';
+    ELSIF stats.span_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'attempts outside the session duration';
+    -- Pipes are not evenly spaced (the pool starts 300 px apart), so only the average rate is checked
+    -- and the first pool of pipes may pass quicker
+    ELSIF GREATEST(stats.attempted - pipe_pool_size, 0) * min_attempt_interval_ms > stats.span_ms THEN
+        reason := 'attempts too close together';
+    ELSIF GREATEST(stats.attempted - pipe_pool_size, 0) * min_attempt_interval_ms > duration * 1000 + clock_slack_ms THEN
+        reason := 'too many attempts for the duration';
+    END IF;
+
+    IF octet_length(target_replay::TEXT) > max_replay_bytes THEN
+        target_replay := NULL;
+    END IF;
+
+    INSERT INTO game_sessions (
+        id, player_id, score, words_attempted, words_correct, words_wrong, accuracy, difficulty,
+        duration_seconds, assignment_id, scoring_mode, avg_decision_ms, invalid_reason, replay, played_at, language,
+        assisted
+    ) VALUES (
+        target_session, target_player, stats.score, stats.attempted, stats.correct, stats.attempted - stats.correct,
+        CASE WHEN stats.attempted > 0 THEN stats.correct::FLOAT / stats.attempted ELSE 0 END,
+        target_difficulty, duration, target_assignment, mode, stats.avg_decision, reason, target_replay, played,
+        COALESCE(target_language, 'nl'), COALESCE(target_assisted, false)
+    )
+    RETURNING * INTO saved;
+
+    -- Personal best: one row per player, difficulty and language, only replaced by a higher score
+    IF reason IS NULL AND NOT saved.assisted AND saved.score > 0 THEN
+        INSERT INTO highscores (player_id, score, difficulty, language, achieved_at)
+        VALUES (target_player, saved.score, target_difficulty, saved.language, played)
+        ON CONFLICT (player_id, difficulty, language) DO UPDATE
+            SET score = EXCLUDED.score, achieved_at = EXCLUDED.achieved_at
+            WHERE highscores.score < EXCLUDED.score;
+    END IF;
+
+    DELETE FROM game_session_starts WHERE session_id = target_session;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Best score per player for one difficulty and word language
+-- Without since: all-time personal bests. With since: best game_sessions score since that moment
+-- Assisted sessions are left out of both
+-- With target_class: only members of that class (the caller must be in the class or teach it)
+CREATE OR REPLACE FUNCTION get_leaderboard(
+    target_difficulty TEXT,
+    since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    target_class UUID DEFAULT NULL,
+    max_rows INT DEFAULT 10,
+    target_language TEXT DEFAULT 'nl'
+) RETURNS TABLE (player_id UUID, username TEXT, score INT, achieved_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+    IF target_class IS NOT NULL AND NOT is_class_teacher(target_class) AND NOT EXISTS (
+        SELECT 1 FROM class_members m WHERE m.class_id = target_class AND m.player_id = current_player_id()
+    ) THEN
+        RAISE EXCEPTION 'Not a member of this class';
+    END IF;
+
+    RETURN QUERY
+        WITH best AS (
+            SELECT h.player_id, h.score, h.achieved_at
+            FROM highscores h
+            WHERE since IS NULL AND h.difficulty = target_difficulty AND h.language = target_language
+            UNION ALL
+            (
+                SELECT DISTINCT ON (s.player_id) s.player_id, s.score, s.played_at
+                FROM game_sessions s
+                WHERE since IS NOT NULL AND s.difficulty = target_difficulty AND s.language = target_language
+                    AND s.played_at >= since AND s.score > 0 AND s.invalid_reason IS NULL AND NOT s.assisted
+                ORDER BY s.player_id, s.score DESC, s.played_at
+            )
+        )
+        SELECT b.player_id, p.username, b.score, b.achieved_at
+        FROM best b
+        JOIN players p ON p.id = b.player_id
+        WHERE target_class IS NULL OR EXISTS (
+            SELECT 1 FROM class_members m WHERE m.class_id = target_class AND m.player_id = b.player_id
+        )
+        ORDER BY b.score DESC, b.achieved_at
+        LIMIT max_rows;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Word statistics are written through record_word_result, which applies one answer to the
+-- locked player_word_stats row, so answers arriving at the same time never overwrite each other
+-- A port of calculateWordStat in src/utils/wordStats.js; keep the numbers in sync with ADAPTIVE_LEARNING
+
+-- Mastery of a word at a moment, the same way getMasteryLevel computes it
+CREATE OR REPLACE FUNCTION word_mastery_level(stat player_word_stats, at TIMESTAMP WITH TIME ZONE)
+RETURNS TEXT AS $$
+DECLARE
+    mastery_interval_days INT := 21;
+    mastery_decay_factor FLOAT := 1;
+    overdue FLOAT;
+BEGIN
+    IF stat.repetitions IS NULL THEN
+        RETURN COALESCE(stat.mastery_level, 'learning');
+    END IF;
+    IF stat.repetitions = 0 THEN
+        RETURN 'learning';
+    END IF;
+
+    overdue := EXTRACT(EPOCH FROM at - COALESCE(stat.due_date, stat.last_seen_date, 'epoch'))
+        / (GREATEST(COALESCE(stat.interval_days, 0), 1) * 86400);
+    IF stat.interval_days >= mastery_interval_days AND overdue <= mastery_decay_factor THEN
+        RETURN 'mastered';
+    END IF;
+    RETURN 'practicing';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Apply one answer to the player's stats of a word and return the updated row
+-- An answer older than the word's last_seen_date (a late offline write) only adds to the counters
+-- target_write is the client's id for the answer: a replay of an applied answer changes nothing
+CREATE OR REPLACE FUNCTION record_word_result(
+    target_player UUID,
+    target_word UUID,
+    correct BOOLEAN,
+    answered TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    target_write UUID DEFAULT NULL
+) RETURNS player_word_stats AS $$
+DECLARE
+    initial_ease FLOAT := 2.5;
+    min_ease FLOAT := 1.3;
+    first_interval_days INT := 1;
+    second_interval_days INT := 6;
+    quality INT := CASE WHEN correct THEN 4 ELSE 1 END;
+    existing player_word_stats;
+    stat player_word_stats;
+    new_ease FLOAT;
+    due TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+
+    IF target_write IS NOT NULL THEN
+        DELETE FROM word_stat_writes
+        WHERE player_id = target_player AND applied_at < NOW() - INTERVAL '30 days';
+
+        INSERT INTO word_stat_writes (id, player_id)
+        VALUES (target_write, target_player)
+        ON CONFLICT (id) DO NOTHING;
+        IF NOT FOUND THEN
+            SELECT * INTO stat FROM player_word_stats
+            WHERE player_id = target_player AND word_id = target_word;
+            RETURN stat;
+        END IF;
+    END IF;
+
+    -- A new word starts from the column defaults, which match a word without stats
+    INSERT INTO player_word_stats (player_id, word_id)
+    VALUES (target_player, target_word)
+    ON CONFLICT (player_id, word_id) DO NOTHING;
+
+    SELECT * INTO existing FROM player_word_stats
+    WHERE player_id = target_player AND word_id = target_word
+    FOR UPDATE;
+    stat := existing;
+
+    stat.total_correct := COALESCE(existing.total_correct, 0) + CASE WHEN correct THEN 1 ELSE 0 END;
+    stat.total_wrong := COALESCE(existing.total_wrong, 0) + CASE WHEN correct THEN 0 ELSE 1 END;
+
+    IF existing.last_seen_date > answered THEN
+        IF NOT correct AND (existing.last_wrong_date IS NULL OR existing.last_wrong_date < answered) THEN
+            stat.last_wrong_date := answered;
+        END IF;
+        stat.correct_streak := COALESCE(existing.correct_streak, 0);
+        stat.mastery_level := COALESCE(existing.mastery_level, 'learning');
+        stat.ease_factor := COALESCE(existing.ease_factor, initial_ease);
+        stat.interval_days := COALESCE(existing.interval_days, 0);
+        stat.repetitions := COALESCE(existing.repetitions, 0);
+        stat.due_date := COALESCE(existing.due_date, existing.last_seen_date);
+    ELSE
+        -- SM-2 schedule (calculateSchedule)
+        new_ease := GREATEST(min_ease,
+            COALESCE(existing.ease_factor, initial_ease) + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        due := COALESCE(existing.due_date, existing.last_seen_date, 'epoch');
+
+        IF NOT correct THEN
+            stat.ease_factor := new_ease;
+            stat.interval_days := 0;
+            stat.repetitions := 0;
+            stat.due_date := answered;
+        ELSIF due > answered THEN
+            -- Practised before it was due: the schedule stays as it was
+            stat.ease_factor := COALESCE(existing.ease_factor, initial_ease);
+            stat.interval_days := COALESCE(existing.interval_days, 0);
+            stat.repetitions := COALESCE(existing.repetitions, 0);
+            stat.due_date := due;
+        ELSE
+            stat.interval_days := CASE COALESCE(existing.repetitions, 0)
+                WHEN 0 THEN first_interval_days
+                WHEN 1 THEN second_interval_days
+                ELSE floor(GREATEST(COALESCE(existing.interval_days, 0), 1) * new_ease + 0.5)
+            END;
+            stat.ease_factor := new_ease;
+            stat.repetitions := COALESCE(existing.repetitions, 0) + 1;
+            stat.due_date := answered + stat.interval_days * INTERVAL '1 day';
+        END IF;
+
+        stat.correct_streak := CASE WHEN correct THEN COALESCE(existing.correct_streak, 0) + 1 ELSE 0 END;
+        stat.last_wrong_date := CASE WHEN correct THEN existing.last_wrong_date ELSE answered END;
+        stat.last_seen_date := answered;
+        stat.mastery_level := CASE WHEN correct THEN word_mastery_level(stat, answered) ELSE 'learning' END;
+
+        IF stat.mastery_level <> 'mastered' THEN
+            stat.mastered_at := NULL;
+        ELSIF word_mastery_level(existing, answered) <> 'mastered' OR existing.mastered_at IS NULL THEN
+            stat.mastered_at := answered;
+        END IF;
+    END IF;
+
+    UPDATE player_word_stats SET
+        correct_streak = stat.correct_streak,
+        total_correct = stat.total_correct,
+        total_wrong = stat.total_wrong,
+        last_wrong_date = stat.last_wrong_date,
+        last_seen_date = stat.last_seen_date,
+        mastery_level = stat.mastery_level,
+        ease_factor = stat.ease_factor,
+        interval_days = stat.interval_days,
+        repetitions = stat.repetitions,
+        due_date = stat.due_date,
+        mastered_at = stat.mastered_at
+    WHERE id = existing.id
+    RETURNING * INTO stat;
+    RETURN stat;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Players store their own settings (SettingsScene); players has no update policy, so this
+-- function is the only way to write a row and it only touches the preferences column
+CREATE OR REPLACE FUNCTION save_player_preferences(target_player UUID, target_preferences JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    max_bytes INT := 4 * 1024;
+    saved JSONB;
+BEGIN
+    IF target_player IS DISTINCT FROM current_player_id() THEN
+        RAISE EXCEPTION 'Not your player';
+    END IF;
+    IF jsonb_typeof(target_preferences) IS DISTINCT FROM 'object' OR octet_length(target_preferences::text) > max_bytes THEN
+        RAISE EXCEPTION 'Invalid preferences';
+    END IF;
+
+    UPDATE players SET preferences = target_preferences
+    WHERE id = target_player
+    RETURNING preferences INTO saved;
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Picture password login
+-- Pictures are passed as a comma separated list of picture keys, e.g. 'hond,zon,appel,vis'
+-- After 5 wrong tries the student is locked out for 15 minutes (see verify_picture_password)
+
+-- Teachers set (or reset) the picture password of one of their students; also lifts a lockout
+CREATE OR REPLACE FUNCTION set_picture_password(target_player UUID, pictures TEXT) RETURNS VOID AS $$
+BEGIN
+    IF NOT is_teacher_of(target_player) THEN
+        RAISE EXCEPTION 'Not your student';
+    END IF;
+
+    IF coalesce(array_length(string_to_array(pictures, ','), 1), 0) < 4 THEN
+        RAISE EXCEPTION 'Picture password too short';
+    END IF;
+
+    INSERT INTO picture_passwords (player_id, secret_hash)
+    VALUES (target_player, crypt(pictures, gen_salt('bf')))
+    ON CONFLICT (player_id) DO UPDATE
+    SET secret_hash = EXCLUDED.secret_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Teachers add a student without email address; the account is claimed at the first picture login
+-- Usernames are unique across all classes, so a name that is taken gets a number ('Emma 2')
+CREATE OR REPLACE FUNCTION add_picture_student(target_class UUID, student_name TEXT, pictures TEXT) RETURNS players AS $$
+DECLARE
+    student players;
+    candidate TEXT := trim(student_name);
+    suffix INT := 1;
+BEGIN
+    IF NOT is_class_teacher(target_class) THEN
+        RAISE EXCEPTION 'Not your class';
+    END IF;
+
+    LOOP
+        BEGIN
+            INSERT INTO players (username, role)
+            VALUES (candidate, 'student')
+            RETURNING * INTO student;
+            EXIT;
+        EXCEPTION WHEN unique_violation THEN
+            suffix := suffix + 1;
+            candidate := trim(student_name) || ' ' || suffix;
+        END;
+    END LOOP;
+
+    INSERT INTO class_members (class_id, player_id)
+    VALUES (target_class, student.id);
+
+    PERFORM set_picture_password(student.id, pictures);
+
+    RETURN student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Names of the students of a class that can log in with pictures (the class code is the secret)
+CREATE OR REPLACE FUNCTION get_login_roster(code TEXT) RETURNS TABLE (id UUID, username TEXT) AS $$
+DECLARE
+    target UUID;
+BEGIN
+    SELECT c.id INTO target FROM classes c WHERE c.join_code = upper(trim(code));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid class code';
+    END IF;
+
+    RETURN QUERY
+        SELECT p.id, p.username
+        FROM class_members m
+        JOIN players p ON p.id = m.player_id
+        JOIN picture_passwords pw ON pw.player_id = p.id
+        WHERE m.class_id = target
+        ORDER BY p.username;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Check a picture password; returns a login token when correct
+-- Wrong answers return a row instead of raising, so the attempt counter is committed
+CREATE OR REPLACE FUNCTION verify_picture_password(code TEXT, target_player UUID, pictures TEXT)
+RETURNS TABLE (login_token TEXT, attempts_left INT, locked_until TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+    max_attempts CONSTANT INT := 5;
+    lockout CONSTANT INTERVAL := INTERVAL '15 minutes';
+    secret picture_passwords;
+    token TEXT;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE c.join_code = upper(trim(code)) AND m.player_id = target_player
+    ) THEN
+        RAISE EXCEPTION 'Invalid class code';
+    END IF;
+
+    SELECT * INTO secret FROM picture_passwords WHERE player_id = target_player FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No picture password';
+    END IF;
+
+    IF secret.locked_until > NOW() THEN
+        RETURN QUERY SELECT NULL::TEXT, 0, secret.locked_until;
+        RETURN;
+    END IF;
+
+    IF crypt(pictures, secret.secret_hash) <> secret.secret_hash THEN
+        IF secret.failed_attempts + 1 >= max_attempts THEN
+            UPDATE picture_passwords
+            SET failed_attempts = 0, locked_until = NOW() + lockout
+            WHERE player_id = target_player;
+            RETURN QUERY SELECT NULL::TEXT, 0, NOW() + lockout;
+        ELSE
+            UPDATE picture_passwords
+            SET failed_attempts = secret.failed_attempts + 1, locked_until = NULL
+            WHERE player_id = target_player;
+            RETURN QUERY SELECT NULL::TEXT, max_attempts - secret.failed_attempts - 1, NULL::TIMESTAMP WITH TIME ZONE;
+        END IF;
+        RETURN;
+    END IF;
+
+    UPDATE picture_passwords
+    SET failed_attempts = 0, locked_until = NULL
+    WHERE player_id = target_player;
+
+    DELETE FROM picture_login_tokens WHERE expires_at < NOW();
+
+    token := encode(gen_random_bytes(32), 'hex');
+    INSERT INTO picture_login_tokens (token_hash, player_id, expires_at)
+    VALUES (encode(digest(token, 'sha256'), 'hex'), target_player, NOW() + INTERVAL '2 minutes');
+
+    RETURN QUERY SELECT token, max_attempts, NULL::TIMESTAMP WITH TIME ZONE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Link the player of a login token to the signed-in (anonymous) session
+-- The student's previous anonymous account is removed, so only the newest device stays logged in
+-- A player that belongs to an email account is never taken over
+CREATE OR REPLACE FUNCTION claim_picture_login(token TEXT) RETURNS players AS $$
+DECLARE
+    claimed_player UUID;
+    previous_auth UUID;
+    student players;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    DELETE FROM picture_login_tokens
+    WHERE token_hash = encode(digest(token, 'sha256'), 'hex') AND expires_at > NOW()
+    RETURNING player_id INTO claimed_player;
+    IF claimed_player IS NULL THEN
+        RAISE EXCEPTION 'Invalid login token';
+    END IF;
+
+    IF current_player_id() IS NOT NULL AND current_player_id() <> claimed_player THEN
+        RAISE EXCEPTION 'Session already belongs to another player';
+    END IF;
+
+    SELECT auth_id INTO previous_auth FROM players WHERE id = claimed_player;
+    IF previous_auth IS NOT NULL AND previous_auth <> auth.uid() AND NOT EXISTS (
+        SELECT 1 FROM auth.users WHERE id = previous_auth AND is_anonymous
+    ) THEN
+        RAISE EXCEPTION 'Player signs in with email';
+    END IF;
+
+    UPDATE players SET auth_id = auth.uid()
+    WHERE id = claimed_player
+    RETURNING * INTO student;
+
+    IF previous_auth IS NOT NULL AND previous_auth <> auth.uid() THEN
+        DELETE FROM auth.users WHERE id = previous_auth AND is_anonymous;
+    END IF;
+
+    RETURN student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
 
 -- Enable Row Level Security on all tables
 ALTER TABLE players ENABLE ROW LEVEL SECURITY;
@@ -71,6 +909,17 @@ ALTER TABLE words ENABLE ROW LEVEL SECURITY;
 ALTER TABLE player_word_stats ENABLE ROW LEVEL SECURITY;
 ALTER TABLE game_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE highscores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE classes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE class_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE word_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE word_list_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE word_attempts ENABLE ROW LEVEL SECURITY;
+-- No policies: picture secrets, login tokens, session starts and word stat writes are only used by the functions above
+ALTER TABLE picture_passwords ENABLE ROW LEVEL SECURITY;
+ALTER TABLE picture_login_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE game_session_starts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE word_stat_writes ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies
 
@@ -78,9 +927,9 @@ ALTER TABLE highscores ENABLE ROW LEVEL SECURITY;
 CREATE POLICY "Players can view own data" ON players
     FOR SELECT USING (auth.uid() = auth_id);
 
--- Players can insert their own player record on signup
+-- Players can insert their own player record on signup (always as student)
 CREATE POLICY "Players can insert own record" ON players
-    FOR INSERT WITH CHECK (auth.uid() = auth_id);
+    FOR INSERT WITH CHECK (auth.uid() = auth_id AND role = 'student');
 
 -- All users can read words (needed for gameplay)
 CREATE POLICY "All users can read words" ON words
@@ -116,13 +965,7 @@ CREATE POLICY "Players can view own game sessions" ON game_sessions
         )
     );
 
--- Players can insert their own game sessions
-CREATE POLICY "Players can insert own game sessions" ON game_sessions
-    FOR INSERT WITH CHECK (
-        player_id IN (
-            SELECT id FROM players WHERE auth_id = auth.uid()
-        )
-    );
+-- No insert policy for game_sessions: sessions are stored by submit_game_session
 
 -- Players can view their own highscores
 CREATE POLICY "Players can view own highscores" ON highscores
@@ -132,19 +975,118 @@ CREATE POLICY "Players can view own highscores" ON highscores
         )
     );
 
--- Players can insert their own highscores
-CREATE POLICY "Players can insert own highscores" ON highscores
-    FOR INSERT WITH CHECK (
-        player_id IN (
-            SELECT id FROM players WHERE auth_id = auth.uid()
-        )
-    );
+-- No insert or update policy for highscores: personal bests are stored by submit_game_session
 
 -- All users can view public highscores (for leaderboards)
 CREATE POLICY "All users can view public highscores" ON highscores
     FOR SELECT USING (true);
 
+-- Teachers can view the players in their classes
+CREATE POLICY "Teachers can view their students" ON players
+    FOR SELECT USING (is_teacher_of(id));
+
+-- Teachers can create and manage their own classes
+CREATE POLICY "Teachers can manage own classes" ON classes
+    FOR ALL USING (teacher_id = current_player_id())
+    WITH CHECK (teacher_id = current_player_id() AND is_teacher());
+
+-- Students can view the classes they joined
+CREATE POLICY "Students can view joined classes" ON classes
+    FOR SELECT USING (
+        id IN (
+            SELECT class_id FROM class_members WHERE player_id = current_player_id()
+        )
+    );
+
+-- Teachers can view and remove students of their classes (joining goes through join_class)
+CREATE POLICY "Teachers can manage class members" ON class_members
+    FOR ALL USING (is_class_teacher(class_id));
+
+-- Students can view their own memberships
+CREATE POLICY "Students can view own memberships" ON class_members
+    FOR SELECT USING (player_id = current_player_id());
+
+-- Students can leave a class
+CREATE POLICY "Students can leave classes" ON class_members
+    FOR DELETE USING (player_id = current_player_id());
+
+-- Teachers can view their students' word stats
+CREATE POLICY "Teachers can view students word stats" ON player_word_stats
+    FOR SELECT USING (is_teacher_of(player_id));
+
+-- Teachers can reset their students' word stats
+CREATE POLICY "Teachers can reset students word stats" ON player_word_stats
+    FOR DELETE USING (is_teacher_of(player_id));
+
+-- Teachers can view their students' game sessions
+CREATE POLICY "Teachers can view students game sessions" ON game_sessions
+    FOR SELECT USING (is_teacher_of(player_id));
+
+-- Teachers can manage their own word lists
+CREATE POLICY "Teachers can manage own word lists" ON word_lists
+    FOR ALL USING (teacher_id = current_player_id())
+    WITH CHECK (teacher_id = current_player_id() AND is_teacher());
+
+-- Students can view word lists assigned to their classes
+CREATE POLICY "Students can view assigned word lists" ON word_lists
+    FOR SELECT USING (is_word_list_assigned_to_me(id));
+
+-- Teachers can manage the words in their own lists
+CREATE POLICY "Teachers can manage own word list items" ON word_list_items
+    FOR ALL USING (owns_word_list(word_list_id));
+
+-- Students can view the words of lists assigned to them
+CREATE POLICY "Students can view assigned word list items" ON word_list_items
+    FOR SELECT USING (is_word_list_assigned_to_me(word_list_id));
+
+-- Teachers can assign their own lists to their own classes
+CREATE POLICY "Teachers can manage assignments" ON assignments
+    FOR ALL USING (is_class_teacher(class_id))
+    WITH CHECK (is_class_teacher(class_id) AND owns_word_list(word_list_id));
+
+-- Students can view the assignments of their classes
+CREATE POLICY "Students can view class assignments" ON assignments
+    FOR SELECT USING (
+        class_id IN (
+            SELECT class_id FROM class_members WHERE player_id = current_player_id()
+        )
+    );
+
+-- Players can view their own attempts
+CREATE POLICY "Players can view own word attempts" ON word_attempts
+    FOR SELECT USING (player_id = current_player_id());
+
+-- Players can record attempts until their session is submitted; attempts are never changed afterwards,
+-- since submit_game_session computes the score from them
+CREATE POLICY "Players can record own word attempts" ON word_attempts
+    FOR INSERT WITH CHECK (
+        player_id = current_player_id()
+        AND NOT EXISTS (SELECT 1 FROM game_sessions s WHERE s.id = session_id)
+    );
+
+-- Teachers can view their students' attempts
+CREATE POLICY "Teachers can view students word attempts" ON word_attempts
+    FOR SELECT USING (is_teacher_of(player_id));
+
+-- Storage bucket for recorded word pronunciations (public read, only admins write)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('word-audio', 'word-audio', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Only admins can upload, replace and delete word audio
+CREATE POLICY "Admins can upload word audio" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'word-audio' AND auth.email() = current_setting('app.admin_email', true)
+    );
+
+CREATE POLICY "Admins can delete word audio" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'word-audio' AND auth.email() = current_setting('app.admin_email', true)
+    );
+
 -- Set the admin email setting (replace with your actual admin email)
 -- This should be set in your Supabase dashboard or via SQL
 -- ALTER DATABASE postgres SET app.admin_email = 'admin@example.com';
 
+-- Promote a player to teacher (run as admin in the SQL editor)
+-- UPDATE players SET role = 'teacher' WHERE username = 'juf.anna';
@@ -0,0 +1,56 @@
+-- [user-016] Check: a session played offline still counts when its queued writes sync later
+-- Replays the outbox in order (start, attempts, submit) as a test player and rolls everything back
+-- Run against a development database: psql "$DATABASE_URL" -f supabase/tests/offline_session_replay.sql
+
+BEGIN;
+
+DO $$
+DECLARE
+    test_auth UUID := uuid_generate_v4();
+    test_player UUID;
+    test_word UUID;
+    test_session UUID := uuid_generate_v4();
+    started TIMESTAMP WITH TIME ZONE := date_trunc('second', NOW()) - INTERVAL '2 hours'; -- Played two hours ago
+    synced TIMESTAMP WITH TIME ZONE := NOW();
+    recorded TIMESTAMP WITH TIME ZONE;
+    saved game_sessions;
+    best highscores;
+BEGIN
+    INSERT INTO auth.users (id) VALUES (test_auth);
+    INSERT INTO players (auth_id, username) VALUES (test_auth, 'offline-check-' || test_auth)
+    RETURNING id INTO test_player;
+    INSERT INTO words (correct_spelling, wrong_spelling, difficulty, language) VALUES ('paard', 'paart', 'easy', 'nl')
+    RETURNING id INTO test_word;
+    PERFORM set_config('request.jwt.claims', json_build_object('sub', test_auth, 'role', 'authenticated')::TEXT, true);
+
+    -- The start waited two hours in the outbox
+    recorded := start_game_session(test_session, test_player, started, synced);
+    ASSERT recorded = started, format('queued start recorded at %s instead of %s', recorded, started);
+
+    -- Ten correct attempts, 5 seconds apart
+    FOR i IN 1..10 LOOP
+        INSERT INTO word_attempts (player_id, word_id, is_correct, chosen_spelling, correct_spelling, difficulty,
+            session_id, attempted_at)
+        VALUES (test_player, test_word, true, 'paard', 'paard', 'easy', test_session, started + i * INTERVAL '5 seconds');
+    END LOOP;
+    ASSERT (SELECT min(attempted_at) FROM word_attempts WHERE session_id = test_session) = started + INTERVAL '5 seconds',
+        'queued attempts lost their device time';
+
+    saved := submit_game_session(test_session, test_player, 'easy', 55, NULL, 'fixed', started + INTERVAL '55 seconds',
+        NULL, 'nl', false);
+    ASSERT saved.invalid_reason IS NULL, format('offline session not counted: %s', saved.invalid_reason);
+    ASSERT saved.played_at = started + INTERVAL '55 seconds', format('offline session dated %s', saved.played_at);
+    ASSERT saved.score = 100, format('offline session scored %s', saved.score);
+
+    SELECT * INTO best FROM highscores WHERE player_id = test_player AND difficulty = 'easy' AND language = 'nl';
+    ASSERT best.score = 100, 'offline session did not become the personal best';
+
+    -- A start sent right away still gets the server's time, whatever the device claims
+    recorded := start_game_session(uuid_generate_v4(), test_player, started, started + INTERVAL '2 seconds');
+    ASSERT recorded = NOW(), format('online start recorded at %s instead of the server time', recorded);
+
+    RAISE NOTICE 'offline session replay: ok';
+END;
+$$;
+
+ROLLBACK;
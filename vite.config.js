@@ -12,7 +12,8 @@ export default defineConfig({
     target: 'esnext',
     rollupOptions: {
       input: {
-        main: './index.html'
+        main: './index.html',
+        admin: './admin.html'
       }
     }
   },